@@ -1,6 +1,6 @@
 /**
  * WebSocket Voice Management Integration
- * Add this code to server.js after the /voice-stream WebSocket endpoint
+ * Add this code to server.js after the /voice-stream-deepgram WebSocket endpoint
  */
 
 // WebSocket endpoint for voice list updates
@@ -31,8 +31,10 @@ async function applyMigrations() {
 
     console.log(`Connected to database ${MYSQL_CONFIG.database}`);
 
-    // Read the migration file
-    const migrationPath = path.resolve('./migrations/add-updated-at-to-agents.sql');
+    // Read the migration file (node apply-migration.js <file.sql>)
+    const migrationFile = process.argv[2] || 'add-updated-at-to-agents.sql';
+    const migrationPath = path.resolve('./migrations', migrationFile);
+    console.log(`Applying ${migrationFile}`);
     const migrationSql = fs.readFileSync(migrationPath, 'utf8');
 
     // Split into statements
@@ -1,42 +1,98 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.toVariableName = toVariableName;
 exports.parseCSV = parseCSV;
+var PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber'];
+var NAME_COLUMNS = ['name', 'full_name'];
+/**
+ * Column header as a {{variable}} name: "Due Amount" -> "due_amount"
+ */
+function toVariableName(column) {
+    return column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+/**
+ * Split one CSV line into fields. Quoted fields may contain the delimiter
+ * and doubled quotes ("1,200" or "say ""hi""").
+ */
+function splitLine(line, delimiter) {
+    var fields = [];
+    var field = '';
+    var quoted = false;
+    for (var i = 0; i < line.length; i++) {
+        var char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (char === '"') {
+                quoted = false;
+            }
+            else {
+                field += char;
+            }
+        }
+        else if (char === '"' && field.trim() === '') {
+            quoted = true;
+            field = '';
+        }
+        else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        }
+        else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns One contact per row: phone, name and every other column as metadata
  */
 function parseCSV(csvString, delimiter) {
     if (delimiter === void 0) { delimiter = ','; }
     // Split into lines
-    var lines = csvString.trim().split('\n');
+    var lines = csvString.trim().split(/\r?\n/);
     if (lines.length === 0) {
         return [];
     }
     // Parse header
-    var header = lines[0].split(delimiter).map(function (field) { return field.trim(); });
+    var header = splitLine(lines[0], delimiter).map(toVariableName);
     // Find phone column index
-    var phoneColumnIndex = header.findIndex(function (column) {
-        return column.toLowerCase() === 'phone' ||
-            column.toLowerCase() === 'phone number' ||
-            column.toLowerCase() === 'phonenumber';
-    });
+    var phoneColumnIndex = header.findIndex(function (column) { return PHONE_COLUMNS.indexOf(column) !== -1; });
     if (phoneColumnIndex === -1) {
         throw new Error('CSV must contain a "phone" column');
     }
+    var nameColumnIndex = header.findIndex(function (column) { return NAME_COLUMNS.indexOf(column) !== -1; });
     // Parse data rows
     var records = [];
-    for (var i = 1; i < lines.length; i++) {
+    var _loop = function (i) {
         var line = lines[i].trim();
         if (line) {
-            var values = line.split(delimiter).map(function (value) { return value.trim(); });
-            var phone = values[phoneColumnIndex];
+            var values_1 = splitLine(line, delimiter);
+            var phone = values_1[phoneColumnIndex];
             // Basic phone number validation
             if (phone && phone.length >= 10) {
-                records.push({ phone: phone });
+                var metadata_1 = {};
+                header.forEach(function (column, index) {
+                    if (column && index !== phoneColumnIndex && index !== nameColumnIndex && values_1[index]) {
+                        metadata_1[column] = values_1[index];
+                    }
+                });
+                var record = { phone: phone, metadata: metadata_1 };
+                if (nameColumnIndex !== -1 && values_1[nameColumnIndex]) {
+                    record.name = values_1[nameColumnIndex];
+                }
+                records.push(record);
             }
         }
+    };
+    for (var i = 1; i < lines.length; i++) {
+        _loop(i);
     }
     return records;
 }
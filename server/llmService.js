@@ -35,10 +35,35 @@ var __generator = (this && this.__generator) || function (thisArg, body) {
         if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
     }
 };
+var __assign = (this && this.__assign) || function () {
+    __assign = Object.assign || function(t) {
+        for (var s, i = 1, n = arguments.length; i < n; i++) {
+            s = arguments[i];
+            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
+                t[p] = s[p];
+        }
+        return t;
+    };
+    return __assign.apply(this, arguments);
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.LLMService = void 0;
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 
+// Function calls, the raw model content (needed to keep functionCall parts in
+// the conversation history) and token usage from a Gemini response
+function toToolAwareResponse(response) {
+    var _a, _b;
+    if (!response) {
+        return { functionCalls: [], content: null, usageMetadata: undefined };
+    }
+    return {
+        functionCalls: response.functionCalls() || [],
+        content: ((_b = (_a = response.candidates) === null || _a === void 0 ? void 0 : _a[0]) === null || _b === void 0 ? void 0 : _b.content) || null,
+        usageMetadata: response.usageMetadata
+    };
+}
+
 // Unified LLM service that supports Gemini models using GoogleGenerativeAI SDK
 var LLMService = /** @class */ (function () {
     function LLMService(geminiApiKey) {
@@ -53,7 +78,7 @@ var LLMService = /** @class */ (function () {
     LLMService.prototype.generateContent = function (request) {
         return __awaiter(this, void 0, void 0, function () {
             var modelName, model, prompt, result, responseText, error_1;
-            var _a;
+            var _a, _c, _d;
             return __generator(this, function (_b) {
                 switch (_b.label) {
                     case 0:
@@ -70,7 +95,8 @@ var LLMService = /** @class */ (function () {
                         // Use getGenerativeModel
                         model = this.genAI.getGenerativeModel({
                             model: modelName,
-                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction
+                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction,
+                            tools: (_d = request.config) === null || _d === void 0 ? void 0 : _d.tools
                         });
 
                         // Convert 'contents' (which might be multi-turn chat history) to correct format if needed
@@ -91,7 +117,7 @@ var LLMService = /** @class */ (function () {
                             responseText = result.response.text();
                         }
 
-                        return [2 /*return*/, { text: responseText }];
+                        return [2 /*return*/, __assign({ text: responseText }, toToolAwareResponse(result === null || result === void 0 ? void 0 : result.response))];
                     case 3:
                         error_1 = _b.sent();
                         console.error('Error calling Gemini API:', error_1);
@@ -102,9 +128,43 @@ var LLMService = /** @class */ (function () {
         });
     };
 
-    // Stub for stream - could be implemented if needed
+    // Streams the reply as it is generated. Resolves to { stream, response } where
+    // `stream` yields chunks with a text() method and `response` resolves to
+    // { text, functionCalls, content, usageMetadata } once the model has finished.
     LLMService.prototype.generateContentStream = function (request) {
-        throw new Error("Stream not implemented in this version");
+        return __awaiter(this, void 0, void 0, function () {
+            var modelName, model, result, error_2;
+            var _a, _d;
+            return __generator(this, function (_b) {
+                switch (_b.label) {
+                    case 0:
+                        if (!this.genAI) {
+                            throw new Error('Gemini client not initialized. Please provide a Gemini API key.');
+                        }
+                        _b.label = 1;
+                    case 1:
+                        _b.trys.push([1, 3, , 4]);
+                        modelName = request.model || 'models/gemini-2.5-flash';
+                        model = this.genAI.getGenerativeModel({
+                            model: modelName,
+                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction,
+                            tools: (_d = request.config) === null || _d === void 0 ? void 0 : _d.tools
+                        });
+                        return [4 /*yield*/, model.generateContentStream({ contents: request.contents })];
+                    case 2:
+                        result = _b.sent();
+                        return [2 /*return*/, {
+                                stream: result.stream,
+                                response: result.response.then(function (response) { return (__assign({ text: response.text() }, toToolAwareResponse(response))); })
+                            }];
+                    case 3:
+                        error_2 = _b.sent();
+                        console.error('Error calling Gemini streaming API:', error_2);
+                        throw error_2;
+                    case 4: return [2 /*return*/];
+                }
+            });
+        });
     };
 
     return LLMService;
@@ -0,0 +1,13 @@
+-- Test scenarios for agents: a simulated caller plus the checks a text-only run must pass
+CREATE TABLE IF NOT EXISTS agent_test_scenarios (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  agent_id VARCHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  definition JSON NOT NULL,
+  last_result JSON NULL,
+  last_run_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_agent_user (agent_id, user_id)
+);
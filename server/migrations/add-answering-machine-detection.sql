@@ -0,0 +1,3 @@
+-- Answering machine detection: Twilio's AnsweredBy on the call, and the outcome on the campaign contact for retries
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS answered_by VARCHAR(30) NULL;
+ALTER TABLE campaign_contacts ADD COLUMN IF NOT EXISTS disposition VARCHAR(50) NULL;
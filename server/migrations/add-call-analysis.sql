@@ -0,0 +1,4 @@
+-- Post-call analysis: LLM summary, caller sentiment and the fields extracted against the agent's schema
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS summary TEXT NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS sentiment VARCHAR(20) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extracted_data JSON NULL;
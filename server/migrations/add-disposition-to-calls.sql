@@ -0,0 +1,2 @@
+-- Call outcome reported by the agent when it hangs up (resolved, not_interested, ...)
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition VARCHAR(50) NULL;
@@ -0,0 +1,2 @@
+-- Record why a call ended (max_duration, no_voice_activity, hangup, ...)
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS end_reason VARCHAR(50) NULL;
@@ -0,0 +1,26 @@
+-- Knowledge base retrieval during calls: document passages and which ones were used for each answer
+CREATE TABLE IF NOT EXISTS document_chunks (
+  id VARCHAR(36) PRIMARY KEY,
+  document_id VARCHAR(36) NOT NULL,
+  chunk_index INT NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+  INDEX idx_document_id (document_id)
+);
+
+CREATE TABLE IF NOT EXISTS knowledge_citations (
+  id VARCHAR(36) PRIMARY KEY,
+  call_id VARCHAR(100) NOT NULL,
+  agent_id VARCHAR(36) NULL,
+  chunk_id VARCHAR(36) NOT NULL,
+  document_id VARCHAR(36) NOT NULL,
+  rank_position INT NOT NULL,
+  score DOUBLE NOT NULL,
+  cited BOOLEAN DEFAULT FALSE,
+  query TEXT,
+  answer TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_call_id (call_id),
+  INDEX idx_chunk_id (chunk_id)
+);
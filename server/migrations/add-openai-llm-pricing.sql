@@ -0,0 +1,6 @@
+-- OpenAI-compatible LLM backend: token prices per model ("openai:<model>"), with "openai" as the fallback price
+ALTER TABLE service_pricing MODIFY service_type VARCHAR(100) NOT NULL;
+ALTER TABLE service_usage MODIFY service_type VARCHAR(100) NOT NULL;
+INSERT INTO service_pricing (service_type, cost_per_unit, unit_type)
+SELECT 'openai', 0.000001, 'tokens' FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM service_pricing WHERE service_type = 'openai');
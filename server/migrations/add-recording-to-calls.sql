@@ -0,0 +1,3 @@
+-- Platform call recording: stereo WAV served from /api/calls/:id/recording, plus the spoken transcript
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_url TEXT NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transcript JSON NULL;
@@ -0,0 +1,4 @@
+-- Live call transfer to a human: destination, Twilio <Dial> outcome and the warm-transfer briefing
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_target VARCHAR(100) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_status VARCHAR(30) NULL;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_summary TEXT NULL;
@@ -0,0 +1,22 @@
+-- Delivery log for agent webhooks (prefetch data before a call, end-of-call payload after it)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id VARCHAR(36) PRIMARY KEY,
+  user_id VARCHAR(36) NOT NULL,
+  agent_id VARCHAR(36) NULL,
+  call_id VARCHAR(100) NULL,
+  event VARCHAR(32) NOT NULL, -- 'prefetch' | 'end_of_call'
+  url TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending' | 'delivered' | 'failed'
+  attempts INT NOT NULL DEFAULT 0,
+  response_status INT NULL,
+  error TEXT NULL,
+  payload JSON NOT NULL,
+  next_attempt_at DATETIME NULL, -- when a queued retry is due
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_agent_user_created (agent_id, user_id, created_at),
+  INDEX idx_status_next_attempt (status, next_attempt_at)
+);
+
+-- Per-agent signing secret (encrypted), created on first use and rotatable
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS webhook_secret TEXT NULL;
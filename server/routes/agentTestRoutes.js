@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const { ConversationSimulator, validateScenario } = require('../services/conversationSimulator.js');
+
+function parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toScenario(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        name: row.name,
+        ...parseJson(row.definition),
+        lastResult: parseJson(row.last_result),
+        lastRunAt: row.last_run_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Scenario fields as saved in the definition column
+ */
+function toDefinition(body) {
+    const { name, persona, callerMode, callerScript, maxTurns, expectedTools, assertions, toolMocks } = body;
+    return { name, persona, callerMode, callerScript, maxTurns, expectedTools, assertions, toolMocks };
+}
+
+module.exports = (mysqlPool) => {
+    const simulator = new ConversationSimulator(mysqlPool);
+    // Run-all in progress per agent: { userId, pending: scenario ids not finished yet }
+    const runAlls = new Map();
+
+    async function getScenario(id, userId) {
+        const [rows] = await mysqlPool.execute(
+            'SELECT * FROM agent_test_scenarios WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return rows.length > 0 ? toScenario(rows[0]) : null;
+    }
+
+    async function runScenario(userId, scenario) {
+        let result;
+        try {
+            result = await simulator.run(userId, scenario.agentId, scenario);
+        } catch (error) {
+            // Setup failures (balance, missing key) are a failed run, not a server error
+            result = { passed: false, endedBy: 'error', turns: 0, checks: [], toolCalls: [], transcript: [], error: error.message, ranAt: new Date().toISOString() };
+        }
+
+        await mysqlPool.execute(
+            'UPDATE agent_test_scenarios SET last_result = ?, last_run_at = NOW() WHERE id = ?',
+            [JSON.stringify(result), scenario.id]
+        );
+        return result;
+    }
+
+    // Get an agent's test scenarios
+    router.get('/', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.query.userId;
+            const { agentId } = req.query;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+
+            const [rows] = await mysqlPool.execute(
+                'SELECT * FROM agent_test_scenarios WHERE agent_id = ? AND user_id = ? ORDER BY created_at ASC',
+                [agentId, userId]
+            );
+
+            res.json({ success: true, data: rows.map(toScenario) });
+        } catch (error) {
+            console.error('Error fetching test scenarios:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Create a test scenario
+    router.post('/', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const { agentId } = req.body;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+
+            const definition = toDefinition(req.body);
+            const invalid = validateScenario(definition);
+            if (invalid) {
+                return res.status(400).json({ success: false, message: invalid });
+            }
+
+            const id = uuidv4();
+            await mysqlPool.execute(
+                'INSERT INTO agent_test_scenarios (id, user_id, agent_id, name, definition) VALUES (?, ?, ?, ?, ?)',
+                [id, userId, agentId, definition.name.trim(), JSON.stringify(definition)]
+            );
+
+            res.json({ success: true, data: await getScenario(id, userId) });
+        } catch (error) {
+            console.error('Error creating test scenario:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Run every scenario of an agent, one after the other, in the background.
+    // Results land on each scenario; poll GET /run-all for the ones still pending.
+    router.post('/run-all', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const { agentId } = req.body;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+            if (runAlls.has(agentId)) {
+                return res.status(409).json({ success: false, message: "This agent's tests are already running" });
+            }
+
+            const [rows] = await mysqlPool.execute(
+                'SELECT * FROM agent_test_scenarios WHERE agent_id = ? AND user_id = ? ORDER BY created_at ASC',
+                [agentId, userId]
+            );
+            const scenarios = rows.map(toScenario);
+            const run = { userId, pending: scenarios.map(scenario => scenario.id) };
+            runAlls.set(agentId, run);
+
+            (async () => {
+                for (const scenario of scenarios) {
+                    try {
+                        await runScenario(userId, scenario);
+                    } catch (error) {
+                        console.error(`Error running test scenario ${scenario.id}:`, error);
+                    }
+                    run.pending.shift();
+                }
+            })().finally(() => runAlls.delete(agentId));
+
+            res.json({ success: true, data: { pending: run.pending } });
+        } catch (error) {
+            console.error('Error running test scenarios:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Scenarios of the agent's run-all still to finish (empty when none is running)
+    router.get('/run-all', (req, res) => {
+        const userId = req.user?.id || req.query.userId;
+        const { agentId } = req.query;
+
+        if (!userId || !agentId) {
+            return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+        }
+
+        const run = runAlls.get(agentId);
+        res.json({ success: true, data: { pending: run && run.userId === userId ? run.pending : [] } });
+    });
+
+    // Update a test scenario
+    router.put('/:id', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const existing = await getScenario(req.params.id, userId);
+            if (!existing) {
+                return res.status(404).json({ success: false, message: 'Test scenario not found' });
+            }
+
+            const definition = toDefinition({ ...existing, ...req.body });
+            const invalid = validateScenario(definition);
+            if (invalid) {
+                return res.status(400).json({ success: false, message: invalid });
+            }
+
+            await mysqlPool.execute(
+                'UPDATE agent_test_scenarios SET name = ?, definition = ? WHERE id = ? AND user_id = ?',
+                [definition.name.trim(), JSON.stringify(definition), req.params.id, userId]
+            );
+
+            res.json({ success: true, data: await getScenario(req.params.id, userId) });
+        } catch (error) {
+            console.error('Error updating test scenario:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Delete a test scenario
+    router.delete('/:id', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.query.userId;
+            const [result] = await mysqlPool.execute(
+                'DELETE FROM agent_test_scenarios WHERE id = ? AND user_id = ?',
+                [req.params.id, userId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ success: false, message: 'Test scenario not found' });
+            }
+            res.json({ success: true, message: 'Test scenario deleted' });
+        } catch (error) {
+            console.error('Error deleting test scenario:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Run one scenario against the saved agent
+    router.post('/:id/run', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const scenario = await getScenario(req.params.id, userId);
+            if (!scenario) {
+                return res.status(404).json({ success: false, message: 'Test scenario not found' });
+            }
+
+            res.json({ success: true, data: await runScenario(userId, scenario) });
+        } catch (error) {
+            console.error('Error running test scenario:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    return router;
+};
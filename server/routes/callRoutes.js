@@ -1,10 +1,88 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
+const { getRecordingPath } = require('../services/callRecorder.js');
+
+/**
+ * Look up a call owned by the requesting user
+ * (signed-in user, or ?userId= like the rest of the API)
+ * @returns {Promise<Object|null>} - The calls row, or null after sending the error response
+ */
+async function findUserCall(req, res, columns) {
+    const userId = req.user?.id || req.query.userId;
+    if (!userId) {
+        res.status(401).json({ success: false, message: 'Authentication required' });
+        return null;
+    }
+
+    const mysqlPool = req.app.get('mysqlPool');
+    const [rows] = await mysqlPool.execute(
+        `SELECT id, ${columns} FROM calls WHERE (id = ? OR call_sid = ?) AND user_id = ? LIMIT 1`,
+        [req.params.id, req.params.id, userId]
+    );
+    if (rows.length === 0) {
+        res.status(404).json({ success: false, message: 'Call not found' });
+        return null;
+    }
+    return rows[0];
+}
+
+/**
+ * Stream the platform recording of a call (stereo WAV: caller left, agent right)
+ * GET /api/calls/:id/recording?userId=
+ */
+router.get('/:id/recording', async (req, res) => {
+    try {
+        const call = await findUserCall(req, res, 'recording_url');
+        if (!call) return;
+
+        // recording_url may also hold a Twilio recording; ours point back here
+        const match = /^\/api\/calls\/([^/]+)\/recording$/.exec(call.recording_url || '');
+        const filePath = match && getRecordingPath(match[1]);
+        if (!filePath || !fs.existsSync(filePath)) {
+            return res.status(404).json({ success: false, message: 'No recording for this call' });
+        }
+
+        // sendFile handles Range requests, so the audio player can seek
+        res.type('audio/wav');
+        res.sendFile(filePath);
+    } catch (error) {
+        console.error('Error fetching call recording:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch call recording',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Transcript of a call
+ * GET /api/calls/:id/transcript?userId=
+ */
+router.get('/:id/transcript', async (req, res) => {
+    try {
+        const call = await findUserCall(req, res, 'transcript');
+        if (!call) return;
+
+        let transcript = call.transcript || [];
+        if (typeof transcript === 'string') transcript = JSON.parse(transcript);
+
+        res.json({ success: true, transcript });
+    } catch (error) {
+        console.error('Error fetching call transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch call transcript',
+            error: error.message
+        });
+    }
+});
 
 /**
  * Get call history for a specific user
  * GET /api/calls/:userId
- * Query params: limit, offset, agentId, callType, startDate, endDate
+ * Query params: limit, offset, agentId, callType, startDate, endDate, disposition, sentiment
  */
 router.get('/:userId', async (req, res) => {
     try {
@@ -15,7 +93,9 @@ router.get('/:userId', async (req, res) => {
             agentId,
             callType,
             startDate,
-            endDate
+            endDate,
+            disposition,
+            sentiment
         } = req.query;
 
         const mysqlPool = req.app.get('mysqlPool');
@@ -45,6 +125,16 @@ router.get('/:userId', async (req, res) => {
             filterParams.push(endDate);
         }
 
+        if (disposition) {
+            whereConditions.push('c.disposition = ?');
+            filterParams.push(disposition);
+        }
+
+        if (sentiment) {
+            whereConditions.push('c.sentiment = ?');
+            filterParams.push(sentiment);
+        }
+
         const whereClause = whereConditions.join(' AND ');
 
         // Get total count
@@ -52,6 +142,12 @@ router.get('/:userId', async (req, res) => {
         const [countResult] = await mysqlPool.execute(countQuery, filterParams);
         const total = countResult[0].total;
 
+        // Every disposition the user's calls have, for the filter
+        const [dispositionRows] = await mysqlPool.execute(
+            'SELECT DISTINCT disposition FROM calls WHERE user_id = ? AND disposition IS NOT NULL ORDER BY disposition',
+            [userId]
+        );
+
         // Create params array for SELECT query: just filters (LIMIT/OFFSET interpolated)
         const selectParams = [...filterParams];
 
@@ -72,6 +168,15 @@ router.get('/:userId', async (req, res) => {
                 c.started_at,
                 c.ended_at,
                 c.duration,
+                c.end_reason,
+                c.disposition,
+                c.summary,
+                c.sentiment,
+                c.extracted_data,
+                c.transfer_target,
+                c.transfer_status,
+                c.answered_by,
+                c.recording_url,
                 c.provider,
                 c.model,
                 c.voice_id,
@@ -98,7 +203,15 @@ router.get('/:userId', async (req, res) => {
             startedAt: call.started_at,
             endedAt: call.ended_at,
             duration: call.duration || 0,
-            recordingUrl: null,
+            endReason: call.end_reason || null,
+            disposition: call.disposition || null,
+            summary: call.summary || null,
+            sentiment: call.sentiment || null,
+            extractedData: parseJson(call.extracted_data),
+            transferTarget: call.transfer_target || null,
+            transferStatus: call.transfer_status || null,
+            answeredBy: call.answered_by || null,
+            recordingUrl: call.recording_url || null,
             agentId: call.agent_id,
             agentName: call.agent_name || 'Unknown Agent',
             provider: call.provider,
@@ -109,6 +222,7 @@ router.get('/:userId', async (req, res) => {
         res.json({
             success: true,
             calls: formattedCalls,
+            dispositions: dispositionRows.map(row => row.disposition),
             pagination: {
                 total,
                 limit: parseInt(limit),
@@ -127,4 +241,15 @@ router.get('/:userId', async (req, res) => {
     }
 });
 
+// JSON columns come back parsed or as text depending on the server
+function parseJson(value) {
+    if (!value) return null;
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return null;
+    }
+}
+
 module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const { KnowledgeBaseService } = require('../services/knowledgeBaseService.js');
 
 module.exports = (mysqlPool) => {
+    const knowledgeBase = new KnowledgeBaseService(mysqlPool);
+
     // Get documents for a user
     router.get('/:userId', async (req, res) => {
         try {
@@ -51,6 +54,13 @@ module.exports = (mysqlPool) => {
                 [docId, userId, agentId || null, name, content]
             );
 
+            // Chunk for call-time retrieval; if this fails the document is chunked on first use
+            try {
+                await knowledgeBase.ingestDocument(docId, content);
+            } catch (err) {
+                console.error('Error indexing document:', err.message);
+            }
+
             res.json({
                 success: true,
                 data: {
@@ -104,6 +114,7 @@ module.exports = (mysqlPool) => {
                 'DELETE FROM documents WHERE id = ?',
                 [docId]
             );
+            knowledgeBase.invalidate(docId);
 
             res.json({
                 success: true,
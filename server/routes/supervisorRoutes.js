@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { CallMonitorHandler } = require('../services/callMonitorHandler.js');
+
+module.exports = (mysqlPool) => {
+    const monitors = new CallMonitorHandler(mysqlPool);
+
+    // Live calls the caller (?userId=) or an admin (?adminId=) may monitor
+    router.get('/calls', async (req, res) => {
+        try {
+            const viewer = await monitors.getViewer(req);
+            if (!viewer) {
+                return res.status(401).json({ success: false, message: 'Authentication required' });
+            }
+
+            res.json({ success: true, data: await monitors.listCalls(viewer) });
+        } catch (error) {
+            console.error('Error fetching live calls:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    return router;
+};
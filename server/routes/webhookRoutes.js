@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { WebhookService } = require('../services/webhookService.js');
+
+module.exports = (mysqlPool) => {
+    const webhooks = new WebhookService(mysqlPool);
+
+    async function ownsAgent(userId, agentId) {
+        const [rows] = await mysqlPool.execute(
+            'SELECT id FROM agents WHERE id = ? AND user_id = ?',
+            [agentId, userId]
+        );
+        return rows.length > 0;
+    }
+
+    // Delivery log of an agent's webhooks
+    router.get('/deliveries', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.query.userId;
+            const { agentId, limit } = req.query;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+
+            res.json({ success: true, data: await webhooks.getDeliveries(userId, agentId, limit) });
+        } catch (error) {
+            console.error('Error fetching webhook deliveries:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Send a delivery again
+    router.post('/deliveries/:id/redeliver', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const result = await webhooks.redeliver(userId, req.params.id);
+            if (!result) {
+                return res.status(404).json({ success: false, message: 'Webhook delivery not found' });
+            }
+
+            res.json({ success: true, data: { ok: result.ok, status: result.status, error: result.error } });
+        } catch (error) {
+            console.error('Error redelivering webhook:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Secret the agent's webhook requests are signed with (X-Ziya-Signature)
+    router.get('/secret', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.query.userId;
+            const { agentId } = req.query;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+            if (!(await ownsAgent(userId, agentId))) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+
+            res.json({ success: true, data: { secret: await webhooks.getSigningSecret(agentId) } });
+        } catch (error) {
+            console.error('Error fetching webhook secret:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    // Replace the signing secret. Requests signed with the old one stop verifying.
+    router.post('/secret/rotate', async (req, res) => {
+        try {
+            const userId = req.user?.id || req.body.userId;
+            const { agentId } = req.body;
+
+            if (!userId || !agentId) {
+                return res.status(400).json({ success: false, message: 'User ID and agent ID are required' });
+            }
+            if (!(await ownsAgent(userId, agentId))) {
+                return res.status(404).json({ success: false, message: 'Agent not found' });
+            }
+
+            res.json({ success: true, data: { secret: await webhooks.rotateSigningSecret(agentId) } });
+        } catch (error) {
+            console.error('Error rotating webhook secret:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
+    return router;
+};
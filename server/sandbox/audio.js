@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { WaveFile } = require('wavefile');
+
+const WORD_MS = 250; // Tone per word...
+const GAP_MS = 150; // ...and the pause after it: ~2.5 words per second, like speech
+const AMPLITUDE = 8000;
+
+/**
+ * Sine tone
+ * @param {number} durationMs
+ * @param {number} sampleRate
+ * @param {number} frequency - Hz
+ * @returns {Int16Array}
+ */
+function tone(durationMs, sampleRate, frequency) {
+    const samples = new Int16Array(Math.round(sampleRate * durationMs / 1000));
+    const fade = Math.min(samples.length / 2, sampleRate / 100); // 10 ms ramps, no clicks
+    for (let i = 0; i < samples.length; i++) {
+        const envelope = Math.min(1, i / fade, (samples.length - 1 - i) / fade);
+        samples[i] = Math.round(AMPLITUDE * envelope * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+    }
+    return samples;
+}
+
+/**
+ * Stand-in for speech: one tone burst per word, as long as the text would
+ * take to say
+ * @param {string} text
+ * @param {number} sampleRate
+ * @param {number} frequency - Hz; the caller and the agent use different pitches
+ * @returns {Int16Array}
+ */
+function speechTones(text, sampleRate, frequency) {
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const word = tone(WORD_MS, sampleRate, frequency);
+    const stride = Math.round(sampleRate * (WORD_MS + GAP_MS) / 1000);
+    const samples = new Int16Array(words.length * stride);
+    words.forEach((_, i) => samples.set(word, i * stride));
+    return samples;
+}
+
+/**
+ * Read a WAV file as mono 16-bit PCM at the given rate
+ * @param {string} file
+ * @param {number} sampleRate
+ * @returns {Int16Array}
+ */
+function readWav(file, sampleRate) {
+    const wav = new WaveFile(fs.readFileSync(file));
+    if (wav.fmt.audioFormat === 7) wav.fromMuLaw();
+    if (wav.fmt.audioFormat === 6) wav.fromALaw();
+    wav.toBitDepth('16');
+    if (wav.fmt.sampleRate !== sampleRate) wav.toSampleRate(sampleRate);
+
+    const samples = wav.getSamples(false, Int16Array);
+    return Array.isArray(samples) ? samples[0] : samples; // First channel of stereo files
+}
+
+/**
+ * Mono 16-bit WAV file contents
+ * @param {Int16Array} samples
+ * @param {number} sampleRate
+ * @returns {Buffer}
+ */
+function toWav(samples, sampleRate) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, sampleRate, '16', samples);
+    return Buffer.from(wav.toBuffer());
+}
+
+module.exports = {
+    tone,
+    speechTones,
+    readWav,
+    toWav
+};
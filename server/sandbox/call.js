@@ -0,0 +1,45 @@
+/**
+ * Place a sandbox call straight into a running server's media-stream
+ * endpoint, the way Twilio would after <Connect><Stream>.
+ *
+ *   npm run sandbox:call -- --user <userId> --agent <agentId> [--script script.json] [--url ws://localhost:5000/api/call]
+ *
+ * Start the server with SANDBOX_MODE=true so the call uses the sandbox
+ * providers. Calls placed through the app (test calls, campaigns) don't need
+ * this script - in sandbox mode they are dialed by the simulated Twilio client.
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadScript, getScript } = require('./index.js');
+const { SandboxCaller } = require('./caller.js');
+
+dotenv.config({ path: path.resolve('./.env') });
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.user || !args.agent) {
+        console.error('Usage: npm run sandbox:call -- --user <userId> --agent <agentId> [--script script.json] [--url ws://localhost:5000/api/call]');
+        process.exit(1);
+    }
+
+    const url = args.url || `ws://localhost:${process.env.PORT || 5000}/api/call`;
+    // npm runs this from server/ - script paths are relative to where it was started
+    const script = args.script ? loadScript(path.resolve(process.env.INIT_CWD || '.', args.script)) : getScript();
+    const caller = new SandboxCaller({ url, script, parameters: { agentId: args.agent, userId: args.user } });
+
+    const { durationSec, agentAudioMs } = await caller.run();
+    console.log(`✅ Sandbox call finished: ${durationSec}s, agent spoke for ${(agentAudioMs / 1000).toFixed(1)}s`);
+}
+
+main().catch(err => {
+    console.error('❌ Sandbox call failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const mulaw = require('../utils/mulaw.js');
+const { getScript } = require('./index.js');
+const { speechTones, readWav } = require('./audio.js');
+
+const FRAME_BYTES = 160; // 20 ms of µ-law audio @ 8kHz
+const FRAME_MS = 20;
+const CALLER_TONE_HZ = 220;
+const SILENCE = Buffer.alloc(FRAME_BYTES, 0xFF).toString('base64'); // µ-law silence
+const PAUSE_MS = 600; // Caller's pause after the agent stops talking
+const TURN_TIMEOUT_MS = 20000; // Move on if the agent never answers a turn
+const MAX_CALL_MS = 5 * 60 * 1000;
+
+/**
+ * Fake Twilio Media Streams client: connects to the call WebSocket
+ * (/api/call) the way Twilio does after <Connect><Stream>, sends the
+ * caller's script as 20 ms µ-law frames - a WAV per turn, or tones as long as
+ * the line - and echoes marks once the agent's audio has arrived.
+ *
+ * Each turn starts after the agent finished speaking (its mark came back).
+ * The caller hangs up after the agent answered the last turn, unless the
+ * agent hangs up first.
+ */
+class SandboxCaller {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Stream URL, e.g. ws://localhost:5000/api/call
+     * @param {string} options.callSid
+     * @param {Object} options.parameters - <Stream> custom parameters (callId, agentId, userId, ...)
+     * @param {Object} options.script - Normalized script (defaults to SANDBOX_SCRIPT)
+     */
+    constructor({ url, callSid, parameters = {}, script = getScript() }) {
+        this.url = url;
+        this.callSid = callSid || `CA${crypto.randomBytes(16).toString('hex')}`;
+        this.streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+        this.parameters = parameters;
+        this.turns = script.turns.slice();
+        this.queue = []; // Frames still to send for the current turn
+        this.chunk = 0;
+        this.speaking = false; // Caller audio still queued
+        this.agentAudioMs = 0;
+        this.turnTimer = null;
+        this.ws = null;
+    }
+
+    /**
+     * @returns {Promise<{durationSec: number, agentAudioMs: number}>} - Once the stream has closed
+     */
+    run() {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const ws = new WebSocket(this.url);
+            this.ws = ws;
+
+            ws.on('open', () => {
+                console.log(`🧪 Sandbox caller ${this.callSid} connected to ${this.url}`);
+                this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+                this.send({
+                    event: 'start',
+                    start: {
+                        streamSid: this.streamSid,
+                        accountSid: 'ACsandbox',
+                        callSid: this.callSid,
+                        tracks: ['inbound'],
+                        customParameters: {
+                            ...this.parameters,
+                            // Scripted STT reads the caller's lines from here
+                            transcripts: JSON.stringify(this.turns.filter(turn => turn.text).map(turn => turn.text))
+                        },
+                        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+                    }
+                });
+
+                this.frameTimer = setInterval(() => this.sendFrame(), FRAME_MS);
+                this.maxTimer = setTimeout(() => {
+                    console.log(`🧪 Sandbox caller ${this.callSid} reached the maximum call length`);
+                    this.hangUp();
+                }, MAX_CALL_MS);
+                // If the agent never speaks first, start talking anyway
+                this.waitForAgent();
+            });
+
+            ws.on('message', (message) => {
+                let data;
+                try {
+                    data = JSON.parse(message.toString('utf8'));
+                } catch (e) {
+                    return;
+                }
+
+                if (data.event === 'media') {
+                    this.agentAudioMs += Buffer.from(data.media?.payload || '', 'base64').length / 8;
+                } else if (data.event === 'mark') {
+                    // Audio reaches us at playback speed, so it has been "heard"
+                    this.send({ event: 'mark', mark: { name: data.mark?.name } });
+                    this.agentFinished();
+                }
+            });
+
+            ws.on('close', () => {
+                clearInterval(this.frameTimer);
+                clearTimeout(this.maxTimer);
+                clearTimeout(this.turnTimer);
+                const durationSec = Math.round((Date.now() - startedAt) / 1000);
+                console.log(`🧪 Sandbox caller ${this.callSid} disconnected after ${durationSec}s`);
+                resolve({ durationSec, agentAudioMs: Math.round(this.agentAudioMs) });
+            });
+
+            ws.on('error', (err) => {
+                console.error(`❌ Sandbox caller ${this.callSid} error:`, err.message);
+                if (ws.readyState !== WebSocket.OPEN) reject(err);
+            });
+        });
+    }
+
+    send(data) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify({ ...data, streamSid: this.streamSid }));
+        }
+    }
+
+    /**
+     * Twilio streams caller audio continuously - silence between turns
+     */
+    sendFrame() {
+        const payload = this.queue.length > 0 ? this.queue.shift().toString('base64') : SILENCE;
+        this.send({
+            event: 'media',
+            media: { track: 'inbound', chunk: String(++this.chunk), timestamp: String(this.chunk * FRAME_MS), payload }
+        });
+        if (this.queue.length === 0 && this.speaking) {
+            this.speaking = false;
+            this.waitForAgent();
+        }
+    }
+
+    waitForAgent() {
+        clearTimeout(this.turnTimer);
+        this.turnTimer = setTimeout(() => {
+            console.log(`🧪 Sandbox caller: no reply from the agent, carrying on`);
+            this.nextTurn();
+        }, TURN_TIMEOUT_MS);
+    }
+
+    agentFinished() {
+        if (this.speaking) return; // Barged in on - the agent stopped, not finished
+        clearTimeout(this.turnTimer);
+        this.turnTimer = setTimeout(() => this.nextTurn(), PAUSE_MS);
+    }
+
+    nextTurn() {
+        const turn = this.turns.shift();
+        if (!turn) {
+            console.log(`🧪 Sandbox caller ${this.callSid} finished the script, hanging up`);
+            this.hangUp();
+            return;
+        }
+
+        if (turn.digits) {
+            console.log(`🧪 Caller presses ${turn.digits}`);
+            for (const digit of String(turn.digits)) {
+                this.send({ event: 'dtmf', dtmf: { track: 'inbound_track', digit } });
+            }
+            this.waitForAgent();
+            return;
+        }
+
+        console.log(`🧪 Caller says: "${turn.text || turn.audio}"`);
+        const samples = turn.audio ? readWav(turn.audio, 8000) : speechTones(turn.text, 8000, CALLER_TONE_HZ);
+        const audio = mulaw.encode(samples);
+        for (let offset = 0; offset < audio.length; offset += FRAME_BYTES) {
+            this.queue.push(audio.slice(offset, offset + FRAME_BYTES));
+        }
+        this.speaking = true;
+    }
+
+    /**
+     * End the call from the caller's side (or Twilio's, on completeCall)
+     */
+    hangUp() {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.send({ event: 'stop', stop: { accountSid: 'ACsandbox', callSid: this.callSid } });
+        this.ws.close();
+    }
+}
+
+module.exports = { SandboxCaller };
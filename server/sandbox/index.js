@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline sandbox: with SANDBOX_MODE=true calls run against local stand-ins -
+ * a simulated Twilio (see twilioClient.js) whose caller replays a script into
+ * /api/call, and the sandbox STT, LLM and TTS providers. Wallet charging,
+ * campaign dialing, tools and call logging run as they would on a live call.
+ *
+ * The script (SANDBOX_SCRIPT, a JSON file) describes the caller and the rules
+ * the sandbox LLM answers with:
+ *   {
+ *     "answeredBy": "human",              // AMD result reported when the call asks for detection
+ *     "turns": [                          // played one by one, each after the agent finished speaking
+ *       "Hi, what are your opening hours?",
+ *       { "text": "Book me in for Friday", "audio": "friday.wav" },   // WAV relative to the script
+ *       { "digits": "1234#" }
+ *     ],
+ *     "rules": [                          // tried before the built-in ones (see providers/sandboxLlm.js)
+ *       { "match": "opening hours", "reply": "We're open nine to five." },
+ *       { "match": "book .* for (\\w+)", "tool": "book_appointment", "args": { "day": "$1" }, "after": "You're booked." }
+ *     ]
+ *   }
+ */
+
+const DEFAULT_SCRIPT = {
+    answeredBy: 'human',
+    turns: [
+        "Hi, I'd like some information please.",
+        "What are your opening hours?",
+        "Thanks, that's all. Goodbye."
+    ],
+    rules: []
+};
+
+let cachedScript = null;
+
+function isSandboxMode() {
+    return process.env.SANDBOX_MODE === 'true';
+}
+
+/**
+ * Normalize a script: string turns become { text }, relative audio paths
+ * are resolved against the script's directory
+ * @param {Object} script - Parsed script file contents
+ * @param {string} baseDir - Directory audio paths are relative to
+ */
+function normalizeScript(script = {}, baseDir = process.cwd()) {
+    const turns = (script.turns || DEFAULT_SCRIPT.turns).map(turn => {
+        const normalized = typeof turn === 'string' ? { text: turn } : { ...turn };
+        if (normalized.audio) normalized.audio = path.resolve(baseDir, normalized.audio);
+        return normalized;
+    });
+
+    return {
+        answeredBy: script.answeredBy || DEFAULT_SCRIPT.answeredBy,
+        turns,
+        rules: script.rules || DEFAULT_SCRIPT.rules
+    };
+}
+
+/**
+ * Load a script file
+ * @param {string} file - Path to the JSON script
+ */
+function loadScript(file) {
+    const resolved = path.resolve(file);
+    return normalizeScript(JSON.parse(fs.readFileSync(resolved, 'utf8')), path.dirname(resolved));
+}
+
+/**
+ * The SANDBOX_SCRIPT file, or the built-in script (read once)
+ */
+function getScript() {
+    if (!cachedScript) {
+        cachedScript = process.env.SANDBOX_SCRIPT ? loadScript(process.env.SANDBOX_SCRIPT) : normalizeScript(DEFAULT_SCRIPT);
+    }
+    return cachedScript;
+}
+
+module.exports = {
+    isSandboxMode,
+    normalizeScript,
+    loadScript,
+    getScript
+};
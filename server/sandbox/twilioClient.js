@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const nodeFetch = require('node-fetch');
+const { getScript } = require('./index.js');
+const { SandboxCaller } = require('./caller.js');
+
+// Sandbox calls in progress, by call SID
+const liveCalls = new Map();
+// How long asynchronous answering machine detection takes to report
+const ASYNC_AMD_DELAY_MS = 3000;
+
+/**
+ * Stand-in for the parts of the Twilio REST client calls use:
+ *   client.calls.create(params)            - "dials": fetches the voice webhook's TwiML and
+ *                                            connects a SandboxCaller to its <Stream>
+ *   client.calls(sid).update({ status })   - hang up
+ *   client.calls(sid).update({ twiml })    - transfer (<Dial>)
+ * Status callbacks are sent like Twilio's, so call logging runs unchanged.
+ */
+function createSandboxTwilioClient() {
+    const calls = (sid) => ({
+        update: (params) => updateCall(sid, params)
+    });
+    calls.create = createCall;
+    return { calls };
+}
+
+async function createCall(params) {
+    const sid = `CA${crypto.randomBytes(16).toString('hex')}`;
+    console.log(`🧪 Sandbox dialing ${params.to} from ${params.from} (${sid})`);
+
+    setImmediate(() => {
+        connectCall(sid, params).catch(err => {
+            console.error(`❌ Sandbox call ${sid} failed:`, err.message);
+            sendStatus(params, sid, 'failed');
+        });
+    });
+
+    return { sid, status: 'queued', to: params.to, from: params.from };
+}
+
+/**
+ * Answer the call: ask the voice webhook what to do, like Twilio would
+ */
+async function connectCall(sid, params) {
+    const script = getScript();
+    sendStatus(params, sid, 'ringing');
+
+    const form = {
+        CallSid: sid,
+        AccountSid: 'ACsandbox',
+        From: params.from,
+        To: params.to,
+        CallStatus: 'in-progress',
+        Direction: 'outbound-api',
+        // Synchronous detection reports the result with the voice webhook
+        ...(params.machineDetection && params.asyncAmd !== 'true' && { AnsweredBy: script.answeredBy })
+    };
+    const response = await nodeFetch(params.url, { method: 'POST', body: new URLSearchParams(form) });
+    const twiml = await response.text();
+    sendStatus(params, sid, 'in-progress');
+
+    const stream = parseStream(twiml);
+    if (!stream) {
+        console.log(`🧪 Sandbox call ${sid}: no <Stream> in TwiML, hanging up`);
+        sendStatus(params, sid, 'completed', { CallDuration: '0' });
+        return;
+    }
+
+    const caller = new SandboxCaller({ url: stream.url, callSid: sid, parameters: stream.parameters, script });
+    liveCalls.set(sid, caller);
+    if (params.machineDetection && params.asyncAmd === 'true' && params.asyncAmdStatusCallback) {
+        setTimeout(() => {
+            nodeFetch(params.asyncAmdStatusCallback, {
+                method: params.asyncAmdStatusCallbackMethod || 'POST',
+                body: new URLSearchParams({ CallSid: sid, AccountSid: 'ACsandbox', AnsweredBy: script.answeredBy })
+            }).catch(err => console.error('❌ Sandbox AMD status callback failed:', err.message));
+        }, ASYNC_AMD_DELAY_MS);
+    }
+    try {
+        const { durationSec } = await caller.run();
+        sendStatus(params, sid, 'completed', { CallDuration: String(durationSec) });
+    } finally {
+        liveCalls.delete(sid);
+    }
+}
+
+async function updateCall(sid, params) {
+    const caller = liveCalls.get(sid);
+    if (!caller) {
+        // Same as Twilio for a call that isn't in progress here
+        throw new Error(`The requested resource /Calls/${sid} was not found`);
+    }
+
+    if (params.status === 'completed') {
+        console.log(`🧪 Sandbox call ${sid} hung up`);
+        caller.hangUp();
+    } else if (params.twiml) {
+        const dial = parseDial(params.twiml);
+        console.log(`🧪 Sandbox call ${sid} transferred to ${dial ? dial.number : 'unknown number'}`);
+        // The stream ends once the call moves to <Dial>; the human "answers" straight away
+        caller.hangUp();
+        if (dial && dial.action) {
+            nodeFetch(dial.action, {
+                method: 'POST',
+                body: new URLSearchParams({ CallSid: sid, DialCallStatus: 'completed', DialCallDuration: '0' })
+            }).catch(err => console.error('❌ Sandbox transfer status callback failed:', err.message));
+        }
+    }
+    return { sid, status: params.status || 'in-progress' };
+}
+
+/**
+ * Twilio only reports the events asked for in statusCallbackEvent ("completed" by default)
+ */
+function sendStatus(params, sid, status, extra = {}) {
+    if (!params.statusCallback) return;
+    const event = status === 'in-progress' ? 'answered' : status;
+    const events = params.statusCallbackEvent || ['completed'];
+    if (!events.includes(event) && !(event === 'failed' && events.includes('completed'))) return;
+
+    nodeFetch(params.statusCallback, {
+        method: params.statusCallbackMethod || 'POST',
+        body: new URLSearchParams({ CallSid: sid, CallStatus: status, From: params.from, To: params.to, ...extra })
+    }).catch(err => console.error('❌ Sandbox status callback failed:', err.message));
+}
+
+function unescapeXml(value) {
+    return value.replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function attribute(tag, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+    return match ? unescapeXml(match[1]) : null;
+}
+
+/**
+ * <Connect><Stream url="..."><Parameter name="" value=""/></Stream></Connect>
+ * @returns {{url: string, parameters: Object}|null}
+ */
+function parseStream(twiml) {
+    const tag = /<Stream\b[^>]*>/.exec(twiml);
+    if (!tag) return null;
+
+    const parameters = {};
+    for (const [parameter] of twiml.matchAll(/<Parameter\b[^>]*\/?>/g)) {
+        parameters[attribute(parameter, 'name')] = attribute(parameter, 'value') || '';
+    }
+    return { url: attribute(tag[0], 'url'), parameters };
+}
+
+/**
+ * <Dial action="..."><Number>+1...</Number></Dial>
+ * @returns {{action: string|null, number: string}|null}
+ */
+function parseDial(twiml) {
+    const dial = /<Dial\b[^>]*>/.exec(twiml);
+    const number = /<Number\b[^>]*>([^<]*)<\/Number>/.exec(twiml);
+    if (!dial || !number) return null;
+    return { action: attribute(dial[0], 'action'), number: unescapeXml(number[1]) };
+}
+
+module.exports = { createSandboxTwilioClient };
@@ -14,6 +14,10 @@ const envPath = process.env.NODE_ENV === 'production'
 dotenv.config({ path: envPath });
 // Import services (STATIC classes)
 const { ApiKeyService } = require('./services/apiKeyService.js');
+const { ConversationEngine, getSessions } = require('./services/conversationEngine.js');
+const { listProviders } = require('./services/providers/index.js');
+const { isSandboxMode } = require('./sandbox/index.js');
+const { resolveAmbienceId, getAmbienceWav } = require('./utils/ambience.js');
 const { ExternalApiService } = require('./services/externalApiService.js');
 const { PhoneNumberService } = require('./services/phoneNumberService.js');
 const AgentService = require('./services/agentService.js');
@@ -22,12 +26,12 @@ const { AuthService } = require('./services/authService.js');
 const TwilioService = require('./services/twilioService.js');
 const { TwilioBasicService } = require('./services/twilioBasicService.js');
 const { MediaStreamHandler } = require('./services/mediaStreamHandler.js');
-const { ElevenLabsStreamHandler } = require('./services/elevenLabsStreamHandler.js');
 const AdminService = require('./services/adminService.js');
 const WalletService = require('./services/walletService.js');
 const CostCalculator = require('./services/costCalculator.js');
 const VoiceSyncService = require('./services/voiceSyncService.js');
 const VoiceWebSocketHandler = require('./services/voiceWebSocketHandler.js');
+const { WebhookService } = require('./services/webhookService.js');
 const { router: voiceRouter, initVoiceSync } = require('./routes/voiceRoutes.js');
 
 // Google OAuth
@@ -75,6 +79,8 @@ const googleSheetsService = require('./services/googleSheetsService.js');
 googleSheetsService.initialize();
 // Initialize MediaStreamHandler for voice call pipeline
 const agentService = new AgentService(mysqlPool);
+// Synthesizes saved agents' greetings into the TTS cache
+const greetingEngine = new ConversationEngine(mysqlPool);
 
 // MediaStreamHandler will be initialized later in the file (see line ~2700)
 
@@ -85,15 +91,6 @@ console.log('✅ Voice Sync Service initialized');
 
 console.log('✅ WebSocket support enabled on HTTP server');
 
-// Initialize Google Voice Stream Handler
-// Initialize Google Voice Stream Handler
-const GoogleVoiceStreamHandler = require('./services/GoogleVoiceStreamHandler.js');
-const googleVoiceHandler = new GoogleVoiceStreamHandler(voiceSyncService, walletService);
-app.ws('/voice-stream-google', (ws, req) => {
-  googleVoiceHandler.handleConnection(ws, req);
-});
-console.log('✅ Google Voice Stream Handler initialized at /voice-stream-google');
-
 // Initialize Deepgram Browser Handler
 const { DeepgramBrowserHandler } = require('./services/DeepgramBrowserHandler.js');
 const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
@@ -102,18 +99,18 @@ console.log('Deepgram API Key configured:', !!deepgramApiKey);
 console.log('Gemini API Key configured:', !!geminiApiKey);
 
 let deepgramBrowserHandler;
-if (deepgramApiKey && geminiApiKey) {
-  try {
-    deepgramBrowserHandler = new DeepgramBrowserHandler(deepgramApiKey, geminiApiKey, mysqlPool);
-    app.ws('/voice-stream-deepgram', (ws, req) => {
-      deepgramBrowserHandler.handleConnection(ws, req);
-    });
-    console.log('✅ Deepgram Browser Handler initialized at /voice-stream-deepgram');
-  } catch (error) {
-    console.error('Failed to initialize DeepgramBrowserHandler:', error.message);
+try {
+  // Without platform keys only users who saved their own Deepgram + Gemini keys can call
+  deepgramBrowserHandler = new DeepgramBrowserHandler(mysqlPool);
+  app.ws('/voice-stream-deepgram', (ws, req) => {
+    deepgramBrowserHandler.handleConnection(ws, req);
+  });
+  console.log('✅ Deepgram Browser Handler initialized at /voice-stream-deepgram');
+  if (!deepgramApiKey || !geminiApiKey) {
+    console.warn('⚠️ No platform Deepgram/Gemini key - browser calls need the user\'s own keys');
   }
-} else {
-  console.warn('⚠️ DeepgramBrowserHandler not initialized (missing API keys)');
+} catch (error) {
+  console.error('Failed to initialize DeepgramBrowserHandler:', error.message);
 }
 
 // === ADD THIS BLOCK ===
@@ -225,6 +222,40 @@ const documentRoutes = require('./routes/documentRoutes.js')(mysqlPool);
 app.use('/api/documents', documentRoutes);
 console.log('✅ Document API routes mounted at /api/documents');
 
+// Initialize and mount agent test scenario routes
+const agentTestRoutes = require('./routes/agentTestRoutes.js')(mysqlPool);
+app.use('/api/agent-tests', agentTestRoutes);
+console.log('✅ Agent test API routes mounted at /api/agent-tests');
+
+// Initialize and mount agent webhook routes (delivery log, signing secret)
+const webhookRoutes = require('./routes/webhookRoutes.js')(mysqlPool);
+app.use('/api/webhooks', webhookRoutes);
+console.log('✅ Webhook API routes mounted at /api/webhooks');
+
+// End-of-call webhook retries are queued in webhook_deliveries; send them as they fall due
+new WebhookService(mysqlPool).startRetries();
+
+// Live call monitoring for supervisors: list calls, then watch / listen / whisper / take over one
+const supervisorRoutes = require('./routes/supervisorRoutes.js')(mysqlPool);
+app.use('/api/supervisor', supervisorRoutes);
+const { CallMonitorHandler } = require('./services/callMonitorHandler.js');
+const callMonitorHandler = new CallMonitorHandler(mysqlPool);
+app.ws('/api/supervisor/calls/:id', (ws, req) => {
+  callMonitorHandler.handleConnection(ws, req);
+});
+console.log('✅ Supervisor API mounted at /api/supervisor');
+
+// Background ambience loops (16kHz PCM WAV) for browser calls to mix under the agent
+app.get('/api/ambience/:trackId', (req, res) => {
+  const trackId = resolveAmbienceId(req.params.trackId);
+  if (!trackId) {
+    return res.status(404).json({ success: false, message: 'Unknown ambience track' });
+  }
+  res.set('Content-Type', 'audio/wav');
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.send(getAmbienceWav(trackId));
+});
+
 // Trigger initial voice sync
 voiceSyncService.syncAllProviders()
   .then(result => {
@@ -437,7 +468,8 @@ app.post('/api/admin/wallet/update-pricing', async (req, res) => {
       });
     }
 
-    if (!['elevenlabs', 'deepgram', 'gemini'].includes(serviceType)) {
+    // Per-model LLM prices are "openai:<model>"
+    if (!['elevenlabs', 'deepgram', 'gemini', 'openai'].includes(serviceType) && !/^openai:[\w.\/:-]+$/.test(serviceType)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid service type'
@@ -604,7 +636,7 @@ app.get('/api/voice-config-check', (req, res) => {
       expectedFormat: 'wss://your-domain.railway.app/api/call?callId=xxx&agentId=xxx&contactId=xxx',
       registeredEndpoints: {
         '/api/call': 'WebSocket handler for Twilio media streams ✅',
-        '/voice-stream': 'WebSocket handler for frontend voice chat ✅'
+        '/voice-stream-deepgram': 'WebSocket handler for browser test calls ✅'
       },
       instructions: 'Make sure Twilio TwiML uses this exact WebSocket URL format'
     });
@@ -2202,6 +2234,10 @@ app.post('/api/twilio/make-call', async (req, res) => {
       [callId, phoneNumberId, userId, agentId, fromPhoneNumber, to, twilioNumber.id]
     );
 
+    // Answering machine detection follows the agent's voicemailDetection setting
+    const agent = await agentService.getAgentById(userId, agentId).catch(() => null);
+    const machineDetection = agent?.settings?.voicemailDetection !== false;
+
     // Create the actual Twilio call
     // twilioService.createCall will use twilioNumber.phoneNumber internally
     const call = await twilioService.createCall({
@@ -2210,7 +2246,8 @@ app.post('/api/twilio/make-call', async (req, res) => {
       to: to,
       agentId: agentId,
       callId: callId,
-      appUrl: cleanAppUrl
+      appUrl: cleanAppUrl,
+      machineDetection
     });
 
     // Update call record with Twilio call SID
@@ -2348,14 +2385,15 @@ app.delete('/api/twilio/accounts/:accountId', async (req, res) => {
 
 app.post('/api/twilio/voice', async (req, res) => {
   try {
-    const { CallSid, From, To } = req.body;
-    const { userId, campaignId, agentId, callId } = req.query;
+    const { CallSid, From, To, AnsweredBy } = req.body;
+    const { userId, campaignId, agentId, callId, contactId } = req.query;
 
     console.log('📞 ========== TWILIO VOICE WEBHOOK ==========');
     console.log('   CallSid:', CallSid);
     console.log('   From:', From);
     console.log('   To:', To);
     console.log('   Query params:', { userId, campaignId, agentId, callId });
+    if (AnsweredBy) console.log('   Answered by:', AnsweredBy);
 
     if (!agentId) {
       console.error('❌ Missing agentId in voice webhook');
@@ -2386,6 +2424,17 @@ app.post('/api/twilio/voice', async (req, res) => {
     // Convert to WebSocket protocol
     const wsUrl = appUrl.replace('https://', 'wss://').replace('http://', 'ws://');
     const actualCallId = callId || CallSid;
+
+    // Answering machine detection (outbound calls): hang up, or connect the
+    // stream in voicemail mode so the agent leaves its message after the beep
+    const voicemail = await handleAnsweredBy(AnsweredBy, { userId, agentId, callId: actualCallId, callSid: CallSid, contactId });
+    if (voicemail === 'hangup') {
+      const VoiceResponse = require('twilio').twiml.VoiceResponse;
+      const response = new VoiceResponse();
+      response.hangup();
+      res.type('text/xml');
+      return res.send(response.toString());
+    }
     const streamUrl = `${wsUrl}/api/call?callId=${actualCallId}&agentId=${agentId}&contactId=${CallSid}`;
 
     console.log('🔗 WebSocket Stream URL:', streamUrl);
@@ -2406,6 +2455,13 @@ app.post('/api/twilio/voice', async (req, res) => {
     stream.parameter({ name: 'callId', value: actualCallId });
     stream.parameter({ name: 'agentId', value: agentId });
     stream.parameter({ name: 'userId', value: userId || '' });
+    // Campaign contact - its CSV columns fill the agent's {{variables}}
+    if (contactId) {
+      stream.parameter({ name: 'contactId', value: contactId });
+    }
+    if (voicemail === 'leave_message') {
+      stream.parameter({ name: 'voicemail', value: '1' });
+    }
 
     const twiml = response.toString();
 
@@ -2436,6 +2492,74 @@ app.post('/api/twilio/voice', async (req, res) => {
   }
 });
 
+/**
+ * Act on Twilio's AnsweredBy result and record it on the call (and campaign contact).
+ * Returns 'hangup' or 'leave_message' for answering machines, null otherwise.
+ */
+async function handleAnsweredBy(answeredBy, { userId, agentId, callId, callSid, contactId }) {
+  if (!answeredBy) return null;
+
+  const isMachine = answeredBy.startsWith('machine') || answeredBy === 'fax';
+  let action = null;
+  let disposition = answeredBy === 'human' ? 'human' : 'unknown';
+
+  if (isMachine) {
+    const agent = await agentService.getAgentById(userId, agentId).catch(() => null);
+    const settings = agent?.settings || {};
+    action = answeredBy !== 'fax' && settings.voicemailAction === 'leave_message' ? 'leave_message' : 'hangup';
+    // voicemail_left is saved by the engine once the message has played
+    disposition = action === 'leave_message' ? null : (answeredBy === 'fax' ? 'fax' : 'machine_hangup');
+    console.log(`📼 Answering machine detected (${answeredBy}) - ${action}`);
+  }
+
+  try {
+    await mysqlPool.execute(
+      `UPDATE calls SET answered_by = ?${action === 'hangup' ? ", end_reason = 'machine_detected'" : ''} WHERE id = ? OR call_sid = ?`,
+      [answeredBy, callId, callSid]
+    );
+    if (contactId && disposition) {
+      await campaignService.setContactDisposition(contactId, disposition);
+    }
+  } catch (err) {
+    console.error('Error saving answering machine result:', err);
+  }
+
+  return action;
+}
+
+// Asynchronous answering machine detection: the call is connected to the agent
+// as soon as it is answered and Twilio reports the result here once it is known.
+// An answering machine gets the voicemail drop (after the beep) or is hung up on.
+app.post('/api/twilio/amd-status', async (req, res) => {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+    const { userId, agentId, callId, contactId } = req.query;
+    console.log('📼 AMD result:', { CallSid, AnsweredBy, callId });
+
+    const action = await handleAnsweredBy(AnsweredBy, { userId, agentId, callId: callId || CallSid, callSid: CallSid, contactId });
+    res.status(200).send('OK');
+    if (!action) return;
+
+    const session = getSessions().find(s => s.callSid === CallSid && !s.closed);
+    if (session) {
+      if (action === 'leave_message') {
+        await mediaStreamHandler.engine.leaveVoicemail(session);
+      } else {
+        await mediaStreamHandler.engine.endCall(session, 'machine_detected', '');
+      }
+    } else if (action === 'hangup') {
+      // Not (or no longer) streaming to this server
+      await twilioService.completeCall(CallSid, callId);
+    } else {
+      console.warn(`⚠️ No live stream for ${CallSid} - voicemail not left`);
+      if (contactId) await campaignService.setContactDisposition(contactId, 'unknown');
+    }
+  } catch (error) {
+    console.error('❌ AMD status callback error:', error);
+    if (!res.headersSent) res.status(500).send('Error');
+  }
+});
+
 // Stream fallback - keeps call alive if stream ends
 app.post('/api/twilio/stream-fallback', (req, res) => {
   console.log('⚠️ Stream ended, keeping call alive...');
@@ -2449,6 +2573,64 @@ app.post('/api/twilio/stream-fallback', (req, res) => {
   res.send(response.toString());
 });
 
+// Warm transfer whisper - played to the human before they are connected to the caller
+app.post('/api/twilio/transfer-whisper', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+
+  try {
+    const { callId } = req.query;
+    if (!callId || !(await twilioService.isTwilioRequest(req, callId))) {
+      console.warn(`⚠️ Transfer whisper for call ${callId} rejected: invalid Twilio signature`);
+      return res.status(403).send('Forbidden');
+    }
+
+    // Only while the warm transfer is being dialed, and only once
+    const [rows] = await mysqlPool.execute(
+      "SELECT transfer_summary FROM calls WHERE (id = ? OR call_sid = ?) AND transfer_status = 'initiated' LIMIT 1",
+      [callId, callId]
+    );
+
+    response.say('Incoming transferred call.');
+    if (rows.length > 0 && rows[0].transfer_summary) {
+      response.say(rows[0].transfer_summary);
+      await mysqlPool.execute(
+        'UPDATE calls SET transfer_summary = NULL WHERE id = ? OR call_sid = ?',
+        [callId, callId]
+      );
+    }
+  } catch (error) {
+    console.error('❌ Transfer whisper error:', error);
+    response.say('Incoming transferred call.');
+  }
+
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// <Dial> action for transfers - records the outcome, then ends the call
+app.post('/api/twilio/transfer-status', async (req, res) => {
+  const { DialCallStatus } = req.body;
+  const { callId } = req.query;
+
+  console.log('🔀 Transfer status:', { callId, DialCallStatus });
+
+  mysqlPool.execute(
+    'UPDATE calls SET transfer_status = ? WHERE id = ? OR call_sid = ?',
+    [DialCallStatus || 'unknown', callId, callId]
+  ).catch(err => console.error('Error updating transfer status:', err));
+
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+  if (DialCallStatus !== 'completed' && DialCallStatus !== 'answered') {
+    response.say('Sorry, no one is available to take your call right now. Goodbye.');
+  }
+  response.hangup();
+
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
 // Twilio Status Callback
 app.post('/api/twilio/callback', async (req, res) => {
   try {
@@ -2487,6 +2669,11 @@ app.post('/api/twilio/callback', async (req, res) => {
   }
 });
 
+// STT / LLM / TTS providers agents can be configured with (settings.providers)
+app.get('/api/providers', (req, res) => {
+  res.json({ success: true, data: listProviders() });
+});
+
 // Agent endpoints
 // Get all agents for a user
 app.get('/api/agents', async (req, res) => {
@@ -2548,6 +2735,7 @@ app.post('/api/agents', async (req, res) => {
 
     const newAgent = await agentService.createAgent(userId, agent);
     res.json({ success: true, data: newAgent });
+    greetingEngine.prewarmGreeting(userId, newAgent.id).catch(err => console.error('Error pre-warming greeting:', err.message));
   } catch (error) {
     console.error('Error creating agent:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -2569,6 +2757,7 @@ app.put('/api/agents/:id', async (req, res) => {
 
     const updatedAgent = await agentService.updateAgent(userId, id, agentData);
     res.json({ success: true, data: updatedAgent });
+    greetingEngine.prewarmGreeting(userId, id).catch(err => console.error('Error pre-warming greeting:', err.message));
   } catch (error) {
     console.error('Error updating agent:', error);
     res.status(500).json({ success: false, message: error.message });
@@ -2929,21 +3118,12 @@ app.post('/api/voices/elevenlabs/preview', async (req, res) => {
   }
 });
 
-if (process.env.DEEPGRAM_API_KEY && process.env.GOOGLE_GEMINI_API_KEY) {
-  mediaStreamHandler = new MediaStreamHandler(
-    process.env.DEEPGRAM_API_KEY,
-    process.env.GOOGLE_GEMINI_API_KEY,
-    campaignService,
-    mysqlPool
-  );
-  console.log("MediaStreamHandler initialized with Deepgram + Gemini + Cost Tracking");
-} else {
-  console.warn("Voice call feature disabled — missing DEEPGRAM_API_KEY or GOOGLE_GEMINI_API_KEY");
+// Platform keys are the fallback - users' own provider keys are resolved per call
+mediaStreamHandler = new MediaStreamHandler(campaignService, mysqlPool);
+console.log("MediaStreamHandler initialized with Deepgram + Gemini + Cost Tracking");
+if (!process.env.DEEPGRAM_API_KEY || !process.env.GOOGLE_GEMINI_API_KEY) {
+  console.warn("Missing DEEPGRAM_API_KEY or GOOGLE_GEMINI_API_KEY — calls need the user's own keys");
 }
-// WebSocket endpoint for ElevenLabs STT
-app.ws('/api/stt', function (ws, req) {
-  elevenLabsStreamHandler.handleConnection(ws, req);
-})
 // WebSocket endpoint for Twilio Media Streams (Voice Agent)
 app.ws('/api/call', (ws, req) => {
   if (mediaStreamHandler) {
@@ -2953,363 +3133,6 @@ app.ws('/api/call', (ws, req) => {
     ws.close();
   }
 });
-// WebSocket endpoint for voice stream (frontend voice chat + Twilio calls)
-app.ws('/voice-stream', async function (ws, req) {  // ✅ ADDED async
-  console.log('New voice stream connection established');
-  let audioChunksReceived = 0;
-  const audioBuffer = [];
-  let isProcessing = false; // Flag to prevent overlapping responses
-  const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
-  const geminiApiKey = process.env.GOOGLE_GEMINI_API_KEY;
-  const elevenLabsApiKey = process.env.ELEVEN_LABS_API_KEY || process.env.VITE_ELEVEN_LABS_API_KEY;
-
-  // Determine if this is a Twilio call or frontend chat
-  const callId = req.query?.callId;
-  const agentId = req.query?.agentId;
-  const voiceId = req.query?.voiceId;
-  const identity = req.query?.identity ? decodeURIComponent(req.query.identity) : null;
-  const userId = req.query?.userId; // ✅ ADDED - Get userId from query params
-  const isTwilioCall = !!(callId && agentId);
-  const isFrontendChat = !!(voiceId && !callId);
-
-  console.log('Connection type:', isTwilioCall ? 'Twilio Call' : isFrontendChat ? 'Frontend Chat' : 'Unknown');
-  console.log('Query params:', { voiceId, agentId, callId, userId, identity: identity ? 'present' : 'missing' });
-  console.log('Call ID:', callId);
-  console.log('Agent ID:', agentId);
-  console.log('User ID:', userId);
-
-  // Map voice names to ElevenLabs voice IDs
-
-  let agentVoiceId = voiceId || '21m00Tcm4TlvDq8ikWAM'; // Default to Rachel if not provided
-  // For frontend chat, use identity from query params if provided
-  let agentIdentity = identity || 'You are a helpful AI assistant.';
-  let agentName = 'AI Assistant';
-  console.log('Voice identifier:', voiceIdentifier);
-  console.log('Using ElevenLabs voice ID:', agentVoiceId);
-
-  // For Twilio calls, fetch agent voice and identity from database if agentId is provided
-  // For Twilio calls, fetch agent voice and identity from database if agentId is provided
-  if (agentId) {
-    agentService.getAgentById('system', agentId).then(agent => {
-      if (agent) {
-        // Get voice ID - use it directly, no mapping needed
-        if (agent.voiceId) {
-          agentVoiceId = agent.voiceId; // Use the voice ID directly from database
-          console.log('Fetched agent voice ID from database:', agentVoiceId);
-        }
-        // Get agent identity/prompt from database (override if not provided in query)
-        if (agent.identity && !identity) {
-          agentIdentity = agent.identity;
-          console.log('Fetched agent identity from database');
-        }
-        // Get agent name
-        if (agent.name) {
-          agentName = agent.name;
-          console.log('Fetched agent name:', agentName);
-        }
-      }
-    }).catch(error => {
-      console.error('Error fetching agent:', error);
-    });
-  }
-
-  if (!deepgramApiKey) {
-    console.warn('WARNING: DEEPGRAM_API_KEY is not configured. Speech-to-text will not work.');
-  }
-  if (!geminiApiKey) {
-    console.warn('WARNING: GOOGLE_GEMINI_API_KEY is not configured. AI responses will not work.');
-  }
-  if (!elevenLabsApiKey) {
-    console.warn('WARNING: ELEVEN_LABS_API_KEY is not configured. Text-to-speech will not work.');
-  }
-
-  // Handle incoming audio and text from the client
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message);
-
-      if (data.event === 'audio') {
-        // Client is sending audio data
-        audioChunksReceived++;
-        audioBuffer.push(data.data);
-        console.log('Received audio chunk', audioChunksReceived, 'from client (size:', data.data.length, ')');
-
-        // Process every 10 chunks to batch transcription requests
-        // But skip if already processing to prevent overlapping responses
-        if (audioChunksReceived % 10 === 0 && deepgramApiKey && !isProcessing) {
-          isProcessing = true; // Set flag before starting processing
-          try {
-            // Step 1: Send audio to Deepgram for transcription
-            // Decode base64 audio chunks and combine them
-            const audioBuffers = audioBuffer.map(chunk => Buffer.from(chunk, 'base64'));
-            const combinedAudioBuffer = Buffer.concat(audioBuffers);
-
-            console.log('Sending', combinedAudioBuffer.length, 'bytes of audio to Deepgram');
-
-            const deepgramResponse = await nodeFetch('https://api.deepgram.com/v1/listen?model=nova-2&language=en&encoding=linear16&sample_rate=16000', {
-              method: 'POST',
-              headers: {
-                'Authorization': `Token ${deepgramApiKey}`,
-                'Content-Type': 'application/octet-stream'
-              },
-              body: combinedAudioBuffer
-            });
-
-            if (deepgramResponse.ok) {
-              const deepgramResult = await deepgramResponse.json();
-              const transcript = deepgramResult.results?.channels?.[0]?.alternatives?.[0]?.transcript || '';
-              const confidence = deepgramResult.results?.channels?.[0]?.alternatives?.[0]?.confidence || 0;
-
-              // ✅ Track Deepgram usage
-              if (userId && callId) {
-                const audioDurationSeconds = combinedAudioBuffer.length / (16000 * 2);
-                try {
-                  await walletService.recordUsageAndCharge(
-                    userId,
-                    callId,
-                    'deepgram',
-                    audioDurationSeconds,
-                    { transcript_length: transcript.length }
-                  );
-                } catch (error) {
-                  console.error('Error tracking Deepgram usage:', error);
-                }
-              }
-
-              if (transcript) {
-                console.log('Deepgram transcript:', transcript);
-
-                // Step 2: Send transcript to Gemini for processing
-                if (geminiApiKey) {
-                  try {
-                    // Use gemini-2.5-flash for best performance
-                    // Build prompt with agent identity and user message
-                    const systemPrompt = agentIdentity;
-                    const userMessage = transcript;
-                    const fullPrompt = systemPrompt + '\n\nUser: ' + userMessage;
-
-                    const geminiResponse = await nodeFetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=' + geminiApiKey, {
-                      method: 'POST',
-                      headers: {
-                        'Content-Type': 'application/json'
-                      },
-                      body: JSON.stringify({
-                        contents: [{
-                          parts: [{
-                            text: fullPrompt
-                          }]
-                        }]
-                      })
-                    });
-
-                    if (geminiResponse.ok) {
-                      const geminiResult = await geminiResponse.json();
-                      const agentResponse = geminiResult.candidates?.[0]?.content?.parts?.[0]?.text || 'I could not generate a response.';
-                      console.log('Gemini response:', agentResponse);
-
-                      // ✅ Track Gemini usage
-                      if (userId && callId) {
-                        const estimatedTokens = (fullPrompt.length + agentResponse.length) / 4;
-                        try {
-                          await walletService.recordUsageAndCharge(
-                            userId,
-                            callId,
-                            'gemini',
-                            estimatedTokens,
-                            { prompt_length: fullPrompt.length, response_length: agentResponse.length }
-                          );
-                        } catch (error) {
-                          console.error('Error tracking Gemini usage:', error);
-                        }
-                      }
-
-                      // Step 3: Send Gemini response to ElevenLabs for text-to-speech
-                      if (elevenLabsApiKey) {
-                        try {
-                          // Use the agent's configured voice ID
-                          console.log('Sending text to ElevenLabs with voice ID:', agentVoiceId);
-                          const ttsResponse = await nodeFetch(`https://api.elevenlabs.io/v1/text-to-speech/${agentVoiceId}`, {
-                            method: 'POST',
-                            headers: {
-                              'xi-api-key': elevenLabsApiKey,
-                              'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify({
-                              text: agentResponse,
-                              voice_settings: {
-                                stability: 0.5,
-                                similarity_boost: 0.75
-                              }
-                            })
-                          });
-
-                          if (ttsResponse.ok) {
-                            const audioBuffer = await ttsResponse.arrayBuffer();
-                            const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-
-                            // ✅ Track ElevenLabs usage
-                            if (userId && callId) {
-                              const characterCount = agentResponse.length;
-                              try {
-                                await walletService.recordUsageAndCharge(
-                                  userId,
-                                  callId,
-                                  'elevenlabs',
-                                  characterCount,
-                                  { text_length: characterCount, voice_id: agentVoiceId }
-                                );
-                              } catch (error) {
-                                console.error('Error tracking ElevenLabs usage:', error);
-                              }
-                            }
-
-                            // Send audio back to client
-                            ws.send(JSON.stringify({
-                              event: 'audio',
-                              audio: audioBase64
-                            }));
-
-                            // Also send the transcript for display
-                            ws.send(JSON.stringify({
-                              event: 'transcript',
-                              text: transcript,
-                              confidence: confidence
-                            }));
-
-                            // Send agent response for display
-                            ws.send(JSON.stringify({
-                              event: 'agent-response',
-                              text: agentResponse
-                            }));
-
-                          } else {
-                            const errorText = await ttsResponse.text();
-                            console.error('ElevenLabs TTS error:', ttsResponse.status, errorText);
-                            // Check if the response is HTML (error page)
-                            if (errorText.startsWith('<!DOCTYPE') || errorText.includes('<html')) {
-                              console.error('ElevenLabs API returned HTML error page. Check API key and network connectivity.');
-                              ws.send(JSON.stringify({
-                                event: 'error',
-                                message: 'ElevenLabs API configuration error. Please check API key.'
-                              }));
-                            } else {
-                              // Parse JSON error if possible
-                              try {
-                                const errorJson = JSON.parse(errorText);
-                                ws.send(JSON.stringify({
-                                  event: 'error',
-                                  message: `TTS Error: ${errorJson.detail?.message || errorJson.message || 'Failed to generate audio response'}`
-                                }));
-                              } catch (parseError) {
-                                // If not JSON, send the raw error
-                                ws.send(JSON.stringify({
-                                  event: 'error',
-                                  message: `TTS Error: ${errorText.substring(0, 200)}`
-                                }));
-                              }
-                            }
-                          }
-                          // Clear processing flag after TTS processing (whether successful or not)
-                          isProcessing = false;
-                        } catch (ttsError) {
-                          console.error('Error calling ElevenLabs TTS:', ttsError);
-                          ws.send(JSON.stringify({
-                            event: 'error',
-                            message: 'Error converting response to speech'
-                          }));
-                          isProcessing = false;
-                        }
-                      } else {
-                        // Send just the text response if TTS is not configured
-                        ws.send(JSON.stringify({
-                          event: 'agent-response',
-                          text: agentResponse
-                        }));
-                        isProcessing = false;
-                      }
-                    } else {
-                      const errorText = await geminiResponse.text();
-                      console.error('Gemini API error:', geminiResponse.status, errorText);
-                      ws.send(JSON.stringify({
-                        event: 'error',
-                        message: 'Gemini failed to process transcript'
-                      }));
-                      isProcessing = false;
-                    }
-                  } catch (geminiError) {
-                    console.error('Error calling Gemini:', geminiError);
-                    ws.send(JSON.stringify({
-                      event: 'error',
-                      message: 'Error processing with Gemini'
-                    }));
-                    isProcessing = false;
-                  }
-                } else {
-                  // Send transcript if Gemini is not configured
-                  ws.send(JSON.stringify({
-                    event: 'transcript',
-                    text: transcript,
-                    confidence: confidence
-                  }));
-                  isProcessing = false;
-                }
-
-                // Clear buffer after successful transcription
-                audioBuffer.length = 0;
-              } else {
-                isProcessing = false;
-              }
-            } else {
-              const errorText = await deepgramResponse.text();
-              console.error('Deepgram API error:', deepgramResponse.status, errorText);
-              ws.send(JSON.stringify({
-                event: 'error',
-                message: `Deepgram error: ${deepgramResponse.status} - ${errorText.substring(0, 200)}`
-              }));
-              isProcessing = false;
-            }
-          } catch (transcriptionError) {
-            console.error('Error in voice processing pipeline:', transcriptionError);
-            ws.send(JSON.stringify({
-              event: 'error',
-              message: `Voice processing error: ${transcriptionError.message}`
-            }));
-            isProcessing = false;
-          }
-        } else if (audioChunksReceived % 10 === 0 && isProcessing) {
-          console.log('Skipping audio processing - already processing previous response');
-        }
-      } else if (data.event === 'ping') {
-        // Respond to client ping
-        ws.send(JSON.stringify({ event: 'pong' }));
-      }
-    } catch (error) {
-      console.error('Error processing voice stream message:', error);
-    }
-  });
-
-  // Send a greeting message after connection
-  setTimeout(() => {
-    try {
-      ws.send(JSON.stringify({
-        event: 'message',
-        text: 'Hello! I\'m ready to process your voice. I\'ll use Deepgram for speech-to-text, Gemini for AI responses, and ElevenLabs for text-to-speech.'
-      }));
-    } catch (error) {
-      console.error('Error sending greeting:', error);
-    }
-  }, 500);
-
-  ws.on('close', () => {
-    console.log('Voice stream connection closed. Total audio chunks received:', audioChunksReceived);
-    audioBuffer.length = 0;
-  });
-
-  ws.on('error', (error) => {
-    console.error('Voice stream WebSocket error:', error);
-  });
-});
-
 // Twilio number management endpoints
 // Add a Twilio number for a user
 app.post('/api/add-twilio-number', async (req, res) => {
@@ -3486,6 +3309,28 @@ app.post('/api/campaigns/:id/set-google-sheet', async (req, res) => {
   }
 });
 
+// Agent {{variables}} that pending contacts have no value for (checked before starting)
+app.get('/api/campaigns/:id/variable-check', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const campaign = await campaignService.getCampaign(id);
+    if (campaign.user_id !== userId) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    res.json({ success: true, data: await campaignService.findMissingVariables(id) });
+  } catch (error) {
+    console.error('Error checking campaign variables:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Start campaign - make calls to all pending records
 app.post('/api/campaigns/:id/start', async (req, res) => {
   try {
@@ -3676,4 +3521,7 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`📡 WebSocket endpoint: wss://ziyavoice-production.up.railway.app/api/call`);
   console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+  if (isSandboxMode()) {
+    console.log('🧪 Sandbox mode: calls use the simulated Twilio client and sandbox STT/LLM/TTS');
+  }
 });
@@ -1,80 +1,36 @@
-const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
-const { LLMService } = require("../llmService.js");
-const WalletService = require('./walletService.js');
-const CostCalculator = require('./costCalculator.js');
-
-const sessions = new Map();
-
+const { ConversationEngine } = require('./conversationEngine.js');
+const { CallRecorder, pcm16 } = require('./callRecorder.js');
+const { resolveAmbienceId, DEFAULT_VOLUME } = require('../utils/ambience.js');
+
+// Browser playback uses MP3 128kbps ≈ 16KB per second
+const MP3_BYTES_PER_SECOND = 16000;
+
+/**
+ * Browser test-call transport for the conversation engine: linear16 16kHz
+ * microphone audio in, one MP3 clip per sentence out. The browser plays the
+ * clips back to back, so we track when each one should start. Background
+ * ambience is looped by the browser under the clips (an 'ambience' event
+ * points it at the track's PCM), so the clips go out untouched.
+ */
 class DeepgramBrowserHandler {
-    constructor(deepgramApiKey, geminiApiKey, mysqlPool = null) {
-        if (!deepgramApiKey) throw new Error("Missing Deepgram API Key");
-        if (!geminiApiKey) throw new Error("Missing Gemini API Key");
-
-        this.deepgramClient = createClient(deepgramApiKey);
-        this.llmService = new LLMService(geminiApiKey);
-        this.mysqlPool = mysqlPool; // Add database pool for call logging
-
-        // Initialize wallet and cost tracking services
-        if (mysqlPool) {
-            this.walletService = new WalletService(mysqlPool);
-            this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
-        }
-    }
-
-    createSession(connectionId, agentPrompt, agentVoiceId, ws, userId = null, agentId = null) {
-        const session = {
-            id: connectionId,
-            context: [],
-            sttStream: null,
-            agentPrompt,
-            agentVoiceId: agentVoiceId || "21m00Tcm4TlvDq8ikWAM",
-            ws,
-            isReady: false,
-            isSpeaking: false,
-            lastUserSpeechTime: null,
-            userId: userId,
-            agentId: agentId,
-            callId: null, // Will be set when call is logged
-            startTime: new Date(),
-            // Usage tracking for billing
-            usage: {
-                deepgram: 0,      // seconds
-                gemini: 0,        // tokens
-                elevenlabs: 0,    // characters
-                sarvam: 0         // characters
-            },
-            audioStartTime: null,
-            totalAudioDuration: 0
-        };
-        sessions.set(connectionId, session);
-        console.log(`✅ Created browser session ${connectionId} for user ${userId}, agent ${agentId}`);
-        return session;
-    }
-
-    endSession(connectionId) {
-        const session = sessions.get(connectionId);
-        if (session) {
-            if (session.sttStream) {
-                // Check if finish exists before calling
-                if (typeof session.sttStream.finish === 'function') {
-                    session.sttStream.finish();
-                }
-                session.sttStream.removeAllListeners();
-            }
-            sessions.delete(connectionId);
-            console.log(`❌ Ended browser session ${connectionId}`);
-        }
-    }
-
-    appendToContext(session, text, role) {
-        session.context.push({ role, parts: [{ text }] });
+    /**
+     * Provider keys (platform or the user's own) are resolved per call
+     */
+    constructor(mysqlPool = null) {
+        this.mysqlPool = mysqlPool; // Database pool for call logging
+        this.engine = new ConversationEngine(mysqlPool);
+
+        this.name = 'browser';
+        this.inputAudio = { encoding: 'linear16', sampleRate: 16000, phone: false };
+        this.outputFormat = 'mp3';
+        this.streamsAudio = false; // Clips are sent whole
+        this.utteranceEndMs = 500;
+        this.greetingDelayMs = 500;
     }
 
     async handleConnection(ws, req) {
         const connectionId = 'browser_' + Date.now();
         let session = null;
-        let deepgramLive = null;
-        let keepAliveInterval = null;
 
         try {
             console.log(`📞 Browser WebSocket connection initiated: ${connectionId}`);
@@ -84,187 +40,41 @@ class DeepgramBrowserHandler {
             const agentId = url.searchParams.get('agentId');
             const voiceId = url.searchParams.get('voiceId');
             const userId = url.searchParams.get('userId');
-            let identity = url.searchParams.get('identity'); // Can be passed directly
-
-            // Load agent details if agentId is present
-            let agentPrompt = identity || "You are a helpful AI assistant.";
-            let agentVoiceId = voiceId || "21m00Tcm4TlvDq8ikWAM"; // default
-            let greetingMessage = "Hello! How can I help you today?";
-            let tools = [];
-
-            if (agentId && userId) {
-                try {
-                    const AgentService = require('./agentService.js');
-                    const agentService = new AgentService(require('../config/database.js').default);
-                    const agent = await agentService.getAgentById(userId, agentId);
-                    if (agent) {
-                        agentPrompt = agent.identity || agentPrompt;
-
-                        // Process Tools
-                        if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
-                            tools = agent.settings.tools;
-                            const toolDescriptions = tools.map(tool =>
-                                `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                            ).join('\n');
-
-                            agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
-                        }
-
-                        if (agent.voiceId) agentVoiceId = agent.voiceId;
-                        if (agent.settings?.greetingLine) greetingMessage = agent.settings.greetingLine;
-                        console.log(`✅ Loaded agent details for ${agent.name} with ${tools.length} tools`);
-                    }
-                } catch (err) {
-                    console.error("⚠️ Error loading agent details:", err);
-                }
+            const identity = url.searchParams.get('identity'); // Can be passed directly
+
+            const agent = await this.engine.loadAgent(userId, userId ? agentId : null, { prompt: identity, voiceId });
+
+            const balanceCheck = await this.engine.checkBalance(userId);
+            if (!balanceCheck.allowed) {
+                ws.send(JSON.stringify({
+                    event: 'error',
+                    message: balanceCheck.message,
+                    balance: balanceCheck.balance
+                }));
+                ws.close();
+                return;
             }
 
-            // Check user balance before starting call
-            if (userId && this.walletService) {
-                const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
-                if (!balanceCheck.allowed) {
-                    console.error(`❌ Insufficient balance for user ${userId}: ${balanceCheck.message}`);
-                    ws.send(JSON.stringify({
-                        event: 'error',
-                        message: balanceCheck.message,
-                        balance: balanceCheck.balance
-                    }));
-                    ws.close();
-                    return;
-                }
-                console.log(`✅ Balance check passed: $${balanceCheck.balance.toFixed(4)}`);
+            session = await this.engine.createSession({ id: connectionId, userId, agentId, agent, transport: this });
+            if (!session) {
+                ws.send(JSON.stringify({
+                    event: 'error',
+                    message: "Voice calls are not configured. Add API keys for the agent's speech and language providers."
+                }));
+                ws.close();
+                return;
             }
 
-            session = this.createSession(connectionId, agentPrompt, agentVoiceId, ws, userId, agentId);
-            session.tools = tools; // Store tools in session for later lookup
-
-            // Log call start to database
-            await this.logCallStart(session);
-
-            // Send initial greeting
-            setTimeout(async () => {
-                try {
-                    if (ws.readyState === ws.OPEN) {
-                        console.log(`👋 Sending greeting: "${greetingMessage}"`);
-
-                        // Send text update
-                        ws.send(JSON.stringify({
-                            event: 'agent-response',
-                            text: greetingMessage
-                        }));
-
-                        // Send audio
-                        const audio = await this.synthesizeTTS(greetingMessage, session.agentVoiceId, session);
-                        if (audio) {
-                            this.sendAudioToClient(session, audio);
-                        }
-                    }
-                } catch (e) {
-                    console.error("❌ Error sending greeting:", e);
-                }
-            }, 500);
-
-            // Initialize Deepgram for Browser Audio (Linear16 16kHz)
-            console.log("🔄 Initializing Deepgram for browser stream...");
-            deepgramLive = this.deepgramClient.listen.live({
-                model: "nova-2",
-                language: "en-US",
-                smart_format: true,
-                encoding: "linear16",
-                sample_rate: 16000,
-                interim_results: true,
-                utterance_end_ms: 500, // Reduced from 1000ms for faster response
-                punctuate: true,
-            });
-
-            session.sttStream = deepgramLive;
-
-            // Deepgram Event Handlers
-            deepgramLive.on(LiveTranscriptionEvents.Open, () => {
-                console.log("✅ Deepgram browser connection opened");
-            });
-
-            deepgramLive.on(LiveTranscriptionEvents.Transcript, async (data) => {
-                try {
-                    const transcript = data.channel?.alternatives?.[0]?.transcript;
-                    const isFinal = data.is_final;
-
-                    if (!isFinal || !transcript?.trim()) return;
-
-                    console.log(`🎤 User (Browser): "${transcript}"`);
-                    session.lastUserSpeechTime = Date.now();
-
-                    // Track Deepgram usage (estimate ~1 second per transcript)
-                    // More accurate: track actual audio duration if available
-                    if (data.duration) {
-                        session.usage.deepgram += data.duration;
-                    } else {
-                        // Fallback: estimate based on word count (avg 2.5 words/second)
-                        const wordCount = transcript.split(' ').length;
-                        const estimatedDuration = wordCount / 2.5;
-                        session.usage.deepgram += estimatedDuration;
-                    }
-
-                    // Send transcript to client for UI display
-                    if (ws.readyState === ws.OPEN) {
-                        ws.send(JSON.stringify({
-                            event: 'transcript',
-                            text: transcript
-                        }));
-                    }
-
-                    // Handle Interruption
-                    if (session.isSpeaking) {
-                        console.log(`⚠️ User interrupted agent`);
-                        session.isSpeaking = false;
-                        // Tell client to stop audio
-                        ws.send(JSON.stringify({ event: 'stop-audio' }));
-                    }
-
-                    this.appendToContext(session, transcript, "user");
-
-                    // Get LLM Response
-                    const llmResponse = await this.callLLM(session);
-                    this.appendToContext(session, llmResponse, "model");
-
-                    // Send text response to client immediately
-                    if (ws.readyState === ws.OPEN) {
-                        ws.send(JSON.stringify({
-                            event: 'agent-response',
-                            text: llmResponse
-                        }));
-                    }
-
-                    // Generate TTS in parallel (don't await - let it happen in background)
-                    console.log(`🔊 Synthesizing response...`);
-                    this.synthesizeTTS(llmResponse, session.agentVoiceId, session)
-                        .then(ttsAudio => {
-                            if (ttsAudio) {
-                                this.sendAudioToClient(session, ttsAudio);
-                            }
-                        })
-                        .catch(err => {
-                            console.error("❌ TTS generation failed:", err);
-                        });
-
-                } catch (err) {
-                    console.error("❌ Error processing transcript:", err);
-                }
-            });
-
-            deepgramLive.on(LiveTranscriptionEvents.UtteranceEnd, () => {
-                console.log("🎤 User finished speaking (browser)");
-            });
-
-            deepgramLive.on(LiveTranscriptionEvents.Error, (err) => {
-                console.error("❌ Deepgram error:", err);
-            });
-
-            deepgramLive.on(LiveTranscriptionEvents.Close, () => {
-                console.log("⚠️ Deepgram connection closed");
-            });
+            session.ws = ws;
+            if (ws.readyState !== ws.OPEN) {
+                // Tester hung up while the call was being set up
+                await this.endSession(session);
+                return;
+            }
+            if (agent.settings.callRecording !== false) {
+                session.recorder = new CallRecorder(16000); // Browser sends linear16 @ 16kHz
+            }
 
-            // WebSocket Message Handling
             ws.on('message', (message) => {
                 try {
                     const data = JSON.parse(message);
@@ -272,164 +82,130 @@ class DeepgramBrowserHandler {
                     if (data.event === 'audio' && data.data) {
                         // Received base64 audio from browser
                         const audioBuffer = Buffer.from(data.data, 'base64');
-                        if (deepgramLive.getReadyState() === 1) { // OPEN
-                            deepgramLive.send(audioBuffer);
-                        }
+                        this.engine.pushAudio(session, audioBuffer);
+                        if (session.recorder) session.recorder.addCallerAudio(pcm16(audioBuffer));
+                    } else if (data.event === 'dtmf' && data.digit) {
+                        // Keypad on the web client
+                        this.engine.pushDigit(session, data.digit);
                     } else if (data.event === 'ping') {
                         ws.send(JSON.stringify({ event: 'pong' }));
                     } else if (data.event === 'stop') {
-                        this.endSession(connectionId);
+                        this.endSession(session);
                     }
                 } catch (err) {
                     console.error("❌ Error handling message:", err);
                 }
             });
 
-            ws.on('close', async () => {
+            ws.on('close', () => {
                 console.log("🔌 Browser WebSocket closed");
-                // Log call end before ending session
-                if (session) {
-                    await this.logCallEnd(session);
-                }
-                this.endSession(connectionId);
-                if (keepAliveInterval) clearInterval(keepAliveInterval);
+                this.endSession(session);
             });
 
-            // Keep-alive setup
-            keepAliveInterval = setInterval(() => {
-                if (deepgramLive && deepgramLive.getReadyState() === 1) {
-                    deepgramLive.keepAlive();
-                }
-            }, 10000);
-
+            const ambienceId = resolveAmbienceId(agent.settings.backgroundAmbientSound);
+            if (ambienceId) {
+                this.notify(session, {
+                    event: 'ambience',
+                    track: ambienceId,
+                    url: `/api/ambience/${ambienceId}`,
+                    volume: agent.settings.backgroundAmbientVolume ?? DEFAULT_VOLUME
+                });
+            }
 
+            // Log call start to database
+            await this.logCallStart(session);
+            this.engine.start(session).catch(err => console.error("❌ Error starting call:", err));
         } catch (err) {
             console.error("❌ Browser connection setup error:", err);
             ws.close();
         }
     }
 
-    async callLLM(session) {
-        try {
-            console.log("🧠 Calling Gemini LLM...");
-            const response = await this.llmService.generateContent({
-                model: "models/gemini-2.5-flash",
-                contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
-            });
-            let text = response.text;
-            console.log("🧠 Gemini response received:", text);
-
-            // Track Gemini token usage
-            if (response.usageMetadata) {
-                const totalTokens = (response.usageMetadata.promptTokenCount || 0) +
-                    (response.usageMetadata.candidatesTokenCount || 0);
-                session.usage.gemini += totalTokens;
-                console.log(`📊 Gemini tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
-            }
-
-            // Check for Tool Call (JSON format)
-            try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
-
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
-
-                        // Handle Google Sheets Tool
-                        if (parsed.tool.includes('Sheet') || parsed.tool === 'addToSheet' || parsed.tool === 'saveData') {
-                            const googleSheetsService = require('./googleSheetsService.js');
-
-                            // Find the tool definition to get the Spreadsheet ID
-                            let spreadsheetId;
-                            if (session.tools && session.tools.length > 0) {
-                                const tool = session.tools.find(t => t.name === parsed.tool);
-                                if (tool) spreadsheetId = googleSheetsService.extractSpreadsheetId(tool.webhookUrl); // In UI, URL is stored in webhookUrl
-                            }
-
-                            if (!spreadsheetId) {
-                                console.error('Spreadsheet URL not found in tool configuration');
-                                // Fallback? Maybe hardcode or error
-                            } else {
-                                await googleSheetsService.appendGenericRow(spreadsheetId, parsed.data);
-                            }
-
-                            // Add tool result to context and ask LLM for final response
-                            this.appendToContext(session, JSON.stringify({ tool: parsed.tool, status: "success", message: "Data saved successfully" }), "user"); // mimic user/system confirmation
-
-                            // Recursively call LLM to get the verbal response
-                            return await this.callLLM(session);
-                        }
-                    }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call, just regular text -> continue
-                // console.log("Response is not JSON tool call");
-            }
+    async endSession(session) {
+        if (session.closed) return;
+        // engine.endSession marks the session closed straight away
+        await Promise.all([this.engine.endSession(session), this.logCallEnd(session)]);
+    }
 
-            return text;
-        } catch (err) {
-            console.error("❌ LLM error details:", err.message);
-            console.error(err.stack);
-            return "I'm having trouble connecting to my brain right now.";
-        }
+    startPlayback(session, playback) {
+        playback.sent = 0; // Segments sent to the browser so far
+        playback.endsAt = Date.now(); // When the last clip sent should finish playing
     }
 
-    async synthesizeTTS(text, voiceId, session = null) {
-        try {
-            console.log(`🔊 Generating TTS for: "${text.substring(0, 20)}..."`);
-            const { generateTTS } = require('./tts_controller.js');
-            // Request High Quality MP3 for browser playback
-            const audioBuffer = await generateTTS(text, {
-                voiceId,
-                output_format: 'mp3_44100_128', // ElevenLabs
-                format: 'mp3',                  // Sarvam
-                skipConversion: true            // Sarvam (prevent ulaw conversion)
-            });
-            console.log(`✅ TTS generated: ${audioBuffer ? audioBuffer.length : 0} bytes`);
-
-            // Track TTS usage for billing
-            if (session && session.usage) {
-                const characterCount = text.length;
-                // Determine provider from voiceId (Sarvam voices typically have specific naming)
-                const isSarvam = voiceId && (voiceId.includes('sarvam') || voiceId.includes('anushka') || voiceId.includes('arvind'));
-
-                if (isSarvam) {
-                    session.usage.sarvam += characterCount;
-                    console.log(`📊 Sarvam TTS: ${characterCount} characters (Total: ${session.usage.sarvam})`);
-                } else {
-                    session.usage.elevenlabs += characterCount;
-                    console.log(`📊 ElevenLabs TTS: ${characterCount} characters (Total: ${session.usage.elevenlabs})`);
-                }
-            }
+    /**
+     * Send finished segments in order, then wait for the last one to play out
+     */
+    updatePlayback(session, playback) {
+        if (session.playback !== playback) return;
 
-            return audioBuffer;
-        } catch (err) {
-            console.error("❌ TTS error details:", err.message);
-            console.error(err.stack);
-            return null;
+        while (playback.sent < playback.segments.length && playback.segments[playback.sent].done) {
+            this.sendClip(session, playback, playback.segments[playback.sent++]);
         }
+
+        clearTimeout(playback.timer);
+        if (!playback.ended || playback.sent < playback.segments.length) return;
+
+        playback.timer = setTimeout(() => {
+            this.engine.playbackFinished(session, playback);
+        }, Math.max(0, playback.endsAt - Date.now()));
     }
 
-    sendAudioToClient(session, audioBuffer) {
+    sendClip(session, playback, segment) {
+        if (segment.buffer.length === 0) return;
         if (!session.ws || session.ws.readyState !== session.ws.OPEN) return;
 
-        session.isSpeaking = true;
-        const base64Audio = audioBuffer.toString('base64');
+        segment.durationMs = (segment.buffer.length / MP3_BYTES_PER_SECOND) * 1000;
+        segment.startsAt = Math.max(Date.now(), playback.endsAt);
+        playback.endsAt = segment.startsAt + segment.durationMs;
+        if (session.recorder) session.recorder.addAgentClip(segment.buffer, segment.startsAt);
 
         session.ws.send(JSON.stringify({
             event: 'audio',
-            audio: base64Audio
+            audio: segment.buffer.toString('base64')
         }));
+        if (!playback.firstAudioAt) playback.firstAudioAt = Date.now();
+    }
+
+    /**
+     * Barge-in: the browser drops its queued clips
+     */
+    stopAudio(session, playback) {
+        if (playback && session.recorder) session.recorder.cutAgentAudio();
+        this.notify(session, { event: 'stop-audio' });
+    }
 
-        // Estimate duration for isSpeaking flag
-        // MP3 128kbps = 16KB/s approx
-        const durationSeconds = audioBuffer.length / 16000;
-        setTimeout(() => {
-            session.isSpeaking = false;
-        }, durationSeconds * 1000);
+    spokenFraction(segment) {
+        if (segment.startsAt === undefined) return 0;
+        return (Date.now() - segment.startsAt) / segment.durationMs;
+    }
+
+    notify(session, event) {
+        if (session.ws && session.ws.readyState === session.ws.OPEN) {
+            session.ws.send(JSON.stringify(event));
+        }
+    }
+
+    dtmfTones() {
+        return null; // The tester gets a dtmf-sent event instead
+    }
+
+    /**
+     * There is no phone line to move - tell the tester where the call would
+     * have gone and end the test call
+     */
+    async transfer(session, destination, summary) {
+        this.notify(session, {
+            event: 'transfer',
+            destination: destination.name,
+            warm: destination.type === 'warm',
+            summary
+        });
+        await this.hangUp(session);
+    }
+
+    async hangUp(session) {
+        this.notify(session, { event: 'call-ended', reason: session.endReason, disposition: session.disposition });
+        if (session.ws.readyState === session.ws.OPEN) session.ws.close();
     }
 
     async logCallStart(session) {
@@ -468,6 +244,9 @@ class DeepgramBrowserHandler {
         }
     }
 
+    /**
+     * Status and duration; the engine stores how the call ended and charges it
+     */
     async logCallEnd(session) {
         if (!this.mysqlPool || !session.callId) {
             console.log('⚠️ Skipping call end logging (no database pool or call ID)');
@@ -484,26 +263,6 @@ class DeepgramBrowserHandler {
             );
 
             console.log(`✅ Call ended and logged: ${session.callId}, duration: ${duration}s`);
-
-            // Charge user for usage
-            if (session.userId && this.costCalculator) {
-                try {
-                    console.log('💰 Calculating call costs...', session.usage);
-                    const result = await this.costCalculator.recordAndCharge(
-                        session.userId,
-                        session.callId,
-                        session.usage
-                    );
-                    console.log(`✅ Charged user ${session.userId}: $${result.totalCharged.toFixed(4)}`);
-                    console.log('   Breakdown:', result.breakdown);
-                } catch (chargeError) {
-                    console.error('❌ Error charging user:', chargeError.message);
-                    // Log the failed charge but don't fail the call end
-                    if (chargeError.message === 'Insufficient balance') {
-                        console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
-                    }
-                }
-            }
         } catch (err) {
             console.error('❌ Error logging call end:', err);
         }
@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require("uuid");
+const { DEFAULT_DISPOSITIONS } = require("./callAnalysisService.js");
 
 class AgentService {
     constructor(pool) {
@@ -198,16 +199,23 @@ async updateAgent(userId, id, updateData) {
             userStartsFirst: false,
             greetingLine: "Welcome! How can I help you?",
             responseDelay: false,
+            responseDelayMs: 800,
+            interruptionSensitivity: "medium",
             inactivityHandling: true,
             agentCanTerminateCall: false,
             voicemailDetection: true,
+            voicemailAction: "hangup",
+            voicemailMessage: "Hi {{name}}, sorry we missed you. Please call us back when you get a chance.",
             callTransfer: true,
+            transferDestinations: [],
+            dtmfInput: true,
             dtmfDial: false,
             agentTimezone: "America/New_York",
             voiceDetectionConfidenceThreshold: 0.5,
             overrideVAD: false,
             backgroundAmbientSound: "None",
             callRecording: true,
+            multilingual: false,
             sessionTimeoutFixedDuration: 3600,
             sessionTimeoutNoVoiceActivity: 300,
             sessionTimeoutEndMessage: "Your session has ended.",
@@ -215,6 +223,9 @@ async updateAgent(userId, id, updateData) {
             doNotCallDetection: true,
             prefetchDataWebhook: "",
             endOfCallWebhook: "",
+            postCallAnalysis: false,
+            analysisDispositions: [...DEFAULT_DISPOSITIONS],
+            analysisFields: [],
             preActionPhrases: [],
             tools: []
         };
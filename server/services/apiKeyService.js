@@ -39,10 +39,19 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.ApiKeyService = void 0;
 var database_js_1 = require("../config/database.js");
 var uuid_1 = require("uuid");
+var encryption_js_1 = require("../utils/encryption.js");
+// Keys saved before encryption was added are still stored as plaintext
+var ENCRYPTED_KEY_PATTERN = /^[0-9a-f]{32}:[0-9a-f]{32}:[0-9a-f]+$/;
+var decryptStoredKey = function (storedKey) {
+    if (!storedKey || !ENCRYPTED_KEY_PATTERN.test(storedKey)) {
+        return storedKey;
+    }
+    return (0, encryption_js_1.decrypt)(storedKey);
+};
 var ApiKeyService = /** @class */ (function () {
     function ApiKeyService() {
     }
-    // Get a user's API key for a specific service
+    // Get a user's API key for a specific service (decrypted)
     ApiKeyService.getUserApiKey = function (userId, serviceName) {
         return __awaiter(this, void 0, void 0, function () {
             var rows, error_1;
@@ -54,7 +63,7 @@ var ApiKeyService = /** @class */ (function () {
                     case 1:
                         rows = (_a.sent())[0];
                         if (rows.length > 0) {
-                            return [2 /*return*/, rows[0].api_key];
+                            return [2 /*return*/, decryptStoredKey(rows[0].api_key)];
                         }
                         return [2 /*return*/, null];
                     case 2:
@@ -69,25 +78,25 @@ var ApiKeyService = /** @class */ (function () {
     // Save or update a user's API key for a specific service
     ApiKeyService.saveUserApiKey = function (userId, serviceName, apiKey) {
         return __awaiter(this, void 0, void 0, function () {
-            var plaintextApiKey, existingRows, id, error_2;
+            var encryptedApiKey, existingRows, id, error_2;
             return __generator(this, function (_a) {
                 switch (_a.label) {
                     case 0:
                         _a.trys.push([0, 6, , 7]);
-                        plaintextApiKey = apiKey;
+                        encryptedApiKey = (0, encryption_js_1.encrypt)(apiKey);
                         return [4 /*yield*/, database_js_1.default.execute('SELECT id FROM user_api_keys WHERE user_id = ? AND service_name = ?', [userId, serviceName])];
                     case 1:
                         existingRows = (_a.sent())[0];
                         if (!(existingRows.length > 0)) return [3 /*break*/, 3];
                         // Update existing API key
-                        return [4 /*yield*/, database_js_1.default.execute('UPDATE user_api_keys SET api_key = ?, updated_at = NOW() WHERE user_id = ? AND service_name = ?', [plaintextApiKey, userId, serviceName])];
+                        return [4 /*yield*/, database_js_1.default.execute('UPDATE user_api_keys SET api_key = ?, updated_at = NOW() WHERE user_id = ? AND service_name = ?', [encryptedApiKey, userId, serviceName])];
                     case 2:
                         // Update existing API key
                         _a.sent();
                         return [3 /*break*/, 5];
                     case 3:
                         id = (0, uuid_1.v4)();
-                        return [4 /*yield*/, database_js_1.default.execute('INSERT INTO user_api_keys (id, user_id, service_name, api_key, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())', [id, userId, serviceName, plaintextApiKey])];
+                        return [4 /*yield*/, database_js_1.default.execute('INSERT INTO user_api_keys (id, user_id, service_name, api_key, created_at, updated_at) VALUES (?, ?, ?, ?, NOW(), NOW())', [id, userId, serviceName, encryptedApiKey])];
                     case 4:
                         _a.sent();
                         _a.label = 5;
@@ -141,7 +150,7 @@ var ApiKeyService = /** @class */ (function () {
                         _a.trys.push([0, 2, , 3]);
                         return [4 /*yield*/, this.getUserApiKey(userId, serviceName)];
                     case 1: 
-                    // Return the plaintext API key from the database
+                    // getUserApiKey decrypts the stored key
                     return [2 /*return*/, _a.sent()];
                     case 2:
                         error_4 = _a.sent();
@@ -166,7 +175,7 @@ var ApiKeyService = /** @class */ (function () {
                         if (!storedApiKey) {
                             return [2 /*return*/, false];
                         }
-                        // For plaintext keys, we can do a direct comparison
+                        // Compare against the decrypted key
                         return [2 /*return*/, storedApiKey === apiKey];
                     case 2:
                         error_5 = _a.sent();
@@ -0,0 +1,107 @@
+const { SchemaType } = require("@google/generative-ai");
+
+/**
+ * Function declarations for the call-control tools the voice handlers
+ * register themselves (see ToolRegistry.register), as opposed to the
+ * tools an agent is configured with.
+ */
+
+// Offered when settings.agentCanTerminateCall is on
+const END_CALL_DECLARATION = {
+    name: "end_call",
+    description: "Hang up the call. Use this when the conversation is over, e.g. the caller said goodbye, " +
+        "asked to end the call, or the task is complete. Say your goodbye in the same reply - the call ends once it has been spoken.",
+    parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+            disposition: {
+                type: SchemaType.STRING,
+                description: "Short outcome of the call in snake_case, e.g. resolved, not_interested, callback_requested, wrong_number"
+            },
+            reason: {
+                type: SchemaType.STRING,
+                description: "One sentence on why the call is being ended"
+            }
+        }
+    }
+};
+
+// Offered when settings.dtmfDial is on (Twilio calls only)
+const SEND_DTMF_DECLARATION = {
+    name: "send_dtmf",
+    description: "Press keys on the phone keypad, e.g. to pick an option in an automated phone menu or enter an extension. " +
+        "Only use this when the other side is an automated system asking for keypad input.",
+    parameters: {
+        type: SchemaType.OBJECT,
+        properties: {
+            digits: {
+                type: SchemaType.STRING,
+                description: "Keys to press: 0-9, * and #. Use w for a half-second pause, e.g. \"1w234#\""
+            }
+        },
+        required: ["digits"]
+    }
+};
+
+/**
+ * transfer_call declaration for an agent's transfer destinations
+ * (settings.transferDestinations, offered when settings.callTransfer is on)
+ * @param {Array} destinations - [{ name, number, description, type }]
+ * @returns {Object|null} - null when there is nowhere to transfer to
+ */
+function buildTransferCallDeclaration(destinations) {
+    const usable = getTransferDestinations(destinations);
+    if (usable.length === 0) return null;
+
+    const options = usable
+        .map(destination => `- ${destination.name}${destination.description ? `: ${destination.description}` : ''}`)
+        .join('\n');
+
+    return {
+        name: "transfer_call",
+        description: "Transfer the caller to a human. Tell the caller you are transferring them in the same reply - " +
+            `the transfer starts once it has been spoken. Available destinations:\n${options}`,
+        parameters: {
+            type: SchemaType.OBJECT,
+            properties: {
+                destination: {
+                    type: SchemaType.STRING,
+                    format: "enum",
+                    enum: usable.map(destination => destination.name),
+                    description: "Name of the destination to transfer to"
+                },
+                reason: {
+                    type: SchemaType.STRING,
+                    description: "One sentence on why the caller is being transferred"
+                }
+            },
+            required: ["destination"]
+        }
+    };
+}
+
+/**
+ * Destinations that have both a name and a number
+ */
+function getTransferDestinations(destinations) {
+    return (destinations || []).filter(destination => destination && destination.name && destination.number);
+}
+
+/**
+ * Normalize a model-supplied disposition for the calls table
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalizeDisposition(value) {
+    if (!value || typeof value !== 'string') return null;
+    const disposition = value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    return disposition.substring(0, 50) || null;
+}
+
+module.exports = {
+    END_CALL_DECLARATION,
+    SEND_DTMF_DECLARATION,
+    buildTransferCallDeclaration,
+    getTransferDestinations,
+    normalizeDisposition
+};
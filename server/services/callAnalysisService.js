@@ -0,0 +1,141 @@
+const { normalizeDisposition } = require('./builtinTools.js');
+
+const ANALYSIS_TIMEOUT_MS = 30000;
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const FIELD_TYPES = ['string', 'number', 'boolean'];
+const DEFAULT_DISPOSITIONS = ['interested', 'not_interested', 'callback', 'wrong_number', 'do_not_call', 'resolved'];
+const MAX_FIELDS = 30;
+const MAX_VALUE_LENGTH = 1000;
+
+/**
+ * Post-call analysis (settings.postCallAnalysis): once a call has ended its
+ * transcript goes through the agent's LLM once, for a short summary, the
+ * caller's overall sentiment, a disposition from the agent's list
+ * (settings.analysisDispositions) and the fields of its extraction schema
+ * (settings.analysisFields: [{ name, type, description }]).
+ *
+ * Results are stored on the calls row: summary, sentiment, disposition and
+ * extracted_data (JSON).
+ */
+class CallAnalysisService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+    }
+
+    /**
+     * @param {Object} llm - Session LLM provider (generate)
+     * @param {Array} transcript - [{ role: 'user' | 'agent', text }]
+     * @param {Object} settings - Agent settings
+     * @param {string|null} agentDisposition - Outcome the agent gave when it hung up, as a hint
+     * @returns {Promise<{analysis: {summary, sentiment, disposition, extractedData}|null, tokens: number}>}
+     *   analysis is null when the model didn't answer with valid JSON
+     */
+    async analyze(llm, transcript, settings, agentDisposition = null) {
+        const { dispositions, fields } = getAnalysisConfig(settings);
+        const conversation = transcript
+            .map(line => `${line.role === 'agent' ? 'Agent' : 'Caller'}: ${line.text}`)
+            .join('\n');
+        const schema = fields.length > 0
+            ? fields.map(field => `- ${field.name} (${field.type})${field.description ? `: ${field.description}` : ''}`).join('\n')
+            : '(none)';
+
+        const response = await withTimeout(llm.generate({
+            contents: [{
+                role: 'user',
+                parts: [{
+                    text: `Conversation:\n${conversation}\n\n` +
+                        `Dispositions: ${dispositions.join(', ')}\n` +
+                        (agentDisposition ? `The agent ended the call as: ${agentDisposition}\n` : '') +
+                        `Fields to extract:\n${schema}`
+                }]
+            }],
+            systemInstruction: "You analyze a finished phone call between a business's voice agent and a caller. Use only what is in the conversation. " +
+                'Answer with a JSON object only: {"summary": "two or three sentences", "sentiment": "positive" | "neutral" | "negative", ' +
+                '"disposition": one of the dispositions, "data": {one key per field to extract, null when the call did not say}}'
+        }), ANALYSIS_TIMEOUT_MS);
+
+        const match = /\{[\s\S]*\}/.exec(response.text || '');
+        if (!match) return { analysis: null, tokens: response.tokens };
+
+        let result;
+        try {
+            result = JSON.parse(match[0]);
+        } catch (e) {
+            return { analysis: null, tokens: response.tokens };
+        }
+        const disposition = normalizeDisposition(result.disposition);
+        return {
+            analysis: {
+                summary: typeof result.summary === 'string' ? result.summary.trim().substring(0, 2000) || null : null,
+                sentiment: SENTIMENTS.includes(String(result.sentiment).toLowerCase()) ? String(result.sentiment).toLowerCase() : null,
+                disposition: dispositions.includes(disposition) ? disposition : null,
+                extractedData: Object.fromEntries(fields.map(field => [field.name, coerceValue(result.data?.[field.name], field.type)]))
+            },
+            tokens: response.tokens
+        };
+    }
+
+    /**
+     * Store an analysis on the calls row. Its disposition, when it has one,
+     * replaces the one saved with the end reason.
+     */
+    async save(callId, callSid, analysis) {
+        await this.mysqlPool.execute(
+            'UPDATE calls SET summary = ?, sentiment = ?, disposition = COALESCE(?, disposition), extracted_data = ? WHERE id = ? OR call_sid = ?',
+            [analysis.summary, analysis.sentiment, analysis.disposition, JSON.stringify(analysis.extractedData), callId, callSid || callId]
+        );
+    }
+}
+
+/**
+ * An agent's disposition list and extraction schema, cleaned up
+ * @param {Object} settings - Agent settings
+ * @returns {{dispositions: string[], fields: Array<{name, type, description}>}}
+ */
+function getAnalysisConfig(settings = {}) {
+    const dispositions = [...new Set((settings.analysisDispositions || []).map(normalizeDisposition).filter(Boolean))];
+
+    const names = new Set();
+    const fields = [];
+    for (const field of settings.analysisFields || []) {
+        const name = String(field?.name || '').trim();
+        if (!name || names.has(name) || fields.length >= MAX_FIELDS) continue;
+        names.add(name);
+        fields.push({
+            name,
+            type: FIELD_TYPES.includes(field.type) ? field.type : 'string',
+            description: String(field.description || '').trim()
+        });
+    }
+
+    return { dispositions: dispositions.length > 0 ? dispositions : DEFAULT_DISPOSITIONS, fields };
+}
+
+function coerceValue(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    if (type === 'number') {
+        const number = Number(String(value).replace(/[^0-9.eE+-]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        const text = String(value).trim().toLowerCase();
+        return ['true', 'yes'].includes(text) ? true : (['false', 'no'].includes(text) ? false : null);
+    }
+    return (typeof value === 'object' ? JSON.stringify(value) : String(value)).substring(0, MAX_VALUE_LENGTH);
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+    CallAnalysisService,
+    DEFAULT_DISPOSITIONS,
+    SENTIMENTS,
+    getAnalysisConfig
+};
@@ -0,0 +1,219 @@
+const AdminService = require('./adminService.js');
+const { ConversationEngine, getSession, getSessions } = require('./conversationEngine.js');
+const { buildTranscript } = require('./callRecorder.js');
+const mulaw = require('../utils/mulaw.js');
+
+const MAX_QUEUED_AGENT_FRAMES = 50; // 1 s of agent audio waiting for the caller's clock
+const MAX_BUFFERED_BYTES = 256 * 1024; // Slow supervisor connection: drop audio rather than queue it
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * One supervisor watching a call. Gets the engine's text events as JSON
+ * and, once listening, the call audio as binary messages: 16-bit
+ * little-endian PCM at 8kHz, caller and agent mixed.
+ */
+class CallMonitor {
+    constructor(ws) {
+        this.ws = ws;
+        this.listening = false;
+        this.tookOver = false;
+        this.agentFrames = [];
+    }
+
+    notify(event) {
+        if (this.ws.readyState !== this.ws.OPEN) return;
+        this.ws.send(JSON.stringify(event));
+        if (event.event === 'call-ended') this.ws.close();
+    }
+
+    /**
+     * @param {'caller'|'agent'} track
+     * @param {Buffer} frame - µ-law
+     */
+    audio(track, frame) {
+        if (!this.listening) return;
+        if (track === 'agent') {
+            this.agentFrames.push(frame);
+            if (this.agentFrames.length > MAX_QUEUED_AGENT_FRAMES) this.agentFrames.shift();
+            return;
+        }
+
+        // Twilio sends caller audio all the time, so it clocks the mix
+        const agent = this.agentFrames.shift();
+        const mixed = Buffer.alloc(frame.length * 2);
+        for (let i = 0; i < frame.length; i++) {
+            const sample = mulaw.decodeSample(frame[i]) + (agent && i < agent.length ? mulaw.decodeSample(agent[i]) : 0);
+            mixed.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+        }
+        if (this.ws.readyState === this.ws.OPEN && this.ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+            this.ws.send(mixed);
+        }
+    }
+}
+
+/**
+ * Supervisor WebSocket for live calls: watch the transcript, agent replies
+ * and tool calls of a call in progress, listen in (phone calls), whisper a
+ * private instruction to the agent, or take over and type the replies it
+ * speaks.
+ *
+ * Only the call's owner (?userId=) or an admin (?adminId=) may monitor it.
+ *
+ * Messages from the supervisor:
+ *   { action: 'listen', enabled }  - start / stop the audio
+ *   { action: 'whisper', text }    - instruction for the agent's next replies
+ *   { action: 'take-over' }        - the LLM stops answering
+ *   { action: 'say', text }        - spoken word for word (after take-over)
+ *   { action: 'hand-back' }        - the agent answers again
+ */
+class CallMonitorHandler {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+        this.engine = new ConversationEngine(mysqlPool);
+        this.adminService = new AdminService(mysqlPool);
+    }
+
+    /**
+     * Who is asking
+     * @returns {Promise<{userId: string|null, adminId: string|null}|null>} - null when neither is known
+     */
+    async getViewer(req) {
+        const userId = req.user?.id || req.query.userId || null;
+        let adminId = null;
+        if (req.query.adminId) {
+            const [rows] = await this.mysqlPool.execute('SELECT id FROM admin_users WHERE id = ?', [req.query.adminId]);
+            adminId = rows.length > 0 ? rows[0].id : null;
+        }
+        return userId || adminId ? { userId, adminId } : null;
+    }
+
+    canMonitor(viewer, session) {
+        return !!viewer && !session.transport.textOnly && (!!viewer.adminId || session.userId === viewer.userId);
+    }
+
+    /**
+     * Live calls the viewer may monitor, newest first
+     */
+    async listCalls(viewer) {
+        const live = getSessions()
+            .filter(session => !session.closed && this.canMonitor(viewer, session))
+            .sort((a, b) => b.startTime - a.startTime);
+        if (live.length === 0) return [];
+
+        const agentIds = [...new Set(live.map(session => session.agentId).filter(Boolean))];
+        const callIds = live.map(session => session.callId).filter(Boolean);
+        const [agents] = agentIds.length > 0
+            ? await this.mysqlPool.execute(`SELECT id, name FROM agents WHERE id IN (${agentIds.map(() => '?').join(', ')})`, agentIds)
+            : [[]];
+        const [calls] = callIds.length > 0
+            ? await this.mysqlPool.execute(`SELECT id, from_number, to_number FROM calls WHERE id IN (${callIds.map(() => '?').join(', ')})`, callIds)
+            : [[]];
+
+        return live.map(session => {
+            const agent = agents.find(row => row.id === session.agentId);
+            const call = calls.find(row => row.id === session.callId);
+            return {
+                ...describeSession(session),
+                agentName: agent ? agent.name : null,
+                from: call ? call.from_number : null,
+                to: call ? call.to_number : null
+            };
+        });
+    }
+
+    async handleConnection(ws, req) {
+        try {
+            const session = getSession(req.params.id);
+            const viewer = await this.getViewer(req);
+            if (!session || session.closed || !this.canMonitor(viewer, session)) {
+                // Same answer for both, so call ids can't be probed
+                ws.send(JSON.stringify({ event: 'error', message: 'Call not found or not yours to monitor' }));
+                ws.close();
+                return;
+            }
+
+            const monitor = new CallMonitor(ws);
+            session.monitors.add(monitor);
+            console.log(`👀 ${viewer.adminId ? `Admin ${viewer.adminId}` : `User ${viewer.userId}`} monitoring call ${session.id}`);
+            if (viewer.adminId) {
+                this.adminService.logActivity(viewer.adminId, 'monitor_call', session.userId, `Monitored call ${session.id}`, req.ip)
+                    .catch(err => console.error('❌ Error logging admin activity:', err.message));
+            }
+
+            monitor.notify({
+                event: 'monitoring',
+                call: describeSession(session),
+                transcript: buildTranscript(session.context),
+                whispers: session.whispers
+            });
+
+            ws.on('message', (message) => {
+                this.handleMessage(session, monitor, message).catch(err => {
+                    console.error('❌ Supervisor action failed:', err.message);
+                    monitor.notify({ event: 'error', message: err.message });
+                });
+            });
+
+            ws.on('close', () => {
+                session.monitors.delete(monitor);
+                // Never leave the caller with nobody answering
+                if (monitor.tookOver && session.takenOver && !session.closed) {
+                    this.engine.setTakenOver(session, false);
+                }
+            });
+        } catch (err) {
+            console.error('❌ Error starting call monitor:', err);
+            ws.close();
+        }
+    }
+
+    async handleMessage(session, monitor, message) {
+        const data = JSON.parse(message);
+        const text = typeof data.text === 'string' ? data.text.trim().substring(0, MAX_TEXT_LENGTH) : '';
+        if (session.closed) throw new Error('The call has ended');
+
+        switch (data.action) {
+            case 'listen':
+                if (data.enabled && !session.transport.supervisorAudio) {
+                    throw new Error('Audio is only available on phone calls');
+                }
+                monitor.listening = !!data.enabled;
+                monitor.agentFrames = [];
+                break;
+            case 'whisper':
+                if (!text) throw new Error('Whisper text is required');
+                this.engine.whisper(session, text);
+                break;
+            case 'take-over':
+                monitor.tookOver = true;
+                this.engine.setTakenOver(session, true);
+                break;
+            case 'hand-back':
+                monitor.tookOver = false;
+                this.engine.setTakenOver(session, false);
+                break;
+            case 'say':
+                if (!session.takenOver) throw new Error('Take over the call before typing replies');
+                if (!text) throw new Error('Reply text is required');
+                await this.engine.speakAsSupervisor(session, text);
+                break;
+            default:
+                throw new Error(`Unknown action "${data.action}"`);
+        }
+    }
+}
+
+function describeSession(session) {
+    return {
+        id: session.id,
+        callId: session.callId || null,
+        transport: session.transport.name,
+        userId: session.userId,
+        agentId: session.agentId,
+        startedAt: session.startTime.toISOString(),
+        takenOver: session.takenOver,
+        audio: !!session.transport.supervisorAudio
+    };
+}
+
+module.exports = { CallMonitor, CallMonitorHandler };
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const { maskDigits } = require('../utils/dtmf.js');
+
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, '..', 'recordings'));
+const JITTER_MS = 100; // Audio arriving this close to the end of a channel is appended to it
+const KEYPAD_PATTERN = /\[Caller pressed on keypad: ([^\]]*)\]/g;
+
+/**
+ * One side of the conversation: PCM chunks placed at sample offsets from
+ * the start of the call, silence in between.
+ */
+class RecordingChannel {
+    constructor(jitter) {
+        this.jitter = jitter; // in samples
+        this.chunks = [];
+        this.cursor = 0; // First sample after the last chunk
+    }
+
+    add(samples, offset) {
+        // Small gaps and overlaps are network jitter, not silence
+        const start = offset - this.cursor > this.jitter ? offset : this.cursor;
+        this.chunks.push({ offset: start, samples });
+        this.cursor = start + samples.length;
+    }
+}
+
+/**
+ * Records both directions of a call into a stereo WAV: caller on the left
+ * channel, agent on the right.
+ */
+class CallRecorder {
+    /**
+     * @param {number} sampleRate - 8000 for Twilio (µ-law), 16000 for browser calls
+     * @param {number} startedAt - When the call audio started (epoch ms)
+     */
+    constructor(sampleRate = 8000, startedAt = Date.now()) {
+        this.sampleRate = sampleRate;
+        this.startedAt = startedAt;
+        this.caller = new RecordingChannel(this.msToSamples(JITTER_MS));
+        this.agent = new RecordingChannel(this.msToSamples(JITTER_MS));
+        this.agentClips = []; // Encoded agent audio (browser calls get MP3), decoded when saved
+        this.agentCuts = []; // Barge-in times - clips still playing then were cut off
+    }
+
+    msToSamples(ms) {
+        return Math.round((ms * this.sampleRate) / 1000);
+    }
+
+    elapsedMs() {
+        return Date.now() - this.startedAt;
+    }
+
+    /**
+     * @param {Int16Array} samples
+     * @param {number} atMs - Position in the call (defaults to now)
+     */
+    addCallerAudio(samples, atMs = this.elapsedMs()) {
+        if (samples.length > 0) this.caller.add(samples, this.msToSamples(atMs));
+    }
+
+    addAgentAudio(samples, atMs = this.elapsedMs()) {
+        if (samples.length > 0) this.agent.add(samples, this.msToSamples(atMs));
+    }
+
+    /**
+     * Encoded agent audio the browser plays itself, starting at startsAt (epoch ms)
+     */
+    addAgentClip(buffer, startsAt) {
+        this.agentClips.push({ buffer, atMs: startsAt - this.startedAt });
+    }
+
+    /**
+     * The browser stopped playback (barge-in) - anything queued after now was never heard
+     */
+    cutAgentAudio(atMs = this.elapsedMs()) {
+        this.agentCuts.push(atMs);
+    }
+
+    get isEmpty() {
+        return this.caller.chunks.length === 0 && this.agent.chunks.length === 0 && this.agentClips.length === 0;
+    }
+
+    async decodeAgentClips() {
+        for (const clip of this.agentClips) {
+            let samples;
+            try {
+                samples = await decodeAudio(clip.buffer, this.sampleRate);
+            } catch (err) {
+                console.error('❌ Could not decode agent audio for recording:', err.message);
+                continue;
+            }
+
+            const cutAt = this.agentCuts.find(ms => ms > clip.atMs);
+            if (cutAt !== undefined) {
+                samples = samples.subarray(0, this.msToSamples(cutAt - clip.atMs));
+            }
+            this.agent.chunks.push({ offset: this.msToSamples(clip.atMs), samples });
+        }
+        this.agentClips = [];
+    }
+
+    /**
+     * @returns {Promise<Buffer>} - 16-bit stereo WAV
+     */
+    async toWav() {
+        await this.decodeAgentClips();
+
+        const channelEnd = (channel) => channel.chunks.reduce((end, c) => Math.max(end, c.offset + c.samples.length), 0);
+        const length = Math.max(channelEnd(this.caller), channelEnd(this.agent));
+        const render = (channel) => {
+            const output = new Int16Array(length);
+            for (const { offset, samples } of channel.chunks) {
+                output.set(samples.subarray(0, length - offset), offset);
+            }
+            return output;
+        };
+
+        const wav = new WaveFile();
+        wav.fromScratch(2, this.sampleRate, '16', [render(this.caller), render(this.agent)]);
+        return Buffer.from(wav.toBuffer());
+    }
+
+    /**
+     * Write the recording to RECORDINGS_DIR
+     * @param {string} callId
+     * @returns {Promise<string|null>} - File path, or null if nothing was recorded
+     */
+    async save(callId) {
+        if (this.isEmpty) return null;
+
+        const wav = await this.toWav();
+        const filePath = getRecordingPath(callId);
+        await fs.promises.mkdir(RECORDINGS_DIR, { recursive: true });
+        await fs.promises.writeFile(filePath, wav);
+        console.log(`🎙️ Saved recording for call ${callId}: ${(wav.length / 1024).toFixed(0)} KB`);
+        return filePath;
+    }
+}
+
+/**
+ * Where the recording of a call is stored
+ * @param {string} callId
+ * @returns {string}
+ */
+function getRecordingPath(callId) {
+    return path.join(RECORDINGS_DIR, `${path.basename(String(callId))}.wav`);
+}
+
+/**
+ * The spoken conversation from a session context: tool calls and results
+ * are left out and keypad entries masked.
+ * @param {Array} context - Gemini contents ({ role, parts })
+ * @returns {Array<{role: string, text: string}>} - role is 'user' or 'agent'
+ */
+function buildTranscript(context) {
+    return context
+        .filter(entry => entry.role === 'user' || entry.role === 'model')
+        .map(entry => ({
+            role: entry.role === 'model' ? 'agent' : 'user',
+            text: (entry.parts || [])
+                .map(part => part.text || '')
+                .join('')
+                .replace(KEYPAD_PATTERN, (match, digits) => `[Caller pressed on keypad: ${maskDigits(digits)}]`)
+                .trim()
+        }))
+        .filter(line => line.text);
+}
+
+/**
+ * 16-bit little-endian PCM bytes (e.g. browser microphone audio) as samples
+ * @param {Buffer} buffer
+ * @returns {Int16Array}
+ */
+function pcm16(buffer) {
+    const samples = new Int16Array(Math.floor(buffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2);
+    }
+    return samples;
+}
+
+/**
+ * Decode TTS audio (MP3, WAV, ...) to mono 16-bit PCM with ffmpeg
+ */
+function decodeAudio(buffer, sampleRate) {
+    const { spawn } = require('child_process');
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', [
+            '-i', 'pipe:0',
+            '-ar', String(sampleRate),
+            '-ac', '1',
+            '-f', 's16le',
+            'pipe:1'
+        ]);
+
+        const chunks = [];
+        let stderrOutput = '';
+        ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (data) => { stderrOutput += data.toString(); });
+        ffmpeg.on('error', (error) => reject(new Error(`ffmpeg process error: ${error.message}`)));
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                return reject(new Error(`ffmpeg exited with code ${code}: ${stderrOutput}`));
+            }
+            resolve(pcm16(Buffer.concat(chunks)));
+        });
+
+        ffmpeg.stdin.on('error', () => { }); // ffmpeg may exit before reading everything
+        ffmpeg.stdin.end(buffer);
+    });
+}
+
+module.exports = {
+    CallRecorder,
+    getRecordingPath,
+    buildTranscript,
+    pcm16
+};
@@ -1,5 +1,8 @@
 const { v4: uuidv4 } = require('uuid');
 const twilio = require('twilio');
+const { isSandboxMode } = require('../sandbox/index.js');
+const { createSandboxTwilioClient } = require('../sandbox/twilioClient.js');
+const { getTemplateVariables } = require('../utils/template.js');
 
 class CampaignService {
     constructor(mysqlPool, walletService, costCalculator) {
@@ -8,11 +11,13 @@ class CampaignService {
         this.costCalculator = costCalculator;
         this.activeCampaigns = new Map(); // Track running campaigns
 
-        // Initialize Twilio client
-        this.twilioClient = twilio(
-            process.env.TWILIO_ACCOUNT_SID,
-            process.env.TWILIO_AUTH_TOKEN
-        );
+        // Initialize Twilio client (simulated in sandbox mode)
+        this.twilioClient = isSandboxMode()
+            ? createSandboxTwilioClient()
+            : twilio(
+                process.env.TWILIO_ACCOUNT_SID,
+                process.env.TWILIO_AUTH_TOKEN
+            );
     }
 
     /**
@@ -48,12 +53,13 @@ class CampaignService {
      */
     async addContacts(campaignId, contacts) {
         try {
+            // CSV imports send phone; other columns are in metadata ({{variables}} for the agent)
             const values = contacts.map(contact => [
                 uuidv4(),
                 campaignId,
-                contact.phone_number,
+                contact.phone_number || contact.phone,
                 contact.name || null,
-                contact.metadata ? JSON.stringify(contact.metadata) : null
+                contact.metadata && Object.keys(contact.metadata).length > 0 ? JSON.stringify(contact.metadata) : null
             ]);
 
             await this.mysqlPool.query(
@@ -70,7 +76,7 @@ class CampaignService {
                 [campaignId, campaignId]
             );
 
-            return { success: true, added: contacts.length };
+            return { success: true, added: contacts.length, message: `Imported ${contacts.length} contacts` };
         } catch (error) {
             console.error('Error adding contacts:', error);
             throw error;
@@ -260,11 +266,11 @@ class CampaignService {
             const fromNumber = twilioNumbers[0].phone_number;
 
             // Create TwiML URL with campaign parameters
-            const twimlUrl = `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/voice?` +
-                `agentId=${campaign.agent_id}&` +
+            const campaignParams = `agentId=${campaign.agent_id}&` +
                 `userId=${campaign.user_id}&` +
                 `campaignId=${campaignId}&` +
                 `contactId=${contact.id}`;
+            const twimlUrl = `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/voice?${campaignParams}`;
 
             // Make the call using Twilio
             const call = await this.twilioClient.calls.create({
@@ -273,7 +279,19 @@ class CampaignService {
                 url: twimlUrl,
                 statusCallback: `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/status`,
                 statusCallbackEvent: ['completed'],
-                statusCallbackMethod: 'POST'
+                statusCallbackMethod: 'POST',
+                // Answering machine detection - waits for the beep so a voicemail can be left.
+                // It runs alongside the call, so a person who answers is greeted straight away;
+                // the result (AnsweredBy) goes to /api/twilio/amd-status
+                ...(agentSettings?.voicemailDetection !== false
+                    ? {
+                        machineDetection: 'DetectMessageEnd',
+                        machineDetectionTimeout: 30,
+                        asyncAmd: 'true',
+                        asyncAmdStatusCallback: `${process.env.BASE_URL || 'https://ziyavoice-production.up.railway.app'}/api/twilio/amd-status?${campaignParams}`,
+                        asyncAmdStatusCallbackMethod: 'POST'
+                    }
+                    : {})
             });
 
             console.log(`✅ Call initiated: ${call.sid}`);
@@ -394,19 +412,26 @@ class CampaignService {
 
         const campaign = campaigns[0];
 
-        // Get campaign contacts/records
+        // Get campaign contacts/records, with the post-call analysis of their call
         const [records] = await this.mysqlPool.execute(
-            `SELECT * FROM campaign_contacts 
-       WHERE campaign_id = ?
-       ORDER BY created_at DESC`,
+            `SELECT cc.*, calls.disposition AS call_disposition, calls.summary AS call_summary,
+              calls.sentiment AS call_sentiment, calls.extracted_data AS call_extracted_data
+       FROM campaign_contacts cc
+       LEFT JOIN calls ON calls.id = cc.call_id
+       WHERE cc.campaign_id = ?
+       ORDER BY cc.created_at DESC`,
             [campaignId]
         );
 
         // Map database fields to frontend-expected fields
-        const mappedRecords = records.map(record => ({
+        const mappedRecords = records.map(({ call_disposition, call_summary, call_sentiment, call_extracted_data, ...record }) => ({
             ...record,
             phone: record.phone_number,  // Map phone_number to phone
-            callStatus: record.status     // Map status to callStatus
+            callStatus: record.status,    // Map status to callStatus
+            callDisposition: call_disposition || null,
+            summary: call_summary || null,
+            sentiment: call_sentiment || null,
+            extractedData: parseMetadata(call_extracted_data)
         }));
 
         return {
@@ -449,6 +474,79 @@ class CampaignService {
         return contacts;
     }
 
+    /**
+     * Record who/what answered a contact's call (human, voicemail_left, machine_hangup, ...)
+     * so retries can skip or target them
+     */
+    async setContactDisposition(contactId, disposition) {
+        await this.mysqlPool.execute(
+            'UPDATE campaign_contacts SET disposition = ? WHERE id = ?',
+            [disposition, contactId]
+        );
+    }
+
+    /**
+     * Template variables for a contact: metadata fields plus name and phone_number
+     */
+    async getContactVariables(contactId) {
+        const [contacts] = await this.mysqlPool.execute(
+            'SELECT name, phone_number, metadata FROM campaign_contacts WHERE id = ?',
+            [contactId]
+        );
+        if (contacts.length === 0) return {};
+
+        return contactVariables(contacts[0]);
+    }
+
+    /**
+     * {{variables}} in the agent's identity, greeting and voicemail message that
+     * pending contacts have no value for - checked before the campaign starts
+     * @returns {Promise<{variables: string[], contacts: number, missing: Array<{variable: string, contacts: number}>, prefetchWebhook: boolean}>}
+     */
+    async findMissingVariables(campaignId) {
+        const [campaigns] = await this.mysqlPool.execute(
+            `SELECT a.identity, a.settings
+       FROM campaigns c
+       JOIN agents a ON c.agent_id = a.id
+       WHERE c.id = ?`,
+            [campaignId]
+        );
+        if (campaigns.length === 0) {
+            return { variables: [], contacts: 0, missing: [], prefetchWebhook: false };
+        }
+
+        const settings = parseMetadata(campaigns[0].settings);
+        const variables = getTemplateVariables([
+            campaigns[0].identity,
+            settings.greetingLine,
+            settings.voicemailDetection !== false && settings.voicemailAction === 'leave_message' ? settings.voicemailMessage : ''
+        ].join('\n'));
+
+        const [contacts] = await this.mysqlPool.execute(
+            `SELECT name, phone_number, metadata FROM campaign_contacts
+       WHERE campaign_id = ? AND status = 'pending'`,
+            [campaignId]
+        );
+
+        const missing = variables
+            .map(variable => ({
+                variable,
+                contacts: contacts.filter(contact => {
+                    const value = contactVariables(contact)[variable];
+                    return value === undefined || value === null || String(value).trim() === '';
+                }).length
+            }))
+            .filter(entry => entry.contacts > 0);
+
+        return {
+            variables,
+            contacts: contacts.length,
+            missing,
+            // The prefetch webhook may still fill them in at call time
+            prefetchWebhook: !!settings.prefetchDataWebhook
+        };
+    }
+
     /**
      * Update campaign contact after call completion
      */
@@ -736,4 +834,26 @@ class CampaignService {
 }
 
 
+/**
+ * A contact's {{variables}}: its CSV columns, name, first_name and phone_number
+ */
+function contactVariables(contact) {
+    const variables = { ...parseMetadata(contact.metadata), phone_number: contact.phone_number };
+    if (contact.name) {
+        variables.name = contact.name;
+        if (!variables.first_name) variables.first_name = contact.name.trim().split(/\s+/)[0];
+    }
+    return variables;
+}
+
+function parseMetadata(value) {
+    if (!value) return {};
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
 module.exports = CampaignService;
@@ -0,0 +1,1346 @@
+const WalletService = require('./walletService.js');
+const CostCalculator = require('./costCalculator.js');
+const { getInterruptionProfile, isBargeIn, spokenPortion, trimContextEntry } = require('../utils/interruption.js');
+const { getTurnTakingProfile, isConfidentSpeech } = require('../utils/turnTaking.js');
+const { SentenceChunker } = require('../utils/sentenceChunker.js');
+const ToolRegistry = require('./toolRegistry.js');
+const { executeAgentTool } = require('./liveToolExecutor.js');
+const SessionWatchdog = require('./sessionWatchdog.js');
+const { END_CALL_DECLARATION, SEND_DTMF_DECLARATION, buildTransferCallDeclaration, getTransferDestinations, normalizeDisposition } = require('./builtinTools.js');
+const { DtmfCollector, sanitizeDigits, maskDigits } = require('../utils/dtmf.js');
+const { renderTemplate } = require('../utils/template.js');
+const { buildTranscript } = require('./callRecorder.js');
+const { KnowledgeBaseService, formatPassages } = require('./knowledgeBaseService.js');
+const { getLanguageProfile, getTtsOptions, getPromptInstruction } = require('../utils/language.js');
+const { resolveProviderKeys, getOwnKeyProviders } = require('./providerKeyService.js');
+const { selectProviders, createProviders } = require('./providers/index.js');
+const { ttsCache } = require('./ttsCache.js');
+const { WebhookService } = require('./webhookService.js');
+const { CallAnalysisService } = require('./callAnalysisService.js');
+
+const MAX_TOOL_ROUNDS = 5; // Model → tools → model round trips per user turn
+const INACTIVITY_PROMPT = "Are you still there?";
+const DEFAULT_END_MESSAGE = "Your session has ended.";
+const END_CALL_MAX_WAIT_MS = 30000; // Hang up even if playback never reports finishing
+const OUTPUT_FORMATS = ['ulaw_8000', 'mp3']; // Twilio and browser transports
+const TRANSFER_FAILED_MESSAGE = "I'm sorry, I couldn't transfer your call right now.";
+const DEFAULT_VOICEMAIL_MESSAGE = "Hi {{name}}, sorry we missed you. Please call us back when you get a chance.";
+const FALLBACK_REPLY = "I apologize, I'm having trouble processing that right now.";
+const DEFAULT_PROMPT = "You are a helpful AI assistant.";
+const DEFAULT_VOICE_ID = "21m00Tcm4TlvDq8ikWAM";
+const DEFAULT_GREETING = "Hello! How can I help you today?";
+const HOLD_FILLER_DELAY_MS = 3000; // Tool still running after this: tell the caller to hold on
+const HOLD_FILLER_INTERVAL_MS = 7000;
+const HOLD_FILLER_PHRASES = ["Thanks for waiting, I'm still on it.", "Just a moment longer, please.", "Still working on that for you."];
+
+// Live sessions of every transport, keyed by session id
+const sessions = new Map();
+
+/**
+ * Conversation Engine
+ * One implementation of a live call - speech-to-text, barge-in, streamed LLM
+ * replies with tools, TTS, keypad input, knowledge retrieval, timeouts,
+ * hang-up / transfer and billing - shared by the Twilio and browser handlers.
+ *
+ * A transport (the handler) moves audio and owns playback timing:
+ *   name, inputAudio { encoding, sampleRate, phone }, outputFormat ('ulaw_8000' | 'mp3'),
+ *   streamsAudio (play a sentence while its TTS is still arriving),
+ *   utteranceEndMs (unless the agent sets its own), greetingDelayMs,
+ *   supervisorAudio (feeds monitorAudio, so supervisors can listen in)
+ *   startPlayback(session, playback)   - a reply started; send segments as they get audio
+ *   updatePlayback(session, playback)  - a segment finished or playback.ended was set;
+ *                                        call engine.playbackFinished() once everything was heard
+ *   stopAudio(session, playback)       - barge-in: drop anything still queued on the client
+ *   spokenFraction(segment)            - 0..1 of a segment the caller has heard
+ *   notify(session, event)             - text events for clients that show the conversation
+ *   dtmfTones(digits)                  - in-band tones for send_dtmf, or null
+ *   transfer(session, destination, summary), hangUp(session)
+ * A textOnly transport (the conversation simulator) gets no STT or TTS -
+ * replies are played as text.
+ */
+class ConversationEngine {
+    constructor(mysqlPool = null, campaignService = null) {
+        this.mysqlPool = mysqlPool;
+        this.campaignService = campaignService;
+        this.knowledgeBase = new KnowledgeBaseService(this.getPool());
+        this.webhooks = new WebhookService(this.getPool());
+        this.callAnalysis = new CallAnalysisService(this.getPool());
+
+        if (mysqlPool) {
+            this.walletService = new WalletService(mysqlPool);
+            this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
+        }
+    }
+
+    getPool() {
+        return this.mysqlPool || require('../config/database.js').default;
+    }
+
+    /**
+     * Agent configuration for a call. Defaults (e.g. voice and identity from a
+     * browser test call's query string) apply when the agent can't be loaded.
+     * @returns {Promise<{prompt, voiceId, model, greeting, tools, settings, language}>}
+     */
+    async loadAgent(userId, agentId, defaults = {}) {
+        const agent = {
+            prompt: defaults.prompt || DEFAULT_PROMPT,
+            voiceId: defaults.voiceId || DEFAULT_VOICE_ID,
+            model: null, // Default LLM
+            greeting: DEFAULT_GREETING,
+            tools: [],
+            settings: {},
+            language: null
+        };
+        if (!agentId) return agent;
+
+        try {
+            const AgentService = require('./agentService.js');
+            const agentService = new AgentService(this.getPool());
+            const record = await agentService.getAgentById(userId, agentId);
+            if (!record) {
+                console.error(`❌ Agent ${agentId} not found for userId ${userId} - using defaults`);
+                return agent;
+            }
+
+            agent.prompt = record.identity || agent.prompt;
+            agent.settings = record.settings || {};
+            agent.language = record.language;
+            agent.model = record.model;
+            // Tools are declared to the LLM as functions (see ToolRegistry)
+            agent.tools = agent.settings.tools || [];
+            if (record.voiceId) agent.voiceId = record.voiceId;
+            if (agent.settings.greetingLine) agent.greeting = agent.settings.greetingLine;
+            console.log(`✅ Loaded agent ${record.name} with ${agent.tools.length} tools, voice ${agent.voiceId}`);
+        } catch (err) {
+            console.error("⚠️  Error loading agent:", err.message);
+        }
+        return agent;
+    }
+
+    /**
+     * Synthesize the agent's greeting into the TTS cache for phone and
+     * browser calls, so the first call after a save doesn't wait for it
+     */
+    async prewarmGreeting(userId, agentId) {
+        const agent = await this.loadAgent(userId, agentId);
+        // Personalized greetings ({{name}}) differ per call
+        if (!agent.greeting || agent.greeting.includes('{{')) return;
+
+        const keys = await resolveProviderKeys(userId);
+        const { tts: ttsId } = selectProviders(agent.settings, agent);
+        const { providers } = createProviders({ tts: ttsId }, keys, agent);
+        if (!providers.tts) return;
+
+        const language = getLanguageProfile(agent.language, { multilingual: agent.settings.multilingual });
+        for (const format of OUTPUT_FORMATS) {
+            const options = buildTtsOptions(agent.voiceId, format, language);
+            const cacheKey = ttsCacheKey(providers.tts, options, agent.greeting);
+            if (await ttsCache.get(cacheKey)) continue;
+
+            try {
+                ttsCache.set(cacheKey, await providers.tts.synthesize(agent.greeting, options));
+                console.log(`💾 Cached ${format} greeting for agent ${agentId}`);
+            } catch (err) {
+                console.error(`❌ Error pre-warming greeting for agent ${agentId}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<{allowed: boolean, message?: string, balance?: number}>}
+     */
+    async checkBalance(userId) {
+        if (!userId || !this.walletService) return { allowed: true };
+
+        const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
+        if (balanceCheck.allowed) {
+            console.log(`✅ Balance check passed: $${balanceCheck.balance.toFixed(4)}`);
+        } else {
+            console.error(`❌ Insufficient balance for user ${userId}: ${balanceCheck.message}`);
+        }
+        return balanceCheck;
+    }
+
+    /**
+     * Create the session with the agent's providers (its model's LLM plus
+     * settings.providers) and the call's keys, user's own first
+     * @param {Object} options - id, callId, userId, agentId, agent (from loadAgent), transport,
+     *   executeTool (runs agent tools; the simulator passes mock results instead)
+     * @returns {Promise<Object|null>} - null when a provider has no key
+     */
+    async createSession({ id, callId = null, userId = null, agentId = null, agent, transport, executeTool = executeAgentTool }) {
+        const settings = agent.settings;
+        const keys = await resolveProviderKeys(userId);
+        const selection = selectProviders(settings, agent);
+        if (transport.textOnly) {
+            delete selection.stt;
+            delete selection.tts;
+        }
+        const { providers, missing } = createProviders(selection, keys, agent);
+        if (missing.length > 0) {
+            console.error(`❌ No ${missing.join(', ')} API key for ${transport.name} call ${id} (platform or user)`);
+            return null;
+        }
+
+        const session = {
+            id,
+            callId, // calls.id
+            transport,
+            context: [],
+            agentPrompt: agent.prompt,
+            agentVoiceId: agent.voiceId,
+            greetingMessage: agent.greeting,
+            settings,
+            providers, // stt / llm / tts instances (see providers/index.js)
+            keys: keys, // Provider keys for this call (never log these)
+            sttStream: null,
+            isSpeaking: false,
+            playback: null, // Reply being played (segments, context entry being spoken)
+            turnId: 0, // Bumped on every user turn so stale replies can be dropped
+            interruption: getInterruptionProfile(settings.interruptionSensitivity), // Barge-in thresholds
+            turnTaking: getTurnTakingProfile(settings, transport), // Endpointing, minimum confidence, response delay
+            pendingUtterance: null, // Caller speech held for the response delay
+            turnMetrics: [], // Per-turn latency (LLM first token, first audio sent)
+            toolRegistry: new ToolRegistry(), // Function declarations + handlers
+            watchdog: null, // Session timeout / inactivity checks
+            ending: false, // Set once the agent starts closing the call
+            closed: false, // Transport gone, session finished
+            endReason: null, // Stored on the calls row
+            disposition: null, // Call outcome given by the agent when it hangs up, or by the post-call analysis
+            analysis: null, // Post-call analysis: summary, sentiment, disposition, extracted fields
+            pendingEnd: null, // Set by the end_call tool, acted on once the reply has been spoken
+            pendingTransfer: null, // Destination picked by the transfer_call tool
+            dtmf: null, // Groups caller keypresses into one user turn
+            recorder: null, // Both sides of the call, saved as a stereo WAV (set by the transport)
+            knowledge: null, // BM25 index over the agent's knowledge documents
+            knowledgePassages: [], // Retrieved for the current turn
+            language: getLanguageProfile(agent.language, { multilingual: settings.multilingual }),
+            variables: {}, // {{variables}} for the prompt and greeting (campaign contact, prefetch webhook)
+            callMetadata: null, // Caller number, campaign and contact, as sent to the webhooks
+            contactId: null, // Campaign contact being called
+            monitors: new Set(), // Supervisors watching the call (see CallMonitorHandler)
+            whispers: [], // Private supervisor instructions, added to the system instruction
+            takenOver: false, // A supervisor types the agent's replies; the LLM stays quiet
+            endMessage: settings.sessionTimeoutEndMessage || DEFAULT_END_MESSAGE,
+            lastUserSpeechTime: null,
+            userId,
+            agentId,
+            startTime: new Date(),
+            usage: {} // Billed units by service (CostCalculator usage keys)
+        };
+
+        session.toolRegistry.registerAgentTools(agent.tools, executeTool);
+        if (settings.agentCanTerminateCall) {
+            this.registerEndCallTool(session);
+        }
+        if (settings.callTransfer) {
+            this.registerTransferCallTool(session, settings.transferDestinations);
+        }
+        if (settings.dtmfDial) {
+            this.registerSendDtmfTool(session);
+        }
+        if (settings.dtmfInput !== false) {
+            session.dtmf = new DtmfCollector((digits) => this.handleKeypadInput(session, digits));
+        }
+        if (settings.knowledgeDocIds?.length) {
+            this.loadKnowledge(session, settings.knowledgeDocIds);
+        }
+
+        sessions.set(id, session);
+        console.log(`✅ Created ${transport.name} session ${id}: STT ${selection.stt || '-'}, LLM ${selection.llm}, TTS ${selection.tts || '-'}, ` +
+            `language ${session.language.id}${session.language.multilingual ? ' (multilingual)' : ''}`);
+        return session;
+    }
+
+    /**
+     * Fetch the call's variables, start listening, then greet the caller - or
+     * leave the agent's voicemail message when an answering machine picked up
+     */
+    async start(session, { voicemail = false, contactId = null } = {}) {
+        session.contactId = contactId;
+        await this.loadCallVariables(session, contactId);
+        if (session.ending || session.closed) return;
+
+        this.startListening(session);
+
+        if (voicemail) {
+            this.leaveVoicemail(session);
+            return;
+        }
+
+        this.startWatchdog(session);
+        setTimeout(() => this.greet(session), session.transport.greetingDelayMs);
+    }
+
+    /**
+     * The call's {{variables}} - the campaign contact's CSV columns, then
+     * whatever the agent's prefetch webhook answers - filled into the prompt
+     * and greeting
+     */
+    async loadCallVariables(session, contactId = null) {
+        if (session.transport.textOnly) return;
+
+        let contactVariables = {};
+        if (contactId && this.campaignService) {
+            try {
+                contactVariables = await this.campaignService.getContactVariables(contactId);
+            } catch (err) {
+                console.error("❌ Error loading campaign contact:", err.message);
+            }
+        }
+
+        let prefetched = {};
+        try {
+            prefetched = await this.webhooks.prefetch(session);
+        } catch (err) {
+            console.error("❌ Error prefetching call data:", err.message);
+        }
+        session.variables = { ...contactVariables, ...prefetched };
+
+        if (session.agentPrompt.includes('{{')) {
+            session.agentPrompt = renderTemplate(session.agentPrompt, session.variables);
+        }
+        if (session.greetingMessage.includes('{{')) {
+            session.greetingMessage = renderTemplate(session.greetingMessage, session.variables);
+        }
+    }
+
+    startListening(session) {
+        const { endpointingMs, utteranceEndMs } = session.turnTaking;
+        session.sttStream = session.providers.stt.startStream({
+            ...session.transport.inputAudio,
+            language: session.language,
+            endpointingMs,
+            utteranceEndMs,
+            params: session.streamParams || {}
+        }, {
+            onTranscript: (result) => {
+                this.handleTranscript(session, result).catch(err => console.error("❌ Transcript error:", err));
+            },
+            // Voice activity: the caller may be carrying on, keep holding a delayed reply
+            onSpeechStarted: () => this.restartResponseDelay(session)
+        });
+    }
+
+    /**
+     * Caller audio from the transport, in its inputAudio format
+     */
+    pushAudio(session, audio) {
+        if (session.sttStream && audio.length > 0) session.sttStream.send(audio);
+    }
+
+    /**
+     * A key the caller pressed - collected into one turn (see DtmfCollector)
+     */
+    pushDigit(session, digit) {
+        if (!session.dtmf || !digit || session.ending) return;
+
+        session.watchdog?.activity();
+        if (session.isSpeaking && session.interruption) {
+            this.interruptPlayback(session);
+        }
+        session.dtmf.push(String(digit));
+    }
+
+    async greet(session) {
+        if (session.ending || session.closed) return;
+        console.log(`👋 Greeting: "${session.greetingMessage}"`);
+
+        const audio = await this.synthesize(session, session.greetingMessage);
+        if (audio && audio.length > 0 && !session.ending) {
+            this.playLine(session, session.greetingMessage, audio, false);
+        } else if (!audio || audio.length === 0) {
+            console.error("❌ Greeting audio is empty - TTS generation failed");
+        }
+    }
+
+    async handleTranscript(session, result) {
+        const transcript = result.text.trim();
+        if (!transcript || session.ending) return;
+
+        // Line noise and background voices neither interrupt nor start a turn
+        if (!isConfidentSpeech(session.turnTaking, result)) {
+            if (result.isFinal) {
+                console.log(`🔇 Ignored low-confidence speech (${result.confidence.toFixed(2)}): "${transcript}"`);
+            }
+            return;
+        }
+
+        session.watchdog?.activity();
+
+        // Barge-in: interim results are enough to cut the agent off
+        if (session.isSpeaking && isBargeIn(session.interruption, result)) {
+            this.interruptPlayback(session);
+        }
+
+        // Only respond to final transcripts
+        if (!result.isFinal) {
+            this.restartResponseDelay(session);
+            return;
+        }
+
+        console.log(`🎤 User said: "${transcript}"`);
+        session.lastUserSpeechTime = Date.now();
+        // Audio duration when the provider reports it, else ~2.5 words per second
+        this.trackUsage(session, session.providers.stt.usageKey, result.duration || transcript.split(' ').length / 2.5);
+        this.notify(session, { event: 'transcript', text: transcript });
+
+        if (session.turnTaking.responseDelayMs > 0) {
+            this.holdUtterance(session, transcript);
+            return;
+        }
+        await this.respondToUtterance(session, transcript);
+    }
+
+    async respondToUtterance(session, transcript) {
+        const turnId = ++session.turnId;
+        this.appendToContext(session, transcript, "user");
+        if (session.takenOver) return; // The supervisor answers
+
+        // Stream LLM → sentence chunks → TTS → transport
+        await this.streamResponse(session, turnId);
+    }
+
+    /**
+     * Response delay: wait a moment after the caller stops before replying.
+     * Anything they add in the meantime is answered in the same turn.
+     */
+    holdUtterance(session, transcript) {
+        if (!session.pendingUtterance) {
+            session.pendingUtterance = { parts: [], timer: null };
+        }
+        session.pendingUtterance.parts.push(transcript);
+        this.restartResponseDelay(session);
+    }
+
+    restartResponseDelay(session) {
+        const pending = session.pendingUtterance;
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+            session.pendingUtterance = null;
+            if (session.ending || session.closed) return;
+            this.respondToUtterance(session, pending.parts.join(' '))
+                .catch(err => console.error("❌ Transcript error:", err));
+        }, session.turnTaking.responseDelayMs);
+    }
+
+    appendToContext(session, text, role, logText = text) {
+        const entry = { role, parts: [{ text }] };
+        session.context.push(entry);
+        console.log(`💬 ${role.toUpperCase()}: ${logText}`);
+        return entry;
+    }
+
+    /**
+     * Barge-in: stop playback on the transport and drop the unheard part of
+     * the agent's reply from the context
+     */
+    interruptPlayback(session) {
+        const playback = session.playback;
+        session.isSpeaking = false;
+        session.playback = null;
+
+        if (playback) {
+            clearTimeout(playback.timer);
+            if (playback.contextEntry) {
+                const spokenText = playback.segments
+                    .filter(segment => segment.entry === playback.contextEntry)
+                    .map(segment => spokenPortion(segment.text, session.transport.spokenFraction(segment)))
+                    .filter(Boolean)
+                    .join(' ');
+                trimContextEntry(session.context, playback.contextEntry, spokenText);
+            }
+        }
+
+        session.transport.stopAudio(session, playback);
+        console.log(`⚠️  User interrupted agent - playback stopped`);
+    }
+
+    /**
+     * Enforce the agent's session-timeout settings for this call
+     */
+    startWatchdog(session) {
+        session.watchdog = new SessionWatchdog(session.settings, {
+            isAgentSpeaking: () => session.isSpeaking,
+            onPrompt: () => this.promptInactiveCaller(session),
+            onTimeout: (reason) => this.endCall(session, reason)
+        });
+        session.watchdog.start();
+    }
+
+    async promptInactiveCaller(session) {
+        if (session.ending || session.takenOver) return;
+        console.log(`🔕 No voice activity on call ${session.id} - checking in with caller`);
+
+        const audio = await this.synthesize(session, INACTIVITY_PROMPT);
+        if (audio && audio.length > 0 && !session.ending && !session.isSpeaking && !session.takenOver) {
+            this.playLine(session, INACTIVITY_PROMPT, audio);
+        }
+    }
+
+    /**
+     * Let the agent hang up. The call ends after the reply that called
+     * end_call has finished playing (see streamResponse).
+     */
+    registerEndCallTool(session) {
+        session.toolRegistry.register(END_CALL_DECLARATION, async (args) => {
+            session.pendingEnd = { disposition: normalizeDisposition(args.disposition) };
+            console.log(`📴 Agent requested hang-up: ${args.reason || 'no reason given'}`);
+            return { success: true, message: 'The call will end once your reply has been spoken.' };
+        });
+    }
+
+    /**
+     * Keypad input becomes a user turn. Digits go to the model as-is but are
+     * masked in logs, since callers may be entering PINs or account numbers.
+     */
+    async handleKeypadInput(session, digits) {
+        if (session.ending || session.closed) return;
+        console.log(`🔢 Caller pressed ${digits.length} key(s): ${maskDigits(digits)}`);
+
+        const turnId = ++session.turnId;
+        this.appendToContext(session, `[Caller pressed on keypad: ${digits}]`, "user", `[Caller pressed on keypad: ${maskDigits(digits)}]`);
+        if (session.takenOver) return; // The supervisor answers
+        await this.streamResponse(session, turnId);
+    }
+
+    /**
+     * Let the agent press keys to get through phone menus. On phone calls the
+     * tones are played in-band, after anything the agent says in the same reply.
+     */
+    registerSendDtmfTool(session) {
+        session.toolRegistry.register(SEND_DTMF_DECLARATION, async (args) => {
+            const digits = sanitizeDigits(args.digits);
+            if (!digits) {
+                return { success: false, error: 'No valid keys to press (use 0-9, *, #)' };
+            }
+
+            console.log(`🔢 Agent pressing ${digits.length} key(s): ${maskDigits(digits)}`);
+            const tones = session.transport.dtmfTones(digits);
+            if (!tones) {
+                this.notify(session, { event: 'dtmf-sent', digits });
+            } else if (session.playback) {
+                const segment = this.addPlaybackSegment(session.playback, '');
+                segment.buffer = tones;
+                segment.done = true;
+                session.transport.updatePlayback(session, session.playback);
+            } else {
+                this.playAudio(session, tones);
+            }
+            return { success: true, message: `Pressed ${digits.length} key(s)` };
+        });
+    }
+
+    /**
+     * Let the agent hand the caller to a human (settings.transferDestinations).
+     * The transfer starts after the reply that called transfer_call has played.
+     */
+    registerTransferCallTool(session, destinations) {
+        const declaration = buildTransferCallDeclaration(destinations);
+        if (!declaration) return;
+
+        const usable = getTransferDestinations(destinations);
+        session.toolRegistry.register(declaration, async (args) => {
+            const name = String(args.destination || '').trim().toLowerCase();
+            const destination = usable.find(d => d.name.trim().toLowerCase() === name);
+            if (!destination) {
+                return { success: false, error: `Unknown transfer destination "${args.destination}"` };
+            }
+
+            session.pendingTransfer = destination;
+            console.log(`🔀 Agent requested transfer to ${destination.name}: ${args.reason || 'no reason given'}`);
+            return { success: true, message: `The caller will be transferred to ${destination.name} once your reply has been spoken.` };
+        });
+    }
+
+    /**
+     * Hand the call to a human once the agent has finished speaking.
+     * Cold: the call goes straight to the destination.
+     * Warm: the human hears a summary of the conversation before being connected.
+     */
+    async transferCall(session, destination) {
+        if (session.ending) return;
+        session.ending = true;
+        session.turnId++; // drop any reply still being generated
+
+        const warm = destination.type === 'warm';
+        console.log(`🔀 ${warm ? 'Warm' : 'Cold'} transfer of call ${session.id} to ${destination.name}`);
+
+        // Write the summary while the agent's last sentence is still playing
+        const summaryPromise = warm ? this.summarizeForTransfer(session) : Promise.resolve(null);
+        await this.waitForPlayback(session, END_CALL_MAX_WAIT_MS);
+        const summary = await summaryPromise;
+
+        try {
+            await this.saveTransfer(session, destination.name, 'initiated', summary);
+            session.endReason = 'transferred';
+            await session.transport.transfer(session, destination, summary);
+            // The transport ends the session once the call has moved on
+            if (session.watchdog) session.watchdog.stop();
+        } catch (err) {
+            console.error("❌ Call transfer failed:", err.message);
+            session.endReason = null;
+            session.ending = false;
+            await this.saveTransfer(session, destination.name, 'failed', summary);
+
+            const audio = await this.synthesize(session, TRANSFER_FAILED_MESSAGE);
+            if (audio && audio.length > 0) {
+                this.playLine(session, TRANSFER_FAILED_MESSAGE, audio);
+            }
+        }
+    }
+
+    /**
+     * Short spoken briefing for the human taking over a warm transfer
+     */
+    async summarizeForTransfer(session) {
+        const transcript = session.context
+            .filter(entry => entry.role === 'user' || entry.role === 'model')
+            .map(entry => {
+                const text = (entry.parts || []).map(part => part.text).filter(Boolean).join(' ');
+                return text ? `${entry.role === 'user' ? 'Caller' : 'Agent'}: ${text}` : null;
+            })
+            .filter(Boolean)
+            .join('\n');
+
+        try {
+            const response = await session.providers.llm.generate({
+                contents: [{ role: "user", parts: [{ text: `Conversation so far:\n${transcript}` }] }],
+                systemInstruction: "You brief a human agent who is about to take over a phone call. " +
+                    "In two or three short spoken sentences, say who is calling, what they need and anything already agreed. " +
+                    "Plain sentences only - this is read out loud."
+            });
+            this.trackUsage(session, session.providers.llm.usageKey, response.tokens);
+            return response.text ? response.text.trim() : null;
+        } catch (err) {
+            console.error("❌ Error summarizing call for transfer:", err.message);
+            return null;
+        }
+    }
+
+    async saveTransfer(session, target, status, summary) {
+        if (!session.callId) return;
+        try {
+            await this.getPool().execute(
+                'UPDATE calls SET transfer_target = ?, transfer_status = ?, transfer_summary = ? WHERE id = ? OR call_sid = ?',
+                [target, status, summary, session.callId, session.callSid || session.callId]
+            );
+        } catch (err) {
+            console.error("❌ Error saving call transfer:", err.message);
+        }
+    }
+
+    /**
+     * Leave the agent's voicemail message (settings.voicemailMessage, with
+     * {{variables}} from the campaign contact) and hang up. The campaign
+     * contact is marked voicemail_left only once the whole message has played.
+     */
+    async leaveVoicemail(session) {
+        const message = renderTemplate(session.settings.voicemailMessage || DEFAULT_VOICEMAIL_MESSAGE, session.variables);
+        console.log(`📼 Leaving voicemail on call ${session.id}`);
+        const left = await this.endCall(session, 'voicemail', message);
+        console.log(`📼 Voicemail ${left ? 'left' : 'not left'} on call ${session.id}`);
+
+        if (!session.contactId || !this.campaignService) return;
+        try {
+            await this.campaignService.setContactDisposition(session.contactId, left ? 'voicemail_left' : 'machine_hangup');
+        } catch (err) {
+            console.error("❌ Error saving voicemail disposition:", err.message);
+        }
+    }
+
+    /**
+     * Speak the end message, wait for playback to finish, then hang up
+     * @param {Object} session
+     * @param {string} reason - Stored as calls.end_reason
+     * @param {string|null} message - Spoken before hanging up (defaults to the agent's end message, '' for none)
+     * @returns {Promise<boolean>} - Whether the message was played to the end
+     */
+    async endCall(session, reason, message = null) {
+        if (session.ending) return false;
+        session.ending = true;
+        session.endReason = reason;
+        session.turnId++; // drop any reply still being generated
+        if (session.watchdog) session.watchdog.stop();
+        console.log(`📴 Ending call ${session.id}: ${reason}`);
+
+        let playing = false;
+        try {
+            const text = message === null ? session.endMessage : message;
+            if (text && !session.closed) {
+                if (session.playback) this.interruptPlayback(session);
+                const audio = await this.synthesize(session, text);
+                if (audio && audio.length > 0 && !session.closed) {
+                    this.playLine(session, text, audio);
+                    playing = true;
+                }
+            }
+        } catch (err) {
+            console.error("❌ Error speaking end message:", err);
+        }
+
+        // Let the last sentence finish
+        await this.waitForPlayback(session, END_CALL_MAX_WAIT_MS);
+        const played = playing && !session.playback && !session.closed;
+        if (!session.closed) await session.transport.hangUp(session);
+        return played;
+    }
+
+    /**
+     * Resolve once everything queued has been played or maxWaitMs passes
+     */
+    waitForPlayback(session, maxWaitMs) {
+        const deadline = Date.now() + maxWaitMs;
+        return new Promise(resolve => {
+            const check = () => {
+                if (!session.playback || session.closed || Date.now() >= deadline) {
+                    return resolve();
+                }
+                setTimeout(check, 100);
+            };
+            check();
+        });
+    }
+
+    /**
+     * The transport is gone (hang-up, stream stopped, socket closed): stop
+     * everything, bill the call and store how it ended
+     */
+    async endSession(session) {
+        if (!session || session.closed) return;
+        session.closed = true;
+        sessions.delete(session.id);
+
+        if (session.playback) {
+            clearTimeout(session.playback.timer);
+            session.playback = null;
+        }
+        if (session.pendingUtterance) {
+            clearTimeout(session.pendingUtterance.timer);
+            session.pendingUtterance = null;
+        }
+        session.isSpeaking = false;
+        if (session.watchdog) session.watchdog.stop();
+        if (session.dtmf) session.dtmf.stop();
+        if (session.sttStream) session.sttStream.close();
+        this.notifyMonitors(session, { event: 'call-ended', reason: session.endReason || 'hangup' });
+
+        this.logLatencySummary(session);
+        const charge = await this.chargeUsage(session);
+        await this.recordEndReason(session);
+        const recordingUrl = await this.saveRecording(session);
+        console.log(`❌ Ended ${session.transport.name} session ${session.id}`);
+
+        if (!session.transport.textOnly) {
+            // Retries carry on in the background
+            this.webhooks.endOfCall(session, { recordingUrl, charge })
+                .catch(err => console.error("❌ Error sending end-of-call webhook:", err.message));
+        }
+        // Last, so a slow model holds up neither billing nor the webhook
+        await this.analyzeCall(session);
+    }
+
+    /**
+     * Post-call analysis (settings.postCallAnalysis) of calls where the
+     * caller said something. Runs once the call is billed, so its tokens are
+     * charged on their own; its disposition replaces the agent's.
+     * @returns {Promise<Object|null>} - { summary, sentiment, disposition, extractedData }
+     */
+    async analyzeCall(session) {
+        if (!session.callId || session.transport.textOnly || !session.settings.postCallAnalysis) return null;
+        const transcript = buildTranscript(session.context);
+        if (!transcript.some(line => line.role === 'user')) return null;
+
+        try {
+            const llm = session.providers.llm;
+            const { analysis, tokens } = await this.callAnalysis.analyze(llm, transcript, session.settings, session.disposition);
+            if (llm.usageKey && tokens) await this.chargeUsage(session, { [llm.usageKey]: tokens });
+            if (!analysis) {
+                console.warn(`⚠️ No analysis for call ${session.callId}: the model didn't answer with valid JSON`);
+                return null;
+            }
+
+            session.disposition = analysis.disposition || session.disposition;
+            await this.callAnalysis.save(session.callId, session.callSid, analysis);
+            console.log(`🔎 Analyzed call ${session.callId}: ${analysis.disposition || 'no disposition'}, ${analysis.sentiment || 'unknown'} sentiment`);
+            return analysis;
+        } catch (err) {
+            console.error("❌ Error analyzing call:", err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Bill the call. Providers running on the user's own keys or endpoints
+     * aren't charged.
+     * @param {Object} usage - Units per service, the whole call by default
+     * @returns {Promise<Object|null>} - recordAndCharge result, null when nothing was charged
+     */
+    async chargeUsage(session, usage = session.usage) {
+        if (!session.userId || !this.costCalculator) return null;
+
+        const ownProviders = Object.values(session.providers)
+            .filter(provider => provider.ownEndpoint)
+            .map(provider => provider.id);
+        try {
+            const result = await this.costCalculator.recordAndCharge(
+                session.userId,
+                session.callId,
+                usage,
+                [...getOwnKeyProviders(session.keys), ...ownProviders]
+            );
+            console.log(`✅ Charged user ${session.userId}: $${result.totalCharged.toFixed(4)}`);
+            console.log('   Breakdown:', result.breakdown);
+            return result;
+        } catch (err) {
+            console.error('❌ Error charging user:', err.message);
+            if (err.message === 'Insufficient balance') {
+                console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
+            }
+            return null;
+        }
+    }
+
+    async recordEndReason(session) {
+        if (!session.callId) return;
+        try {
+            await this.getPool().execute(
+                'UPDATE calls SET end_reason = ?, disposition = COALESCE(?, disposition) WHERE id = ? OR call_sid = ?',
+                [session.endReason || 'hangup', session.disposition, session.callId, session.callSid || session.callId]
+            );
+        } catch (err) {
+            console.error("❌ Error saving call end reason:", err.message);
+        }
+    }
+
+    /**
+     * Store the recording (if enabled) and the transcript on the calls row
+     * @returns {Promise<string|null>} - Recording URL
+     */
+    async saveRecording(session) {
+        if (!session.callId) return null;
+        try {
+            const filePath = session.recorder ? await session.recorder.save(session.callId) : null;
+            const recordingUrl = filePath ? `/api/calls/${session.callId}/recording` : null;
+            await this.getPool().execute(
+                'UPDATE calls SET recording_url = COALESCE(?, recording_url), transcript = ? WHERE id = ? OR call_sid = ?',
+                [recordingUrl, JSON.stringify(buildTranscript(session.context)), session.callId, session.callSid || session.callId]
+            );
+            return recordingUrl;
+        } catch (err) {
+            console.error("❌ Error saving call recording:", err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build the BM25 index for the agent's knowledge documents in the background
+     */
+    async loadKnowledge(session, documentIds) {
+        try {
+            session.knowledge = await this.knowledgeBase.getIndex(session.userId, documentIds);
+        } catch (err) {
+            console.error("❌ Error loading knowledge base:", err.message);
+        }
+    }
+
+    /**
+     * Look up passages for the caller's latest turn; they go into the system
+     * instruction for this turn only, so the history stays small
+     */
+    retrieveKnowledge(session) {
+        session.knowledgePassages = [];
+        if (!session.knowledge) return;
+
+        const lastUser = [...session.context].reverse().find(entry => entry.role === "user" && entry.parts?.[0]?.text);
+        session.knowledgeQuery = lastUser ? lastUser.parts[0].text : '';
+        session.knowledgePassages = this.knowledgeBase.search(session.knowledge, session.knowledgeQuery);
+        if (session.knowledgePassages.length > 0) {
+            console.log(`📚 Retrieved ${session.knowledgePassages.length} knowledge passages`);
+        }
+    }
+
+    recordKnowledgeCitations(session, answerEntry) {
+        if (session.knowledgePassages.length === 0 || !session.callId) return;
+
+        this.knowledgeBase.recordCitations({
+            callId: session.callId,
+            agentId: session.agentId,
+            query: session.knowledgeQuery,
+            answer: answerEntry?.parts?.[0]?.text || '',
+            passages: session.knowledgePassages
+        });
+    }
+
+    getSystemInstruction(session) {
+        return session.agentPrompt + getPromptInstruction(session.language) + formatPassages(session.knowledgePassages) +
+            formatWhispers(session.whispers);
+    }
+
+    /**
+     * Text event for the transport's client and any supervisors monitoring the call
+     */
+    notify(session, event) {
+        session.transport.notify(session, event);
+        this.notifyMonitors(session, event);
+    }
+
+    /**
+     * Event for supervisors only (whispers and take-overs stay off the caller's client)
+     */
+    notifyMonitors(session, event) {
+        session.monitors.forEach(monitor => monitor.notify(event));
+    }
+
+    /**
+     * Phone audio (8kHz µ-law frames) for supervisors listening in
+     * @param {'caller'|'agent'} track
+     */
+    monitorAudio(session, track, frame) {
+        session.monitors.forEach(monitor => monitor.audio(track, frame));
+    }
+
+    /**
+     * Supervisor whisper: a private instruction for the agent's next replies
+     */
+    whisper(session, text) {
+        session.whispers.push(text);
+        console.log(`🤫 Supervisor whisper on ${session.id}: ${text}`);
+        this.notifyMonitors(session, { event: 'whisper', text });
+    }
+
+    /**
+     * Supervisor take-over: the LLM stops answering and the supervisor's
+     * typed replies are spoken instead, until it is handed back
+     */
+    setTakenOver(session, takenOver) {
+        if (session.takenOver === takenOver) return;
+        session.takenOver = takenOver;
+        console.log(`🧑‍💼 Call ${session.id} ${takenOver ? 'taken over by a supervisor' : 'handed back to the agent'}`);
+        this.notifyMonitors(session, { event: takenOver ? 'taken-over' : 'handed-back' });
+
+        if (takenOver) {
+            session.turnId++; // Drop the reply being generated
+            if (session.isSpeaking) this.interruptPlayback(session);
+        } else if (session.context[session.context.length - 1]?.role === 'user' && !session.ending) {
+            // The caller spoke last - answer them now
+            this.streamResponse(session, ++session.turnId).catch(err => console.error("❌ Streaming response error:", err));
+        }
+    }
+
+    /**
+     * Speak a supervisor's reply word for word, in the agent's voice
+     */
+    async speakAsSupervisor(session, text) {
+        if (session.ending || session.closed) return;
+        if (session.isSpeaking) this.interruptPlayback(session);
+        session.turnId++;
+
+        const audio = await this.synthesize(session, text);
+        if (!audio || audio.length === 0 || session.ending || session.closed) {
+            throw new Error('Speech synthesis failed');
+        }
+        this.playLine(session, text, audio);
+    }
+
+    /**
+     * Add billed units (seconds, tokens, characters) for a service
+     */
+    trackUsage(session, usageKey, units) {
+        if (!usageKey || !units) return;
+        session.usage[usageKey] = (session.usage[usageKey] || 0) + units;
+        console.log(`📊 ${usageKey}: +${Math.round(units * 100) / 100} (Total: ${Math.round(session.usage[usageKey] * 100) / 100})`);
+    }
+
+    /**
+     * Answer the current user turn with as little dead air as possible:
+     * LLM tokens are cut into sentences/clauses as they stream in, each piece
+     * is sent to TTS straight away, and the transport starts playing as soon
+     * as the first piece has audio.
+     */
+    async streamResponse(session, turnId) {
+        const timing = { start: Date.now(), firstToken: null, firstAudio: null, llmDone: null };
+        const playback = this.startPlayback(session);
+        session.pendingEnd = null;
+        session.pendingTransfer = null;
+        this.retrieveKnowledge(session);
+
+        try {
+            await this.streamLLMIntoPlayback(session, playback, turnId, timing);
+        } catch (err) {
+            console.error("❌ Streaming response error:", err);
+        } finally {
+            this.finishPlayback(session, playback);
+        }
+
+        // Full text for clients showing the conversation, once the turn is complete
+        if (playback.contextEntry) {
+            this.notify(session, { event: 'agent-response', text: playback.contextEntry.parts[0].text });
+        }
+
+        timing.firstAudio = playback.firstAudioAt;
+        this.recordTurnMetrics(session, timing);
+        this.recordKnowledgeCitations(session, playback.contextEntry);
+
+        // end_call was used this turn - hang up once the goodbye has played
+        if (session.pendingEnd && session.turnId === turnId) {
+            session.disposition = session.pendingEnd.disposition;
+            session.pendingEnd = null;
+            await this.endCall(session, 'agent_ended', '');
+        }
+
+        // transfer_call was used this turn - hand over once the agent has finished speaking
+        if (session.pendingTransfer && session.turnId === turnId) {
+            const destination = session.pendingTransfer;
+            session.pendingTransfer = null;
+            await this.transferCall(session, destination);
+        }
+    }
+
+    async streamLLMIntoPlayback(session, playback, turnId, timing, round = 0) {
+        const isCurrent = () => session.playback === playback && session.turnId === turnId;
+        const llm = session.providers.llm;
+
+        if (round >= MAX_TOOL_ROUNDS) {
+            console.warn(`⚠️  Too many tool rounds in one turn - giving up`);
+            playback.contextEntry = this.appendToContext(session, FALLBACK_REPLY, "model");
+            await this.speakSegment(session, playback, FALLBACK_REPLY);
+            return;
+        }
+
+        let result;
+        try {
+            console.log(`🧠 Streaming from ${llm.id} LLM...`);
+            result = await llm.stream({
+                contents: session.context.slice(),
+                systemInstruction: this.getSystemInstruction(session),
+                tools: session.toolRegistry.getDeclarations()
+            });
+        } catch (err) {
+            console.error("❌ LLM error:", err);
+            playback.contextEntry = this.appendToContext(session, FALLBACK_REPLY, "model");
+            await this.speakSegment(session, playback, FALLBACK_REPLY);
+            return;
+        }
+
+        // An abandoned turn never awaits the response, and a rejection (safety
+        // block, broken stream) nobody handles would take the process down
+        const abandon = () => {
+            result.response.catch(err => console.log(`⏭️  Ignoring LLM error on abandoned turn ${turnId}: ${err.message}`));
+        };
+
+        if (!isCurrent()) return abandon();
+
+        const entry = { role: "model", parts: [{ text: "" }] };
+        session.context.push(entry);
+        playback.contextEntry = entry;
+
+        const chunker = new SentenceChunker();
+        const pending = [];
+        const queued = []; // Pieces sent to TTS
+        const speak = (piece) => {
+            queued.push(piece);
+            pending.push(this.speakSegment(session, playback, piece));
+        };
+        let fullText = "";
+        let response;
+
+        try {
+            for await (const delta of result.stream) {
+                if (!isCurrent()) break;
+
+                if (!timing.firstToken) timing.firstToken = Date.now();
+                fullText += delta;
+                entry.parts = [{ text: fullText }];
+
+                chunker.push(delta).forEach(speak);
+            }
+
+            if (!isCurrent()) {
+                console.log(`⏭️  Turn ${turnId} abandoned - user spoke again`);
+                return abandon();
+            }
+
+            const rest = chunker.flush();
+            if (rest) speak(rest);
+
+            response = await result.response;
+        } catch (err) {
+            if (!isCurrent()) return abandon();
+            // Broken off mid-reply: keep what the caller will hear, then apologize
+            console.error("❌ LLM stream error:", err);
+            entry.parts = [{ text: [...queued, FALLBACK_REPLY].join(' ') }];
+            speak(FALLBACK_REPLY);
+            await Promise.all(pending);
+            return;
+        }
+        timing.llmDone = Date.now();
+        console.log("🧠 LLM response received:", fullText);
+        this.trackUsage(session, llm.usageKey, response.tokens);
+
+        if (response.functionCalls.length > 0) {
+            // Keep the functionCall parts in history; any text before the call
+            // ("Let me check that") counts as spoken
+            entry.parts = response.content ? response.content.parts : response.functionCalls.map(functionCall => ({ functionCall }));
+            playback.contextEntry = null;
+
+            // The caller hears the pre-action phrase while the tools run
+            const phrase = this.preActionPhrase(session, response.functionCalls, fullText);
+            if (phrase) {
+                const firstCall = entry.parts.findIndex(part => part.functionCall);
+                entry.parts = [...entry.parts.slice(0, firstCall), { text: phrase }, ...entry.parts.slice(firstCall)];
+                pending.push(this.speakSegment(session, playback, phrase));
+                this.notify(session, { event: 'agent-response', text: phrase });
+            }
+            const stopHoldFiller = this.startHoldFiller(session, playback, response.functionCalls, pending, isCurrent);
+
+            // Always answer the calls, even if the caller barges in meanwhile,
+            // so the history never holds an unanswered functionCall
+            try {
+                const results = await session.toolRegistry.executeAll(response.functionCalls);
+                session.context.push(results);
+                this.notify(session, {
+                    event: 'tool-calls',
+                    calls: response.functionCalls.map((call, index) => ({
+                        name: call.name,
+                        args: call.args || {},
+                        result: results.parts[index]?.functionResponse?.response
+                    }))
+                });
+            } finally {
+                stopHoldFiller();
+            }
+            if (!isCurrent()) return;
+
+            await this.streamLLMIntoPlayback(session, playback, turnId, timing, round + 1);
+        } else if (!fullText.trim()) {
+            session.context.splice(session.context.indexOf(entry), 1);
+            playback.contextEntry = null;
+        }
+
+        await Promise.all(pending);
+    }
+
+    /**
+     * Phrase to speak before running the tools (Tool.preActionPhrasesMode):
+     * strict - one of the tool's phrases, word for word
+     * flexible - the model's own wording; a phrase only if it said nothing
+     * disable / built-in tools - nothing
+     */
+    preActionPhrase(session, functionCalls, spokenText) {
+        for (const call of functionCalls) {
+            const tool = session.toolRegistry.getTool(call.name);
+            const phrases = (tool?.preActionPhrases || []).filter(phrase => phrase && phrase.trim());
+            if (phrases.length === 0) continue;
+
+            if (tool.preActionPhrasesMode === 'strict' || (tool.preActionPhrasesMode === 'flexible' && !spokenText.trim())) {
+                return pickRandom(phrases).trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * While slow agent tools run (unless set to run silently), queue a
+     * "still working on it" line every few seconds so the caller doesn't
+     * sit in silence
+     * @returns {Function} - Stops the filler once the tools are done
+     */
+    startHoldFiller(session, playback, functionCalls, pending, isCurrent) {
+        const tools = functionCalls
+            .map(call => session.toolRegistry.getTool(call.name))
+            .filter(tool => tool && tool.preActionPhrasesMode !== 'disable');
+        if (tools.length === 0) return () => { };
+
+        // The tool's own phrases keep the agent's language, if it has any
+        const phrases = tools.flatMap(tool => (tool.preActionPhrases || []).filter(phrase => phrase && phrase.trim()));
+        let timer = null;
+        const fill = () => {
+            if (!isCurrent() || session.ending) return;
+            console.log(`⏳ Tools still running - playing hold filler`);
+            pending.push(this.speakSegment(session, playback, pickRandom(phrases.length > 0 ? phrases : HOLD_FILLER_PHRASES)));
+            timer = setTimeout(fill, HOLD_FILLER_INTERVAL_MS);
+        };
+        timer = setTimeout(fill, HOLD_FILLER_DELAY_MS);
+        return () => clearTimeout(timer);
+    }
+
+    ttsOptions(session) {
+        return buildTtsOptions(session.agentVoiceId, session.transport.outputFormat, session.language);
+    }
+
+    /**
+     * Queue a sentence on the playback and fill it with TTS audio. Segments
+     * play in the order they were queued, even if TTS finishes out of order.
+     */
+    async speakSegment(session, playback, text) {
+        const segment = this.addPlaybackSegment(playback, text);
+        const tts = session.providers.tts;
+        try {
+            // Text-only sessions have no TTS - the segment is just its text
+            const cacheKey = tts ? ttsCacheKey(tts, this.ttsOptions(session), text) : null;
+            const cached = await ttsCache.get(cacheKey);
+            if (cached) {
+                segment.buffer = cached; // Synthesized before - not billed again
+            } else if (tts) {
+                if (tts.streaming && session.transport.streamsAudio) {
+                    await tts.stream(text, this.ttsOptions(session), (audio) => {
+                        segment.buffer = Buffer.concat([segment.buffer, audio]);
+                    });
+                } else {
+                    segment.buffer = (await tts.synthesize(text, this.ttsOptions(session))) || Buffer.alloc(0);
+                }
+                this.trackUsage(session, tts.usageKey, text.length);
+                ttsCache.set(cacheKey, segment.buffer);
+            }
+        } catch (err) {
+            console.error(`❌ TTS error for "${text.substring(0, 30)}...":`, err.message);
+        } finally {
+            segment.done = true;
+            session.transport.updatePlayback(session, playback);
+        }
+    }
+
+    /**
+     * A whole utterance in the transport's output format, or null on failure
+     */
+    async synthesize(session, text) {
+        const tts = session.providers.tts;
+        if (!tts) return null;
+        try {
+            const cacheKey = ttsCacheKey(tts, this.ttsOptions(session), text);
+            const cached = await ttsCache.get(cacheKey);
+            if (cached) return cached; // Not billed again
+
+            const audio = await tts.synthesize(text, this.ttsOptions(session));
+            this.trackUsage(session, tts.usageKey, text.length);
+            ttsCache.set(cacheKey, audio);
+            return audio;
+        } catch (err) {
+            console.error("❌ TTS error:", err.message);
+            return null;
+        }
+    }
+
+    recordTurnMetrics(session, timing) {
+        const metrics = {
+            turn: session.turnId,
+            llmFirstTokenMs: timing.firstToken ? timing.firstToken - timing.start : null,
+            firstAudioMs: timing.firstAudio ? timing.firstAudio - timing.start : null,
+            llmTotalMs: timing.llmDone ? timing.llmDone - timing.start : null
+        };
+        session.turnMetrics.push(metrics);
+        console.log(`⏱️  Turn ${metrics.turn}: LLM first token ${metrics.llmFirstTokenMs ?? '-'}ms, first audio ${metrics.firstAudioMs ?? '-'}ms, LLM total ${metrics.llmTotalMs ?? '-'}ms`);
+        this.notify(session, { event: 'turn-metrics', metrics });
+    }
+
+    logLatencySummary(session) {
+        const samples = session.turnMetrics.filter(m => m.firstAudioMs !== null);
+        if (samples.length === 0) return;
+
+        const avg = (key) => Math.round(samples.reduce((sum, m) => sum + (m[key] || 0), 0) / samples.length);
+        console.log(`⏱️  Call ${session.id} latency over ${samples.length} turns: avg first audio ${avg('firstAudioMs')}ms, avg LLM first token ${avg('llmFirstTokenMs')}ms`);
+    }
+
+    /**
+     * Start a new reply. Segments are added with addPlaybackSegment and the
+     * transport plays them in order.
+     */
+    startPlayback(session, contextEntry = null) {
+        // A new reply replaces whatever is still playing
+        if (session.playback) {
+            this.interruptPlayback(session);
+        }
+
+        const playback = {
+            segments: [],
+            ended: false, // No more segments will be added
+            contextEntry,
+            firstAudioAt: null, // Set by the transport
+            timer: null // Transport timer, cleared on barge-in
+        };
+        session.playback = playback;
+        session.isSpeaking = true;
+        session.transport.startPlayback(session, playback);
+        return playback;
+    }
+
+    addPlaybackSegment(playback, text) {
+        const segment = { text, entry: playback.contextEntry, buffer: Buffer.alloc(0), offset: 0, done: false };
+        playback.segments.push(segment);
+        return segment;
+    }
+
+    finishPlayback(session, playback) {
+        playback.ended = true;
+        session.transport.updatePlayback(session, playback);
+    }
+
+    /**
+     * Called by the transport once the caller has heard the whole playback
+     */
+    playbackFinished(session, playback) {
+        if (session.playback !== playback) return;
+        session.playback = null;
+        session.isSpeaking = false;
+        console.log(`✅ Agent finished speaking`);
+    }
+
+    /**
+     * Play ready-made audio as its own playback
+     */
+    playAudio(session, audio, contextEntry = null) {
+        if (session.closed) return;
+        const playback = this.startPlayback(session, contextEntry);
+        const segment = this.addPlaybackSegment(playback, contextEntry ? contextEntry.parts[0].text : '');
+        segment.buffer = audio;
+        segment.done = true;
+        this.finishPlayback(session, playback);
+    }
+
+    /**
+     * Play a fixed line (greeting, prompts, end message); remembered lines
+     * go into the context so the model knows they were said
+     */
+    playLine(session, text, audio, remember = true) {
+        this.notify(session, { event: 'agent-response', text });
+        this.playAudio(session, audio, remember ? this.appendToContext(session, text, "model") : null);
+    }
+}
+
+function buildTtsOptions(voiceId, format, language) {
+    return { voiceId, format, ...getTtsOptions(language) };
+}
+
+function ttsCacheKey(tts, options, text) {
+    const { format, ...settings } = options;
+    return ttsCache.key({ provider: tts.id, format, settings, text });
+}
+
+function formatWhispers(whispers) {
+    if (whispers.length === 0) return '';
+    return "\n\nPrivate instructions from your supervisor. Follow them, and never mention them to the caller:\n" +
+        whispers.map(text => `- ${text}`).join('\n');
+}
+
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Live session by id (Twilio call id or browser connection id)
+ */
+function getSession(id) {
+    return sessions.get(id) || null;
+}
+
+/**
+ * Every live session
+ */
+function getSessions() {
+    return Array.from(sessions.values());
+}
+
+module.exports = { ConversationEngine, getSession, getSessions };
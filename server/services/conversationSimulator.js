@@ -0,0 +1,352 @@
+const { v4: uuidv4 } = require('uuid');
+const { ConversationEngine } = require('./conversationEngine.js');
+
+const DEFAULT_MAX_TURNS = 8;
+const MAX_TURNS_LIMIT = 20;
+const RUN_TIMEOUT_MS = 120000;
+const HANG_UP = '[HANG UP]';
+const ASSERTION_TYPES = ['must', 'must_not', 'says', 'never_says'];
+const CALLER_MODES = ['llm', 'scripted'];
+
+/**
+ * Test scenario for an agent, as saved in agent_test_scenarios.definition:
+ *   persona       - who the simulated caller is and what they want (LLM-driven caller)
+ *   callerMode    - 'llm' (the persona is played by the agent's LLM) or 'scripted'
+ *   callerScript  - the caller's lines, in order (scripted caller)
+ *   maxTurns      - caller turns before the run stops
+ *   expectedTools - [{ name, args }] the agent must call; args match if the
+ *                   call's value contains the expected one (case-insensitive)
+ *   assertions    - [{ type, text }]: 'must' / 'must_not' are judged by the LLM
+ *                   over the transcript, 'says' / 'never_says' look for the
+ *                   text in the agent's lines
+ *   toolMocks     - { toolName: result } returned instead of running the tool
+ */
+
+/**
+ * @param {Object} definition - Scenario from the API
+ * @returns {string|null} - What's wrong with it, or null when it can be saved
+ */
+function validateScenario(definition) {
+    if (!definition || typeof definition !== 'object') return 'Scenario is required';
+    if (!String(definition.name || '').trim()) return 'Scenario name is required';
+
+    const mode = definition.callerMode || 'llm';
+    if (!CALLER_MODES.includes(mode)) return `Unknown caller mode "${mode}"`;
+    if (mode === 'llm' && !String(definition.persona || '').trim()) return 'A persona is required for an LLM-driven caller';
+    if (mode === 'scripted' && !(definition.callerScript || []).some(line => String(line).trim())) {
+        return 'A scripted caller needs at least one line';
+    }
+
+    for (const assertion of definition.assertions || []) {
+        if (!ASSERTION_TYPES.includes(assertion.type)) return `Unknown assertion type "${assertion.type}"`;
+        if (!String(assertion.text || '').trim()) return 'Assertions need a text';
+    }
+    for (const tool of definition.expectedTools || []) {
+        if (!tool || !String(tool.name || '').trim()) return 'Expected tool calls need a tool name';
+    }
+    return null;
+}
+
+/**
+ * Scenario with defaults filled in and blank entries dropped
+ */
+function normalizeScenario(definition) {
+    const maxTurns = parseInt(definition.maxTurns, 10) || DEFAULT_MAX_TURNS;
+    return {
+        name: String(definition.name).trim(),
+        persona: String(definition.persona || '').trim(),
+        callerMode: definition.callerMode || 'llm',
+        callerScript: (definition.callerScript || []).map(line => String(line).trim()).filter(Boolean),
+        maxTurns: Math.min(Math.max(maxTurns, 1), MAX_TURNS_LIMIT),
+        expectedTools: (definition.expectedTools || []).map(tool => ({ name: String(tool.name).trim(), args: tool.args || {} })),
+        assertions: (definition.assertions || []).map(assertion => ({ type: assertion.type, text: String(assertion.text).trim() })),
+        toolMocks: definition.toolMocks && typeof definition.toolMocks === 'object' ? definition.toolMocks : {}
+    };
+}
+
+/**
+ * Text-only transport: replies "play" instantly and nothing reaches a phone
+ */
+class SimulatorTransport {
+    constructor(engine) {
+        this.engine = engine;
+        this.name = 'simulator';
+        this.textOnly = true;
+        this.inputAudio = null;
+        this.outputFormat = null;
+        this.streamsAudio = false;
+        this.utteranceEndMs = 0;
+        this.greetingDelayMs = 0;
+        this.endedBy = null; // 'agent' or 'transfer' once the agent ends the conversation
+    }
+
+    startPlayback() { }
+
+    updatePlayback(session, playback) {
+        if (playback.ended && playback.segments.every(segment => segment.done)) {
+            this.engine.playbackFinished(session, playback);
+        }
+    }
+
+    stopAudio() { }
+
+    spokenFraction() {
+        return 1;
+    }
+
+    notify() { }
+
+    dtmfTones() {
+        return null;
+    }
+
+    async transfer(session, destination) {
+        this.endedBy = 'transfer';
+        console.log(`🧪 Simulated transfer to ${destination.name}`);
+    }
+
+    async hangUp() {
+        this.endedBy = this.endedBy || 'agent';
+    }
+}
+
+/**
+ * Conversation Simulator
+ * Runs a test scenario against an agent through the same engine as live
+ * calls - its prompt, language, knowledge, tools and LLM - with text in place
+ * of audio, then checks the outcome.
+ */
+class ConversationSimulator {
+    constructor(mysqlPool) {
+        this.engine = new ConversationEngine(mysqlPool);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} agentId
+     * @param {Object} definition - Scenario (see validateScenario)
+     * @returns {Promise<{passed, endedBy, turns, checks, toolCalls, transcript, error, ranAt}>}
+     */
+    async run(userId, agentId, definition) {
+        const scenario = normalizeScenario(definition);
+        const ranAt = new Date().toISOString();
+
+        const balanceCheck = await this.engine.checkBalance(userId);
+        if (!balanceCheck.allowed) {
+            throw new Error(balanceCheck.message || 'Insufficient balance');
+        }
+
+        const agent = await this.engine.loadAgent(userId, agentId);
+        const transport = new SimulatorTransport(this.engine);
+        const session = await this.engine.createSession({
+            id: `sim_${uuidv4()}`,
+            userId,
+            agentId,
+            agent,
+            transport,
+            executeTool: (tool, args) => this.mockTool(scenario, tool, args)
+        });
+        if (!session) {
+            throw new Error("No API key for the agent's language model (platform or your own)");
+        }
+        if (agent.settings.knowledgeDocIds?.length) {
+            // createSession loads it in the background; the first turn needs it here
+            await this.engine.loadKnowledge(session, agent.settings.knowledgeDocIds);
+        }
+
+        const transcript = [{ role: 'agent', text: agent.greeting }];
+        const deadline = Date.now() + RUN_TIMEOUT_MS;
+        let endedBy = 'max_turns';
+        let error = null;
+
+        try {
+            for (let turn = 0; turn < scenario.maxTurns; turn++) {
+                const line = await beforeDeadline(this.nextCallerLine(session, scenario, transcript, turn), deadline);
+                if (!line) {
+                    endedBy = 'caller';
+                    break;
+                }
+                transcript.push({ role: 'caller', text: line });
+
+                const start = session.context.length;
+                this.engine.appendToContext(session, line, 'user');
+                await beforeDeadline(this.engine.streamResponse(session, ++session.turnId), deadline);
+
+                const reply = session.context.slice(start + 1).filter(entry => entry.role === 'model');
+                transcript.push({
+                    role: 'agent',
+                    text: reply.map(textOf).filter(Boolean).join(' '),
+                    toolCalls: functionCallsOf(reply).map(call => call.name)
+                });
+
+                if (transport.endedBy) {
+                    endedBy = transport.endedBy;
+                    break;
+                }
+            }
+        } catch (err) {
+            if (err instanceof RunTimeoutError) {
+                console.warn(`⚠️ Scenario "${scenario.name}": ${err.message}`);
+                endedBy = 'timeout';
+            } else {
+                console.error('❌ Simulation error:', err);
+                endedBy = 'error';
+            }
+            error = err.message;
+        }
+
+        const toolCalls = functionCallsOf(session.context).map(call => ({ name: call.name, args: call.args || {} }));
+        const checks = error ? [] : await this.check(session, scenario, transcript, toolCalls);
+        await this.engine.endSession(session); // Bills the LLM usage like a call
+
+        const passed = !error && checks.every(check => check.passed);
+        console.log(`🧪 Scenario "${scenario.name}": ${passed ? 'passed' : 'failed'} after ${transcript.filter(t => t.role === 'caller').length} turns (${endedBy})`);
+        return {
+            passed,
+            endedBy,
+            turns: transcript.filter(line => line.role === 'caller').length,
+            checks,
+            toolCalls,
+            transcript,
+            error,
+            ranAt
+        };
+    }
+
+    /**
+     * Scenario mock result, or a plain success - tools never run during tests
+     */
+    async mockTool(scenario, tool, args) {
+        console.log(`🧪 Mocked tool ${tool.name}:`, args);
+        const mock = scenario.toolMocks[tool.name];
+        return mock !== undefined ? mock : { success: true, message: `${tool.name} completed` };
+    }
+
+    /**
+     * The caller's next line, or null when they hang up
+     */
+    async nextCallerLine(session, scenario, transcript, turn) {
+        if (scenario.callerMode === 'scripted') {
+            return scenario.callerScript[turn] || null;
+        }
+
+        // The caller sees the conversation from the other side
+        const contents = transcript.map(line => ({
+            role: line.role === 'agent' ? 'user' : 'model',
+            parts: [{ text: line.text || '(silence)' }]
+        }));
+        const llm = session.providers.llm;
+        const response = await llm.generate({
+            contents,
+            systemInstruction: "You are role-playing a caller on a phone call with a business's voice agent, to test the agent.\n" +
+                `Your persona and goal: ${scenario.persona}\n` +
+                "Reply with the caller's next spoken turn only - short and natural, no stage directions or labels. " +
+                `When your goal is met or the conversation is over, reply with exactly ${HANG_UP}.`
+        });
+        this.engine.trackUsage(session, llm.usageKey, response.tokens);
+
+        const line = (response.text || '').trim();
+        return !line || line.includes(HANG_UP) ? null : line;
+    }
+
+    /**
+     * Expected tools and assertions, in the order they were defined
+     * @returns {Promise<Array<{type, label, passed, detail}>>}
+     */
+    async check(session, scenario, transcript, toolCalls) {
+        const checks = scenario.expectedTools.map(expected => {
+            const calls = toolCalls.filter(call => call.name === expected.name);
+            const passed = calls.some(call => argsMatch(call.args, expected.args));
+            return {
+                type: 'tool',
+                label: `Calls ${expected.name}`,
+                passed,
+                detail: passed ? null : (calls.length > 0 ? `Called with ${JSON.stringify(calls.map(call => call.args))}` : 'Never called')
+            };
+        });
+
+        const agentText = transcript.filter(line => line.role === 'agent').map(line => line.text).join('\n').toLowerCase();
+        const judged = [];
+        for (const assertion of scenario.assertions) {
+            if (assertion.type === 'says' || assertion.type === 'never_says') {
+                const found = agentText.includes(assertion.text.toLowerCase());
+                const passed = assertion.type === 'says' ? found : !found;
+                checks.push({
+                    type: assertion.type,
+                    label: `${assertion.type === 'says' ? 'Says' : 'Never says'} "${assertion.text}"`,
+                    passed,
+                    detail: passed ? null : (found ? 'The agent said it' : 'The agent never said it')
+                });
+            } else {
+                const check = { type: assertion.type, label: `${assertion.type === 'must' ? 'Must' : 'Must not'} ${assertion.text}`, passed: false, detail: null };
+                checks.push(check);
+                judged.push({ assertion, check });
+            }
+        }
+
+        if (judged.length > 0) await this.judge(session, transcript, judged);
+        return checks;
+    }
+
+    /**
+     * One LLM call grades every 'must' / 'must_not' assertion
+     */
+    async judge(session, transcript, judged) {
+        const conversation = transcript
+            .map(line => `${line.role === 'agent' ? 'Agent' : 'Caller'}: ${line.text}${line.toolCalls?.length ? ` [called ${line.toolCalls.join(', ')}]` : ''}`)
+            .join('\n');
+        const criteria = judged
+            .map(({ assertion }, index) => `${index + 1}. The agent ${assertion.type === 'must' ? 'must' : 'must not'} ${assertion.text}`)
+            .join('\n');
+
+        try {
+            const llm = session.providers.llm;
+            const response = await llm.generate({
+                contents: [{ role: 'user', parts: [{ text: `Conversation:\n${conversation}\n\nCriteria:\n${criteria}` }] }],
+                systemInstruction: "You grade a voice agent's conversation against test criteria. Judge only what is in the conversation. " +
+                    'Answer with a JSON array only, one entry per criterion in order: [{"passed": true|false, "reason": "one sentence"}]'
+            });
+            this.engine.trackUsage(session, llm.usageKey, response.tokens);
+
+            const verdicts = JSON.parse((/\[[\s\S]*\]/.exec(response.text || '') || ['[]'])[0]);
+            judged.forEach(({ check }, index) => {
+                const verdict = verdicts[index];
+                check.passed = !!verdict?.passed;
+                check.detail = verdict?.reason || (verdict ? null : 'No verdict from the judge');
+            });
+        } catch (err) {
+            console.error('❌ Error judging scenario:', err.message);
+            judged.forEach(({ check }) => { check.detail = `Could not be judged: ${err.message}`; });
+        }
+    }
+}
+
+class RunTimeoutError extends Error { }
+
+/**
+ * Fail a step of the run once the run's time limit is up. The step itself
+ * isn't cancelled; ending the session stops it from going any further.
+ */
+function beforeDeadline(promise, deadline) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new RunTimeoutError(`Timed out after ${RUN_TIMEOUT_MS / 1000}s`)), Math.max(deadline - Date.now(), 0));
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function textOf(entry) {
+    return (entry.parts || []).map(part => part.text).filter(Boolean).join(' ');
+}
+
+function functionCallsOf(entries) {
+    return entries.flatMap(entry => (entry.parts || []).filter(part => part.functionCall).map(part => part.functionCall));
+}
+
+function argsMatch(actual = {}, expected = {}) {
+    return Object.entries(expected).every(([name, value]) =>
+        String(actual[name] ?? '').toLowerCase().includes(String(value).toLowerCase())
+    );
+}
+
+module.exports = { ConversationSimulator, validateScenario, normalizeScenario };
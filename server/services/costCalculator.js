@@ -1,5 +1,10 @@
 const { v4: uuidv4 } = require('uuid');
 
+// "openai:gpt-4o-mini" → "openai"
+function baseService(serviceType) {
+    return String(serviceType).split(':')[0];
+}
+
 /**
  * Cost Calculator Service
  * Calculates costs for various services based on usage
@@ -37,13 +42,21 @@ class CostCalculator {
         return this.pricingCache;
     }
 
+    /**
+     * Pricing for a service. Per-model usage ("openai:<model>") falls back to
+     * the provider's price ("openai") when the model has no row of its own.
+     */
+    getServicePricing(serviceType) {
+        return this.pricingCache.get(serviceType) || this.pricingCache.get(baseService(serviceType)) || null;
+    }
+
     /**
      * Calculate cost for a specific service
      */
     async calculateServiceCost(serviceType, unitsUsed) {
         await this.getPricing();
 
-        const pricing = this.pricingCache.get(serviceType);
+        const pricing = this.getServicePricing(serviceType);
         if (!pricing) {
             console.warn(`No pricing found for service: ${serviceType}`);
             return 0;
@@ -56,18 +69,23 @@ class CostCalculator {
     /**
      * Calculate total cost for a call based on all services used
      * @param {Object} usage - Object containing usage for each service
+     * @param {string[]} ownKeyServices - Services that ran on the user's own API key.
+     *   The provider bills the user directly, so the platform charges nothing for them.
+     *   A provider id also covers its per-model usage ("openai" → "openai:<model>").
      * @returns {Object} - Breakdown of costs
      */
-    async calculateCallCost(usage) {
+    async calculateCallCost(usage, ownKeyServices = []) {
         const costs = {};
         let totalCost = 0;
 
         for (const [service, units] of Object.entries(usage)) {
             if (units > 0) {
-                const cost = await this.calculateServiceCost(service, units);
+                const ownKey = ownKeyServices.includes(service) || ownKeyServices.includes(baseService(service));
+                const cost = ownKey ? 0 : await this.calculateServiceCost(service, units);
                 costs[service] = {
                     units: parseFloat(units),
-                    cost: cost
+                    cost: cost,
+                    ...(ownKey && { ownKey: true })
                 };
                 totalCost += cost;
             }
@@ -148,11 +166,12 @@ class CostCalculator {
      * @param {string} userId - User ID
      * @param {string} callId - Call ID
      * @param {Object} usage - Usage breakdown by service
+     * @param {string[]} ownKeyServices - Services billed to the user's own provider account
      * @returns {Object} - Result with total charged
      */
-    async recordAndCharge(userId, callId, usage) {
+    async recordAndCharge(userId, callId, usage, ownKeyServices = []) {
         try {
-            const costBreakdown = await this.calculateCallCost(usage);
+            const costBreakdown = await this.calculateCallCost(usage, ownKeyServices);
 
             // Check if user has sufficient balance
             const hasSufficientBalance = await this.checkSufficientBalance(
@@ -196,11 +215,12 @@ class CostCalculator {
                         validCallId, // Use validated call_id (may be NULL)
                         service,
                         data.units,
-                        this.pricingCache.get(service).costPerUnit,
+                        data.ownKey ? 0 : (this.getServicePricing(service)?.costPerUnit || 0),
                         data.cost,
                         JSON.stringify({
                             timestamp: new Date().toISOString(),
-                            originalCallId: callId // Keep original for reference
+                            originalCallId: callId, // Keep original for reference
+                            keySource: data.ownKey ? 'user' : 'platform'
                         })
                     ]
                 );
@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const { Bm25Index, tokenize } = require('../utils/bm25.js');
+
+const CHUNK_WORDS = 120; // Roughly a paragraph - enough context without flooding the prompt
+const OVERLAP_WORDS = 25; // Carried into the next chunk so answers spanning a boundary are found
+const MAX_PASSAGES = 3;
+const CITED_TERMS = 3; // Answer terms (not from the question) a passage must share to count as cited
+
+// Search indexes per set of documents, shared by all calls of the same agent
+const indexes = new Map();
+
+/**
+ * Split document text into overlapping passages, keeping sentences whole
+ * @param {string} text
+ * @returns {string[]}
+ */
+function chunkText(text, { maxWords = CHUNK_WORDS, overlapWords = OVERLAP_WORDS } = {}) {
+    const sentences = String(text || '')
+        .split(/\n\s*\n|(?<=[.!?])\s+/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        // Very long "sentences" (tables, lists without punctuation) are cut by words
+        .flatMap(sentence => {
+            const words = sentence.split(' ');
+            if (words.length <= maxWords) return [sentence];
+            const pieces = [];
+            for (let i = 0; i < words.length; i += maxWords) {
+                pieces.push(words.slice(i, i + maxWords).join(' '));
+            }
+            return pieces;
+        });
+
+    const chunks = [];
+    let current = [];
+    let currentWords = 0;
+
+    for (const sentence of sentences) {
+        const words = sentence.split(' ').length;
+        if (currentWords + words > maxWords && current.length > 0) {
+            chunks.push(current.join(' '));
+
+            // Start the next chunk with the tail of this one
+            const overlap = [];
+            let overlapCount = 0;
+            for (let i = current.length - 1; i >= 0; i--) {
+                const count = current[i].split(' ').length;
+                if (overlapCount + count > overlapWords) break;
+                overlap.unshift(current[i]);
+                overlapCount += count;
+            }
+            current = overlap;
+            currentWords = overlapCount;
+        }
+        current.push(sentence);
+        currentWords += words;
+    }
+    if (current.length > 0) chunks.push(current.join(' '));
+
+    return chunks;
+}
+
+/**
+ * Knowledge base for live calls: documents are chunked when uploaded and
+ * searched with BM25 on every caller turn.
+ */
+class KnowledgeBaseService {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Chunk a document and store its passages (replaces any previous chunks)
+     * @param {string} documentId
+     * @param {string} content
+     * @returns {Promise<number>} - Number of chunks
+     */
+    async ingestDocument(documentId, content) {
+        const chunks = chunkText(content);
+
+        await this.pool.execute('DELETE FROM document_chunks WHERE document_id = ?', [documentId]);
+        for (let i = 0; i < chunks.length; i++) {
+            await this.pool.execute(
+                'INSERT INTO document_chunks (id, document_id, chunk_index, content) VALUES (?, ?, ?, ?)',
+                [uuidv4(), documentId, i, chunks[i]]
+            );
+        }
+
+        this.invalidate(documentId);
+        console.log(`📚 Indexed document ${documentId}: ${chunks.length} chunks`);
+        return chunks.length;
+    }
+
+    /**
+     * Drop cached indexes that include a document (after upload or delete)
+     */
+    invalidate(documentId) {
+        for (const key of indexes.keys()) {
+            if (key.split(',').includes(documentId)) indexes.delete(key);
+        }
+    }
+
+    /**
+     * Search index over an agent's knowledge documents (settings.knowledgeDocIds)
+     * @param {string} userId - Only this user's documents are used
+     * @param {string[]} documentIds
+     * @returns {Promise<Bm25Index|null>}
+     */
+    async getIndex(userId, documentIds) {
+        if (!userId || !Array.isArray(documentIds) || documentIds.length === 0) return null;
+
+        const key = [...new Set(documentIds)].sort().join(',');
+        if (indexes.has(key)) return indexes.get(key);
+
+        const placeholders = documentIds.map(() => '?').join(', ');
+        const [documents] = await this.pool.execute(
+            `SELECT id, name, content FROM documents WHERE user_id = ? AND id IN (${placeholders})`,
+            [userId, ...documentIds]
+        );
+        if (documents.length === 0) return null;
+
+        const [chunks] = await this.pool.execute(
+            `SELECT id, document_id, chunk_index, content FROM document_chunks
+             WHERE document_id IN (${documents.map(() => '?').join(', ')})
+             ORDER BY document_id, chunk_index`,
+            documents.map(doc => doc.id)
+        );
+
+        // Documents uploaded before chunking existed are ingested on first use
+        const chunked = new Set(chunks.map(chunk => chunk.document_id));
+        for (const doc of documents.filter(doc => !chunked.has(doc.id) && doc.content)) {
+            await this.ingestDocument(doc.id, doc.content);
+            const [rows] = await this.pool.execute(
+                'SELECT id, document_id, chunk_index, content FROM document_chunks WHERE document_id = ? ORDER BY chunk_index',
+                [doc.id]
+            );
+            chunks.push(...rows);
+        }
+
+        const names = new Map(documents.map(doc => [doc.id, doc.name]));
+        const index = new Bm25Index();
+        for (const chunk of chunks) {
+            index.add({
+                id: chunk.id,
+                documentId: chunk.document_id,
+                documentName: names.get(chunk.document_id),
+                chunkIndex: chunk.chunk_index,
+                content: chunk.content
+            });
+        }
+
+        indexes.set(key, index);
+        console.log(`📚 Knowledge index ready: ${documents.length} documents, ${index.size} chunks`);
+        return index;
+    }
+
+    /**
+     * Top passages for what the caller just said
+     * @param {Bm25Index|null} index
+     * @param {string} query
+     * @returns {Array<{id, documentId, documentName, chunkIndex, content, score}>}
+     */
+    search(index, query, limit = MAX_PASSAGES) {
+        if (!index || !query) return [];
+        return index.search(query, limit).map(({ doc, score }) => ({ ...doc, score }));
+    }
+
+    /**
+     * Store the chunks given to the model for an answer, for auditing. A chunk
+     * is marked cited when the answer repeats enough of its wording.
+     * @param {Object} citation - { callId, agentId, query, answer, passages }
+     */
+    async recordCitations({ callId, agentId, query, answer, passages }) {
+        if (!passages || passages.length === 0) return;
+
+        const queryTerms = new Set(tokenize(query));
+        const answerTerms = new Set(tokenize(answer).filter(term => !queryTerms.has(term)));
+
+        try {
+            for (let i = 0; i < passages.length; i++) {
+                const shared = new Set(tokenize(passages[i].content).filter(term => answerTerms.has(term)));
+                await this.pool.execute(
+                    `INSERT INTO knowledge_citations (id, call_id, agent_id, chunk_id, document_id, rank_position, score, cited, query, answer, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+                    [uuidv4(), callId, agentId || null, passages[i].id, passages[i].documentId, i + 1, passages[i].score, shared.size >= CITED_TERMS, query, answer || null]
+                );
+            }
+        } catch (err) {
+            console.error('❌ Error recording knowledge citations:', err.message);
+        }
+    }
+}
+
+/**
+ * System instruction section with the retrieved passages
+ * @param {Array} passages - From search()
+ * @returns {string}
+ */
+function formatPassages(passages) {
+    if (!passages || passages.length === 0) return '';
+
+    const body = passages
+        .map((passage, i) => `[${i + 1}] (${passage.documentName || 'document'}) ${passage.content}`)
+        .join('\n\n');
+    return '\n\nKnowledge base passages that may answer the caller. Use them when relevant ' +
+        'and never read out the passage numbers:\n' + body;
+}
+
+module.exports = {
+    KnowledgeBaseService,
+    chunkText,
+    formatPassages
+};
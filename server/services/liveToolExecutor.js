@@ -0,0 +1,139 @@
+const axios = require('axios');
+const { ToolType } = require('../types.js');
+const { assertPublicUrl, createPublicAgent, getAllowedHosts } = require('../utils/outboundUrl.js');
+
+/**
+ * Runs agent-configured tools during a live call.
+ * Every result is a plain object that goes back to Gemini as a functionResponse.
+ */
+
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+// Keep webhook payloads small enough to fit comfortably in the LLM context
+const MAX_RESPONSE_CHARS = 4000;
+const ALLOWED_PRIVATE_HOSTS_ENV = 'WEBHOOK_ALLOWED_PRIVATE_HOSTS';
+
+function isSheetsTool(tool) {
+    return tool.type === ToolType.GoogleSheets ||
+        (!tool.type && (tool.name.includes('Sheet') || tool.name === 'addToSheet' || tool.name === 'saveData'));
+}
+
+/**
+ * Execute one agent tool with the arguments the model collected
+ * @param {Object} tool - Agent Tool definition (settings.tools entry)
+ * @param {Object} args - Arguments from the functionCall
+ * @returns {Promise<Object>}
+ */
+async function executeAgentTool(tool, args) {
+    if (isSheetsTool(tool)) {
+        const googleSheetsService = require('./googleSheetsService.js');
+
+        // In the UI, the sheet URL is stored in webhookUrl
+        const spreadsheetId = googleSheetsService.extractSpreadsheetId(tool.webhookUrl);
+        if (!spreadsheetId) {
+            console.error('Spreadsheet URL not found in tool configuration');
+            return { success: false, error: 'Spreadsheet URL is not configured for this tool' };
+        }
+
+        const result = await googleSheetsService.appendGenericRow(spreadsheetId, args);
+        return result.success
+            ? { success: true, message: 'Data saved successfully' }
+            : { success: false, error: result.error || 'Failed to save data' };
+    }
+
+    if (tool.type === ToolType.Webhook) {
+        return executeWebhookTool(tool, args);
+    }
+
+    if (tool.type === ToolType.WebForm) {
+        // No form to show on a call - submit the collected fields if a URL is set
+        if (tool.webhookUrl) {
+            return executeWebhookTool({ ...tool, method: 'POST' }, args);
+        }
+        return { success: true, message: 'Form data collected', data: args };
+    }
+
+    console.warn(`⚠️ Tool type "${tool.type}" cannot run during a live call`);
+    return { success: false, error: `Tool type "${tool.type}" is not available during calls` };
+}
+
+/**
+ * Call a webhook tool. GET sends the arguments as query parameters, POST as a JSON body.
+ * The (trimmed) response body is returned so the agent can speak the result.
+ * The URL may not point at the server's own network, and redirects aren't
+ * followed since they could.
+ */
+async function executeWebhookTool(tool, args) {
+    if (!tool.webhookUrl) {
+        return { success: false, error: 'Webhook URL is not configured for this tool' };
+    }
+
+    const allowedHosts = getAllowedHosts(ALLOWED_PRIVATE_HOSTS_ENV);
+    let url;
+    try {
+        url = assertPublicUrl(tool.webhookUrl, allowedHosts);
+    } catch (error) {
+        console.error(`❌ Webhook ${tool.name} refused: ${error.message}`);
+        return { success: false, error: error.message };
+    }
+    const agent = createPublicAgent(url, allowedHosts);
+
+    const method = (tool.method || 'POST').toUpperCase();
+    const headers = { 'Content-Type': 'application/json' };
+    for (const header of tool.headers || []) {
+        if (header.key) headers[header.key] = header.value;
+    }
+    const timeout = Number(tool.timeoutSeconds) > 0 ? Number(tool.timeoutSeconds) * 1000 : DEFAULT_WEBHOOK_TIMEOUT_MS;
+
+    try {
+        console.log(`🌐 Webhook ${method} ${tool.webhookUrl} (timeout ${timeout}ms)`);
+        const response = await axios({
+            method,
+            url: url.href,
+            headers,
+            timeout,
+            httpAgent: agent,
+            httpsAgent: agent,
+            maxRedirects: 0,
+            params: method === 'GET' ? args : undefined,
+            data: method === 'GET' ? undefined : args,
+            validateStatus: () => true // report HTTP errors to the model instead of throwing
+        });
+
+        const data = formatResponseData(response.data);
+        if (response.status >= 300) {
+            console.error(`❌ Webhook ${tool.name} returned HTTP ${response.status}`);
+            return { success: false, status: response.status, error: `Webhook returned HTTP ${response.status}`, data };
+        }
+
+        console.log(`✅ Webhook ${tool.name} returned HTTP ${response.status}`);
+        return { success: true, status: response.status, data };
+    } catch (error) {
+        const message = error.code === 'ECONNABORTED'
+            ? `Webhook did not respond within ${timeout / 1000} seconds`
+            : `Webhook request failed: ${error.message}`;
+        console.error(`❌ Webhook ${tool.name} failed:`, message);
+        return { success: false, error: message };
+    } finally {
+        agent.destroy();
+    }
+}
+
+function formatResponseData(data) {
+    if (data === undefined || data === null || data === '') return null;
+
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            return data.length > MAX_RESPONSE_CHARS ? `${data.substring(0, MAX_RESPONSE_CHARS)}...` : data;
+        }
+    }
+
+    const json = JSON.stringify(data);
+    if (json.length > MAX_RESPONSE_CHARS) {
+        return `${json.substring(0, MAX_RESPONSE_CHARS)}...`;
+    }
+    return data;
+}
+
+module.exports = { executeAgentTool };
@@ -1,110 +1,36 @@
-const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
-const { LLMService } = require("../llmService.js");
-const nodeFetch = require("node-fetch");
-const WalletService = require('./walletService.js');
-const CostCalculator = require('./costCalculator.js');
-
-const sessions = new Map();
-
+const TwilioService = require('./twilioService.js');
+const { ConversationEngine } = require('./conversationEngine.js');
+const { CallRecorder } = require('./callRecorder.js');
+const { generateDtmfTones } = require('../utils/dtmf.js');
+const mulaw = require('../utils/mulaw.js');
+const { AmbienceMixer, resolveAmbienceId } = require('../utils/ambience.js');
+
+const FRAME_BYTES = 160; // 20 ms of µ-law audio @ 8kHz
+
+/**
+ * Twilio Media Streams transport for the conversation engine: µ-law 8kHz in,
+ * agent audio paced out in 20 ms frames, marks to know when it was heard.
+ * With background ambience the line is never silent: ambience frames fill
+ * the gaps and are mixed under the agent's frames as they go out.
+ */
 class MediaStreamHandler {
-    constructor(deepgramApiKey, geminiApiKey, campaignService, mysqlPool = null) {
-        if (!deepgramApiKey) throw new Error("Missing Deepgram API Key");
-        if (!geminiApiKey) throw new Error("Missing Gemini API Key");
-
-        this.deepgramClient = createClient(deepgramApiKey);
-        this.llmService = new LLMService(geminiApiKey);
-        this.campaignService = campaignService;
-        this.mysqlPool = mysqlPool;
-
-        // Initialize wallet and cost tracking services
-        if (mysqlPool) {
-            this.walletService = new WalletService(mysqlPool);
-            this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
-        }
-    }
-
-    // ✅ FIX: Method to get fresh API key each time
-    getElevenLabsApiKey() {
-        return process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY;
-    }
-
-    createSession(callId, agentPrompt, agentVoiceId, ws, userId = null, agentId = null) {
-        const session = {
-            callId,
-            context: [],
-            sttStream: null,
-            agentPrompt,
-            agentVoiceId: agentVoiceId || "21m00Tcm4TlvDq8ikWAM",
-            ws,
-            streamSid: null,
-            isReady: false,
-            audioQueue: [],
-            isSpeaking: false, // Track if agent is currently speaking
-            lastUserSpeechTime: null, // Track when user last spoke
-            userId: userId,
-            agentId: agentId,
-            startTime: new Date(),
-            // Usage tracking for billing
-            usage: {
-                twilio: 0,        // minutes
-                deepgram: 0,      // seconds
-                gemini: 0,        // tokens
-                elevenlabs: 0,    // characters
-                sarvam: 0         // characters
-            }
-        };
-        sessions.set(callId, session);
-        console.log(`✅ Created session for call ${callId}`);
-        console.log(`   Agent Prompt: ${agentPrompt.substring(0, 100)}...`);
-        console.log(`   Voice ID: ${session.agentVoiceId}`);
-        return session;
+    /**
+     * Provider keys (platform or the user's own) are resolved per call
+     */
+    constructor(campaignService, mysqlPool = null) {
+        this.engine = new ConversationEngine(mysqlPool, campaignService);
+        this.twilioService = new TwilioService();
+
+        this.name = 'twilio';
+        this.inputAudio = { encoding: 'mulaw', sampleRate: 8000, phone: true };
+        this.outputFormat = 'ulaw_8000';
+        this.streamsAudio = true;
+        this.utteranceEndMs = 1000;
+        this.greetingDelayMs = 800;
+        this.supervisorAudio = true; // Supervisors can listen in (engine.monitorAudio)
     }
 
-    endSession(callId) {
-        const session = sessions.get(callId);
-        if (session) {
-            // Calculate and charge for Twilio usage
-            if (session.startTime && session.userId && this.costCalculator) {
-                const endTime = new Date();
-                const durationSeconds = (endTime - session.startTime) / 1000;
-                const durationMinutes = durationSeconds / 60;
-                session.usage.twilio = durationMinutes;
-
-                // Charge user for all usage
-                this.costCalculator.recordAndCharge(
-                    session.userId,
-                    session.callId,
-                    session.usage
-                ).then(result => {
-                    console.log(`✅ Charged user ${session.userId}: $${result.totalCharged.toFixed(4)}`);
-                    console.log('   Breakdown:', result.breakdown);
-                }).catch(err => {
-                    console.error('❌ Error charging user:', err.message);
-                    if (err.message === 'Insufficient balance') {
-                        console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
-                    }
-                });
-            }
-
-            if (session.sttStream) {
-                session.sttStream.finish();
-                session.sttStream.removeAllListeners();
-            }
-            sessions.delete(callId);
-            console.log(`❌ Ended session for call ${callId}`);
-        }
-    }
-
-    appendToContext(session, text, role) {
-        session.context.push({ role, parts: [{ text }] });
-        console.log(`💬 ${role.toUpperCase()}: ${text}`);
-    }
-
-    // REPLACE the handleConnection method in mediaStreamHandler.js:
-
     async handleConnection(ws, req) {
-        let callId = null;
-        let agentId = null;
         let session = null;
 
         try {
@@ -144,262 +70,39 @@ class MediaStreamHandler {
                         return;
                     }
 
-                    // ✅ Get parameters from Twilio "start" event
                     if (data.event === "start") {
                         console.log("▶️  Media Stream START event received");
-
-                        // Extract parameters from start event
-                        const streamParams = data.start?.customParameters || {};
-                        callId = streamParams.callId || data.start?.callSid;
-                        agentId = streamParams.agentId;
-                        const userId = streamParams.userId;
-
-                        console.log(`📞 Call ID: ${callId}`);
-                        console.log(`🤖 Agent ID: ${agentId}`);
-                        console.log(`👤 User ID: ${userId}`);
-
-                        if (!callId) {
-                            console.error("❌ No callId in start event");
-                            ws.close();
-                            return;
-                        }
-
-                        // Load agent configuration
-                        let agentPrompt = "You are a helpful AI assistant.";
-                        let agentVoiceId = "21m00Tcm4TlvDq8ikWAM"; // Default voice
-                        let greetingMessage = "Hello! How can I help you today?";
-                        let tools = [];
-
-                        if (agentId) {
-                            try {
-                                const AgentService = require('./agentService.js');
-                                const agentService = new AgentService(require('../config/database.js').default);
-
-                                console.log(`🔍 Fetching agent from database: userId=${userId}, agentId=${agentId}`);
-                                const agent = await agentService.getAgentById(userId, agentId);
-                                console.log(`📋 Agent query result:`, agent ? `Found: ${agent.name}` : 'NOT FOUND');
-
-                                if (agent) {
-                                    console.log(`📊 Agent details:`, {
-                                        name: agent.name,
-                                        voiceId: agent.voiceId,
-                                        hasIdentity: !!agent.identity,
-                                        hasGreeting: !!agent.settings?.greetingLine
-                                    });
-
-                                    agentPrompt = agent.identity || agentPrompt;
-
-                                    // Process Tools
-                                    if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
-                                        tools = agent.settings.tools;
-                                        const toolDescriptions = tools.map(tool =>
-                                            `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                                        ).join('\n');
-
-                                        agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
-                                    }
-
-                                    // ✅ CRITICAL: Use the voice ID directly from database
-                                    if (agent.voiceId) {
-                                        agentVoiceId = agent.voiceId;
-                                        console.log(`🎤 Using agent voice ID from database: ${agentVoiceId}`);
-                                    } else {
-                                        console.warn(`⚠️  Agent has no voiceId, using default: ${agentVoiceId}`);
-                                    }
-
-                                    if (agent.settings?.greetingLine) {
-                                        greetingMessage = agent.settings.greetingLine;
-                                        console.log(`👋 Using custom greeting: "${greetingMessage}"`);
-                                    } else {
-                                        console.log(`👋 Using default greeting: "${greetingMessage}"`);
-                                    }
-                                    console.log(`✅ Loaded agent: ${agent.name} with ${tools.length} tools`);
-                                    console.log(`   Voice ID: ${agentVoiceId}`);
-                                    console.log(`   Prompt: ${agentPrompt.substring(0, 100)}...`);
-                                } else {
-                                    console.error(`❌ Agent ${agentId} not found in database for userId ${userId}`);
-                                    console.warn(`⚠️  Using defaults: voice=${agentVoiceId}, greeting="${greetingMessage}"`);
-                                }
-                            } catch (err) {
-                                console.error("⚠️  Error loading agent:", err.message);
-                            }
-                        } else {
-                            console.log(`ℹ️  No agentId provided, using default voice: ${agentVoiceId}`);
-                        }
-
-                        // Check user balance before starting call
-                        if (userId && this.walletService) {
-                            const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10);
-                            if (!balanceCheck.allowed) {
-                                console.error(`❌ Insufficient balance for user ${userId}: ${balanceCheck.message}`);
-                                // Send error to Twilio and close connection
-                                ws.send(JSON.stringify({
-                                    event: 'error',
-                                    message: balanceCheck.message
-                                }));
-                                ws.close();
-                                return;
-                            }
-                            console.log(`✅ Balance check passed: $${balanceCheck.balance.toFixed(4)}`);
-                        }
-
-                        // Create session with the correct voice ID
-                        session = this.createSession(callId, agentPrompt, agentVoiceId, ws, userId, agentId);
-                        session.tools = tools; // Store tools in session
-                        console.log(`✅ Session created with voice ID: ${session.agentVoiceId}`);
-
-                        session.greetingMessage = greetingMessage;
-                        session.streamSid = data.start.streamSid;
-                        session.isReady = true;
-
-                        // Initialize Deepgram with SDK v4 API
-                        console.log("🔄 Initializing Deepgram connection...");
-                        const deepgramLive = this.deepgramClient.listen.live({
-                            encoding: "mulaw",
-                            sample_rate: 8000,
-                            model: "nova-2-phonecall",
-                            smart_format: true,
-                            interim_results: true,  // MUST be true for utterance_end_ms
-                            utterance_end_ms: 1000,
-                            punctuate: true,
-                            language: "en-US",
-                        });
-
-                        session.sttStream = deepgramLive;
-
-                        // Register event handlers BEFORE any audio is sent
-                        deepgramLive.on(LiveTranscriptionEvents.Open, () => {
-                            console.log("✅ Deepgram connection opened and ready");
-                        });
-
-                        deepgramLive.on(LiveTranscriptionEvents.Transcript, async (data) => {
-                            try {
-                                const transcript = data.channel?.alternatives?.[0]?.transcript;
-                                const isFinal = data.is_final;
-
-                                // Only process final transcripts
-                                if (!isFinal || !transcript?.trim()) return;
-
-                                console.log(`🎤 User said: "${transcript}"`);
-
-                                // ✅ INTERRUPTION HANDLING: User spoke
-                                session.lastUserSpeechTime = Date.now();
-
-                                // Track Deepgram usage (estimate based on word count)
-                                const wordCount = transcript.split(' ').length;
-                                const estimatedDuration = wordCount / 2.5; // avg 2.5 words/second
-                                session.usage.deepgram += estimatedDuration;
-
-                                // If agent is speaking, user is interrupting - stop agent
-                                if (session.isSpeaking) {
-                                    console.log(`⚠️  User interrupted agent - stopping agent speech`);
-                                    session.isSpeaking = false;
-                                    if (session.ws && session.streamSid) {
-                                        session.ws.send(
-                                            JSON.stringify({
-                                                event: "clear",
-                                                streamSid: session.streamSid
-                                            })
-                                        );
-                                    }
-                                }
-
-                                this.appendToContext(session, transcript, "user");
-
-                                const llmResponse = await this.callLLM(session);
-                                this.appendToContext(session, llmResponse, "model");
-
-                                // Generate TTS and send to Twilio
-                                const ttsAudio = await this.synthesizeTTS(llmResponse, session.agentVoiceId, session);
-                                if (ttsAudio) {
-                                    this.sendAudioToTwilio(session, ttsAudio);
-                                }
-                            } catch (err) {
-                                console.error("❌ Transcript error:", err);
-                            }
-                        });
-
-                        deepgramLive.on(LiveTranscriptionEvents.UtteranceEnd, () => {
-                            console.log("🎤 User finished speaking (utterance end)");
-                        });
-
-                        deepgramLive.on(LiveTranscriptionEvents.Error, (error) => {
-                            console.error("❌ Deepgram error:", error);
-                        });
-
-                        deepgramLive.on(LiveTranscriptionEvents.Close, () => {
-                            console.log("⚠️  Deepgram connection closed");
-                        });
-
-                        // ✅ CRITICAL: Send silence immediately to keep Twilio connection alive
-                        // Twilio may disconnect if it doesn't receive any audio within a few seconds
-                        if (session.isReady && session.streamSid) {
-                            console.log("🔇 Sending initial silence to keep connection alive...");
-                            const silenceBuffer = Buffer.alloc(160, 0xFF); // µ-law silence (160 bytes = 20ms)
-                            const base64Silence = silenceBuffer.toString('base64');
-
-                            // Send a few silence packets
-                            for (let i = 0; i < 5; i++) {
-                                session.ws.send(JSON.stringify({
-                                    event: "media",
-                                    streamSid: session.streamSid,
-                                    media: { payload: base64Silence }
-                                }));
-                            }
-                            console.log("✅ Silence packets sent");
-                        }
-
-                        // Send greeting after a short delay (reduced from 1500ms)
-                        setTimeout(async () => {
-                            try {
-                                console.log(`\n========== SENDING GREETING ==========`);
-                                console.log(`👋 Greeting text: "${session.greetingMessage}"`);
-                                console.log(`🔊 Voice ID: ${session.agentVoiceId}`);
-                                console.log(`📞 Call ID: ${session.callId}`);
-                                console.log(`🔗 Stream SID: ${session.streamSid}`);
-                                console.log(`✅ Stream ready: ${session.isReady}`);
-
-                                const audio = await this.synthesizeTTS(session.greetingMessage, session.agentVoiceId, session);
-
-                                if (audio && audio.length > 0) {
-                                    console.log(`✅ Greeting audio generated: ${audio.length} bytes`);
-                                    console.log(`📤 Sending greeting to Twilio...`);
-                                    this.sendAudioToTwilio(session, audio);
-                                    console.log(`========================================\n`);
-                                } else {
-                                    console.error("❌ Greeting audio is empty or null");
-                                    console.error("   This means TTS generation failed!");
-                                    console.log(`========================================\n`);
-                                }
-                            } catch (err) {
-                                console.error("❌ Greeting error:", err);
-                                console.error("❌ Error stack:", err.stack);
-                                console.log(`========================================\n`);
-                            }
-                        }, 800); // Optimized timing
+                        session = await this.startSession(ws, data.start);
 
                     } else if (data.event === "connected") {
                         console.log("✅ Twilio connected");
 
                     } else if (data.event === "media") {
-                        // ✅ Send audio directly to Deepgram
-                        if (session?.sttStream && data.media?.payload) {
+                        if (session && data.media?.payload) {
                             const audioBuffer = Buffer.from(data.media.payload, "base64");
-                            if (audioBuffer.length > 0) {
-                                session.sttStream.send(audioBuffer);
-                                // Log occasionally to verify audio is flowing
-                                if (Math.random() < 0.01) { // Log ~1% of packets
-                                    console.log(`🎤 Receiving audio from user (${audioBuffer.length} bytes)`);
-                                }
+                            this.engine.pushAudio(session, audioBuffer);
+                            this.engine.monitorAudio(session, 'caller', audioBuffer);
+                            if (session.recorder && audioBuffer.length > 0) {
+                                // Twilio timestamps are ms since the stream started
+                                const atMs = Number(data.media.timestamp);
+                                session.recorder.addCallerAudio(mulaw.decode(audioBuffer), Number.isFinite(atMs) ? atMs : undefined);
                             }
                         }
 
+                    } else if (data.event === "dtmf") {
+                        // Caller pressed a key
+                        if (session) this.engine.pushDigit(session, data.dtmf?.digit);
+
                     } else if (data.event === "stop") {
                         console.log("⏹️  Stream stopped");
-                        if (callId) this.endSession(callId);
+                        this.endSession(session);
 
                     } else if (data.event === "mark") {
                         console.log("📍 Mark:", data.mark?.name);
+                        // Twilio echoes the mark once the audio before it has been played
+                        if (session?.playback && session.playback.markName === data.mark?.name) {
+                            this.engine.playbackFinished(session, session.playback);
+                        }
                     }
 
                 } catch (err) {
@@ -412,7 +115,7 @@ class MediaStreamHandler {
 
             ws.on("close", () => {
                 console.log("🔌 WebSocket closed");
-                if (callId) this.endSession(callId);
+                this.endSession(session);
             });
 
             console.log("✅ WebSocket handlers registered and ready");
@@ -426,176 +129,224 @@ class MediaStreamHandler {
             }
         }
     }
-    async callLLM(session) {
-        try {
-            console.log("🧠 Calling Gemini LLM...");
-            const response = await this.llmService.generateContent({
-                model: "models/gemini-2.5-flash",
-                contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
-            });
-            let text = response.text;
-            console.log("🧠 Gemini response received:", text);
-
-            // Track Gemini token usage
-            if (response.usageMetadata && session.usage) {
-                const totalTokens = (response.usageMetadata.promptTokenCount || 0) +
-                    (response.usageMetadata.candidatesTokenCount || 0);
-                session.usage.gemini += totalTokens;
-                console.log(`📊 Gemini tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
-            }
 
-            // Check for Tool Call (JSON format)
-            try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
-
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
-
-                        // Handle Google Sheets Tool
-                        if (parsed.tool.includes('Sheet') || parsed.tool === 'addToSheet' || parsed.tool === 'saveData') {
-                            const googleSheetsService = require('./googleSheetsService.js');
-
-                            // Find the tool definition to get the Spreadsheet ID
-                            let spreadsheetId;
-                            if (session.tools && session.tools.length > 0) {
-                                const tool = session.tools.find(t => t.name === parsed.tool);
-                                if (tool) spreadsheetId = googleSheetsService.extractSpreadsheetId(tool.webhookUrl); // In UI, URL is stored in webhookUrl
-                            }
+    /**
+     * Twilio "start" event: load the agent, create the engine session and greet
+     * @returns {Promise<Object|null>} - Session, or null when the call can't go ahead
+     */
+    async startSession(ws, start = {}) {
+        const streamStartedAt = Date.now(); // Media timestamps count from here
+        const streamParams = start.customParameters || {};
+        const callId = streamParams.callId || start.callSid;
+        const { agentId, userId } = streamParams;
+
+        console.log(`📞 Call ID: ${callId}`);
+        console.log(`🤖 Agent ID: ${agentId}`);
+        console.log(`👤 User ID: ${userId}`);
+
+        if (!callId) {
+            console.error("❌ No callId in start event");
+            ws.close();
+            return null;
+        }
 
-                            if (!spreadsheetId) {
-                                console.error('Spreadsheet URL not found in tool configuration');
-                            } else {
-                                await googleSheetsService.appendGenericRow(spreadsheetId, parsed.data);
-                            }
+        const agent = await this.engine.loadAgent(userId, agentId);
 
-                            // Add tool result to context and ask LLM for final response
-                            this.appendToContext(session, JSON.stringify({ tool: parsed.tool, status: "success", message: "Data saved successfully" }), "user"); // mimic user/system confirmation
+        const balanceCheck = await this.engine.checkBalance(userId);
+        if (!balanceCheck.allowed) {
+            ws.send(JSON.stringify({ event: 'error', message: balanceCheck.message }));
+            ws.close();
+            return null;
+        }
 
-                            // Recursively call LLM to get the verbal response
-                            return await this.callLLM(session);
-                        }
-                    }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call, just regular text -> continue
-            }
+        const session = await this.engine.createSession({ id: callId, callId, userId, agentId, agent, transport: this });
+        if (!session) {
+            ws.close();
+            return null;
+        }
 
-            return text;
-        } catch (err) {
-            console.error("❌ LLM error:", err);
-            return "I apologize, I'm having trouble processing that right now.";
+        session.ws = ws;
+        session.streamSid = start.streamSid;
+        session.callSid = start.callSid; // Needed to hang up and transfer
+        session.streamParams = streamParams;
+        if (ws.readyState !== ws.OPEN) {
+            // Caller hung up while the call was being set up
+            this.endSession(session);
+            return null;
+        }
+        if (agent.settings.callRecording !== false) {
+            session.recorder = new CallRecorder(8000, streamStartedAt);
+        }
+        const ambienceId = resolveAmbienceId(agent.settings.backgroundAmbientSound);
+        if (ambienceId) {
+            this.startAmbience(session, ambienceId, agent.settings.backgroundAmbientVolume);
         }
-    }
 
-    async synthesizeTTS(text, voiceId, session = null) {
-        try {
-            // Use TTS controller for provider abstraction
-            const { generateTTS } = require('./tts_controller.js');
+        // Twilio may disconnect if it doesn't receive any audio within a few seconds
+        const silence = Buffer.alloc(FRAME_BYTES, 0xFF).toString('base64'); // µ-law silence
+        for (let i = 0; i < 5; i++) {
+            ws.send(JSON.stringify({ event: "media", streamSid: session.streamSid, media: { payload: silence } }));
+        }
 
-            console.log(`🔊 Synthesizing TTS with voice: ${voiceId}`);
+        // Answering machine (see /api/twilio/voice) - leave the message and hang up
+        this.engine.start(session, { voicemail: streamParams.voicemail === '1', contactId: streamParams.contactId })
+            .catch(err => console.error("❌ Error starting call:", err));
+        return session;
+    }
 
-            const audioBuffer = await generateTTS(text, { voiceId });
+    endSession(session) {
+        if (!session || session.closed) return;
+        clearInterval(session.ambienceTimer);
+        session.usage.twilio = (Date.now() - session.startTime) / 60000; // minutes
+        this.engine.endSession(session);
+    }
 
-            // Track TTS usage for billing
-            if (session && session.usage) {
-                const characterCount = text.length;
-                const isSarvam = voiceId && (voiceId.includes('sarvam') || voiceId.includes('anushka') || voiceId.includes('arvind'));
+    /**
+     * Keep ambience going while no reply is being paced out
+     */
+    startAmbience(session, ambienceId, volume) {
+        session.ambience = new AmbienceMixer(ambienceId, volume);
+        session.ambienceTimer = setInterval(() => {
+            if (session.playback?.pumping) return;
+            this.sendMedia(session, session.ambience.frame(FRAME_BYTES));
+        }, 20);
+        console.log(`🎧 Background ambience: ${ambienceId}`);
+    }
 
-                if (isSarvam) {
-                    session.usage.sarvam += characterCount;
-                    console.log(`📊 Sarvam TTS: ${characterCount} characters (Total: ${session.usage.sarvam})`);
-                } else {
-                    session.usage.elevenlabs += characterCount;
-                    console.log(`📊 ElevenLabs TTS: ${characterCount} characters (Total: ${session.usage.elevenlabs})`);
-                }
-            }
+    sendMedia(session, frame) {
+        if (!session.ws || session.ws.readyState !== session.ws.OPEN) return;
+        session.ws.send(
+            JSON.stringify({
+                event: "media",
+                streamSid: session.streamSid,
+                media: {
+                    payload: frame.toString("base64")
+                },
+            })
+        );
+    }
 
-            if (!audioBuffer) {
-                console.error("❌ TTS generation returned null");
-                return null;
-            }
+    startPlayback(session, playback) {
+        playback.segmentIndex = 0;
+        playback.framesSent = 0;
+        playback.pumping = true; // Frames are paced by pumpPlayback until the mark is sent
+        playback.markName = `audio_${session.id}_${Date.now()}`;
+        this.pumpPlayback(session, playback);
+    }
 
-            console.log(`✅ TTS generated: ${audioBuffer.length} bytes (µ-law 8kHz) using voice ${voiceId}`);
-            return audioBuffer;
-        } catch (err) {
-            console.error("❌ TTS error:", err);
-            return null;
-        }
+    updatePlayback() {
+        // The pump picks up new audio on its next frame
     }
-    sendAudioToTwilio(session, audioBuffer) {
+
+    /**
+     * Pace audio out in 20 ms frames; segments are sent as their TTS streams in
+     */
+    pumpPlayback(session, playback) {
+        // Stop as soon as the caller barges in or a newer reply takes over
+        if (session.playback !== playback) return;
+
         try {
-            if (!session.isReady || !session.streamSid) {
-                console.log("⏸️  Queueing audio - stream not ready yet");
-                session.audioQueue.push(audioBuffer);
-                return;
+            let segment = playback.segments[playback.segmentIndex];
+            while (segment && segment.done && segment.offset >= segment.buffer.length) {
+                segment = playback.segments[++playback.segmentIndex];
             }
 
-            // ✅ Set speaking flag
-            session.isSpeaking = true;
-
-            const base64Audio = audioBuffer.toString("base64");
-            const chunkSize = 214; // 160 bytes µ-law = 214 chars base64
-            let chunksSent = 0;
-
-            console.log(`📤 Sending audio to Twilio:`);
-            console.log(`   Raw buffer length: ${audioBuffer.length} bytes`);
-            console.log(`   Total base64 length: ${base64Audio.length}`);
-            console.log(`   First 20 bytes (hex): ${audioBuffer.slice(0, 20).toString('hex')}`);
-            console.log(`   First 20 bytes (decimal): [${Array.from(audioBuffer.slice(0, 20)).join(', ')}]`);
-            console.log(`   First 50 base64 chars: ${base64Audio.substring(0, 50)}`);
-            console.log(`   Expected chunks: ${Math.ceil(base64Audio.length / chunkSize)}`);
-
-            // Send chunks with small delays for better playback
-            let offset = 0;
-            const sendNextChunk = () => {
-                if (offset >= base64Audio.length) {
-                    // All chunks sent, send mark
-                    session.ws.send(
-                        JSON.stringify({
-                            event: "mark",
-                            streamSid: session.streamSid,
-                            mark: { name: "audio_complete" },
-                        })
-                    );
-
-                    console.log(`✅ Sent ${chunksSent} audio chunks to Twilio (streamSid: ${session.streamSid})`);
-
-                    // Clear speaking flag after estimated duration
-                    const estimatedDurationMs = chunksSent * 20;
-                    setTimeout(() => {
-                        session.isSpeaking = false;
-                        console.log(`✅ Agent finished speaking`);
-                    }, estimatedDurationMs);
-                    return;
-                }
-
-                const chunk = base64Audio.slice(offset, offset + chunkSize);
+            if (!segment && playback.ended) {
+                // All audio sent, send mark - playback finishes when Twilio echoes it back
+                playback.pumping = false;
                 session.ws.send(
                     JSON.stringify({
-                        event: "media",
+                        event: "mark",
                         streamSid: session.streamSid,
-                        media: {
-                            payload: chunk
-                        },
+                        mark: { name: playback.markName },
                     })
                 );
-                chunksSent++;
-                offset += chunkSize;
-
-                // Send next chunk after 20ms (matches 160 bytes @ 8kHz = 20ms of audio)
-                setTimeout(sendNextChunk, 20);
-            };
+                console.log(`✅ Sent ${playback.framesSent} audio frames to Twilio (streamSid: ${session.streamSid})`);
+                return;
+            }
 
-            // Start sending chunks
-            sendNextChunk();
+            let sent = false;
+            if (segment) {
+                const available = segment.buffer.length - segment.offset;
+                // Wait for a full frame unless this is the tail of the segment
+                if (available >= FRAME_BYTES || (segment.done && available > 0)) {
+                    const frame = segment.buffer.slice(segment.offset, segment.offset + FRAME_BYTES);
+                    segment.offset += frame.length;
+                    this.sendMedia(session, session.ambience ? session.ambience.mix(frame) : frame);
+                    playback.framesSent++;
+                    if (session.recorder) session.recorder.addAgentAudio(mulaw.decode(frame));
+                    this.engine.monitorAudio(session, 'agent', frame);
+                    if (!playback.firstAudioAt) playback.firstAudioAt = Date.now();
+                    sent = true;
+                }
+            }
+            if (!sent && session.ambience) {
+                // Waiting for TTS - keep the ambience going meanwhile
+                this.sendMedia(session, session.ambience.frame(FRAME_BYTES));
+            }
 
+            // Next frame after 20ms (matches 160 bytes @ 8kHz = 20ms of audio)
+            playback.timer = setTimeout(() => this.pumpPlayback(session, playback), 20);
         } catch (err) {
             console.error("❌ Error sending audio to Twilio:", err);
-            session.isSpeaking = false; // Clear flag on error
+            this.engine.playbackFinished(session, playback);
+        }
+    }
+
+    /**
+     * Barge-in: flush what Twilio has buffered
+     */
+    stopAudio(session) {
+        if (session.ws && session.streamSid) {
+            session.ws.send(
+                JSON.stringify({
+                    event: "clear",
+                    streamSid: session.streamSid
+                })
+            );
+        }
+    }
+
+    spokenFraction(segment) {
+        return segment.buffer.length ? segment.offset / segment.buffer.length : 0;
+    }
+
+    notify() {
+        // Nothing to show on a phone call
+    }
+
+    dtmfTones(digits) {
+        return generateDtmfTones(digits);
+    }
+
+    /**
+     * Cold: the call is redirected straight to <Dial>. Warm: the human hears
+     * the summary saved on the calls row before being connected.
+     */
+    async transfer(session, destination) {
+        if (!session.callSid) throw new Error('Twilio call SID is unknown');
+        await this.twilioService.transferCall(session.callSid, session.callId, {
+            number: destination.number,
+            warm: destination.type === 'warm'
+        });
+        // Twilio ends the media stream once the call moves to <Dial>
+    }
+
+    async hangUp(session) {
+        if (session.callSid) {
+            try {
+                await this.twilioService.completeCall(session.callSid, session.callId);
+                return;
+            } catch (err) {
+                console.error("❌ Twilio hang-up failed, closing media stream:", err.message);
+            }
+        }
+
+        // Without the stream Twilio moves past <Connect> and the call ends
+        try {
+            session.ws.close();
+        } catch (err) {
+            // Ignore close errors
         }
     }
 }
@@ -0,0 +1,74 @@
+const { ApiKeyService } = require('./apiKeyService.js');
+const { getProviderDefinitions } = require('./providers/index.js');
+
+/**
+ * Key settings per provider id (see providers/index.js): `service` is the
+ * user_api_keys.service_name saved from ApiPage, `env` the platform keys
+ */
+function getKeyedProviders() {
+    const keyed = new Map();
+    for (const definition of getProviderDefinitions()) {
+        if (definition.apiKey) keyed.set(definition.id, definition.apiKey);
+    }
+    return keyed;
+}
+
+/**
+ * Platform key for a provider from the environment
+ * @param {string} provider - Provider id
+ * @returns {string|null}
+ */
+function getPlatformKey(provider) {
+    const settings = getKeyedProviders().get(provider);
+    for (const name of settings ? settings.env : []) {
+        if (process.env[name]) return process.env[name];
+    }
+    return null;
+}
+
+/**
+ * Keys for one call: the user's own key for each provider, else the platform
+ * key. Resolve once when the call starts and keep the result on the session -
+ * user keys are decrypted here and must never be logged.
+ * @param {string|null} userId
+ * @returns {Promise<Object>} - { deepgram: { apiKey, source }, ... }, source is 'user' or 'platform'
+ */
+async function resolveProviderKeys(userId) {
+    const keys = {};
+
+    for (const [provider, { service }] of getKeyedProviders()) {
+        let apiKey = null;
+        if (userId) {
+            try {
+                apiKey = await ApiKeyService.getUserApiKey(userId, service);
+            } catch (err) {
+                console.error(`❌ Could not load ${provider} key for user ${userId}, using platform key`);
+            }
+        }
+
+        keys[provider] = apiKey
+            ? { apiKey, source: 'user' }
+            : { apiKey: getPlatformKey(provider), source: 'platform' };
+    }
+
+    const own = getOwnKeyProviders(keys);
+    if (own.length > 0) {
+        console.log(`🔑 Using own provider keys for user ${userId}: ${own.join(', ')}`);
+    }
+    return keys;
+}
+
+/**
+ * Providers billed to the user's own account (not charged by the platform)
+ * @param {Object} keys - From resolveProviderKeys
+ * @returns {string[]}
+ */
+function getOwnKeyProviders(keys) {
+    return Object.keys(keys || {}).filter(provider => keys[provider].source === 'user');
+}
+
+module.exports = {
+    getPlatformKey,
+    resolveProviderKeys,
+    getOwnKeyProviders
+};
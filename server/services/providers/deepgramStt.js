@@ -0,0 +1,90 @@
+const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
+const { getDeepgramOptions } = require('../../utils/language.js');
+
+const KEEP_ALIVE_MS = 10000; // Deepgram closes idle streams after ~10s without audio
+
+/**
+ * Deepgram live transcription (SDK v4)
+ */
+class DeepgramStt {
+    constructor(apiKey) {
+        this.client = createClient(apiKey);
+    }
+
+    /**
+     * @param {Object} options - encoding ('mulaw' | 'linear16'), sampleRate, language (profile
+     *   from getLanguageProfile), phone (8kHz call audio), utteranceEndMs, endpointingMs
+     *   (silence that ends a final transcript; null for Deepgram's default)
+     * @param {Object} handlers - onTranscript({ text, isFinal, confidence, duration }), onSpeechStarted(),
+     *   onError(err)
+     * @returns {{send: Function, close: Function}}
+     */
+    startStream(options, handlers) {
+        const live = this.client.listen.live({
+            encoding: options.encoding,
+            sample_rate: options.sampleRate,
+            ...getDeepgramOptions(options.language, { phone: options.phone }), // model + language
+            smart_format: true,
+            interim_results: true, // MUST be true for utterance_end_ms
+            utterance_end_ms: options.utteranceEndMs || 1000,
+            ...(options.endpointingMs ? { endpointing: options.endpointingMs } : {}),
+            vad_events: true, // SpeechStarted, so a delayed reply waits while the caller goes on
+            punctuate: true,
+        });
+
+        live.on(LiveTranscriptionEvents.Open, () => {
+            console.log("✅ Deepgram connection opened and ready");
+        });
+
+        live.on(LiveTranscriptionEvents.Transcript, (data) => {
+            const alternative = data.channel?.alternatives?.[0];
+            handlers.onTranscript({
+                text: alternative?.transcript || '',
+                isFinal: !!data.is_final,
+                confidence: alternative?.confidence,
+                duration: data.duration
+            });
+        });
+
+        live.on(LiveTranscriptionEvents.SpeechStarted, () => {
+            if (handlers.onSpeechStarted) handlers.onSpeechStarted();
+        });
+
+        live.on(LiveTranscriptionEvents.UtteranceEnd, () => {
+            console.log("🎤 User finished speaking (utterance end)");
+        });
+
+        live.on(LiveTranscriptionEvents.Error, (error) => {
+            console.error("❌ Deepgram error:", error);
+            if (handlers.onError) handlers.onError(error);
+        });
+
+        live.on(LiveTranscriptionEvents.Close, () => {
+            console.log("⚠️  Deepgram connection closed");
+        });
+
+        const keepAlive = setInterval(() => {
+            if (live.getReadyState() === 1) live.keepAlive();
+        }, KEEP_ALIVE_MS);
+
+        return {
+            send(audio) {
+                if (live.getReadyState() === 1) live.send(audio);
+            },
+            close() {
+                clearInterval(keepAlive);
+                if (typeof live.finish === 'function') live.finish();
+                live.removeAllListeners();
+            }
+        };
+    }
+}
+
+module.exports = {
+    id: 'deepgram',
+    kind: 'stt',
+    name: 'Deepgram',
+    usageKey: 'deepgram',
+    apiKey: { service: 'deepgram', env: ['DEEPGRAM_API_KEY'] },
+    create: ({ apiKey }) => new DeepgramStt(apiKey)
+};
@@ -0,0 +1,49 @@
+const { generateTTS, streamTTS } = require('../tts_controller.js');
+
+// Engine audio formats → ElevenLabs output_format
+const OUTPUT_FORMATS = {
+    ulaw_8000: 'ulaw_8000', // Twilio
+    mp3: 'mp3_44100_128'    // Browser playback
+};
+
+class ElevenLabsTts {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.streaming = true;
+    }
+
+    buildOptions({ voiceId, format, languageCode }) {
+        return {
+            provider: 'elevenlabs',
+            voiceId,
+            output_format: OUTPUT_FORMATS[format] || OUTPUT_FORMATS.ulaw_8000,
+            languageCode,
+            elevenLabsApiKey: this.apiKey
+        };
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} options - voiceId, format ('ulaw_8000' | 'mp3'), languageCode
+     * @returns {Promise<Buffer>}
+     */
+    synthesize(text, options) {
+        return generateTTS(text, this.buildOptions(options));
+    }
+
+    /**
+     * Same as synthesize, calling onAudio with each chunk as it arrives
+     */
+    stream(text, options, onAudio) {
+        return streamTTS(text, this.buildOptions(options), onAudio);
+    }
+}
+
+module.exports = {
+    id: 'elevenlabs',
+    kind: 'tts',
+    name: 'ElevenLabs',
+    usageKey: 'elevenlabs',
+    apiKey: { service: '11labs', env: ['ELEVEN_LABS_API_KEY', 'ELEVENLABS_API_KEY'] },
+    create: ({ apiKey }) => new ElevenLabsTts(apiKey)
+};
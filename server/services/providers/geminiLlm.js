@@ -0,0 +1,79 @@
+const { LLMService } = require("../../llmService.js");
+
+const DEFAULT_MODEL = "models/gemini-2.5-flash";
+
+/**
+ * Gemini through LLMService. The conversation format used by the engine is
+ * Gemini's own, so contents and tool calls pass through unchanged.
+ */
+class GeminiLlm {
+    constructor(apiKey, model = DEFAULT_MODEL) {
+        this.service = new LLMService(apiKey);
+        this.model = model;
+    }
+
+    buildRequest({ contents, systemInstruction, tools }) {
+        return {
+            model: this.model,
+            contents,
+            config: {
+                systemInstruction,
+                tools: tools && tools.length > 0 ? [{ functionDeclarations: tools }] : undefined
+            },
+        };
+    }
+
+    toResult(response) {
+        const usage = response.usageMetadata || {};
+        return {
+            text: response.text || '',
+            functionCalls: response.functionCalls || [],
+            content: response.content,
+            tokens: (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0)
+        };
+    }
+
+    /**
+     * @param {Object} request - contents, systemInstruction, tools (function declarations)
+     * @returns {Promise<{text, functionCalls, content, tokens}>}
+     */
+    async generate(request) {
+        return this.toResult(await this.service.generateContent(this.buildRequest(request)));
+    }
+
+    /**
+     * @param {Object} request - Same as generate
+     * @returns {Promise<{stream: AsyncIterable<string>, response: Promise}>} - Text deltas, then the generate() result
+     */
+    async stream(request) {
+        const result = await this.service.generateContentStream(this.buildRequest(request));
+
+        async function* deltas() {
+            for await (const chunk of result.stream) {
+                let delta = "";
+                try {
+                    delta = chunk.text();
+                } catch (e) {
+                    // Chunk without text (e.g. safety metadata)
+                }
+                if (delta) yield delta;
+            }
+        }
+
+        const response = result.response.then(response => this.toResult(response));
+        // Callers that stop reading early may never await it; they still get the rejection when they do
+        response.catch(() => {});
+        return { stream: deltas(), response };
+    }
+}
+
+module.exports = {
+    id: 'gemini',
+    kind: 'llm',
+    name: 'Google Gemini',
+    usageKey: 'gemini',
+    apiKey: { service: 'gemini', env: ['GOOGLE_GEMINI_API_KEY', 'GEMINI_API_KEY'] },
+    matchesModel: (model) => String(model).startsWith('gemini'),
+    // VoiceAgent.model is e.g. "gemini-2.5-flash"
+    create: ({ apiKey, model }) => new GeminiLlm(apiKey, model && String(model).startsWith('gemini') ? `models/${model}` : DEFAULT_MODEL)
+};
@@ -0,0 +1,141 @@
+/**
+ * Speech-to-text, LLM and text-to-speech providers for live calls.
+ *
+ * A provider module exports a definition:
+ *   { id, kind: 'stt' | 'llm' | 'tts', name, usageKey, apiKey: { service, env, optional }, create({ apiKey, ... }) }
+ * - usageKey is the service billed by CostCalculator (service_pricing.service_type);
+ *   an instance may set its own, e.g. per model
+ * - apiKey.service is the user_api_keys.service_name saved on the API page,
+ *   apiKey.env the environment variables holding the platform key
+ * - tts providers may own voices (matchesVoice), llm providers models (matchesModel)
+ *
+ * create() returns an instance implementing the interface for its kind:
+ *   stt: startStream(options, { onTranscript, onError }) → { send(audio), close() }
+ *   llm: generate(request) / stream(request) with Gemini-style contents
+ *        ({ role: 'user' | 'model' | 'function', parts }) and function declarations
+ *   tts: synthesize(text, options) → Buffer, stream(text, options, onAudio), streaming flag
+ *
+ * Adding a provider = a module here plus one registerProvider() line below.
+ *
+ * With SANDBOX_MODE=true every call uses the sandbox providers (scripted STT,
+ * rule-based LLM, tone TTS - see server/sandbox), which need no keys or network.
+ */
+
+const { isSandboxMode } = require('../../sandbox/index.js');
+
+const KINDS = ['stt', 'llm', 'tts'];
+const DEFAULT_PROVIDERS = { stt: 'deepgram', llm: 'gemini', tts: 'elevenlabs' };
+
+const registry = new Map(); // `${kind}:${id}` -> definition
+
+function registerProvider(definition) {
+    if (!KINDS.includes(definition.kind)) {
+        throw new Error(`Unknown provider kind "${definition.kind}"`);
+    }
+    registry.set(`${definition.kind}:${definition.id}`, definition);
+}
+
+/**
+ * @param {string} kind - stt | llm | tts
+ * @param {string} id
+ * @returns {Object|null} - Provider definition
+ */
+function getProvider(kind, id) {
+    return registry.get(`${kind}:${id}`) || null;
+}
+
+/**
+ * Providers agents can choose from, for the agent settings page
+ * @returns {Array<{id: string, kind: string, name: string}>}
+ */
+function listProviders() {
+    return Array.from(registry.values()).map(({ id, kind, name }) => ({ id, kind, name }));
+}
+
+/**
+ * Every registered definition (provider keys are resolved from these)
+ */
+function getProviderDefinitions() {
+    return Array.from(registry.values());
+}
+
+/**
+ * Provider ids for a call from the agent's settings.providers. The LLM is
+ * the one serving the agent's model; agents saved without a TTS provider get
+ * the one that owns their voice.
+ * @param {Object} settings - Agent settings
+ * @param {Object} agent - voiceId and model of the agent
+ * @returns {{stt: string, llm: string, tts: string}}
+ */
+function selectProviders(settings = {}, { voiceId = null, model = null } = {}) {
+    if (isSandboxMode()) return { stt: 'sandbox', llm: 'sandbox', tts: 'sandbox' };
+
+    const chosen = settings.providers || {};
+    const selection = {};
+
+    for (const kind of KINDS) {
+        let id = kind === 'llm' ? null : chosen[kind];
+        if (kind === 'llm' && model) {
+            const owner = getProviderDefinitions().find(p => p.kind === 'llm' && p.matchesModel && p.matchesModel(model));
+            id = owner ? owner.id : model;
+        }
+        if (kind === 'tts' && !id) {
+            const owner = getProviderDefinitions().find(p => p.kind === 'tts' && p.matchesVoice && p.matchesVoice(voiceId));
+            id = owner ? owner.id : null;
+        }
+        if (id && !getProvider(kind, id)) {
+            console.warn(`⚠️  Unknown ${kind} provider "${id}", using ${DEFAULT_PROVIDERS[kind]}`);
+            id = null;
+        }
+        selection[kind] = id || DEFAULT_PROVIDERS[kind];
+    }
+    return selection;
+}
+
+/**
+ * Create the selected providers with the call's keys
+ * @param {Object} selection - From selectProviders (kinds left out aren't created)
+ * @param {Object} keys - From resolveProviderKeys
+ * @param {Object} agent - model and settings, for providers configured per agent
+ * @returns {{providers: Object, missing: string[]}} - Instances by kind plus the provider ids without a key
+ */
+function createProviders(selection, keys, { model = null, settings = {} } = {}) {
+    const providers = {};
+    const missing = [];
+
+    for (const kind of KINDS) {
+        if (!selection[kind]) continue; // Not needed, e.g. no speech in text-only sessions
+        const definition = getProvider(kind, selection[kind]);
+        const key = keys[definition.id] || { apiKey: null, source: null };
+        if (definition.apiKey && !definition.apiKey.optional && !key.apiKey) {
+            missing.push(definition.id);
+            continue;
+        }
+        providers[kind] = definition.create({ apiKey: key.apiKey, keySource: key.source, model, settings });
+        providers[kind].id = definition.id;
+        providers[kind].usageKey = providers[kind].usageKey || definition.usageKey;
+    }
+    return { providers, missing };
+}
+
+registerProvider(require('./deepgramStt.js'));
+registerProvider(require('./geminiLlm.js'));
+registerProvider(require('./openaiLlm.js'));
+registerProvider(require('./elevenLabsTts.js'));
+registerProvider(require('./sarvamTts.js'));
+
+if (isSandboxMode()) {
+    registerProvider(require('./sandboxStt.js'));
+    registerProvider(require('./sandboxLlm.js'));
+    registerProvider(require('./sandboxTts.js'));
+}
+
+module.exports = {
+    DEFAULT_PROVIDERS,
+    registerProvider,
+    getProvider,
+    listProviders,
+    getProviderDefinitions,
+    selectProviders,
+    createProviders
+};
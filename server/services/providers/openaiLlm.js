@@ -0,0 +1,286 @@
+const nodeFetch = require("node-fetch");
+const { assertPublicUrl, createPublicAgent, getAllowedHosts } = require('../../utils/outboundUrl.js');
+
+const MODEL_ID = 'openai-compatible'; // VoiceAgent.model for agents on this backend
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const REQUEST_TIMEOUT_MS = 30000;
+const STREAM_IDLE_TIMEOUT_MS = 15000; // Longest wait between streamed chunks
+// Self-hosted servers on a private network, e.g. "ollama.internal,10.0.0.5"
+const ALLOWED_PRIVATE_HOSTS_ENV = 'OPENAI_ALLOWED_PRIVATE_HOSTS';
+
+function getPlatformBaseUrl() {
+    return (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Gemini-style function declarations → OpenAI tools (the schema types are
+ * already JSON Schema names, just lower-cased here in case of enum names)
+ */
+function toOpenAiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = { ...schema };
+    if (typeof converted.type === 'string') converted.type = converted.type.toLowerCase();
+    if (converted.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(converted.properties).map(([name, value]) => [name, toOpenAiSchema(value)])
+        );
+    }
+    if (converted.items) converted.items = toOpenAiSchema(converted.items);
+    return converted;
+}
+
+function toOpenAiTools(declarations) {
+    if (!declarations || declarations.length === 0) return undefined;
+    return declarations.map(declaration => ({
+        type: 'function',
+        function: {
+            name: declaration.name,
+            description: declaration.description,
+            parameters: toOpenAiSchema(declaration.parameters) || { type: 'object', properties: {} }
+        }
+    }));
+}
+
+/**
+ * Gemini-style contents → chat messages. Tool call ids are kept on the
+ * functionCall parts when the model gave them and made up from the position
+ * otherwise; function results are matched to the calls before them in order.
+ */
+function toOpenAiMessages(contents, systemInstruction) {
+    const messages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+    let callIds = [];
+
+    contents.forEach((entry, index) => {
+        const parts = entry.parts || [];
+        const text = parts.map(part => part.text).filter(Boolean).join('');
+
+        if (entry.role === 'model') {
+            const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+            callIds = calls.map((call, i) => call.id || `call_${index}_${i}`);
+            const message = { role: 'assistant', content: text || null };
+            if (calls.length > 0) {
+                message.tool_calls = calls.map((call, i) => ({
+                    id: callIds[i],
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+                }));
+            }
+            messages.push(message);
+        } else if (entry.role === 'function') {
+            parts.filter(part => part.functionResponse).forEach((part, i) => {
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: callIds[i] || `call_${index}_${i}`,
+                    content: JSON.stringify(part.functionResponse.response)
+                });
+            });
+        } else {
+            messages.push({ role: 'user', content: text });
+        }
+    });
+    return messages;
+}
+
+function parseArguments(json) {
+    try {
+        return json ? JSON.parse(json) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Any OpenAI-compatible /v1/chat/completions endpoint: OpenAI itself or a
+ * self-hosted server (vLLM, Ollama, LM Studio)
+ */
+class OpenAiLlm {
+    /**
+     * @param {string|null} apiKey - Optional; self-hosted servers often need none
+     * @param {Object} options - baseUrl (defaults to the platform's), model
+     */
+    constructor(apiKey, { baseUrl, model } = {}) {
+        this.apiKey = apiKey;
+        this.baseUrl = (baseUrl || getPlatformBaseUrl()).replace(/\/+$/, '');
+        this.model = model || process.env.OPENAI_MODEL || DEFAULT_MODEL;
+        // Billed per model (service_pricing "openai:<model>", falling back to "openai")
+        this.usageKey = `openai:${this.model}`;
+    }
+
+    buildBody({ contents, systemInstruction, tools }, stream) {
+        return {
+            model: this.model,
+            messages: toOpenAiMessages(contents, systemInstruction),
+            tools: toOpenAiTools(tools),
+            ...(stream && { stream: true, stream_options: { include_usage: true } })
+        };
+    }
+
+    /**
+     * Errors carry the status only: upstream bodies and network details go to
+     * the log, since the endpoint can be any server an agent owner names
+     */
+    async post(body, options = {}) {
+        if (this.endpointError) throw this.endpointError;
+
+        let response;
+        try {
+            response = await nodeFetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+                },
+                body: JSON.stringify(body),
+                agent: this.agent,
+                ...options
+            });
+        } catch (err) {
+            console.error(`❌ Chat completions request to ${this.baseUrl} failed:`, err.message);
+            if (/private or local network/.test(err.message)) {
+                throw new Error('Endpoint URL points to a private or local network address');
+            }
+            throw new Error(err.type === 'request-timeout' ? 'Chat completions request timed out' : 'Chat completions request failed');
+        }
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            console.error(`❌ Chat completions error ${response.status} from ${this.baseUrl}: ${errorText.substring(0, 200)}`);
+            throw new Error(`Chat completions error ${response.status}`);
+        }
+        return response;
+    }
+
+    toResult(text, toolCalls, usage) {
+        const functionCalls = toolCalls
+            .filter(call => call.function && call.function.name)
+            .map(call => ({ id: call.id, name: call.function.name, args: parseArguments(call.function.arguments) }));
+        const parts = [
+            ...(text ? [{ text }] : []),
+            ...functionCalls.map(functionCall => ({ functionCall }))
+        ];
+        return {
+            text,
+            functionCalls,
+            content: { role: 'model', parts },
+            // Servers that don't report usage are billed ~4 characters per token
+            tokens: usage ? (usage.prompt_tokens || 0) + (usage.completion_tokens || 0) : Math.ceil(text.length / 4)
+        };
+    }
+
+    /**
+     * @param {Object} request - contents, systemInstruction, tools (function declarations)
+     * @returns {Promise<{text, functionCalls, content, tokens}>}
+     */
+    async generate(request) {
+        const response = await this.post(this.buildBody(request, false), { timeout: REQUEST_TIMEOUT_MS });
+        const data = await response.json();
+        const message = data.choices?.[0]?.message || {};
+        return this.toResult(message.content || '', message.tool_calls || [], data.usage);
+    }
+
+    /**
+     * @param {Object} request - Same as generate
+     * @returns {Promise<{stream: AsyncIterable<string>, response: Promise}>} - Text deltas, then the generate() result
+     */
+    async stream(request) {
+        const response = await this.post(this.buildBody(request, true), { timeout: REQUEST_TIMEOUT_MS });
+        const toolCalls = []; // Streamed in pieces, by index
+        let text = '';
+        let usage = null;
+        let resolveResponse, rejectResponse;
+        const done = new Promise((resolve, reject) => { resolveResponse = resolve; rejectResponse = reject; });
+        // Callers that stop reading early may never await it; they still get the rejection when they do
+        done.catch(() => {});
+
+        // The request timeout ends with the headers: a server that stalls mid-reply is cut off here
+        let idleTimer;
+        const resetIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                response.body.destroy(new Error(`Chat completions stream stalled for ${STREAM_IDLE_TIMEOUT_MS / 1000}s`));
+            }, STREAM_IDLE_TIMEOUT_MS);
+        };
+
+        const deltas = async function* () {
+            let buffered = '';
+            resetIdleTimer();
+            try {
+                for await (const chunk of response.body) {
+                    resetIdleTimer();
+                    buffered += chunk.toString('utf8');
+                    const lines = buffered.split('\n');
+                    buffered = lines.pop();
+
+                    for (const line of lines) {
+                        const payload = line.trim().replace(/^data:\s*/, '');
+                        if (!line.trim().startsWith('data:') || payload === '[DONE]') continue;
+
+                        let event;
+                        try {
+                            event = JSON.parse(payload);
+                        } catch (e) {
+                            continue; // Keep-alive comments and the like
+                        }
+                        if (event.usage) usage = event.usage;
+
+                        const delta = event.choices?.[0]?.delta || {};
+                        for (const call of delta.tool_calls || []) {
+                            const target = toolCalls[call.index || 0] || (toolCalls[call.index || 0] = { function: { name: '', arguments: '' } });
+                            if (call.id) target.id = call.id;
+                            if (call.function?.name) target.function.name += call.function.name;
+                            if (call.function?.arguments) target.function.arguments += call.function.arguments;
+                        }
+                        if (delta.content) {
+                            text += delta.content;
+                            yield delta.content;
+                        }
+                    }
+                }
+                resolveResponse(this.toResult(text, toolCalls.filter(Boolean), usage));
+            } catch (err) {
+                rejectResponse(err);
+                throw err;
+            } finally {
+                clearTimeout(idleTimer);
+                // Stop reading if the caller barged in and the reply was dropped
+                if (typeof response.body.destroy === 'function') response.body.destroy();
+            }
+        }.bind(this);
+
+        return { stream: deltas(), response: done };
+    }
+}
+
+module.exports = {
+    id: 'openai',
+    kind: 'llm',
+    name: 'OpenAI-compatible',
+    usageKey: 'openai',
+    // Optional: self-hosted servers usually run without a key
+    apiKey: { service: 'openai', env: ['OPENAI_API_KEY'], optional: true },
+    matchesModel: (model) => model === MODEL_ID,
+    /**
+     * settings.openaiCompatible picks the endpoint and model. The platform key
+     * is only ever sent to the platform's own endpoint; an agent pointing at
+     * its own server is using its own model, which we don't bill for.
+     */
+    create: ({ apiKey, keySource, settings = {} }) => {
+        const config = settings.openaiCompatible || {};
+        const baseUrl = (config.baseUrl || '').trim().replace(/\/+$/, '');
+        const ownEndpoint = !!baseUrl && baseUrl !== getPlatformBaseUrl();
+        const llm = new OpenAiLlm(ownEndpoint && keySource !== 'user' ? null : apiKey, {
+            baseUrl: baseUrl || undefined,
+            model: (config.model || '').trim() || undefined
+        });
+        llm.ownEndpoint = ownEndpoint;
+        if (ownEndpoint) {
+            const allowedHosts = getAllowedHosts(ALLOWED_PRIVATE_HOSTS_ENV);
+            try {
+                llm.agent = createPublicAgent(assertPublicUrl(baseUrl, allowedHosts), allowedHosts);
+            } catch (err) {
+                llm.endpointError = err; // Reported on the first request, like any endpoint failure
+            }
+        }
+        return llm;
+    }
+};
@@ -0,0 +1,140 @@
+const { getScript } = require('../../sandbox/index.js');
+
+/**
+ * Built-in rules, tried after the script's own. A rule whose tool the call
+ * doesn't offer just gives its reply.
+ *   match - regular expression (case-insensitive) on the caller's last turn
+ *   reply - said when it matches; $1.. are the match groups
+ *   tool, args - function call made with the reply
+ *   after - said once the tool has run (default: a short success / failure line)
+ */
+const BUILT_IN_RULES = [
+    { match: "\\b(bye|goodbye|that's all|hang up)\\b", reply: "Thanks for calling. Goodbye!", tool: 'end_call', args: { disposition: 'resolved', reason: 'The caller said goodbye' }, after: '' },
+    { match: "\\b(human|person|representative|operator|transfer)\\b", reply: "Sure, let me transfer you now.", tool: 'transfer_call', args: { reason: 'The caller asked for a person' }, after: '' },
+    { match: "\\bpress ([0-9*#w]+)", reply: "Pressing $1.", tool: 'send_dtmf', args: { digits: '$1' }, after: '' }
+];
+
+/**
+ * Sandbox LLM: answers the caller's last turn from keyword rules, calling
+ * tools the way a model would. Nothing is generated, so a scripted call
+ * always goes the same way.
+ */
+class SandboxLlm {
+    constructor(rules = []) {
+        this.rules = [...rules, ...BUILT_IN_RULES];
+    }
+
+    /**
+     * @param {Object} request - contents, systemInstruction, tools (function declarations)
+     * @returns {Promise<{text, functionCalls, content, tokens}>}
+     */
+    async generate({ contents = [], systemInstruction = '', tools = [] }) {
+        const last = contents[contents.length - 1];
+        const userTurn = [...contents].reverse().find(entry => entry.role === 'user');
+        const heard = userTurn ? textOf(userTurn) : '';
+        const answer = this.answer(heard, tools || []);
+
+        let text = answer.reply;
+        let functionCalls = answer.functionCalls;
+        if (last && last.role === 'function') {
+            // The tools from the previous round have run - never call them again
+            const failed = last.parts.some(part => part.functionResponse?.response?.success === false);
+            text = answer.after !== undefined ? answer.after : (failed ? "Sorry, that didn't work." : 'All done.');
+            functionCalls = [];
+        }
+
+        const promptChars = (systemInstruction || '').length + contents.reduce((sum, entry) => sum + textOf(entry).length, 0);
+        return {
+            text,
+            functionCalls,
+            content: {
+                role: 'model',
+                parts: [...(text ? [{ text }] : []), ...functionCalls.map(functionCall => ({ functionCall }))]
+            },
+            tokens: Math.ceil((promptChars + text.length) / 4)
+        };
+    }
+
+    /**
+     * @param {Object} request - Same as generate
+     * @returns {Promise<{stream: AsyncIterable<string>, response: Promise}>} - Text deltas, then the generate() result
+     */
+    async stream(request) {
+        const result = await this.generate(request);
+
+        async function* deltas() {
+            for (const word of result.text.match(/\S+\s*/g) || []) {
+                yield word;
+            }
+        }
+
+        return { stream: deltas(), response: Promise.resolve(result) };
+    }
+
+    answer(heard, declarations) {
+        for (const rule of this.rules) {
+            let match;
+            try {
+                match = new RegExp(rule.match, 'i').exec(heard);
+            } catch (e) {
+                console.warn(`⚠️  Invalid sandbox rule "${rule.match}": ${e.message}`);
+                continue;
+            }
+            if (!match) continue;
+
+            const declaration = rule.tool && declarations.find(d => d.name === rule.tool);
+            return {
+                reply: fill(rule.reply || '', match),
+                after: rule.after !== undefined ? fill(rule.after, match) : undefined,
+                functionCalls: declaration ? [{ name: declaration.name, args: buildArgs(declaration, rule.args, match) }] : []
+            };
+        }
+
+        // An agent tool mentioned by name ("check order status") is called
+        const mentioned = declarations.find(d => heard.toLowerCase().includes(d.name.replace(/_/g, ' ').toLowerCase()));
+        if (mentioned) {
+            return { reply: 'One moment.', functionCalls: [{ name: mentioned.name, args: buildArgs(mentioned, {}, null) }] };
+        }
+
+        const echo = heard.replace(/[.!?\s]+$/, '');
+        return { reply: echo ? `I heard: ${echo}. Anything else?` : 'How can I help you?', functionCalls: [] };
+    }
+}
+
+function textOf(entry) {
+    return (entry.parts || []).map(part => part.text).filter(Boolean).join(' ');
+}
+
+// "$1" → first match group
+function fill(value, match) {
+    if (typeof value !== 'string' || !match) return value;
+    return value.replace(/\$(\d)/g, (_, group) => match[Number(group)] || '');
+}
+
+/**
+ * Rule args with match groups filled in; required parameters left out get
+ * their first allowed value (e.g. the first transfer destination)
+ */
+function buildArgs(declaration, args = {}, match) {
+    const built = {};
+    for (const [name, value] of Object.entries(args || {})) {
+        built[name] = fill(value, match);
+    }
+
+    const parameters = declaration.parameters || {};
+    for (const name of parameters.required || []) {
+        const property = (parameters.properties || {})[name] || {};
+        if (built[name] === undefined && property.enum && property.enum.length > 0) {
+            built[name] = property.enum[0];
+        }
+    }
+    return built;
+}
+
+module.exports = {
+    id: 'sandbox',
+    kind: 'llm',
+    name: 'Sandbox (rule-based)',
+    usageKey: 'gemini', // Billed like the provider it stands in for
+    create: () => new SandboxLlm(getScript().rules)
+};
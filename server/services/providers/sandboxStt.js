@@ -0,0 +1,92 @@
+const mulaw = require('../../utils/mulaw.js');
+const { getScript } = require('../../sandbox/index.js');
+
+const SPEECH_RMS = 500; // Louder than this counts as the caller speaking
+const INTERIM_AFTER_MS = 300; // Interim result, so barge-in works as on a live call
+
+/**
+ * Sandbox speech-to-text: finds utterances by loudness and "transcribes"
+ * each one as the next line of the caller's script. The sandbox caller sends
+ * its lines as the "transcripts" stream parameter; other callers (e.g. a
+ * browser test call) get the SANDBOX_SCRIPT turns.
+ */
+class SandboxStt {
+    /**
+     * @param {Object} options - encoding ('mulaw' | 'linear16'), sampleRate, utteranceEndMs,
+     *   params (custom stream parameters of the call)
+     * @param {Object} handlers - onTranscript({ text, isFinal, confidence, duration }), onError(err)
+     * @returns {{send: Function, close: Function}}
+     */
+    startStream(options, handlers) {
+        const lines = scriptLines(options.params);
+        const utteranceEndMs = options.utteranceEndMs || 1000;
+        let speechMs = 0;
+        let silenceMs = 0;
+        let interimSent = false;
+
+        console.log(`🧪 Sandbox STT ready with ${lines.length} scripted line(s)`);
+
+        return {
+            send(audio) {
+                const samples = options.encoding === 'mulaw'
+                    ? mulaw.decode(audio)
+                    : new Int16Array(audio.buffer.slice(audio.byteOffset, audio.byteOffset + audio.length - (audio.length % 2)));
+                const durationMs = samples.length / options.sampleRate * 1000;
+
+                if (rms(samples) >= SPEECH_RMS) {
+                    speechMs += silenceMs + durationMs; // Pauses between words are part of the utterance
+                    silenceMs = 0;
+                } else if (speechMs > 0) {
+                    silenceMs += durationMs;
+                }
+                if (speechMs === 0) return;
+
+                if (!interimSent && speechMs >= INTERIM_AFTER_MS && lines.length > 0) {
+                    interimSent = true;
+                    handlers.onTranscript({ text: lines[0], isFinal: false, confidence: 1 });
+                }
+
+                if (silenceMs >= utteranceEndMs) {
+                    const text = lines.shift();
+                    if (text) {
+                        handlers.onTranscript({ text, isFinal: true, confidence: 1, duration: speechMs / 1000 });
+                    } else {
+                        console.log('🧪 Sandbox STT: caller spoke after the script ran out');
+                    }
+                    speechMs = 0;
+                    silenceMs = 0;
+                    interimSent = false;
+                }
+            },
+            close() {
+                lines.length = 0;
+            }
+        };
+    }
+}
+
+function scriptLines(params = {}) {
+    if (params.transcripts) {
+        try {
+            return JSON.parse(params.transcripts).map(String);
+        } catch (e) {
+            console.warn('⚠️  Invalid sandbox transcripts parameter, using the script');
+        }
+    }
+    return getScript().turns.filter(turn => turn.text).map(turn => turn.text);
+}
+
+function rms(samples) {
+    if (samples.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+}
+
+module.exports = {
+    id: 'sandbox',
+    kind: 'stt',
+    name: 'Sandbox (scripted)',
+    usageKey: 'deepgram', // Billed like the provider it stands in for
+    create: () => new SandboxStt()
+};
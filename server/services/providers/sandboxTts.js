@@ -0,0 +1,39 @@
+const mulaw = require('../../utils/mulaw.js');
+const { speechTones, toWav } = require('../../sandbox/audio.js');
+
+const AGENT_TONE_HZ = 440;
+
+/**
+ * Sandbox text-to-speech: a tone burst per word instead of a voice, so
+ * playback, marks and barge-in behave like a real reply of that length
+ */
+class SandboxTts {
+    constructor() {
+        this.streaming = false;
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} options - format ('ulaw_8000' | 'mp3')
+     * @returns {Promise<Buffer>}
+     */
+    async synthesize(text, { format }) {
+        const samples = speechTones(text, 8000, AGENT_TONE_HZ);
+        // Browser calls get a WAV instead of MP3: 8kHz 16-bit is 16KB per
+        // second, the same rate the browser handler assumes for MP3
+        return format === 'ulaw_8000' ? mulaw.encode(samples) : toWav(samples, 8000);
+    }
+
+    async stream(text, options, onAudio) {
+        const audio = await this.synthesize(text, options);
+        if (audio.length > 0) onAudio(audio);
+    }
+}
+
+module.exports = {
+    id: 'sandbox',
+    kind: 'tts',
+    name: 'Sandbox (tones)',
+    usageKey: 'elevenlabs', // Billed like the provider it stands in for
+    create: () => new SandboxTts()
+};
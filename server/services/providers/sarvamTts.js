@@ -0,0 +1,43 @@
+const { generateTTS, SARVAM_SPEAKERS } = require('../tts_controller.js');
+
+/**
+ * Sarvam has no streaming API - each sentence arrives as one buffer
+ */
+class SarvamTts {
+    constructor(apiKey) {
+        this.apiKey = apiKey;
+        this.streaming = false;
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} options - voiceId (speaker), format ('ulaw_8000' | 'mp3'), language (target_language_code)
+     * @returns {Promise<Buffer>}
+     */
+    synthesize(text, { voiceId, format, language }) {
+        return generateTTS(text, {
+            provider: 'sarvam',
+            speaker: voiceId,
+            format: 'mp3',
+            skipConversion: format === 'mp3', // Otherwise converted to µ-law for Twilio
+            language,
+            sarvamApiKey: this.apiKey
+        });
+    }
+
+    async stream(text, options, onAudio) {
+        const audio = await this.synthesize(text, options);
+        if (audio && audio.length > 0) onAudio(audio);
+    }
+}
+
+module.exports = {
+    id: 'sarvam',
+    kind: 'tts',
+    name: 'Sarvam',
+    usageKey: 'sarvam',
+    apiKey: { service: 'sarvam', env: ['SARVAM_API_KEY'] },
+    // Agents created before provider selection only have a voice ID
+    matchesVoice: (voiceId) => SARVAM_SPEAKERS.includes(String(voiceId || '').toLowerCase()),
+    create: ({ apiKey }) => new SarvamTts(apiKey)
+};
@@ -0,0 +1,93 @@
+/**
+ * Session Watchdog
+ * Enforces an agent's session-timeout settings on a live call:
+ * - sessionTimeoutFixedDuration: hard limit on call length (seconds)
+ * - sessionTimeoutNoVoiceActivity: end the call after this much silence (seconds)
+ * - inactivityHandling: ask "Are you still there?" before giving up on a silent caller
+ * A limit of 0 disables that check.
+ */
+
+const CHECK_INTERVAL_MS = 1000;
+const MAX_PROMPT_DELAY_MS = 15000;
+
+function toMs(seconds, fallbackSeconds) {
+    const value = Number(seconds);
+    return (Number.isFinite(value) && value >= 0 ? value : fallbackSeconds) * 1000;
+}
+
+class SessionWatchdog {
+    /**
+     * @param {Object} settings - Agent settings
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onPrompt - Caller has been quiet for a while
+     * @param {Function} callbacks.onTimeout - (reason) a limit was reached: 'max_duration' | 'no_voice_activity'
+     * @param {Function} callbacks.isAgentSpeaking - Agent speech doesn't count as silence
+     */
+    constructor(settings = {}, callbacks = {}) {
+        this.maxDurationMs = toMs(settings.sessionTimeoutFixedDuration, 3600);
+        this.noVoiceMs = toMs(settings.sessionTimeoutNoVoiceActivity, 300);
+        this.promptEnabled = settings.inactivityHandling !== false;
+        this.promptAfterMs = this.noVoiceMs
+            ? Math.min(this.noVoiceMs / 2, MAX_PROMPT_DELAY_MS)
+            : MAX_PROMPT_DELAY_MS;
+
+        this.onPrompt = callbacks.onPrompt || (() => { });
+        this.onTimeout = callbacks.onTimeout || (() => { });
+        this.isAgentSpeaking = callbacks.isAgentSpeaking || (() => false);
+
+        this.timer = null;
+        this.prompted = false;
+    }
+
+    start() {
+        this.startedAt = Date.now();
+        this.lastActivityAt = this.startedAt;
+        this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    }
+
+    /**
+     * Call whenever the caller speaks
+     */
+    activity() {
+        this.lastActivityAt = Date.now();
+        this.prompted = false;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    check() {
+        const now = Date.now();
+
+        if (this.maxDurationMs && now - this.startedAt >= this.maxDurationMs) {
+            return this.fire('max_duration');
+        }
+
+        if (this.isAgentSpeaking()) {
+            this.lastActivityAt = now;
+            return;
+        }
+
+        const silenceMs = now - this.lastActivityAt;
+        if (this.noVoiceMs && silenceMs >= this.noVoiceMs) {
+            return this.fire('no_voice_activity');
+        }
+
+        if (this.promptEnabled && !this.prompted && silenceMs >= this.promptAfterMs) {
+            this.prompted = true;
+            this.onPrompt();
+        }
+    }
+
+    fire(reason) {
+        this.stop();
+        console.log(`⏰ Session limit reached: ${reason}`);
+        this.onTimeout(reason);
+    }
+}
+
+module.exports = SessionWatchdog;
@@ -0,0 +1,146 @@
+const { SchemaType } = require("@google/generative-ai");
+
+/**
+ * Tool Registry
+ * Turns an agent's configured tools into Gemini function declarations and
+ * runs the matching handler when the model returns a functionCall.
+ * Call handlers can also register built-in tools (end call, transfer, ...).
+ */
+
+const PARAMETER_TYPES = {
+    string: SchemaType.STRING,
+    number: SchemaType.NUMBER,
+    boolean: SchemaType.BOOLEAN
+};
+
+// Gemini function names: letters, digits, underscores; max 64 chars; no leading digit
+function toFunctionName(name) {
+    let functionName = String(name || 'tool').trim().replace(/[^a-zA-Z0-9_]+/g, '_');
+    if (/^[0-9]/.test(functionName)) functionName = `_${functionName}`;
+    return functionName.substring(0, 64) || 'tool';
+}
+
+/**
+ * How the model should announce a tool call (Tool.preActionPhrasesMode).
+ * Strict phrases are spoken by the call engine, so the model stays quiet.
+ */
+function preActionInstruction(tool) {
+    const phrases = (tool.preActionPhrases || []).filter(phrase => phrase && phrase.trim());
+    if (tool.preActionPhrasesMode === 'strict' && phrases.length > 0) {
+        return ' Call it without saying anything first - the caller is told automatically.';
+    }
+    if (tool.preActionPhrasesMode === 'flexible') {
+        const examples = phrases.length > 0 ? ` such as ${phrases.map(phrase => `"${phrase}"`).join(', ')}` : '';
+        return ` Before calling it, tell the caller in one short sentence what you are doing${examples}, in your own words and the caller's language.`;
+    }
+    return '';
+}
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map(); // function name -> { declaration, handler, tool }
+    }
+
+    /**
+     * Register a function the model can call
+     * @param {Object} declaration - Gemini FunctionDeclaration ({ name, description, parameters })
+     * @param {Function} handler - async (args) => result object sent back as functionResponse
+     * @param {Object} tool - Original agent tool definition, if any
+     */
+    register(declaration, handler, tool = null) {
+        let name = toFunctionName(declaration.name);
+        // Two agent tools can sanitize to the same name
+        for (let i = 2; this.tools.has(name); i++) {
+            name = `${toFunctionName(declaration.name).substring(0, 60)}_${i}`;
+        }
+        this.tools.set(name, { declaration: { ...declaration, name }, handler, tool });
+        return name;
+    }
+
+    /**
+     * Register the agent's configured tools (settings.tools)
+     * @param {Array} tools - Agent Tool definitions
+     * @param {Function} handler - async (tool, args) => result
+     */
+    registerAgentTools(tools, handler) {
+        for (const tool of tools || []) {
+            const properties = {};
+            const required = [];
+
+            for (const param of tool.parameters || []) {
+                if (!param.name) continue;
+                properties[param.name] = {
+                    type: PARAMETER_TYPES[param.type] || SchemaType.STRING,
+                    description: param.description || param.name
+                };
+                if (param.required) required.push(param.name);
+            }
+
+            const declaration = {
+                name: tool.name,
+                description: (tool.description || tool.name) + preActionInstruction(tool)
+            };
+            if (Object.keys(properties).length > 0) {
+                declaration.parameters = { type: SchemaType.OBJECT, properties, required };
+            }
+
+            this.register(declaration, (args) => handler(tool, args), tool);
+        }
+    }
+
+    isEmpty() {
+        return this.tools.size === 0;
+    }
+
+    /**
+     * Function declarations passed to the LLM provider (Gemini schema types;
+     * other providers convert them)
+     */
+    getDeclarations() {
+        return Array.from(this.tools.values()).map(t => t.declaration);
+    }
+
+    getTool(name) {
+        const entry = this.tools.get(name);
+        return entry ? entry.tool : null;
+    }
+
+    /**
+     * Run one functionCall and build the matching functionResponse part.
+     * Failures are reported back to the model instead of thrown.
+     */
+    async execute(functionCall) {
+        const entry = this.tools.get(functionCall.name);
+        let response;
+
+        if (!entry) {
+            response = { success: false, error: `Unknown tool "${functionCall.name}"` };
+        } else {
+            try {
+                console.log(`🛠️ Running tool ${functionCall.name}:`, functionCall.args);
+                response = await entry.handler(functionCall.args || {});
+            } catch (error) {
+                console.error(`❌ Tool ${functionCall.name} failed:`, error.message);
+                response = { success: false, error: error.message };
+            }
+        }
+
+        // functionResponse.response must be an object
+        if (response === null || typeof response !== 'object' || Array.isArray(response)) {
+            response = { result: response };
+        }
+
+        return { functionResponse: { name: functionCall.name, response } };
+    }
+
+    /**
+     * Run every functionCall from one model turn (in parallel) and return the
+     * content entry to append to the conversation
+     */
+    async executeAll(functionCalls) {
+        const parts = await Promise.all(functionCalls.map(call => this.execute(call)));
+        return { role: 'function', parts };
+    }
+}
+
+module.exports = ToolRegistry;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_DIR = path.resolve(process.env.TTS_CACHE_DIR || path.join(__dirname, '..', 'cache', 'tts'));
+const MAX_MEMORY_BYTES = (parseInt(process.env.TTS_CACHE_MEMORY_MB, 10) || 32) * 1024 * 1024;
+const MAX_DISK_BYTES = (parseInt(process.env.TTS_CACHE_DISK_MB, 10) || 512) * 1024 * 1024;
+const MAX_TEXT_LENGTH = 500; // Longer replies are rarely said twice
+
+/**
+ * Content-addressed cache of synthesized speech, so greetings, pre-action
+ * phrases, timeout messages and other repeated lines are synthesized once.
+ *
+ * Audio is keyed by provider, voice, voice settings, output format and text.
+ * Recently used entries stay in memory; everything is also written to
+ * TTS_CACHE_DIR. Both levels evict least recently used entries past their
+ * size limit (TTS_CACHE_MEMORY_MB, TTS_CACHE_DISK_MB).
+ */
+class TtsCache {
+    constructor({ dir = CACHE_DIR, maxMemoryBytes = MAX_MEMORY_BYTES, maxDiskBytes = MAX_DISK_BYTES } = {}) {
+        this.dir = dir;
+        this.maxMemoryBytes = maxMemoryBytes;
+        this.maxDiskBytes = maxDiskBytes;
+        this.memory = new Map(); // key -> Buffer, least recently used first
+        this.memoryBytes = 0;
+        this.disk = null; // key -> { size, usedAt }, loaded on first use
+        this.diskBytes = 0;
+        this.diskLoading = null;
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - TTS provider id
+     * @param {string} options.format - Output format ('ulaw_8000' | 'mp3')
+     * @param {Object} options.settings - voiceId, language and any other voice settings
+     * @param {string} options.text
+     * @returns {string|null} - Cache key, or null when the text isn't worth caching
+     */
+    key({ provider, format, settings = {}, text }) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed || trimmed.length > MAX_TEXT_LENGTH) return null;
+
+        // Sorted so the same settings always give the same key
+        const voiceSettings = Object.keys(settings).sort().map(name => [name, settings[name]]);
+        return crypto.createHash('sha256')
+            .update(JSON.stringify([provider, format, voiceSettings, trimmed]))
+            .digest('hex');
+    }
+
+    /**
+     * @param {string|null} key
+     * @returns {Promise<Buffer|null>}
+     */
+    async get(key) {
+        if (!key) return null;
+
+        const cached = this.memory.get(key);
+        if (cached) {
+            this.memory.delete(key);
+            this.memory.set(key, cached);
+            return cached;
+        }
+
+        await this.loadDiskIndex();
+        const entry = this.disk.get(key);
+        if (!entry) return null;
+
+        try {
+            const audio = await fs.promises.readFile(this.filePath(key));
+            entry.usedAt = Date.now();
+            // The modification time keeps the eviction order across restarts
+            fs.promises.utimes(this.filePath(key), new Date(), new Date()).catch(() => { });
+            this.disk.delete(key);
+            this.disk.set(key, entry);
+            this.remember(key, audio);
+            return audio;
+        } catch (err) {
+            // Deleted behind our back
+            this.forgetOnDisk(key);
+            return null;
+        }
+    }
+
+    /**
+     * Store audio in memory now and on disk in the background
+     * @param {string|null} key
+     * @param {Buffer} audio
+     */
+    set(key, audio) {
+        if (!key || !audio || audio.length === 0) return;
+        this.remember(key, audio);
+        this.writeToDisk(key, audio).catch(err => {
+            console.error('❌ Error writing TTS cache entry:', err.message);
+        });
+    }
+
+    remember(key, audio) {
+        if (audio.length > this.maxMemoryBytes) return;
+        if (this.memory.has(key)) {
+            this.memoryBytes -= this.memory.get(key).length;
+            this.memory.delete(key);
+        }
+        this.memory.set(key, audio);
+        this.memoryBytes += audio.length;
+
+        for (const [oldKey, oldAudio] of this.memory) {
+            if (this.memoryBytes <= this.maxMemoryBytes) break;
+            this.memory.delete(oldKey);
+            this.memoryBytes -= oldAudio.length;
+        }
+    }
+
+    async writeToDisk(key, audio) {
+        await this.loadDiskIndex();
+        if (this.disk.has(key) || audio.length > this.maxDiskBytes) return;
+
+        // Indexed up front so the same line said twice at once is written once
+        this.disk.set(key, { size: audio.length, usedAt: Date.now() });
+        this.diskBytes += audio.length;
+
+        // Write then rename, so a half-written file is never read as audio
+        const file = this.filePath(key);
+        const partial = `${file}.${process.pid}.tmp`;
+        try {
+            await fs.promises.writeFile(partial, audio);
+            await fs.promises.rename(partial, file);
+        } catch (err) {
+            this.forgetOnDisk(key);
+            throw err;
+        }
+
+        for (const [oldKey] of this.disk) {
+            if (this.diskBytes <= this.maxDiskBytes) break;
+            this.forgetOnDisk(oldKey);
+            fs.promises.unlink(this.filePath(oldKey)).catch(() => { });
+        }
+    }
+
+    forgetOnDisk(key) {
+        const entry = this.disk.get(key);
+        if (!entry) return;
+        this.disk.delete(key);
+        this.diskBytes -= entry.size;
+    }
+
+    /**
+     * Index the files already in the cache directory, least recently
+     * modified first
+     */
+    loadDiskIndex() {
+        if (this.disk) return Promise.resolve();
+        if (!this.diskLoading) {
+            this.diskLoading = (async () => {
+                const entries = [];
+                try {
+                    await fs.promises.mkdir(this.dir, { recursive: true });
+                    for (const name of await fs.promises.readdir(this.dir)) {
+                        if (!/^[0-9a-f]{64}$/.test(name)) continue;
+                        const stat = await fs.promises.stat(path.join(this.dir, name));
+                        entries.push([name, { size: stat.size, usedAt: stat.mtimeMs }]);
+                    }
+                } catch (err) {
+                    console.error('❌ Error reading TTS cache directory:', err.message);
+                }
+
+                entries.sort((a, b) => a[1].usedAt - b[1].usedAt);
+                this.disk = new Map(entries);
+                this.diskBytes = entries.reduce((total, [, entry]) => total + entry.size, 0);
+                console.log(`💾 TTS cache: ${entries.length} entries on disk (${Math.round(this.diskBytes / 1024)} KB)`);
+            })();
+        }
+        return this.diskLoading;
+    }
+
+    filePath(key) {
+        return path.join(this.dir, key);
+    }
+}
+
+// Shared by every call in this process
+const ttsCache = new TtsCache();
+
+module.exports = { TtsCache, ttsCache };
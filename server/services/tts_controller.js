@@ -2,15 +2,25 @@ const nodeFetch = require("node-fetch");
 
 const { sarvamTTS } = require("./tts_sarvam.js");
 
+// Known Sarvam speakers
+const SARVAM_SPEAKERS = [
+    'anushka', 'abhilash', 'manisha', 'vidya', 'arya', 'karun', 'hitesh', 'aditya',
+    'isha', 'ritu', 'chirag', 'harsh', 'sakshi', 'priya', 'neha', 'rahul',
+    'pooja', 'rohan', 'simran', 'kavya', 'anjali', 'sneha', 'kiran', 'vikram',
+    'rajesh', 'sunita', 'tara', 'anirudh', 'kriti', 'ishaan', 'ratan', 'varun',
+    'manan', 'sumit', 'roopa', 'kabir', 'aayan', 'shubh'
+];
+
+/**
+ * Synthesize a whole utterance with the provider matching the voice
+ * @param {string} text
+ * @param {Object} options - voiceId / speaker, provider, output_format / format,
+ *   language (Sarvam target_language_code), languageCode (ElevenLabs language_code),
+ *   elevenLabsApiKey / sarvamApiKey (the user's own keys; platform keys otherwise)
+ * @returns {Promise<Buffer>}
+ */
 async function generateTTS(text, options = {}) {
-    // Known Sarvam speakers
-    const sarvamSpeakers = [
-        'anushka', 'abhilash', 'manisha', 'vidya', 'arya', 'karun', 'hitesh', 'aditya',
-        'isha', 'ritu', 'chirag', 'harsh', 'sakshi', 'priya', 'neha', 'rahul',
-        'pooja', 'rohan', 'simran', 'kavya', 'anjali', 'sneha', 'kiran', 'vikram',
-        'rajesh', 'sunita', 'tara', 'anirudh', 'kriti', 'ishaan', 'ratan', 'varun',
-        'manan', 'sumit', 'roopa', 'kabir', 'aayan', 'shubh'
-    ];
+    const sarvamSpeakers = SARVAM_SPEAKERS;
 
     // Auto-detect provider based on voice ID or speaker
     let provider = options.provider || process.env.TTS_PROVIDER;
@@ -46,7 +56,11 @@ async function generateTTS(text, options = {}) {
             console.log("[TTS Controller] ⚠️  Sarvam failed, falling back to ElevenLabs...");
             try {
                 // Use default ElevenLabs voice as fallback
-                return await generateElevenLabsTTS(text, { voiceId: "21m00Tcm4TlvDq8ikWAM" });
+                return await generateElevenLabsTTS(text, {
+                    voiceId: "21m00Tcm4TlvDq8ikWAM",
+                    languageCode: options.languageCode,
+                    elevenLabsApiKey: options.elevenLabsApiKey
+                });
             } catch (fallbackError) {
                 console.error("[TTS Controller] Fallback to ElevenLabs also failed:", fallbackError.message);
                 throw error; // Throw original error
@@ -78,13 +92,14 @@ async function generateSarvamTTS(text, options) {
         speaker: speaker,
         format: options.format,
         skipConversion: options.skipConversion,
+        apiKey: options.sarvamApiKey,
     });
 }
 
 async function generateElevenLabsTTS(text, options) {
     console.log("[TTS Controller] Routing to ElevenLabs TTS");
 
-    const apiKey = getElevenLabsApiKey();
+    const apiKey = options.elevenLabsApiKey || getElevenLabsApiKey();
 
     if (!apiKey) {
         throw new Error("ElevenLabs API key not configured");
@@ -110,6 +125,7 @@ async function generateElevenLabsTTS(text, options) {
                 body: JSON.stringify({
                     text: text,
                     model_id: "eleven_turbo_v2_5",
+                    ...(options.languageCode && { language_code: options.languageCode }),
                     voice_settings: {
                         stability: 0.5,
                         similarity_boost: 0.75,
@@ -136,10 +152,106 @@ async function generateElevenLabsTTS(text, options) {
     }
 }
 
+/**
+ * Stream TTS audio for a single sentence/clause.
+ * ElevenLabs audio is forwarded chunk by chunk from its streaming endpoint;
+ * Sarvam has no streaming API, so the whole sentence arrives as one chunk.
+ * @param {string} text - Text to speak (keep it short - one sentence or clause)
+ * @param {Object} options - Same options as generateTTS
+ * @param {Function} onAudio - Called with each audio Buffer as it arrives
+ * @returns {Promise<{provider: string, bytes: number}>}
+ */
+async function streamTTS(text, options = {}, onAudio) {
+    const provider = resolveProvider(options);
+
+    if (provider === "sarvam") {
+        const audioBuffer = await generateTTS(text, options);
+        if (audioBuffer && audioBuffer.length > 0) onAudio(audioBuffer);
+        return { provider, bytes: audioBuffer ? audioBuffer.length : 0 };
+    }
+
+    let bytes = 0;
+    const forward = (chunk) => {
+        bytes += chunk.length;
+        onAudio(chunk);
+    };
+    try {
+        await streamElevenLabsTTS(text, options, forward);
+        return { provider, bytes };
+    } catch (error) {
+        // Nothing was played yet - retry once without streaming
+        if (bytes === 0) {
+            console.log("[TTS Controller] ⚠️  ElevenLabs stream failed, retrying without streaming...");
+            const audioBuffer = await generateElevenLabsTTS(text, options);
+            onAudio(audioBuffer);
+            return { provider, bytes: audioBuffer.length };
+        }
+        throw error;
+    }
+}
+
+async function streamElevenLabsTTS(text, options, onAudio) {
+    const apiKey = options.elevenLabsApiKey || getElevenLabsApiKey();
+
+    if (!apiKey) {
+        throw new Error("ElevenLabs API key not configured");
+    }
+
+    const voiceId = options.voiceId || "21m00Tcm4TlvDq8ikWAM";
+    const outputFormat = options.output_format || options.format || "ulaw_8000";
+
+    console.log(`[TTS] Streaming from ElevenLabs: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+
+    const response = await nodeFetch(
+        `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/stream?output_format=${encodeURIComponent(outputFormat)}&optimize_streaming_latency=3`,
+        {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "xi-api-key": apiKey,
+            },
+            body: JSON.stringify({
+                text: text,
+                model_id: "eleven_turbo_v2_5",
+                ...(options.languageCode && { language_code: options.languageCode }),
+                voice_settings: {
+                    stability: 0.5,
+                    similarity_boost: 0.75,
+                    style: 0.0,
+                    use_speaker_boost: true,
+                },
+            }),
+        }
+    );
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`[TTS] ElevenLabs stream error: ${response.status} - ${errorText}`);
+        throw new Error(`ElevenLabs API error: ${response.status} - ${response.statusText}`);
+    }
+
+    for await (const chunk of response.body) {
+        onAudio(chunk);
+    }
+}
+
+/**
+ * Same provider detection as generateTTS, without side effects on options
+ */
+function resolveProvider(options) {
+    const provider = options.provider || process.env.TTS_PROVIDER;
+    if (provider) return provider;
+
+    const voiceId = (options.voiceId || options.speaker || '').toLowerCase();
+    return SARVAM_SPEAKERS.includes(voiceId) ? 'sarvam' : 'elevenlabs';
+}
+
 function getElevenLabsApiKey() {
     return process.env.ELEVEN_LABS_API_KEY || process.env.ELEVENLABS_API_KEY;
 }
 
 module.exports = {
     generateTTS,
+    streamTTS,
+    SARVAM_SPEAKERS,
 };
@@ -12,11 +12,12 @@ const nodeFetch = require("node-fetch");
  * @param {string} options.language - Target language code (default: en-IN)
  * @param {string} options.speaker - Speaker/voice name (default: anushka)
  * @param {string} options.format - Audio format: mp3, wav, pcm (default: mp3)
+ * @param {string} options.apiKey - Caller's own Sarvam key (default: SARVAM_API_KEY)
  * @returns {Promise<Buffer>} - Audio buffer in ulaw_8000 format for Twilio compatibility
  */
 async function sarvamTTS(text, options = {}) {
     try {
-        const apiKey = process.env.SARVAM_API_KEY;
+        const apiKey = options.apiKey || process.env.SARVAM_API_KEY;
 
         if (!apiKey) {
             throw new Error("SARVAM_API_KEY not configured in environment variables");
@@ -2,12 +2,15 @@ const twilio = require('twilio');
 const database = require('../config/database.js');
 const { v4: uuidv4 } = require('uuid');
 const { encrypt, decrypt } = require('../utils/encryption.js');
+const { isSandboxMode } = require('../sandbox/index.js');
+const { createSandboxTwilioClient } = require('../sandbox/twilioClient.js');
 
 class TwilioService {
   constructor() { }
 
-  // Get Twilio client for a specific user's account
+  // Get Twilio client for a specific user's account (simulated in sandbox mode)
   getClientForUser(accountSid, authToken) {
+    if (isSandboxMode()) return createSandboxTwilioClient();
     return twilio(accountSid, authToken);
   }
 
@@ -323,6 +326,7 @@ class TwilioService {
       // ✅ FIXED: Use correct webhook URLs that match server.js endpoints
       const voiceUrl = `${appUrl}/api/twilio/voice?userId=${params.userId}&agentId=${params.agentId}&callId=${params.callId}`;
       const statusCallback = `${appUrl}/api/twilio/callback?userId=${params.userId}&callId=${params.callId}`;
+      const amdCallback = `${appUrl}/api/twilio/amd-status?userId=${params.userId}&agentId=${params.agentId}&callId=${params.callId}`;
 
       console.log('🔗 Creating Twilio call with webhooks:');
       console.log('   Voice URL:', voiceUrl);
@@ -335,7 +339,16 @@ class TwilioService {
         statusCallback: statusCallback,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed', 'failed', 'busy', 'no-answer'],
         statusCallbackMethod: 'POST',
-        record: false // Set to true if you want call recording
+        record: false, // Set to true if you want call recording
+        // Answering machine detection runs alongside the call, so whoever answers hears the
+        // greeting straight away. The result (AnsweredBy) goes to /api/twilio/amd-status
+        ...(params.machineDetection ? {
+          machineDetection: 'DetectMessageEnd',
+          machineDetectionTimeout: 30,
+          asyncAmd: 'true',
+          asyncAmdStatusCallback: amdCallback,
+          asyncAmdStatusCallbackMethod: 'POST'
+        } : {})
       });
 
       console.log('✅ Twilio call created:', call.sid);
@@ -346,6 +359,97 @@ class TwilioService {
     }
   }
 
+  // Client for a live call. Uses the account of the number the call was
+  // placed from, falling back to the platform account (campaign/inbound calls).
+  async getClientForCall(callSid, callId = null) {
+    if (isSandboxMode()) return createSandboxTwilioClient();
+    const { accountSid, authToken } = await this.getCredentialsForCall(callSid, callId);
+    return twilio(accountSid, authToken);
+  }
+
+  // Credentials of the account a call runs on: its Twilio number's, else the platform's
+  async getCredentialsForCall(callSid, callId = null) {
+    const [rows] = await database.execute(
+      'SELECT user_id, twilio_number_id FROM calls WHERE id = ? OR call_sid = ? LIMIT 1',
+      [callId || callSid, callSid]
+    );
+    if (rows.length > 0 && rows[0].twilio_number_id) {
+      const twilioNumber = await this.getTwilioNumberById(rows[0].user_id, rows[0].twilio_number_id);
+      if (twilioNumber) {
+        return { accountSid: twilioNumber.twilioAccountSid, authToken: twilioNumber.twilioAuthToken };
+      }
+    }
+
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+      throw new Error('No Twilio credentials available for this call');
+    }
+    return { accountSid: process.env.TWILIO_ACCOUNT_SID, authToken: process.env.TWILIO_AUTH_TOKEN };
+  }
+
+  // Whether a webhook about a call really comes from Twilio: X-Twilio-Signature
+  // is checked against the call's account. Twilio signs the public URL, so it
+  // is rebuilt from APP_URL. The sandbox client doesn't sign.
+  async isTwilioRequest(req, callId) {
+    if (isSandboxMode()) return true;
+    let appUrl = process.env.APP_URL || '';
+    if (!appUrl.startsWith('http://') && !appUrl.startsWith('https://')) {
+      appUrl = `https://${appUrl}`;
+    }
+    try {
+      const { authToken } = await this.getCredentialsForCall(callId, callId);
+      const url = `${appUrl.replace(/\/$/, '')}${req.originalUrl}`;
+      return twilio.validateRequest(authToken, req.get('X-Twilio-Signature') || '', url, req.body || {});
+    } catch (err) {
+      console.error('❌ Error checking Twilio signature:', err.message);
+      return false;
+    }
+  }
+
+  // Hang up an in-progress call
+  async completeCall(callSid, callId = null) {
+    try {
+      const client = await this.getClientForCall(callSid, callId);
+      await client.calls(callSid).update({ status: 'completed' });
+      console.log('✅ Twilio call completed:', callSid);
+    } catch (err) {
+      console.error('❌ Error completing Twilio call:', err);
+      throw new Error(`Failed to complete call: ${err.message}`);
+    }
+  }
+
+  // Move a live call off the media stream and <Dial> a human. On a warm transfer
+  // the human first hears the call summary (see /api/twilio/transfer-whisper).
+  // The outcome is reported to /api/twilio/transfer-status.
+  async transferCall(callSid, callId, { number, warm = false }) {
+    try {
+      let appUrl = process.env.APP_URL;
+      if (!appUrl) throw new Error('APP_URL is not configured');
+      if (!appUrl.startsWith('http://') && !appUrl.startsWith('https://')) {
+        appUrl = `https://${appUrl}`;
+      }
+      const query = `callId=${encodeURIComponent(callId)}`;
+
+      const response = new twilio.twiml.VoiceResponse();
+      const dial = response.dial({
+        action: `${appUrl}/api/twilio/transfer-status?${query}`,
+        method: 'POST',
+        timeout: 30
+      });
+      if (warm) {
+        dial.number({ url: `${appUrl}/api/twilio/transfer-whisper?${query}`, method: 'POST' }, number);
+      } else {
+        dial.number(number);
+      }
+
+      const client = await this.getClientForCall(callSid, callId);
+      await client.calls(callSid).update({ twiml: response.toString() });
+      console.log(`✅ Twilio call ${callSid} ${warm ? 'warm' : 'cold'} transfer to ${number}`);
+    } catch (err) {
+      console.error('❌ Error transferring Twilio call:', err);
+      throw new Error(`Failed to transfer call: ${err.message}`);
+    }
+  }
+
   async getUserTwilioAccounts(userId) {
     try {
       const [rows] = await database.execute(
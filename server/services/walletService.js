@@ -355,24 +355,34 @@ class WalletService {
       'elevenlabs': 'characters',
       'deepgram': 'seconds',
       'gemini': 'tokens',
+      'openai': 'tokens',
       'sarvam': 'characters',
       'twilio': 'minutes'
     };
-    return units[serviceType] || 'units';
+    // Per-model services ("openai:<model>") use the provider's unit
+    return units[String(serviceType).split(':')[0]] || 'units';
   }
 
   /**
-   * Update service pricing (admin only)
+   * Update service pricing (admin only). Per-model prices ("openai:<model>")
+   * are added the first time they're set.
    */
   async updatePricing(serviceType, costPerUnit, adminId = null) {
     try {
-      await this.mysqlPool.execute(
+      const [result] = await this.mysqlPool.execute(
         `UPDATE service_pricing 
         SET cost_per_unit = ?, updated_at = NOW(), updated_by = ? 
         WHERE service_type = ?`,
         [costPerUnit, adminId, serviceType]
       );
 
+      if (result.affectedRows === 0) {
+        await this.mysqlPool.execute(
+          `INSERT INTO service_pricing (service_type, cost_per_unit, unit_type, updated_by) VALUES (?, ?, ?, ?)`,
+          [serviceType, costPerUnit, this.getUnitType(serviceType), adminId]
+        );
+      }
+
       return { success: true };
     } catch (error) {
       console.error('Error updating pricing:', error);
@@ -0,0 +1,485 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { buildTranscript } = require('./callRecorder.js');
+const { encrypt, decrypt } = require('../utils/encryption.js');
+const { assertPublicUrl, createPublicAgent, getAllowedHosts } = require('../utils/outboundUrl.js');
+
+const PREFETCH_TIMEOUT_MS = 3000; // The caller is waiting for the greeting
+const PREFETCH_RETRY_DELAYS_MS = [500];
+const END_OF_CALL_TIMEOUT_MS = 10000;
+const END_OF_CALL_RETRY_DELAYS_MS = [10000, 60000, 300000];
+const RETRY_POLL_MS = 15000;
+const RETRY_BATCH_SIZE = 20;
+// A claimed retry is left alone this long, so a server that dies mid-send doesn't lose it
+const RETRY_CLAIM_SECONDS = 120;
+const ALLOWED_PRIVATE_HOSTS_ENV = 'WEBHOOK_ALLOWED_PRIVATE_HOSTS';
+const MAX_VARIABLES = 50;
+const MAX_VARIABLE_LENGTH = 1000;
+// Placeholder URLs from the agent templates - never sent to
+const RESERVED_HOSTS = /(^|\.)example\.(com|org|net)$/i;
+
+/**
+ * Agent webhooks (settings.prefetchDataWebhook, settings.endOfCallWebhook).
+ *
+ * Before a call the platform POSTs the call metadata to the prefetch URL; the
+ * JSON it answers with becomes {{variables}} for the prompt and greeting.
+ * After the call the end-of-call URL gets the transcript, cost, recording,
+ * tool results and disposition. It's sent before the post-call analysis,
+ * which is stored on the calls row.
+ *
+ * Every request is signed: X-Ziya-Signature is "sha256=" + the hex
+ * HMAC-SHA256 of "<X-Ziya-Timestamp>.<raw body>" with the agent's signing
+ * secret (getSigningSecret). Deliveries are retried on network errors, 408,
+ * 429 and 5xx, and every one is logged in webhook_deliveries. End-of-call
+ * retries are queued on the delivery row (next_attempt_at) and sent by
+ * startRetries, so they survive a restart.
+ */
+class WebhookService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+        this.retryTimer = null;
+        this.retrying = false;
+    }
+
+    /**
+     * Ask the prefetch webhook about the caller
+     * @param {Object} session - Engine session (callId, userId, agentId, settings)
+     * @returns {Promise<Object>} - Template variables; {} when there's no webhook or it failed
+     */
+    async prefetch(session) {
+        const url = session.settings.prefetchDataWebhook;
+        if (!isWebhookUrl(url)) return {};
+
+        session.callMetadata = await this.getCallMetadata(session.callId);
+        const result = await this.deliver(session, 'prefetch', url, {
+            event: 'prefetch',
+            ...session.callMetadata
+        }, { timeoutMs: PREFETCH_TIMEOUT_MS, retryDelaysMs: PREFETCH_RETRY_DELAYS_MS });
+
+        if (!result.ok) return {};
+        const variables = toVariables(result.data);
+        console.log(`🌐 Prefetched ${Object.keys(variables).length} variable(s) for call ${session.callId || session.id}`);
+        return variables;
+    }
+
+    /**
+     * Send the end-of-call payload. Failed attempts are queued for retryPending.
+     * @param {Object} session - Engine session, ended
+     * @param {Object} details - recordingUrl, charge (CostCalculator.recordAndCharge result or null)
+     * @returns {Promise<Object|null>} - Result of the last attempt, null when there's no webhook
+     */
+    async endOfCall(session, { recordingUrl = null, charge = null } = {}) {
+        const url = session.settings.endOfCallWebhook;
+        if (!isWebhookUrl(url)) return null;
+
+        const endedAt = new Date();
+        const metadata = session.callMetadata || await this.getCallMetadata(session.callId);
+        return this.deliver(session, 'end_of_call', url, {
+            event: 'end_of_call',
+            ...metadata,
+            startedAt: session.startTime.toISOString(),
+            endedAt: endedAt.toISOString(),
+            durationSeconds: Math.round((endedAt - session.startTime) / 1000),
+            endReason: session.endReason || 'hangup',
+            disposition: session.disposition,
+            transcript: buildTranscript(session.context),
+            toolCalls: buildToolCalls(session.context),
+            variables: session.variables || {},
+            recordingUrl: recordingUrl ? absoluteUrl(recordingUrl) : null,
+            cost: charge ? { total: charge.totalCharged, breakdown: charge.breakdown } : null,
+            usage: session.usage
+        }, { timeoutMs: END_OF_CALL_TIMEOUT_MS, retryDelaysMs: END_OF_CALL_RETRY_DELAYS_MS, queueRetries: true });
+    }
+
+    /**
+     * Caller number, campaign and contact of a call (calls row + campaign contact)
+     */
+    async getCallMetadata(callId) {
+        const metadata = { callId, direction: null, callType: null, from: null, to: null, campaignId: null, contact: null };
+        if (!callId) return metadata;
+
+        try {
+            const [rows] = await this.mysqlPool.execute(
+                `SELECT c.id, c.from_number, c.to_number, c.direction, c.call_type, c.campaign_id,
+                        cc.id AS contact_id, cc.name AS contact_name, cc.phone_number AS contact_phone, cc.metadata AS contact_metadata
+                 FROM calls c
+                 LEFT JOIN campaign_contacts cc ON cc.call_id = c.id
+                 WHERE c.id = ? OR c.call_sid = ?
+                 LIMIT 1`,
+                [callId, callId]
+            );
+            if (rows.length === 0) return metadata;
+
+            const row = rows[0];
+            return {
+                callId: row.id,
+                direction: row.direction || (row.call_type === 'twilio_outbound' ? 'outbound' : 'inbound'),
+                callType: row.call_type || null,
+                from: row.from_number,
+                to: row.to_number,
+                campaignId: row.campaign_id || null,
+                contact: row.contact_id ? {
+                    id: row.contact_id,
+                    name: row.contact_name,
+                    phoneNumber: row.contact_phone,
+                    fields: parseJson(row.contact_metadata) || {}
+                } : null
+            };
+        } catch (err) {
+            console.error('❌ Error loading call metadata for webhook:', err.message);
+            return metadata;
+        }
+    }
+
+    /**
+     * POST a payload and keep the delivery log up to date. Retries wait here,
+     * or with queueRetries are left on the delivery row for retryPending.
+     * @returns {Promise<{ok: boolean, status: number|null, data: any, error: string|null, retryable: boolean}>} - Result of the last attempt
+     */
+    async deliver(session, event, url, payload, { timeoutMs, retryDelaysMs, queueRetries = false }) {
+        const id = uuidv4();
+        const body = JSON.stringify({ deliveryId: id, ...payload });
+        const logged = await this.logDelivery(id, session, event, url, body);
+        // A queued retry lives on the delivery row
+        if (queueRetries && !logged) retryDelaysMs = [];
+
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.send(id, event, url, body, session.agentId, timeoutMs);
+            const delayMs = await this.recordAttempt(id, event, attempt, result, retryDelaysMs, queueRetries);
+            if (delayMs === null || queueRetries) return result;
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    /**
+     * Save the outcome of an attempt. A queued retry gets its next_attempt_at.
+     * @returns {Promise<number|null>} - Milliseconds until the next attempt, null when there's none
+     */
+    async recordAttempt(id, event, attempt, result, retryDelaysMs, queueRetry) {
+        const retry = !result.ok && result.retryable && attempt <= retryDelaysMs.length;
+        const delayMs = retry ? retryDelaysMs[attempt - 1] : null;
+        await this.updateDelivery(id, attempt, retry ? 'pending' : (result.ok ? 'delivered' : 'failed'), result, queueRetry ? delayMs : null);
+
+        if (result.ok) {
+            console.log(`✅ Webhook ${event} delivered (HTTP ${result.status}, attempt ${attempt})`);
+        } else if (!retry) {
+            console.error(`❌ Webhook ${event} failed after ${attempt} attempt(s): ${result.error}`);
+        } else {
+            console.warn(`⚠️  Webhook ${event} attempt ${attempt} failed (${result.error}) - retrying in ${delayMs / 1000}s`);
+        }
+        return delayMs;
+    }
+
+    async send(id, event, url, body, agentId, timeoutMs) {
+        const allowedHosts = getAllowedHosts(ALLOWED_PRIVATE_HOSTS_ENV);
+        let target;
+        try {
+            target = assertPublicUrl(url, allowedHosts);
+        } catch (error) {
+            return { ok: false, status: null, data: null, error: error.message, retryable: false };
+        }
+
+        let secret;
+        try {
+            secret = await this.getSigningSecret(agentId);
+        } catch (error) {
+            console.error('❌ Error loading webhook signing secret:', error.message);
+            return { ok: false, status: null, data: null, error: 'Could not load the signing secret', retryable: true };
+        }
+        if (!secret) {
+            return { ok: false, status: null, data: null, error: 'The agent has no signing secret', retryable: false };
+        }
+
+        const agent = createPublicAgent(target, allowedHosts);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        try {
+            const response = await axios.post(target.href, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Ziya-Event': event,
+                    'X-Ziya-Delivery': id,
+                    'X-Ziya-Timestamp': timestamp,
+                    'X-Ziya-Signature': `sha256=${sign(secret, timestamp, body)}`
+                },
+                timeout: timeoutMs,
+                httpAgent: agent,
+                httpsAgent: agent,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            const ok = response.status >= 200 && response.status < 300;
+            return {
+                ok,
+                status: response.status,
+                data: response.data,
+                error: ok ? null : `HTTP ${response.status}`,
+                retryable: response.status === 408 || response.status === 429 || response.status >= 500
+            };
+        } catch (error) {
+            const message = error.code === 'ECONNABORTED'
+                ? `No response within ${timeoutMs / 1000} seconds`
+                : error.message;
+            return { ok: false, status: null, data: null, error: message, retryable: true };
+        } finally {
+            agent.destroy();
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} - Whether the delivery was logged
+     */
+    async logDelivery(id, session, event, url, body) {
+        if (!session.userId) return false;
+        try {
+            await this.mysqlPool.execute(
+                `INSERT INTO webhook_deliveries (id, user_id, agent_id, call_id, event, url, status, payload)
+                 VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+                [id, session.userId, session.agentId || null, session.callId || null, event, url, body]
+            );
+            return true;
+        } catch (err) {
+            console.error('❌ Error logging webhook delivery:', err.message);
+            return false;
+        }
+    }
+
+    async updateDelivery(id, attempts, status, result, retryInMs = null) {
+        const nextAttempt = retryInMs === null ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? SECOND)';
+        const params = [status, attempts, result.status, result.error];
+        if (retryInMs !== null) params.push(Math.ceil(retryInMs / 1000));
+        try {
+            await this.mysqlPool.execute(
+                `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ${nextAttempt} WHERE id = ?`,
+                [...params, id]
+            );
+        } catch (err) {
+            console.error('❌ Error updating webhook delivery:', err.message);
+        }
+    }
+
+    /**
+     * Poll for queued end-of-call retries. Call once at startup.
+     */
+    startRetries() {
+        if (this.retryTimer) return;
+        this.retryTimer = setInterval(() => this.retryPending(), RETRY_POLL_MS);
+        this.retryPending();
+    }
+
+    stopRetries() {
+        if (this.retryTimer) {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * Send the queued retries that are due. Each row is claimed first, so
+     * several servers can poll the same table.
+     */
+    async retryPending() {
+        if (this.retrying) return;
+        this.retrying = true;
+        try {
+            const [rows] = await this.mysqlPool.execute(
+                `SELECT id, agent_id, event, url, attempts, payload
+                 FROM webhook_deliveries
+                 WHERE status = 'pending' AND next_attempt_at <= NOW()
+                 ORDER BY next_attempt_at
+                 LIMIT ${RETRY_BATCH_SIZE}`
+            );
+
+            for (const row of rows) {
+                const [claim] = await this.mysqlPool.execute(
+                    `UPDATE webhook_deliveries SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ${RETRY_CLAIM_SECONDS} SECOND)
+                     WHERE id = ? AND status = 'pending' AND next_attempt_at <= NOW()`,
+                    [row.id]
+                );
+                if (claim.affectedRows === 0) continue;
+
+                // JSON columns come back parsed
+                const body = typeof row.payload === 'string' ? row.payload : JSON.stringify(row.payload);
+                const result = await this.send(row.id, row.event, row.url, body, row.agent_id, END_OF_CALL_TIMEOUT_MS);
+                await this.recordAttempt(row.id, row.event, row.attempts + 1, result, END_OF_CALL_RETRY_DELAYS_MS, true);
+            }
+        } catch (err) {
+            console.error('❌ Error retrying webhook deliveries:', err.message);
+        } finally {
+            this.retrying = false;
+        }
+    }
+
+    /**
+     * Secret the agent's webhook requests are signed with. A random one is
+     * created (and stored encrypted) the first time it's needed.
+     * @returns {Promise<string|null>} - null when the agent doesn't exist
+     */
+    async getSigningSecret(agentId, create = true) {
+        if (!agentId) return null;
+        const [rows] = await this.mysqlPool.execute(
+            'SELECT webhook_secret FROM agents WHERE id = ?',
+            [agentId]
+        );
+        if (rows.length === 0) return null;
+        if (rows[0].webhook_secret) return decrypt(rows[0].webhook_secret);
+        if (!create) return null;
+
+        // Only the first of two racing calls gets to store its secret
+        await this.mysqlPool.execute(
+            'UPDATE agents SET webhook_secret = ? WHERE id = ? AND webhook_secret IS NULL',
+            [encrypt(generateSecret()), agentId]
+        );
+        return this.getSigningSecret(agentId, false);
+    }
+
+    /**
+     * Replace the agent's signing secret. Every request from now on, queued
+     * retries included, is signed with the new one.
+     * @returns {Promise<string>} - The new secret
+     */
+    async rotateSigningSecret(agentId) {
+        const secret = generateSecret();
+        await this.mysqlPool.execute(
+            'UPDATE agents SET webhook_secret = ? WHERE id = ?',
+            [encrypt(secret), agentId]
+        );
+        return secret;
+    }
+
+    /**
+     * Send a logged delivery again (once, as a new delivery)
+     * @returns {Promise<Object|null>} - Result, null when the delivery doesn't exist
+     */
+    async redeliver(userId, deliveryId) {
+        const [rows] = await this.mysqlPool.execute(
+            'SELECT * FROM webhook_deliveries WHERE id = ? AND user_id = ?',
+            [deliveryId, userId]
+        );
+        if (rows.length === 0) return null;
+
+        const row = rows[0];
+        const { deliveryId: previousId, ...payload } = parseJson(row.payload) || {};
+        return this.deliver(
+            { userId, agentId: row.agent_id, callId: row.call_id },
+            row.event,
+            row.url,
+            { ...payload, redeliveryOf: previousId || row.id },
+            { timeoutMs: END_OF_CALL_TIMEOUT_MS, retryDelaysMs: [] }
+        );
+    }
+
+    /**
+     * Most recent deliveries of an agent's webhooks, newest first
+     */
+    async getDeliveries(userId, agentId, limit = 50) {
+        const [rows] = await this.mysqlPool.execute(
+            `SELECT id, call_id, event, url, status, attempts, response_status, error, created_at, updated_at
+             FROM webhook_deliveries
+             WHERE user_id = ? AND agent_id = ?
+             ORDER BY created_at DESC
+             LIMIT ${Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)}`,
+            [userId, agentId]
+        );
+        return rows.map(row => ({
+            id: row.id,
+            callId: row.call_id,
+            event: row.event,
+            url: row.url,
+            status: row.status,
+            attempts: row.attempts,
+            responseStatus: row.response_status,
+            error: row.error,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isWebhookUrl(url) {
+    try {
+        const parsed = new URL(String(url || '').trim());
+        return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !RESERVED_HOSTS.test(parsed.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function absoluteUrl(path) {
+    let appUrl = process.env.APP_URL;
+    if (!appUrl) return path;
+    if (!appUrl.startsWith('http://') && !appUrl.startsWith('https://')) {
+        appUrl = `https://${appUrl}`;
+    }
+    return `${appUrl.replace(/\/$/, '')}${path}`;
+}
+
+/**
+ * Prefetch reply as template variables: { "variables": {...} } or a plain
+ * object. Nested objects become dotted names ({{customer.name}}).
+ */
+function toVariables(data) {
+    data = parseJson(data);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+    const source = data.variables && typeof data.variables === 'object' && !Array.isArray(data.variables)
+        ? data.variables
+        : data;
+
+    const variables = {};
+    const add = (prefix, value) => {
+        if (Object.keys(variables).length >= MAX_VARIABLES || value === null || value === undefined) return;
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            for (const [key, nested] of Object.entries(value)) add(prefix ? `${prefix}.${key}` : key, nested);
+            return;
+        }
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        variables[prefix] = text.length > MAX_VARIABLE_LENGTH ? text.substring(0, MAX_VARIABLE_LENGTH) : text;
+    };
+    add('', source);
+    return variables;
+}
+
+/**
+ * Tools the agent called, with the arguments and what they returned
+ * @param {Array} context - Gemini contents ({ role, parts })
+ * @returns {Array<{name: string, args: Object, result: Object}>}
+ */
+function buildToolCalls(context) {
+    const toolCalls = [];
+    context.forEach((entry, index) => {
+        if (entry.role !== 'model') return;
+        const calls = (entry.parts || []).filter(part => part.functionCall);
+        if (calls.length === 0) return;
+
+        // executeAll answers in the same order, in the next entry
+        const responses = context[index + 1]?.role === 'function' ? context[index + 1].parts : [];
+        calls.forEach((part, i) => {
+            toolCalls.push({
+                name: part.functionCall.name,
+                args: part.functionCall.args || {},
+                result: responses[i]?.functionResponse?.response ?? null
+            });
+        });
+    });
+    return toolCalls;
+}
+
+function parseJson(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = { WebhookService, buildToolCalls };
@@ -1,183 +0,0 @@
-"use strict";
-var __assign = (this && this.__assign) || function () {
-    __assign = Object.assign || function(t) {
-        for (var s, i = 1, n = arguments.length; i < n; i++) {
-            s = arguments[i];
-            for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p))
-                t[p] = s[p];
-        }
-        return t;
-    };
-    return __assign.apply(this, arguments);
-};
-var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
-    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
-    return new (P || (P = Promise))(function (resolve, reject) {
-        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
-        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
-        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
-        step((generator = generator.apply(thisArg, _arguments || [])).next());
-    });
-};
-var __generator = (this && this.__generator) || function (thisArg, body) {
-    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g = Object.create((typeof Iterator === "function" ? Iterator : Object).prototype);
-    return g.next = verb(0), g["throw"] = verb(1), g["return"] = verb(2), typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
-    function verb(n) { return function (v) { return step([n, v]); }; }
-    function step(op) {
-        if (f) throw new TypeError("Generator is already executing.");
-        while (g && (g = 0, op[0] && (_ = 0)), _) try {
-            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
-            if (y = 0, t) op = [op[0] & 2, t.value];
-            switch (op[0]) {
-                case 0: case 1: t = op; break;
-                case 4: _.label++; return { value: op[1], done: false };
-                case 5: _.label++; y = op[1]; op = [0]; continue;
-                case 7: op = _.ops.pop(); _.trys.pop(); continue;
-                default:
-                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
-                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
-                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
-                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
-                    if (t[2]) _.ops.pop();
-                    _.trys.pop(); continue;
-            }
-            op = body.call(thisArg, _);
-        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
-        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
-    }
-};
-Object.defineProperty(exports, "__esModule", { value: true });
-exports.ToolExecutionService = void 0;
-var types_js_1 = require("./types.js");
-var axios_1 = require("axios");
-var googleSheetsService_js_1 = require("./googleSheetsService.js");
-var ToolExecutionService = /** @class */ (function () {
-    function ToolExecutionService() {
-        this.googleSheetsService = new googleSheetsService_js_1.default();
-    }
-    /**
-     * Execute a tool based on its type
-     * @param tool The tool to execute
-     * @param collectedData The data collected from the user
-     * @returns Promise<boolean> indicating success
-     */
-    ToolExecutionService.prototype.executeTool = function (tool, collectedData) {
-        return __awaiter(this, void 0, void 0, function () {
-            return __generator(this, function (_a) {
-                try {
-                    switch (tool.type) {
-                        case types_js_1.ToolType.GoogleSheets:
-                            return [2 /*return*/, this.executeGoogleSheetsTool(tool, collectedData)];
-                        case types_js_1.ToolType.Webhook:
-                            return [2 /*return*/, this.executeWebhookTool(tool, collectedData)];
-                        case types_js_1.ToolType.WebForm:
-                            // WebForm tools are handled in the UI, not executed server-side
-                            return [2 /*return*/, true];
-                        default:
-                            console.warn("Unsupported tool type: ".concat(tool.type));
-                            return [2 /*return*/, false];
-                    }
-                }
-                catch (error) {
-                    console.error("Error executing tool ".concat(tool.name, ":"), error);
-                    return [2 /*return*/, false];
-                }
-                return [2 /*return*/];
-            });
-        });
-    };
-    /**
-     * Execute a Google Sheets tool
-     * @param tool The Google Sheets tool to execute
-     * @param collectedData The data collected from the user
-     * @returns Promise<boolean> indicating success
-     */
-    ToolExecutionService.prototype.executeGoogleSheetsTool = function (tool, collectedData) {
-        return __awaiter(this, void 0, void 0, function () {
-            var spreadsheetId, result, error_1;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
-                    case 0:
-                        _a.trys.push([0, 2, , 3]);
-                        // Extract spreadsheet ID from the Google Sheets URL stored in webhookUrl
-                        if (!tool.webhookUrl) {
-                            throw new Error('Google Sheets URL is missing');
-                        }
-                        spreadsheetId = this.extractSpreadsheetIdFromUrl(tool.webhookUrl);
-                        return [4 /*yield*/, this.googleSheetsService.appendDataToSheet(spreadsheetId, collectedData, tool.name)];
-                    case 1:
-                        result = _a.sent();
-                        if (result) {
-                            console.log('Successfully appended data to Google Sheets:', collectedData);
-                        }
-                        else {
-                            console.error('Failed to append data to Google Sheets');
-                        }
-                        return [2 /*return*/, result];
-                    case 2:
-                        error_1 = _a.sent();
-                        console.error('Error executing Google Sheets tool:', error_1);
-                        return [2 /*return*/, false];
-                    case 3: return [2 /*return*/];
-                }
-            });
-        });
-    };
-    /**
-     * Extract spreadsheet ID from Google Sheets URL
-     * @param url The Google Sheets URL
-     * @returns The spreadsheet ID
-     */
-    ToolExecutionService.prototype.extractSpreadsheetIdFromUrl = function (url) {
-        // Match patterns like:
-        // https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms/edit
-        // https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms
-        var match = url.match(/\/d\/([a-zA-Z0-9-_]+)/);
-        if (!match) {
-            throw new Error('Invalid Google Sheets URL');
-        }
-        return match[1];
-    };
-    /**
-     * Execute a webhook tool
-     * @param tool The webhook tool to execute
-     * @param collectedData The data collected from the user
-     * @returns Promise<boolean> indicating success
-     */
-    ToolExecutionService.prototype.executeWebhookTool = function (tool, collectedData) {
-        return __awaiter(this, void 0, void 0, function () {
-            var method, headers, response, error_2;
-            return __generator(this, function (_a) {
-                switch (_a.label) {
-                    case 0:
-                        _a.trys.push([0, 2, , 3]);
-                        if (!tool.webhookUrl) {
-                            throw new Error('Webhook URL is missing');
-                        }
-                        method = tool.method || 'POST';
-                        headers = __assign({ 'Content-Type': 'application/json' }, ((tool.headers || []).reduce(function (acc, header) {
-                            acc[header.key] = header.value;
-                            return acc;
-                        }, {})));
-                        return [4 /*yield*/, (0, axios_1.default)({
-                                method: method,
-                                url: tool.webhookUrl,
-                                headers: headers,
-                                data: method === 'POST' ? collectedData : undefined
-                            })];
-                    case 1:
-                        response = _a.sent();
-                        return [2 /*return*/, response.status >= 200 && response.status < 300];
-                    case 2:
-                        error_2 = _a.sent();
-                        console.error('Error executing webhook tool:', error_2);
-                        return [2 /*return*/, false];
-                    case 3: return [2 /*return*/];
-                }
-            });
-        });
-    };
-    return ToolExecutionService;
-}());
-exports.ToolExecutionService = ToolExecutionService;
-exports.default = ToolExecutionService;
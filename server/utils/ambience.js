@@ -0,0 +1,214 @@
+/**
+ * Background ambience mixed under the agent's voice (settings.backgroundAmbientSound).
+ *
+ * Each track is a seamless loop. A recording in assets/ambience/<id>.wav is
+ * used when present; otherwise the track is synthesized, so the library works
+ * without shipping audio files.
+ */
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const mulaw = require('./mulaw.js');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets', 'ambience');
+const LOOP_SECONDS = 8;
+const CROSSFADE_SECONDS = 0.5;
+const DEFAULT_VOLUME = 0.5;
+
+const AMBIENCE_TRACKS = {
+    office: { name: 'Office', roomTone: 900, babble: 0, keyboard: true, clinks: false },
+    call_center: { name: 'Call center', roomTone: 700, babble: 1400, keyboard: true, clinks: false },
+    cafe: { name: 'Café', roomTone: 1100, babble: 1000, keyboard: false, clinks: true }
+};
+
+// Loops by "<id>@<sampleRate>"
+const cache = new Map();
+
+/**
+ * Track id for a stored setting ("Office", "call-center", "None", ...)
+ * @returns {string|null} - null for no ambience or an unknown track
+ */
+function resolveAmbienceId(setting) {
+    const id = String(setting || '').trim().toLowerCase().replace(/[\s-]+/g, '_').replace('é', 'e');
+    return AMBIENCE_TRACKS[id] ? id : null;
+}
+
+/**
+ * @param {string} id - Track id (see AMBIENCE_TRACKS)
+ * @param {number} sampleRate
+ * @returns {Int16Array} - One loop of 16-bit PCM
+ */
+function getAmbienceLoop(id, sampleRate) {
+    const key = `${id}@${sampleRate}`;
+    if (!cache.has(key)) {
+        const file = path.join(ASSETS_DIR, `${id}.wav`);
+        cache.set(key, fs.existsSync(file) ? readLoop(file, sampleRate) : synthesize(AMBIENCE_TRACKS[id], sampleRate));
+    }
+    return cache.get(key);
+}
+
+function readLoop(file, sampleRate) {
+    const wav = new WaveFile(fs.readFileSync(file));
+    if (wav.fmt.audioFormat === 7) wav.fromMuLaw();
+    wav.toBitDepth('16');
+    if (wav.fmt.sampleRate !== sampleRate) wav.toSampleRate(sampleRate);
+    const samples = wav.getSamples(false, Int16Array);
+    return Array.isArray(samples) ? samples[0] : samples;
+}
+
+/**
+ * Room tone (brown noise), murmured voices (noise bursts at syllable rate),
+ * keyboard clicks and cup clinks, from a fixed seed so every call hears the
+ * same loop
+ */
+function synthesize(track, sampleRate) {
+    const random = seededRandom(track.name.length * 7919);
+    const loopLength = LOOP_SECONDS * sampleRate;
+    const fadeLength = Math.round(CROSSFADE_SECONDS * sampleRate);
+    const total = loopLength + fadeLength;
+    const signal = new Float32Array(total);
+
+    // Room tone: leaky-integrated white noise
+    let brown = 0;
+    for (let i = 0; i < total; i++) {
+        brown = brown * 0.995 + (random() * 2 - 1) * 0.1;
+        signal[i] += brown * track.roomTone;
+    }
+
+    // Distant voices: a few talkers, band-limited noise gated at ~4 syllables per second
+    if (track.babble) {
+        for (let talker = 0; talker < 4; talker++) {
+            const rate = 3 + random() * 2;
+            const phase = random() * Math.PI * 2;
+            let low = 0;
+            let lower = 0;
+            for (let i = 0; i < total; i++) {
+                low += 0.25 * ((random() * 2 - 1) - low);
+                lower += 0.05 * (low - lower);
+                const syllables = Math.max(0, Math.sin(2 * Math.PI * rate * i / sampleRate + phase));
+                const phrases = 0.5 + 0.5 * Math.sin(2 * Math.PI * 0.2 * i / sampleRate + phase * 3);
+                signal[i] += (low - lower) * syllables * phrases * track.babble * 4;
+            }
+        }
+    }
+
+    // Keyboard: short decaying clicks in bursts of typing
+    if (track.keyboard) {
+        for (let start = 0; start < total;) {
+            const keys = 3 + Math.floor(random() * 10);
+            for (let k = 0; k < keys && start < total; k++) {
+                addBurst(signal, start, Math.round(0.004 * sampleRate), 1500 + random() * 1000, random);
+                start += Math.round((0.08 + random() * 0.12) * sampleRate);
+            }
+            start += Math.round((0.8 + random() * 2.5) * sampleRate);
+        }
+    }
+
+    // Cups and cutlery: decaying high tones now and then
+    if (track.clinks) {
+        for (let start = Math.round(random() * sampleRate); start < total; start += Math.round((1.5 + random() * 3) * sampleRate)) {
+            const frequency = Math.min(2000 + random() * 1500, sampleRate / 2 - 200);
+            const length = Math.round(0.15 * sampleRate);
+            for (let i = 0; i < length && start + i < total; i++) {
+                signal[start + i] += 1200 * Math.exp(-i / (0.03 * sampleRate)) * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+            }
+        }
+    }
+
+    // Fade the tail into the head so the loop has no seam
+    const loop = new Int16Array(loopLength);
+    for (let i = 0; i < loopLength; i++) {
+        let sample = signal[i];
+        if (i < fadeLength) {
+            const fade = i / fadeLength;
+            sample = sample * fade + signal[loopLength + i] * (1 - fade);
+        }
+        loop[i] = Math.max(-32768, Math.min(32767, Math.round(sample)));
+    }
+    return loop;
+}
+
+function addBurst(signal, start, length, amplitude, random) {
+    for (let i = 0; i < length && start + i < signal.length; i++) {
+        signal[start + i] += amplitude * (random() * 2 - 1) * (1 - i / length);
+    }
+}
+
+// mulberry32
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Loops an ambience track into 8kHz µ-law frames for Twilio: mixed under the
+ * agent's audio while it speaks, on its own in between
+ */
+class AmbienceMixer {
+    /**
+     * @param {string} id - Track id
+     * @param {number} volume - 0..1 (settings.backgroundAmbientVolume)
+     */
+    constructor(id, volume = DEFAULT_VOLUME) {
+        this.loop = getAmbienceLoop(id, 8000);
+        this.gain = Math.min(Math.max(Number.isFinite(volume) ? volume : DEFAULT_VOLUME, 0), 1);
+        this.position = 0;
+    }
+
+    nextSample() {
+        const sample = this.loop[this.position];
+        this.position = (this.position + 1) % this.loop.length;
+        return sample * this.gain;
+    }
+
+    /**
+     * @param {number} length - Bytes (= samples) of µ-law
+     * @returns {Buffer} - Ambience only
+     */
+    frame(length) {
+        const output = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            output[i] = mulaw.encodeSample(this.nextSample());
+        }
+        return output;
+    }
+
+    /**
+     * @param {Buffer} frame - Agent audio, µ-law
+     * @returns {Buffer} - Agent audio with the ambience underneath, µ-law
+     */
+    mix(frame) {
+        const output = Buffer.alloc(frame.length);
+        for (let i = 0; i < frame.length; i++) {
+            const sample = mulaw.decodeSample(frame[i]) + this.nextSample();
+            output[i] = mulaw.encodeSample(Math.max(-32768, Math.min(32767, sample)));
+        }
+        return output;
+    }
+}
+
+/**
+ * One loop as a WAV file (linear PCM) for browser sessions, which mix it
+ * under the agent's clips themselves
+ * @returns {Buffer}
+ */
+function getAmbienceWav(id, sampleRate = 16000) {
+    const wav = new WaveFile();
+    wav.fromScratch(1, sampleRate, '16', getAmbienceLoop(id, sampleRate));
+    return Buffer.from(wav.toBuffer());
+}
+
+module.exports = {
+    AMBIENCE_TRACKS,
+    DEFAULT_VOLUME,
+    AmbienceMixer,
+    resolveAmbienceId,
+    getAmbienceLoop,
+    getAmbienceWav
+};
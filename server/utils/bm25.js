@@ -0,0 +1,103 @@
+/**
+ * Okapi BM25 keyword search over short passages (knowledge base chunks).
+ * Small enough to rebuild in memory per agent, no external service needed.
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our',
+    'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where',
+    'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Crude suffix stripping so "refunds" / "refunded" match "refund"
+ * @param {string} token
+ * @returns {string}
+ */
+function stem(token) {
+    if (token.length <= 4) return token;
+    if (token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+    if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+    if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+}
+
+/**
+ * Lower-cased, stemmed word tokens without stop words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+class Bm25Index {
+    /**
+     * @param {Object} options
+     * @param {number} options.k1 - Term frequency saturation
+     * @param {number} options.b - Length normalisation
+     */
+    constructor({ k1 = 1.2, b = 0.75 } = {}) {
+        this.k1 = k1;
+        this.b = b;
+        this.docs = [];
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.docs.length;
+    }
+
+    /**
+     * @param {Object} doc - Anything with a `content` string; returned as-is from search
+     */
+    add(doc) {
+        const termFrequency = new Map();
+        const tokens = tokenize(doc.content);
+        for (const token of tokens) {
+            termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+        }
+        for (const token of termFrequency.keys()) {
+            this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+        }
+
+        this.docs.push({ doc, termFrequency, length: tokens.length });
+        this.totalLength += tokens.length;
+    }
+
+    /**
+     * @param {string} query
+     * @param {number} limit
+     * @returns {Array<{doc: Object, score: number}>} - Best matches first, only those sharing a term with the query
+     */
+    search(query, limit = 3) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0 || this.docs.length === 0) return [];
+
+        const averageLength = this.totalLength / this.docs.length || 1;
+        const results = [];
+
+        for (const { doc, termFrequency, length } of this.docs) {
+            let score = 0;
+            for (const term of terms) {
+                const frequency = termFrequency.get(term);
+                if (!frequency) continue;
+
+                const docCount = this.documentFrequency.get(term);
+                const idf = Math.log(1 + (this.docs.length - docCount + 0.5) / (docCount + 0.5));
+                score += idf * (frequency * (this.k1 + 1)) /
+                    (frequency + this.k1 * (1 - this.b + this.b * (length / averageLength)));
+            }
+            if (score > 0) results.push({ doc, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+}
+
+module.exports = { Bm25Index, tokenize };
@@ -0,0 +1,120 @@
+const mulaw = require('./mulaw.js');
+
+/**
+ * DTMF helpers: collect keypad presses from the caller and generate
+ * tones the agent can play into phone menus.
+ */
+
+const SAMPLE_RATE = 8000;
+
+// Row / column frequencies (Hz) for each key
+const DTMF_FREQUENCIES = {
+    '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+    '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+    '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+    '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633]
+};
+
+const TONE_MS = 120;
+const GAP_MS = 80;
+const PAUSE_MS = 500; // 'w' in a digit string, same as Twilio's sendDigits
+const AMPLITUDE = 8000; // per tone, well below clipping when both are summed
+
+/**
+ * Digits that can be dialed: 0-9, *, #, A-D and 'w' for a half-second pause
+ * @param {string} digits
+ * @returns {string} - The dialable characters, upper-cased
+ */
+function sanitizeDigits(digits) {
+    return String(digits || '').toUpperCase().replace(/[^0-9*#A-DW]/g, '');
+}
+
+/**
+ * Generate 8kHz µ-law audio for a digit string
+ * @param {string} digits - e.g. "1w2#"
+ * @returns {Buffer}
+ */
+function generateDtmfTones(digits) {
+    const samples = [];
+    const silence = (ms) => {
+        for (let i = 0; i < (SAMPLE_RATE * ms) / 1000; i++) samples.push(0);
+    };
+
+    for (const digit of sanitizeDigits(digits)) {
+        if (digit === 'W') {
+            silence(PAUSE_MS);
+            continue;
+        }
+
+        const [low, high] = DTMF_FREQUENCIES[digit];
+        const toneSamples = (SAMPLE_RATE * TONE_MS) / 1000;
+        for (let i = 0; i < toneSamples; i++) {
+            const t = i / SAMPLE_RATE;
+            samples.push(AMPLITUDE * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t)));
+        }
+        silence(GAP_MS);
+    }
+
+    return mulaw.encode(samples);
+}
+
+/**
+ * Hide keypad input in logs (PINs, card numbers, ...)
+ */
+function maskDigits(digits) {
+    return '*'.repeat(String(digits || '').length);
+}
+
+/**
+ * Groups single keypresses into one entry. The entry is complete when the
+ * caller presses '#', stops pressing keys for timeoutMs, or hits maxDigits.
+ */
+class DtmfCollector {
+    /**
+     * @param {Function} onComplete - (digits) called with the collected keys
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Pause that ends an entry
+     * @param {number} options.maxDigits - Longest entry
+     */
+    constructor(onComplete, { timeoutMs = 2000, maxDigits = 32 } = {}) {
+        this.onComplete = onComplete;
+        this.timeoutMs = timeoutMs;
+        this.maxDigits = maxDigits;
+        this.digits = '';
+        this.timer = null;
+    }
+
+    push(digit) {
+        clearTimeout(this.timer);
+
+        // '#' ends an entry; on its own it is a keypress like any other
+        if (digit === '#' && this.digits) {
+            return this.flush();
+        }
+
+        this.digits += digit;
+        if (digit === '#' || this.digits.length >= this.maxDigits) {
+            return this.flush();
+        }
+        this.timer = setTimeout(() => this.flush(), this.timeoutMs);
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        const digits = this.digits;
+        this.digits = '';
+        if (digits) this.onComplete(digits);
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.digits = '';
+    }
+}
+
+module.exports = {
+    DtmfCollector,
+    generateDtmfTones,
+    sanitizeDigits,
+    maskDigits
+};
@@ -0,0 +1,90 @@
+/**
+ * Barge-in helpers shared by the Twilio and browser voice handlers.
+ */
+
+// How much caller speech is needed before the agent stops talking.
+// Higher sensitivity = the agent yields sooner (fewer words, lower confidence).
+const INTERRUPTION_PROFILES = {
+    off: null,
+    low: { minWords: 3, minConfidence: 0.85 },
+    medium: { minWords: 2, minConfidence: 0.7 },
+    high: { minWords: 1, minConfidence: 0.5 }
+};
+
+const DEFAULT_SENSITIVITY = 'medium';
+
+/**
+ * Resolve the barge-in profile for an agent's interruptionSensitivity setting
+ * @param {string} sensitivity - off | low | medium | high
+ * @returns {Object|null} - { minWords, minConfidence } or null when barge-in is disabled
+ */
+function getInterruptionProfile(sensitivity) {
+    const key = String(sensitivity || DEFAULT_SENSITIVITY).toLowerCase();
+    if (!(key in INTERRUPTION_PROFILES)) {
+        return INTERRUPTION_PROFILES[DEFAULT_SENSITIVITY];
+    }
+    return INTERRUPTION_PROFILES[key];
+}
+
+/**
+ * Decide whether a speech-to-text result (interim or final) should cut the agent off
+ * @param {Object|null} profile - Result of getInterruptionProfile
+ * @param {Object} result - STT provider transcript ({ text, confidence })
+ * @returns {boolean}
+ */
+function isBargeIn(profile, result) {
+    if (!profile) return false;
+
+    const transcript = result.text?.trim();
+    if (!transcript) return false;
+
+    const wordCount = transcript.split(/\s+/).length;
+    const confidence = typeof result.confidence === 'number' ? result.confidence : 1;
+
+    return wordCount >= profile.minWords && confidence >= profile.minConfidence;
+}
+
+/**
+ * Leading share of a text, cut on a word boundary
+ * @param {string} text
+ * @param {number} fraction - 0..1
+ * @returns {string} - '' when nothing was spoken
+ */
+function spokenPortion(text, fraction) {
+    const words = (text || '').split(/\s+/).filter(Boolean);
+    const clamped = Math.min(Math.max(fraction || 0, 0), 1);
+    return words.slice(0, Math.floor(words.length * clamped)).join(' ');
+}
+
+/**
+ * Cut a model turn down to the part the caller actually heard.
+ * The entry is edited in place; it is removed when nothing was played.
+ * @param {Array} context - Conversation context ({ role, parts: [{ text }] } entries)
+ * @param {Object} entry - The model entry that was being spoken
+ * @param {string} spokenText - What the caller heard (see spokenPortion)
+ */
+function trimContextEntry(context, entry, spokenText) {
+    const index = context.indexOf(entry);
+    if (index === -1) return;
+
+    const fullText = entry.parts?.[0]?.text || '';
+    const spoken = (spokenText || '').trim();
+
+    if (!spoken) {
+        context.splice(index, 1);
+        console.log(`✂️  Removed unspoken agent turn from context`);
+        return;
+    }
+
+    if (spoken !== fullText.trim()) {
+        entry.parts = [{ text: `${spoken.replace(/[.,;:!?]+$/, '')}...` }];
+        console.log(`✂️  Trimmed agent turn to spoken part: "${spoken}"`);
+    }
+}
+
+module.exports = {
+    getInterruptionProfile,
+    isBargeIn,
+    spokenPortion,
+    trimContextEntry
+};
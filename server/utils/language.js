@@ -0,0 +1,77 @@
+/**
+ * Agent language (VoiceAgent.language, e.g. 'HINDI') → speech-to-text,
+ * text-to-speech and prompt settings for a call.
+ */
+
+const LANGUAGES = {
+    ENGLISH: { name: 'English', locale: 'en-US', deepgram: { model: 'nova-2', language: 'en-US' }, sarvam: 'en-IN', elevenLabs: 'en' },
+    HINDI: { name: 'Hindi', locale: 'hi-IN', deepgram: { model: 'nova-2', language: 'hi' }, sarvam: 'hi-IN', elevenLabs: 'hi' },
+    TAMIL: { name: 'Tamil', locale: 'ta-IN', deepgram: { model: 'nova-3', language: 'ta' }, sarvam: 'ta-IN', elevenLabs: 'ta' },
+    SPANISH: { name: 'Spanish', locale: 'es-ES', deepgram: { model: 'nova-2', language: 'es' }, sarvam: null, elevenLabs: 'es' },
+    FRENCH: { name: 'French', locale: 'fr-FR', deepgram: { model: 'nova-2', language: 'fr' }, sarvam: null, elevenLabs: 'fr' },
+    GERMAN: { name: 'German', locale: 'de-DE', deepgram: { model: 'nova-2', language: 'de' }, sarvam: null, elevenLabs: 'de' },
+    ITALIAN: { name: 'Italian', locale: 'it-IT', deepgram: { model: 'nova-2', language: 'it' }, sarvam: null, elevenLabs: 'it' },
+    PORTUGUESE: { name: 'Portuguese', locale: 'pt-BR', deepgram: { model: 'nova-2', language: 'pt-BR' }, sarvam: null, elevenLabs: 'pt' }
+};
+
+// Deepgram's code-switching model (English, Hindi, Spanish, French, German, ...)
+const MULTILINGUAL_DEEPGRAM = { model: 'nova-3', language: 'multi' };
+
+/**
+ * @param {string} language - VoiceAgent.language ('ENGLISH', 'HINDI', ...); unknown values fall back to English
+ * @param {Object} options
+ * @param {boolean} options.multilingual - Caller may switch languages mid-call (settings.multilingual)
+ * @returns {Object} - Language profile for the call
+ */
+function getLanguageProfile(language, { multilingual = false } = {}) {
+    const id = LANGUAGES[String(language || '').toUpperCase()] ? String(language).toUpperCase() : 'ENGLISH';
+    return { id, multilingual: !!multilingual, ...LANGUAGES[id] };
+}
+
+/**
+ * Deepgram live options for the call
+ * @param {Object} profile - From getLanguageProfile
+ * @param {Object} options
+ * @param {boolean} options.phone - 8kHz phone audio (Twilio); English uses the phone-call model
+ * @returns {{model: string, language: string}}
+ */
+function getDeepgramOptions(profile, { phone = false } = {}) {
+    if (profile.multilingual) return { ...MULTILINGUAL_DEEPGRAM };
+    if (phone && profile.id === 'ENGLISH') return { model: 'nova-2-phonecall', language: 'en-US' };
+    return { ...profile.deepgram };
+}
+
+/**
+ * TTS options for tts_controller: Sarvam target_language_code and ElevenLabs
+ * language_code (left out in multilingual mode so the voice follows the text)
+ * @param {Object} profile
+ * @returns {{language: string, languageCode?: string}}
+ */
+function getTtsOptions(profile) {
+    return {
+        language: profile.sarvam || 'en-IN',
+        ...(profile.multilingual ? {} : { languageCode: profile.elevenLabs })
+    };
+}
+
+/**
+ * Appended to the agent prompt so replies come back in a language the voice can speak
+ * @param {Object} profile
+ * @returns {string}
+ */
+function getPromptInstruction(profile) {
+    if (profile.multilingual) {
+        return `\n\nThe caller may switch languages (for example between English and Hindi). ` +
+            `Always reply in the language of the caller's latest message; if unsure, use ${profile.name}.`;
+    }
+    if (profile.id === 'ENGLISH') return '';
+    return `\n\nAlways reply in ${profile.name}, written in its native script, even if these instructions are in another language.`;
+}
+
+module.exports = {
+    LANGUAGES,
+    getLanguageProfile,
+    getDeepgramOptions,
+    getTtsOptions,
+    getPromptInstruction
+};
@@ -0,0 +1,69 @@
+/**
+ * G.711 µ-law helpers for audio generated in-process (Twilio streams are 8kHz µ-law).
+ */
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+/**
+ * Encode one 16-bit PCM sample
+ * @param {number} sample - -32768..32767
+ * @returns {number} - µ-law byte
+ */
+function encodeSample(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(Math.round(sample)), CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Encode 16-bit PCM samples
+ * @param {Int16Array|number[]} samples
+ * @returns {Buffer}
+ */
+function encode(samples) {
+    const output = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        output[i] = encodeSample(samples[i]);
+    }
+    return output;
+}
+
+/**
+ * Decode one µ-law byte
+ * @param {number} byte
+ * @returns {number} - 16-bit PCM sample
+ */
+function decodeSample(byte) {
+    const value = ~byte & 0xFF;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0F) << 3) + BIAS) << exponent) - BIAS;
+    return value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * Decode µ-law audio (e.g. Twilio media payloads) to 16-bit PCM
+ * @param {Buffer} buffer
+ * @returns {Int16Array}
+ */
+function decode(buffer) {
+    const samples = new Int16Array(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+        samples[i] = decodeSample(buffer[i]);
+    }
+    return samples;
+}
+
+module.exports = {
+    encodeSample,
+    encode,
+    decodeSample,
+    decode
+};
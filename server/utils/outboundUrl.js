@@ -0,0 +1,105 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Guards for requests to URLs that users configure (e.g. an agent's own
+ * LLM endpoint): http(s) only, and never the server's own network -
+ * loopback, link-local (cloud metadata), private and other reserved
+ * ranges - unless the host is in the allowlist.
+ */
+
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked against the IPv4 ranges
+    return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hosts allowed to be private, from a comma-separated env variable
+ * @param {string} envName
+ * @returns {string[]} - Lower-cased host names / addresses
+ */
+function getAllowedHosts(envName) {
+    return (process.env[envName] || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Check a configured URL before anything is sent to it. Host names are
+ * checked again when they resolve (see createPublicAgent).
+ * @param {string} url
+ * @param {string[]} allowedHosts
+ * @returns {URL}
+ * @throws {Error} - Message safe to show the user
+ */
+function assertPublicUrl(url, allowedHosts = []) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error('Endpoint URL is not valid');
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Endpoint URL must start with http:// or https://');
+    }
+
+    const host = hostOf(parsed);
+    if (!allowedHosts.includes(host) && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host))) {
+        throw new Error('Endpoint URL points to a private or local network address');
+    }
+    return parsed;
+}
+
+/**
+ * HTTP(S) agent that refuses to connect to private addresses, checked on
+ * every lookup so a host name can't be re-pointed after assertPublicUrl
+ * @param {URL} url - From assertPublicUrl
+ * @param {string[]} allowedHosts
+ */
+function createPublicAgent(url, allowedHosts = []) {
+    const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+    if (allowedHosts.includes(hostOf(url))) return new Agent({ keepAlive: true });
+
+    const lookup = (hostname, options, callback) => {
+        dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+            if (err) return callback(err);
+            if (addresses.some(({ address }) => isPrivateAddress(address))) {
+                return callback(new Error(`${hostname} resolves to a private or local network address`));
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+    return new Agent({ keepAlive: true, lookup });
+}
+
+// IPv6 hosts without their brackets
+function hostOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+module.exports = {
+    assertPublicUrl,
+    createPublicAgent,
+    getAllowedHosts,
+    isPrivateAddress
+};
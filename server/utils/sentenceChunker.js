@@ -0,0 +1,86 @@
+/**
+ * Splits streamed LLM text into speakable pieces so TTS can start
+ * before the full reply has been generated.
+ */
+
+// Sentence end followed by whitespace ("Sure. Let me...")
+const SENTENCE_BOUNDARY = /[.!?…]["')\]]*\s+/g;
+// Clause boundary, only used once the buffer gets long
+const CLAUSE_BOUNDARY = /[,;:—–]\s+/g;
+
+// Short abbreviations that end in a period but don't end a sentence
+const ABBREVIATIONS = ['mr.', 'mrs.', 'ms.', 'dr.', 'st.', 'vs.', 'etc.', 'e.g.', 'i.e.', 'no.'];
+
+class SentenceChunker {
+    /**
+     * @param {Object} options
+     * @param {number} options.minChars - Don't emit pieces shorter than this (avoids choppy audio)
+     * @param {number} options.maxChars - Fall back to clause boundaries past this length
+     */
+    constructor(options = {}) {
+        this.minChars = options.minChars || 12;
+        this.maxChars = options.maxChars || 120;
+        this.buffer = '';
+    }
+
+    /**
+     * Add streamed text and return any pieces that are ready to be spoken
+     * @param {string} text - Next text delta from the LLM
+     * @returns {string[]}
+     */
+    push(text) {
+        this.buffer += text;
+        const pieces = [];
+
+        let cut;
+        while ((cut = this.findCut()) > 0) {
+            const piece = this.buffer.slice(0, cut).trim();
+            this.buffer = this.buffer.slice(cut);
+            if (piece) pieces.push(piece);
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Return whatever is left once the LLM stream has ended
+     * @returns {string|null}
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest || null;
+    }
+
+    findCut() {
+        const sentenceCut = this.firstBoundary(SENTENCE_BOUNDARY, true);
+        if (sentenceCut >= this.minChars) return sentenceCut;
+
+        if (this.buffer.length > this.maxChars) {
+            const clauseCut = this.firstBoundary(CLAUSE_BOUNDARY, false);
+            if (clauseCut >= this.minChars) return clauseCut;
+        }
+        return -1;
+    }
+
+    /**
+     * Index just past the first usable boundary at or beyond minChars
+     */
+    firstBoundary(pattern, skipAbbreviations) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            if (end < this.minChars) continue;
+
+            if (skipAbbreviations) {
+                const before = this.buffer.slice(0, match.index + 1).split(/\s+/).pop().toLowerCase();
+                if (ABBREVIATIONS.includes(before)) continue;
+            }
+            return end;
+        }
+        return -1;
+    }
+}
+
+module.exports = { SentenceChunker };
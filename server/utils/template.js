@@ -0,0 +1,38 @@
+/**
+ * {{variable}} templating for agent text (identity, greeting, voicemail).
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+/**
+ * Fill {{variable}} placeholders. Unknown variables are dropped and the
+ * spacing around them tidied, so "Hi {{name}}, ..." reads "Hi, ..." without a name.
+ * @param {string} text
+ * @param {Object} variables - e.g. { name: 'Asha', phone_number: '+91...' }
+ * @returns {string}
+ */
+function renderTemplate(text, variables = {}) {
+    return String(text || '')
+        .replace(VARIABLE_PATTERN, (match, key) => {
+            const value = variables[key];
+            return value === undefined || value === null ? '' : String(value);
+        })
+        .replace(/[ \t]+([,.!?;:])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Names of the {{variables}} a text uses
+ * @param {string} text
+ * @returns {string[]} - Unique, in order of first use
+ */
+function getTemplateVariables(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(VARIABLE_PATTERN)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+module.exports = { renderTemplate, getTemplateVariables };
@@ -0,0 +1,58 @@
+/**
+ * Turn-taking settings: when the caller has finished speaking and whether
+ * what was heard is speech at all. Shared by every live transport.
+ */
+
+const DEFAULT_RESPONSE_DELAY_MS = 800;
+
+// Accepted ranges, so a typo in the settings can't stall or flood a call
+const LIMITS = {
+    endpointingMs: [10, 3000],
+    utteranceEndMs: [500, 5000],
+    responseDelayMs: [0, 5000]
+};
+
+/**
+ * Resolve an agent's turn-taking settings for a call
+ * @param {Object} settings - Agent settings: endpointingMs, utteranceEndMs, overrideVAD,
+ *   voiceDetectionConfidenceThreshold, responseDelay, responseDelayMs
+ * @param {Object} transport - Its utteranceEndMs is the default for that kind of call
+ * @returns {{endpointingMs: number|null, utteranceEndMs: number, minConfidence: number, responseDelayMs: number}}
+ *   endpointingMs is null when the STT provider's default should be used
+ */
+function getTurnTakingProfile(settings = {}, transport = {}) {
+    // 0 or blank: use the default
+    return {
+        endpointingMs: clamp(settings.endpointingMs || null, LIMITS.endpointingMs, null),
+        utteranceEndMs: clamp(settings.utteranceEndMs || null, LIMITS.utteranceEndMs, transport.utteranceEndMs),
+        // The threshold only applies once the agent overrides the default detection
+        minConfidence: settings.overrideVAD ? clamp(settings.voiceDetectionConfidenceThreshold, [0, 1], 0) : 0,
+        responseDelayMs: settings.responseDelay
+            ? clamp(settings.responseDelayMs, LIMITS.responseDelayMs, DEFAULT_RESPONSE_DELAY_MS)
+            : 0
+    };
+}
+
+/**
+ * Whether a speech-to-text result is confident enough to be the caller speaking
+ * (rather than line noise, breathing or a TV in the background)
+ * @param {Object} profile - Result of getTurnTakingProfile
+ * @param {Object} result - STT provider transcript ({ text, confidence })
+ * @returns {boolean}
+ */
+function isConfidentSpeech(profile, result) {
+    if (!profile.minConfidence || typeof result.confidence !== 'number') return true;
+    return result.confidence >= profile.minConfidence;
+}
+
+function clamp(value, [min, max], fallback) {
+    const number = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+module.exports = {
+    DEFAULT_RESPONSE_DELAY_MS,
+    getTurnTakingProfile,
+    isConfidentSpeech
+};
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Modal from './Modal';
+import { agentTestService, TestScenario, TestScenarioDefinition, TestAssertionType } from '../services/agentTestService';
+
+interface AgentTestsPanelProps {
+    agentId: string;
+    userId?: string;
+    toolNames: string[]; // Tools the agent can call (its own plus end_call / transfer_call when enabled)
+}
+
+const ASSERTION_LABELS: Record<TestAssertionType, string> = {
+    must: 'Must',
+    must_not: 'Must not',
+    says: 'Says',
+    never_says: 'Never says',
+};
+
+const EMPTY_SCENARIO: TestScenarioDefinition = {
+    name: '',
+    callerMode: 'llm',
+    persona: '',
+    callerScript: [],
+    maxTurns: 8,
+    expectedTools: [],
+    assertions: [],
+    toolMocks: {},
+};
+
+const RUN_ALL_POLL_MS = 3000;
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary text-sm';
+
+const AgentTestsPanel: React.FC<AgentTestsPanelProps> = ({ agentId, userId, toolNames }) => {
+    const [scenarios, setScenarios] = useState<TestScenario[]>([]);
+    const [running, setRunning] = useState<string[]>([]); // Scenario ids being run
+    const [followRunAll, setFollowRunAll] = useState(true); // Starts true to pick up a run-all already going
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [editing, setEditing] = useState<TestScenario | null>(null);
+    const [isEditorOpen, setEditorOpen] = useState(false);
+    const [draft, setDraft] = useState<TestScenarioDefinition>(EMPTY_SCENARIO);
+    const [scriptText, setScriptText] = useState('');
+    const [mocksText, setMocksText] = useState('');
+    const [isSaving, setSaving] = useState(false);
+
+    const loadScenarios = useCallback(async () => {
+        if (!userId) return;
+        try {
+            setScenarios(await agentTestService.getScenarios(userId, agentId));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load test scenarios');
+        }
+    }, [userId, agentId]);
+
+    useEffect(() => {
+        loadScenarios();
+    }, [loadScenarios]);
+
+    // Follow a run-all until it's done, showing results as they come in
+    useEffect(() => {
+        if (!userId || !followRunAll) return;
+        let cancelled = false;
+        let timer: ReturnType<typeof setTimeout> | undefined;
+
+        const poll = async () => {
+            try {
+                const { pending } = await agentTestService.getRunAll(userId, agentId);
+                if (cancelled) return;
+                setRunning(pending);
+                await loadScenarios();
+                if (cancelled) return;
+                if (pending.length > 0) {
+                    timer = setTimeout(poll, RUN_ALL_POLL_MS);
+                    return;
+                }
+            } catch (err) {
+                if (cancelled) return;
+                setError(err instanceof Error ? err.message : 'Failed to fetch test run');
+                setRunning([]);
+            }
+            setFollowRunAll(false);
+        };
+        poll();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [userId, agentId, followRunAll, loadScenarios]);
+
+    const openEditor = (scenario: TestScenario | null) => {
+        const definition = scenario ? { ...EMPTY_SCENARIO, ...scenario } : EMPTY_SCENARIO;
+        setEditing(scenario);
+        setDraft(definition);
+        setScriptText(definition.callerScript.join('\n'));
+        setMocksText(Object.keys(definition.toolMocks).length > 0 ? JSON.stringify(definition.toolMocks, null, 2) : '');
+        setError(null);
+        setEditorOpen(true);
+    };
+
+    const handleSave = async () => {
+        if (!userId) return;
+        let toolMocks = {};
+        try {
+            toolMocks = mocksText.trim() ? JSON.parse(mocksText) : {};
+        } catch {
+            setError('Tool results must be valid JSON');
+            return;
+        }
+
+        const definition: TestScenarioDefinition = {
+            ...draft,
+            callerScript: scriptText.split('\n').map(line => line.trim()).filter(Boolean),
+            assertions: draft.assertions.filter(assertion => assertion.text.trim()),
+            toolMocks,
+        };
+        setSaving(true);
+        try {
+            if (editing) {
+                await agentTestService.updateScenario(userId, editing.id, definition);
+            } else {
+                await agentTestService.createScenario(userId, agentId, definition);
+            }
+            setEditorOpen(false);
+            await loadScenarios();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to save test scenario');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (id: string) => {
+        if (!userId || !window.confirm('Delete this test scenario?')) return;
+        try {
+            await agentTestService.deleteScenario(userId, id);
+            setScenarios(prev => prev.filter(scenario => scenario.id !== id));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to delete test scenario');
+        }
+    };
+
+    const handleRun = async (ids: string[]) => {
+        if (!userId) return;
+        setRunning(ids);
+        setError(null);
+        try {
+            if (ids.length === 1) {
+                await agentTestService.runScenario(userId, ids[0]);
+                await loadScenarios();
+                setRunning([]);
+            } else {
+                // Runs on the server in the background
+                setRunning((await agentTestService.runAll(userId, agentId)).pending);
+                setFollowRunAll(true);
+            }
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to run test scenarios');
+            setRunning([]);
+        }
+    };
+
+    const toggleExpectedTool = (name: string) => {
+        setDraft(prev => ({
+            ...prev,
+            expectedTools: prev.expectedTools.some(tool => tool.name === name)
+                ? prev.expectedTools.filter(tool => tool.name !== name)
+                : [...prev.expectedTools, { name }],
+        }));
+    };
+
+    const updateAssertion = (index: number, changes: Partial<TestScenarioDefinition['assertions'][number]>) => {
+        setDraft(prev => ({
+            ...prev,
+            assertions: prev.assertions.map((assertion, i) => i === index ? { ...assertion, ...changes } : assertion),
+        }));
+    };
+
+    if (!userId) {
+        return <p className="pt-4 text-sm text-slate-500">Sign in to test this agent.</p>;
+    }
+
+    return (
+        <div className="pt-4 space-y-3">
+            <p className="text-xs text-slate-500">Scenarios play a simulated caller against the saved agent - its prompt, knowledge and tools - in text. Tools return mock results.</p>
+            {error && !isEditorOpen && <p className="text-sm text-red-500">{error}</p>}
+
+            <div className="max-h-80 overflow-y-auto space-y-2">
+                {scenarios.length === 0 && <p className="text-sm text-slate-500 text-center py-4">No test scenarios yet.</p>}
+                {scenarios.map(scenario => {
+                    const result = scenario.lastResult;
+                    const isRunning = running.includes(scenario.id);
+                    return (
+                        <div key={scenario.id} className="border border-slate-200 dark:border-slate-700 rounded-md p-2">
+                            <div className="flex items-center justify-between gap-2">
+                                <button onClick={() => setExpandedId(expandedId === scenario.id ? null : scenario.id)} className="flex-1 text-left text-sm font-medium truncate">
+                                    {scenario.name}
+                                </button>
+                                {isRunning ? (
+                                    <span className="text-xs text-slate-500">Running...</span>
+                                ) : result && (
+                                    <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${result.passed ? 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' : 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300'}`}>
+                                        {result.passed ? 'Passed' : 'Failed'}
+                                    </span>
+                                )}
+                            </div>
+                            <div className="flex gap-3 mt-1 text-xs">
+                                <button onClick={() => handleRun([scenario.id])} disabled={running.length > 0} className="font-semibold text-primary hover:text-primary-dark disabled:opacity-50">Run</button>
+                                <button onClick={() => openEditor(scenario)} className="text-slate-500 hover:text-slate-700 dark:hover:text-slate-200">Edit</button>
+                                <button onClick={() => handleDelete(scenario.id)} className="text-slate-500 hover:text-red-500">Delete</button>
+                            </div>
+
+                            {expandedId === scenario.id && result && (
+                                <div className="mt-2 space-y-2 text-xs">
+                                    {result.error && <p className="text-red-500">{result.error}</p>}
+                                    <ul className="space-y-1">
+                                        {result.checks.map((check, index) => (
+                                            <li key={index} className={check.passed ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                                                {check.passed ? '✓' : '✗'} {check.label}{check.detail ? ` - ${check.detail}` : ''}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <p className="text-slate-500">{result.turns} turn(s), ended by {result.endedBy.replace('_', ' ')} · {new Date(result.ranAt).toLocaleString()}</p>
+                                    {!result.passed && (
+                                        <div className="bg-slate-50 dark:bg-slate-800 rounded p-2 space-y-1 max-h-60 overflow-y-auto">
+                                            {result.transcript.map((line, index) => (
+                                                <p key={index}>
+                                                    <span className="font-semibold">{line.role === 'agent' ? 'Agent' : 'Caller'}:</span> {line.text}
+                                                    {line.toolCalls && line.toolCalls.length > 0 && <span className="text-slate-500"> [{line.toolCalls.join(', ')}]</span>}
+                                                </p>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex gap-2">
+                <button onClick={() => openEditor(null)} className="flex-1 py-2 px-4 border-2 border-dashed border-slate-300 dark:border-slate-600 rounded-lg hover:border-primary text-slate-600 dark:text-slate-300 hover:text-primary font-semibold text-sm transition">+ Add Scenario</button>
+                <button onClick={() => handleRun(scenarios.map(scenario => scenario.id))} disabled={scenarios.length === 0 || running.length > 0} className="py-2 px-4 bg-primary text-white rounded-lg hover:bg-primary-dark disabled:bg-primary/50 font-semibold text-sm">Run all</button>
+            </div>
+
+            <Modal isOpen={isEditorOpen} onClose={() => setEditorOpen(false)} title={editing ? 'Edit Test Scenario' : 'New Test Scenario'}>
+                <div className="space-y-4 max-h-[70vh] overflow-y-auto pr-1">
+                    <div>
+                        <label className="block text-sm font-medium mb-1">Name</label>
+                        <input type="text" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="Books a table and gives an email" className={inputClass} />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium mb-1">Caller</label>
+                        <select value={draft.callerMode} onChange={e => setDraft({ ...draft, callerMode: e.target.value as TestScenarioDefinition['callerMode'] })} className={inputClass}>
+                            <option value="llm">Simulated by AI from a persona</option>
+                            <option value="scripted">Scripted lines</option>
+                        </select>
+                    </div>
+
+                    {draft.callerMode === 'llm' ? (
+                        <div>
+                            <label className="block text-sm font-medium mb-1">Persona</label>
+                            <textarea value={draft.persona} onChange={e => setDraft({ ...draft, persona: e.target.value })} rows={3} placeholder="A busy customer who wants a table for four on Friday and only gives their email when asked twice" className={inputClass} />
+                        </div>
+                    ) : (
+                        <div>
+                            <label className="block text-sm font-medium mb-1">Caller lines (one per turn)</label>
+                            <textarea value={scriptText} onChange={e => setScriptText(e.target.value)} rows={4} className={inputClass} />
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium mb-1">Max turns</label>
+                        <input type="number" min={1} max={20} value={draft.maxTurns} onChange={e => setDraft({ ...draft, maxTurns: parseInt(e.target.value, 10) || 1 })} className={inputClass} />
+                    </div>
+
+                    {toolNames.length > 0 && (
+                        <div>
+                            <label className="block text-sm font-medium mb-1">Expected tool calls</label>
+                            <div className="space-y-1">
+                                {toolNames.map(name => (
+                                    <label key={name} className="flex items-center gap-2 text-sm">
+                                        <input type="checkbox" checked={draft.expectedTools.some(tool => tool.name === name)} onChange={() => toggleExpectedTool(name)} className="rounded border-slate-300 text-primary focus:ring-primary" />
+                                        {name}
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium mb-1">Assertions</label>
+                        <div className="space-y-2">
+                            {draft.assertions.map((assertion, index) => (
+                                <div key={index} className="flex gap-2">
+                                    <select value={assertion.type} onChange={e => updateAssertion(index, { type: e.target.value as TestAssertionType })} className={`${inputClass} w-32`}>
+                                        {Object.entries(ASSERTION_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                                    </select>
+                                    <input type="text" value={assertion.text} onChange={e => updateAssertion(index, { text: e.target.value })} placeholder={assertion.type === 'must' || assertion.type === 'must_not' ? 'collect the caller\'s email' : 'exact words'} className={inputClass} />
+                                    <button onClick={() => setDraft({ ...draft, assertions: draft.assertions.filter((_, i) => i !== index) })} className="text-slate-400 hover:text-red-500 px-1">✕</button>
+                                </div>
+                            ))}
+                            <button onClick={() => setDraft({ ...draft, assertions: [...draft.assertions, { type: 'must', text: '' }] })} className="text-sm font-semibold text-primary hover:text-primary-dark">+ Add assertion</button>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium mb-1">Tool results (optional JSON by tool name)</label>
+                        <textarea value={mocksText} onChange={e => setMocksText(e.target.value)} rows={3} placeholder={'{ "check_availability": { "available": true } }'} className={`${inputClass} font-mono`} />
+                    </div>
+
+                    {error && <p className="text-sm text-red-500">{error}</p>}
+                    <div className="flex justify-end gap-2 pt-2">
+                        <button onClick={() => setEditorOpen(false)} className="px-4 py-2 text-sm font-semibold text-slate-600 dark:text-slate-300">Cancel</button>
+                        <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary-dark disabled:bg-primary/50 text-sm font-semibold">{isSaving ? 'Saving...' : 'Save'}</button>
+                    </div>
+                </div>
+            </Modal>
+        </div>
+    );
+};
+
+export default AgentTestsPanel;
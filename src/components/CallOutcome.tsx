@@ -0,0 +1,51 @@
+import React from 'react';
+import { CallSentiment } from '../types';
+
+interface CallOutcomeProps {
+    disposition?: string | null;
+    sentiment?: CallSentiment | null;
+}
+
+export const SENTIMENTS: CallSentiment[] = ['positive', 'neutral', 'negative'];
+
+const SENTIMENT_CLASSES: Record<CallSentiment, string> = {
+    positive: 'bg-emerald-900/60 text-emerald-300',
+    neutral: 'bg-slate-700 text-slate-300',
+    negative: 'bg-red-900/60 text-red-300',
+};
+
+// "not_interested" -> "Not interested"
+export const formatDisposition = (disposition: string): string => {
+    const words = disposition.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Extracted fields as "budget: 5000, wants_demo: yes"
+export const formatExtractedData = (data?: Record<string, string | number | boolean | null> | null): string =>
+    Object.entries(data || {})
+        .filter(([, value]) => value !== null && value !== '')
+        .map(([key, value]) => `${key}: ${typeof value === 'boolean' ? (value ? 'yes' : 'no') : value}`)
+        .join(', ');
+
+// Disposition and sentiment badges from the post-call analysis
+const CallOutcome: React.FC<CallOutcomeProps> = ({ disposition, sentiment }) => {
+    if (!disposition && !sentiment) {
+        return <span className="text-slate-500">-</span>;
+    }
+    return (
+        <div className="flex flex-wrap items-center gap-1">
+            {disposition && (
+                <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-900/60 text-blue-300">
+                    {formatDisposition(disposition)}
+                </span>
+            )}
+            {sentiment && (
+                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${SENTIMENT_CLASSES[sentiment] || SENTIMENT_CLASSES.neutral}`}>
+                    {sentiment}
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default CallOutcome;
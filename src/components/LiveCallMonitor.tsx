@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { supervisorService, LiveCall, MonitorEvent, MonitorAction } from '../services/supervisorService';
+
+interface LiveCallMonitorProps {
+    userId?: string;
+}
+
+interface FeedItem {
+    kind: 'user' | 'agent' | 'tool' | 'whisper' | 'status';
+    text: string;
+}
+
+const POLL_INTERVAL_MS = 5000;
+const SAMPLE_RATE = 8000;
+
+const FEED_CLASSES: Record<FeedItem['kind'], string> = {
+    user: 'text-slate-200',
+    agent: 'text-blue-300',
+    tool: 'text-purple-300 font-mono text-xs',
+    whisper: 'text-amber-300 italic',
+    status: 'text-slate-500 text-xs',
+};
+
+const FEED_LABELS: Record<FeedItem['kind'], string> = {
+    user: 'Caller',
+    agent: 'Agent',
+    tool: 'Tool',
+    whisper: 'Whisper',
+    status: '',
+};
+
+// Live calls with a supervisor panel: transcript, listen in, whisper, take over
+const LiveCallMonitor: React.FC<LiveCallMonitorProps> = ({ userId }) => {
+    const [calls, setCalls] = useState<LiveCall[]>([]);
+    const [selected, setSelected] = useState<LiveCall | null>(null);
+    const [feed, setFeed] = useState<FeedItem[]>([]);
+    const [listening, setListening] = useState(false);
+    const [connected, setConnected] = useState(false);
+    const [takenOver, setTakenOver] = useState(false);
+    const [whisperText, setWhisperText] = useState('');
+    const [sayText, setSayText] = useState('');
+    const [error, setError] = useState<string | null>(null);
+
+    const socketRef = useRef<WebSocket | null>(null);
+    const audioContextRef = useRef<AudioContext | null>(null);
+    const nextPlayTimeRef = useRef(0);
+    const feedEndRef = useRef<HTMLDivElement | null>(null);
+
+    const loadCalls = useCallback(async () => {
+        if (!userId) return;
+        try {
+            setCalls(await supervisorService.getLiveCalls(userId));
+        } catch (err) {
+            console.error('Error loading live calls:', err);
+        }
+    }, [userId]);
+
+    useEffect(() => {
+        loadCalls();
+        const interval = setInterval(loadCalls, POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [loadCalls]);
+
+    useEffect(() => {
+        feedEndRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [feed]);
+
+    const stopAudio = () => {
+        audioContextRef.current?.close();
+        audioContextRef.current = null;
+        setListening(false);
+    };
+
+    const closeMonitor = useCallback(() => {
+        socketRef.current?.close();
+        socketRef.current = null;
+        stopAudio();
+        setConnected(false);
+        setSelected(null);
+        setTakenOver(false);
+    }, []);
+
+    // Closing the page hands the call back (the server does it on disconnect)
+    useEffect(() => closeMonitor, [closeMonitor]);
+
+    const addToFeed = (item: FeedItem) => setFeed(prev => [...prev, item]);
+
+    const playAudio = (data: ArrayBuffer) => {
+        const ctx = audioContextRef.current;
+        if (!ctx) return;
+        const samples = new Int16Array(data);
+        const buffer = ctx.createBuffer(1, samples.length, SAMPLE_RATE);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            channel[i] = samples[i] / 32768;
+        }
+        const source = ctx.createBufferSource();
+        source.buffer = buffer;
+        source.connect(ctx.destination);
+        // Small lead so network jitter doesn't cause gaps
+        const startAt = Math.max(nextPlayTimeRef.current, ctx.currentTime + 0.1);
+        source.start(startAt);
+        nextPlayTimeRef.current = startAt + buffer.duration;
+    };
+
+    const handleEvent = (message: MonitorEvent) => {
+        switch (message.event) {
+            case 'monitoring':
+                setTakenOver(message.call.takenOver);
+                setFeed([
+                    ...message.transcript.map(line => ({ kind: line.role, text: line.text })),
+                    ...message.whispers.map(text => ({ kind: 'whisper' as const, text })),
+                ]);
+                break;
+            case 'transcript':
+                addToFeed({ kind: 'user', text: message.text });
+                break;
+            case 'agent-response':
+                addToFeed({ kind: 'agent', text: message.text });
+                break;
+            case 'tool-calls':
+                message.calls.forEach(call => addToFeed({
+                    kind: 'tool',
+                    text: `${call.name}(${JSON.stringify(call.args)}) → ${JSON.stringify(call.result)}`
+                }));
+                break;
+            case 'whisper':
+                addToFeed({ kind: 'whisper', text: message.text });
+                break;
+            case 'taken-over':
+            case 'handed-back':
+                setTakenOver(message.event === 'taken-over');
+                addToFeed({ kind: 'status', text: message.event === 'taken-over' ? 'Supervisor took over the call' : 'The agent is answering again' });
+                break;
+            case 'call-ended':
+                addToFeed({ kind: 'status', text: `Call ended (${message.reason})` });
+                stopAudio();
+                setTakenOver(false);
+                loadCalls();
+                break;
+            case 'error':
+                setError(message.message);
+                break;
+        }
+    };
+
+    const openMonitor = (call: LiveCall) => {
+        if (!userId) return;
+        closeMonitor();
+        setSelected(call);
+        setFeed([]);
+        setError(null);
+
+        const socket = supervisorService.openMonitor(userId, call.id);
+        socket.onmessage = (e) => {
+            if (e.data instanceof ArrayBuffer) {
+                playAudio(e.data);
+                return;
+            }
+            try {
+                handleEvent(JSON.parse(e.data));
+            } catch (err) {
+                console.error('Error handling monitor event:', err);
+            }
+        };
+        socket.onopen = () => setConnected(true);
+        socket.onclose = () => {
+            if (socketRef.current !== socket) return;
+            socketRef.current = null;
+            setConnected(false);
+            stopAudio();
+        };
+        socketRef.current = socket;
+    };
+
+    const send = (action: MonitorAction) => {
+        const socket = socketRef.current;
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            setError('Not connected to the call');
+            return false;
+        }
+        setError(null);
+        socket.send(JSON.stringify(action));
+        return true;
+    };
+
+    const toggleListen = () => {
+        if (listening) {
+            send({ action: 'listen', enabled: false });
+            stopAudio();
+            return;
+        }
+        if (send({ action: 'listen', enabled: true })) {
+            audioContextRef.current = new (window.AudioContext || (window as any).webkitAudioContext)();
+            nextPlayTimeRef.current = 0;
+            setListening(true);
+        }
+    };
+
+    const handleWhisper = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (whisperText.trim() && send({ action: 'whisper', text: whisperText.trim() })) {
+            setWhisperText('');
+        }
+    };
+
+    const handleSay = (e: React.FormEvent) => {
+        e.preventDefault();
+        if (sayText.trim() && send({ action: 'say', text: sayText.trim() })) {
+            setSayText('');
+        }
+    };
+
+    if (calls.length === 0 && !selected) return null;
+
+    return (
+        <div className="mt-8 bg-darkbg-light border border-slate-700 rounded-lg overflow-hidden">
+            <div className="px-6 py-4 border-b border-slate-700">
+                <h2 className="text-xl font-semibold text-white">Live Calls</h2>
+                <p className="text-slate-400 text-sm mt-1">Watch calls in progress, whisper to the agent or take over</p>
+            </div>
+
+            <div className="divide-y divide-slate-700">
+                {calls.map(call => (
+                    <div key={call.id} className="px-6 py-3 flex items-center justify-between">
+                        <div className="text-sm">
+                            <span className="inline-flex items-center mr-2">
+                                <span className="h-2 w-2 rounded-full bg-red-500 animate-pulse mr-2"></span>
+                                <span className="text-white font-medium">{call.agentName || 'Agent'}</span>
+                            </span>
+                            <span className="text-slate-400">
+                                {call.from && call.to ? `${call.from} → ${call.to}` : call.transport}
+                                {' · '}started {new Date(call.startedAt).toLocaleTimeString()}
+                            </span>
+                            {call.takenOver && <span className="ml-2 px-2 text-xs leading-5 font-semibold rounded-full bg-amber-900/60 text-amber-300">Taken over</span>}
+                        </div>
+                        {selected?.id === call.id ? (
+                            <span className="text-sm text-slate-400">Monitoring</span>
+                        ) : (
+                            <button onClick={() => openMonitor(call)} className="text-sm text-blue-400 hover:text-blue-300">Monitor</button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {selected && (
+                <div className="px-6 py-4 border-t border-slate-700 space-y-4">
+                    <div className="flex flex-wrap items-center gap-2">
+                        {selected.audio && (
+                            <button onClick={toggleListen} disabled={!connected} className="px-3 py-1.5 text-sm rounded-md bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-50">
+                                {listening ? 'Stop Listening' : 'Listen'}
+                            </button>
+                        )}
+                        <button
+                            onClick={() => send({ action: takenOver ? 'hand-back' : 'take-over' })}
+                            disabled={!connected}
+                            className={`px-3 py-1.5 text-sm rounded-md text-white disabled:opacity-50 ${takenOver ? 'bg-emerald-700 hover:bg-emerald-600' : 'bg-amber-700 hover:bg-amber-600'}`}
+                        >
+                            {takenOver ? 'Hand Back to Agent' : 'Take Over'}
+                        </button>
+                        <button onClick={closeMonitor} className="ml-auto text-sm text-slate-300 hover:text-white">Close</button>
+                    </div>
+
+                    <div className="h-64 overflow-y-auto bg-slate-900/60 border border-slate-700 rounded-md p-3 space-y-1 text-sm">
+                        {feed.length === 0 && <p className="text-slate-500">Waiting for the conversation...</p>}
+                        {feed.map((item, index) => (
+                            <p key={index} className={FEED_CLASSES[item.kind]}>
+                                {FEED_LABELS[item.kind] && <span className="font-semibold">{FEED_LABELS[item.kind]}: </span>}
+                                {item.text}
+                            </p>
+                        ))}
+                        <div ref={feedEndRef} />
+                    </div>
+
+                    {error && <p className="text-sm text-red-400">{error}</p>}
+
+                    {takenOver ? (
+                        <form onSubmit={handleSay} className="flex gap-2">
+                            <input
+                                value={sayText}
+                                onChange={e => setSayText(e.target.value)}
+                                maxLength={1000}
+                                placeholder="Type what the agent should say to the caller"
+                                className="flex-1 px-3 py-2 text-sm bg-slate-800 border border-slate-600 rounded-md text-white"
+                            />
+                            <button type="submit" disabled={!connected || !sayText.trim()} className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-50">Say</button>
+                        </form>
+                    ) : (
+                        <form onSubmit={handleWhisper} className="flex gap-2">
+                            <input
+                                value={whisperText}
+                                onChange={e => setWhisperText(e.target.value)}
+                                maxLength={1000}
+                                placeholder="Whisper an instruction to the agent (the caller won't hear it)"
+                                className="flex-1 px-3 py-2 text-sm bg-slate-800 border border-slate-600 rounded-md text-white"
+                            />
+                            <button type="submit" disabled={!connected || !whisperText.trim()} className="px-4 py-2 text-sm rounded-md bg-slate-700 text-white hover:bg-slate-600 disabled:opacity-50">Whisper</button>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default LiveCallMonitor;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { webhookService, WebhookDelivery } from '../services/webhookService';
+
+interface WebhookDeliveryLogProps {
+    agentId: string;
+    userId?: string;
+}
+
+const EVENT_LABELS: Record<WebhookDelivery['event'], string> = {
+    prefetch: 'Prefetch',
+    end_of_call: 'End of call',
+};
+
+const STATUS_CLASSES: Record<WebhookDelivery['status'], string> = {
+    delivered: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300',
+    pending: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300',
+    failed: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300',
+};
+
+const WebhookDeliveryLog: React.FC<WebhookDeliveryLogProps> = ({ agentId, userId }) => {
+    const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+    const [secret, setSecret] = useState<string | null>(null);
+    const [redelivering, setRedelivering] = useState<string | null>(null);
+    const [rotating, setRotating] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const loadDeliveries = useCallback(async () => {
+        if (!userId) return;
+        try {
+            setDeliveries(await webhookService.getDeliveries(userId, agentId));
+            setError(null);
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load webhook deliveries');
+        }
+    }, [userId, agentId]);
+
+    useEffect(() => {
+        loadDeliveries();
+    }, [loadDeliveries]);
+
+    const toggleSecret = async () => {
+        if (secret || !userId) {
+            setSecret(null);
+            return;
+        }
+        try {
+            setSecret(await webhookService.getSigningSecret(userId, agentId));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to load signing secret');
+        }
+    };
+
+    const rotateSecret = async () => {
+        if (!userId || !window.confirm('Rotate the signing secret? Your endpoints will reject requests until they use the new one.')) return;
+        setRotating(true);
+        try {
+            setSecret(await webhookService.rotateSigningSecret(userId, agentId));
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to rotate signing secret');
+        } finally {
+            setRotating(false);
+        }
+    };
+
+    const handleRedeliver = async (id: string) => {
+        if (!userId) return;
+        setRedelivering(id);
+        try {
+            await webhookService.redeliver(userId, id);
+            await loadDeliveries();
+        } catch (err) {
+            setError(err instanceof Error ? err.message : 'Failed to redeliver webhook');
+        } finally {
+            setRedelivering(null);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium">Signing Secret</p>
+                    <div className="flex items-center gap-3">
+                        <button type="button" onClick={rotateSecret} disabled={rotating} className="text-sm text-primary hover:underline disabled:opacity-50">{rotating ? 'Rotating...' : 'Rotate'}</button>
+                        <button type="button" onClick={toggleSecret} className="text-sm text-primary hover:underline">{secret ? 'Hide' : 'Reveal'}</button>
+                    </div>
+                </div>
+                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Verify X-Ziya-Signature: "sha256=" + HMAC-SHA256 of "&lt;X-Ziya-Timestamp&gt;.&lt;body&gt;" with this secret.</p>
+                {secret && <code className="mt-2 block break-all text-xs bg-slate-100 dark:bg-slate-800 rounded-md px-2 py-1">{secret}</code>}
+            </div>
+
+            <div>
+                <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium">Recent Deliveries</p>
+                    <button type="button" onClick={loadDeliveries} className="text-sm text-primary hover:underline">Refresh</button>
+                </div>
+                {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+                {deliveries.length === 0 ? (
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">No deliveries yet.</p>
+                ) : (
+                    <ul className="mt-2 divide-y divide-slate-200 dark:divide-slate-700 max-h-64 overflow-y-auto">
+                        {deliveries.map(delivery => (
+                            <li key={delivery.id} className="py-2 flex items-center justify-between gap-2 text-xs">
+                                <div className="min-w-0">
+                                    <div className="flex items-center gap-2">
+                                        <span className={`px-1.5 py-0.5 rounded font-medium ${STATUS_CLASSES[delivery.status]}`}>{delivery.status}</span>
+                                        <span className="font-medium">{EVENT_LABELS[delivery.event] || delivery.event}</span>
+                                        <span className="text-slate-500">{new Date(delivery.createdAt).toLocaleString()}</span>
+                                    </div>
+                                    <p className="text-slate-500 dark:text-slate-400 truncate mt-0.5">
+                                        {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error || 'No response'}
+                                        {` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                                    </p>
+                                </div>
+                                {delivery.status === 'failed' && (
+                                    <button type="button" onClick={() => handleRedeliver(delivery.id)} disabled={redelivering === delivery.id} className="shrink-0 text-primary hover:underline disabled:opacity-50">
+                                        {redelivering === delivery.id ? 'Sending...' : 'Redeliver'}
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WebhookDeliveryLog;
@@ -256,6 +256,7 @@ export const OpenAIIcon = (props: React.SVGProps<SVGSVGElement>) => (
 // FIX: Add missing data exports required by AgentDetailPage
 export const AVAILABLE_MODELS = [
     { id: 'gemini-2.5-flash', name: 'Google Gemini 2.5 Flash', description: 'Fast and cost-effective for high-frequency tasks.', icon: GoogleIcon },
+    { id: 'openai-compatible', name: 'OpenAI-compatible', description: 'OpenAI or a self-hosted model behind /v1/chat/completions (vLLM, Ollama, LM Studio).', icon: OpenAIIcon },
 ];
 
 export const AVAILABLE_LANGUAGES = [
@@ -265,6 +266,8 @@ export const AVAILABLE_LANGUAGES = [
     { id: 'GERMAN', name: 'German' },
     { id: 'ITALIAN', name: 'Italian' },
     { id: 'PORTUGUESE', name: 'Portuguese' },
+    { id: 'HINDI', name: 'Hindi' },
+    { id: 'TAMIL', name: 'Tamil' },
 ];
 
 export const AVAILABLE_LANGUAGES_BY_PROVIDER: { [key: string]: { id: string, name: string }[] } = {
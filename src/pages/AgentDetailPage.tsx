@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter } from '../types';
+import { VoiceAgent, ToolType, PreActionPhraseMode, Tool, VoiceAgentSettings, ToolHeader, ToolParameter, TransferDestination, CallProvider, AnalysisField } from '../types';
 import {
     DocumentDuplicateIcon,
     EditIcon,
@@ -26,9 +26,10 @@ import {
 } from '../constants';
 import { PlusIcon, ArrowUpTrayIcon, DocumentTextIcon, XMarkIcon, StopIcon } from '@heroicons/react/24/outline';
 import Modal from '../components/Modal';
+import AgentTestsPanel from '../components/AgentTestsPanel';
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog';
 import { GoogleGenAI, Chat, Modality, LiveServerMessage, type Blob } from '@google/genai';
 import { ElevenLabsClient } from '@elevenlabs/elevenlabs-js';
-import { LLMService } from '../services/llmService';
 import { DocumentService } from '../services/documentService';
 import { ToolExecutionService } from '../services/toolExecutionService';
 import { useAuth } from '../contexts/AuthContext';
@@ -105,9 +106,11 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     const [loadingVoices, setLoadingVoices] = useState(false);
     const [isPlayingPreview, setIsPlayingPreview] = useState(false);
     const [previewAudio, setPreviewAudio] = useState<HTMLAudioElement | null>(null);
+    // Speech-to-text / LLM / text-to-speech providers the server supports
+    const [availableProviders, setAvailableProviders] = useState<CallProvider[]>([]);
     
     // Call Agent State
-    const [callAgentTab, setCallAgentTab] = useState<'web' | 'chat'>('web');
+    const [callAgentTab, setCallAgentTab] = useState<'web' | 'chat' | 'tests'>('web');
     const [isCallActive, setIsCallActive] = useState(false);
     
     // Add a useEffect to log when isCallActive changes
@@ -124,7 +127,6 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     
     // Conversation history for voice calls
     const conversationHistoryRef = useRef<{ role: string; text: string }[]>([]);
-    const greetingSentRef = useRef<boolean>(false);
     const sessionTimeoutRef = useRef<NodeJS.Timeout | null>(null);
     const callActiveDebugRef = useRef<boolean>(false);
     const webSocketRef = useRef<WebSocket | null>(null);  // Add this line for WebSocket connection
@@ -265,6 +267,17 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
     
     fetchVoices();
 }, []);
+
+    // Fetch call providers for the provider selects
+    useEffect(() => {
+        const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || 'https://ziyavoice-production.up.railway.app';
+        fetch(`${apiBaseUrl}/api/providers`)
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) setAvailableProviders(data.data);
+            })
+            .catch(error => console.error('❌ Error fetching providers:', error));
+    }, []);
     // Audio helper functions
 
     const decodeAudioData = async (
@@ -637,7 +650,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                     const voiceId = editedAgent.voiceId || 'default';
                                     const agentId = editedAgent.id;
                                     const agentIdentity = encodeURIComponent(editedAgent.identity || '');
-                                    const wsUrl = `${wsProtocol}//${wsHost}/voice-stream?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&identity=${agentIdentity}`;
+                                    const wsUrl = `${wsProtocol}//${wsHost}/voice-stream-deepgram?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&userId=${userId || ''}&identity=${agentIdentity}`;
                                     console.log('Connecting to WebSocket with voiceId:', voiceId, 'agentId:', agentId);
                                     webSocketRef.current = new WebSocket(wsUrl);
                                     
@@ -722,12 +735,45 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                         }
                                         
                                         if (data.event === 'transcript' && data.text) {
-                                            // Process the transcript through the conversation flow
+                                            // The server runs the conversation; keep the history for this call
+                                            conversationHistoryRef.current.push({ role: 'user', text: data.text });
+                                        } else if (data.event === 'agent-response' && data.text) {
+                                            conversationHistoryRef.current.push({ role: 'agent', text: data.text });
+                                        } else if (data.event === 'stop-audio') {
+                                            // Caller barged in: drop the clips still queued
+                                            audioSourcesRef.current.forEach(source => {
+                                                try {
+                                                    source.stop();
+                                                } catch (error) {
+                                                    console.error('Error stopping audio source:', error);
+                                                }
+                                            });
+                                            audioSourcesRef.current.clear();
+                                            nextStartTimeRef.current = 0;
+                                        } else if (data.event === 'transfer' || data.event === 'call-ended') {
+                                            if (data.event === 'transfer') {
+                                                alert(`The call would now be transferred to ${data.destination}.`);
+                                            }
+                                            stopCall();
+                                        } else if (data.event === 'ambience' && data.url) {
+                                            // Background ambience: loop the track's PCM under the agent's clips
                                             try {
-                                                const agentResponse = await processConversationTurn(data.text);
-                                                console.log('Agent response:', agentResponse);
+                                                if (!outputAudioContextRef.current) {
+                                                    outputAudioContextRef.current = new (window.AudioContext || (window as any).webkitAudioContext)();
+                                                }
+                                                const audioContext = outputAudioContextRef.current;
+                                                const response = await fetch(`${apiHostUrl}${data.url}`);
+                                                const ambienceBuffer = await audioContext.decodeAudioData(await response.arrayBuffer());
+                                                const gain = audioContext.createGain();
+                                                gain.gain.value = typeof data.volume === 'number' ? data.volume : 0.5;
+                                                gain.connect(audioContext.destination);
+                                                const source = audioContext.createBufferSource();
+                                                source.buffer = ambienceBuffer;
+                                                source.loop = true;
+                                                source.connect(gain);
+                                                source.start();
                                             } catch (error) {
-                                                console.error('Error processing conversation turn:', error);
+                                                console.error('Error playing background ambience:', error);
                                             }
                                         } else if (data.event === 'audio' && data.audio) {
                                             // Play audio response from backend
@@ -751,20 +797,12 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                                 source.buffer = audioBuffer;
                                                 source.connect(audioContext.destination);
                                                 
-                                                // Store reference to stop previous audio if needed
-                                                audioSourcesRef.current.forEach(prevSource => {
-                                                    try {
-                                                        prevSource.stop();
-                                                    } catch (error) {
-                                                        console.error('Error stopping previous audio:', error);
-                                                    }
-                                                });
-                                                audioSourcesRef.current.clear();
-                                                
-                                                // Store this source and play it
+                                                // One clip per sentence: play them back to back
+                                                const startAt = Math.max(nextStartTimeRef.current, audioContext.currentTime);
+                                                source.onended = () => audioSourcesRef.current.delete(source);
                                                 audioSourcesRef.current.add(source);
-                                                source.start();
-                                                console.log('Agent audio started playing');
+                                                source.start(startAt);
+                                                nextStartTimeRef.current = startAt + audioBuffer.duration;
                                             } catch (error) {
                                                 console.error('Error playing audio response:', error);
                                             }
@@ -785,7 +823,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                                 const voiceId = editedAgent.voiceId || 'default';
                                                 const agentId = editedAgent.id;
                                                 const agentIdentity = encodeURIComponent(editedAgent.identity || '');
-                                                const wsUrl = `${wsProtocol}//${wsHost}/voice-stream?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&identity=${agentIdentity}`;
+                                                const wsUrl = `${wsProtocol}//${wsHost}/voice-stream-deepgram?voiceId=${encodeURIComponent(voiceId)}&agentId=${agentId}&userId=${userId || ''}&identity=${agentIdentity}`;
                                                 webSocketRef.current = new WebSocket(wsUrl);
                                             }
                                         }, 1000);
@@ -844,8 +882,6 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
         console.log('Setting isCallActive to false');
         console.log('Call stack for setting isCallActive to false:', new Error().stack);
         setIsCallActive(false);
-        // Reset the greeting sent flag when stopping the call
-        greetingSentRef.current = false;
 
         // Stop audio processing
         if (scriptProcessorRef.current) {
@@ -933,251 +969,11 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                 }
             });
             
-            // Reset the greeting sent flag
-            greetingSentRef.current = false;
-            
             // Reset speech recognition retry count
             speechRecognitionRetryCountRef.current = 0;
         }
     }, []);
 
-    // Initialize the call with AI greeting if userStartsFirst is false
-    useEffect(() => {
-        const isCallActuallyActive = isCallActive || callActiveDebugRef.current;
-        if (isCallActuallyActive && !editedAgent.settings.userStartsFirst) {
-            // Use a ref to ensure the greeting is only sent once
-            if (!greetingSentRef.current) {
-                greetingSentRef.current = true;
-                
-                // Send initial greeting from the agent
-                const sendInitialGreeting = async () => {
-                    try {
-                        // Get Eleven Labs API key from environment variables
-                        const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-                        if (!elevenLabsApiKey) {
-                            throw new Error('Eleven Labs API key is not configured');
-                        }
-                        
-                        // Create Eleven Labs client
-                        // @ts-ignore
-                        const elevenLabsClient = new ElevenLabsClient({
-                            apiKey: elevenLabsApiKey
-                        });
-                        
-                        // Map voice IDs to Eleven Labs voice IDs
-                        const elevenLabsVoiceMap: { [key: string]: string } = {
-                            'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
-                            'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
-                            'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
-                            'eleven-zara': 'D38z5RcWu1voky8WS1ja',
-                            'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
-                            'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X'
-                        };
-                        
-                        const elevenLabsVoiceId = elevenLabsVoiceMap[editedAgent.voiceId] || editedAgent.voiceId;
-                        
-                        // Convert greeting to speech using Eleven Labs
-                        // @ts-ignore
-                        const audioStream = await elevenLabsClient.textToSpeech.convert(
-                            elevenLabsVoiceId,
-                            {
-                                text: editedAgent.settings.greetingLine,
-                                modelId: 'eleven_multilingual_v2',
-                                voiceSettings: {
-                                    stability: 0.5,
-                                    similarityBoost: 0.5
-                                }
-                            }
-                        );
-                        
-                        // Play the greeting
-                        const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-                        const arrayBuffer = await new Response(audioStream).arrayBuffer();
-                        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-                        const source = audioContext.createBufferSource();
-                        source.buffer = audioBuffer;
-                        source.connect(audioContext.destination);
-                        
-                        pauseRecognition();
-                        source.start();
-                        source.onended = () => resumeRecognition();
-                    } catch (error) {
-                        console.error('Error sending initial greeting:', error);
-                    }
-                };
-                
-                // Send the initial greeting when the call starts
-                sendInitialGreeting();
-            }
-        } else {
-            // Reset the greeting sent flag when call is not active
-            greetingSentRef.current = false;
-        }
-    }, [isCallActive, editedAgent.settings.userStartsFirst, editedAgent.voiceId, editedAgent.settings.greetingLine]);
-    
-    // Enhanced conversation processing with knowledge base integration
-    const processConversationTurn = async (userInput: string) => {
-        try {
-            // Add user input to conversation history
-            conversationHistoryRef.current.push({ role: 'user', text: userInput });
-            
-            // Fetch knowledge base documents if any are linked to this agent
-            let knowledgeBaseContent = '';
-            if (editedAgent.settings.knowledgeDocIds && editedAgent.settings.knowledgeDocIds.length > 0 && userId) {
-                try {
-                    const documentService = new DocumentService();
-                    const docContents = await Promise.all(
-                        editedAgent.settings.knowledgeDocIds.map(docId => 
-                            documentService.getDocumentContent(docId)
-                        )
-                    );
-                    knowledgeBaseContent = docContents.filter(content => content).join('\n\n');
-                } catch (error) {
-                    console.error('Error fetching knowledge base documents:', error);
-                }
-            }
-            
-            // Send text to LLM for response with full conversation history
-            const llmService = new LLMService(import.meta.env.VITE_GEMINI_API_KEY);
-            
-            // Prepare contents for API with complete conversation history
-            const contentsForApi = conversationHistoryRef.current.map(msg => ({
-                role: msg.role === 'agent' ? 'model' : 'user',
-                parts: [{ text: msg.text }]
-            }));
-            
-            // Enhance system instruction with knowledge base content if available
-            let systemInstruction = editedAgent.identity;
-            if (knowledgeBaseContent) {
-                systemInstruction += `\n\nKnowledge Base:\n${knowledgeBaseContent}`;
-            }
-            
-            // Add tool information to system instruction if tools are configured
-            if (editedAgent.settings.tools && editedAgent.settings.tools.length > 0) {
-                const toolDescriptions = editedAgent.settings.tools.map(tool => 
-                    `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                ).join('\n');
-                
-                systemInstruction += `
-
-Available Tools:
-${toolDescriptions}
-
-When you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}`;
-            }
-            
-            // Generate response using LLM with conversation context
-            const result = await llmService.generateContent({
-                model: editedAgent.model,
-                contents: contentsForApi,
-                config: { systemInstruction }
-            });
-            
-            let agentResponse = result.text;
-            
-            // Check if the response contains tool execution instructions
-            try {
-                const jsonResponse = JSON.parse(agentResponse);
-                if (jsonResponse.tool && jsonResponse.data) {
-                    // Execute the tool
-                    const toolExecutionService = new ToolExecutionService();
-                    const tool = editedAgent.settings.tools.find(t => t.name === jsonResponse.tool);
-                    
-                    if (tool) {
-                        const success = await toolExecutionService.executeTool(tool, jsonResponse.data);
-                        
-                        if (success) {
-                            agentResponse = `I've successfully collected that information and saved it to ${tool.name}.`;
-                        } else {
-                            agentResponse = `I encountered an issue while saving your information to ${tool.name}. Let's try again.`;
-                        }
-                    } else {
-                        agentResponse = `I couldn't find the tool "${jsonResponse.tool}". Let's continue our conversation.`;
-                    }
-                }
-            } catch (e) {
-                // Not a JSON response, continue with normal response
-            }
-            
-            // Add agent response to conversation history
-            conversationHistoryRef.current.push({ role: 'agent', text: agentResponse });
-            
-            // Get Eleven Labs API key from environment variables
-            const elevenLabsApiKey = import.meta.env.VITE_ELEVEN_LABS_API_KEY;
-            if (!elevenLabsApiKey) {
-                throw new Error('Eleven Labs API key is not configured');
-            }
-            
-            // Create Eleven Labs client
-            // @ts-ignore
-            const elevenLabsClient = new ElevenLabsClient({
-                apiKey: elevenLabsApiKey
-            });
-            
-            // Map voice IDs to Eleven Labs voice IDs
-            const elevenLabsVoiceMap: { [key: string]: string } = {
-                'eleven-rachel': '21m00Tcm4TlvDq8ikWAM',
-                'eleven-drew': '29vD33N1CtxCmqQRPOHJ',
-                'eleven-clyde': '2EiwWnXFnvU5JabPnv8n',
-                'eleven-zara': 'D38z5RcWu1voky8WS1ja',
-                'eleven-indian-monika': '1qEiC6qsybMkmnNdVMbK',
-                'eleven-indian-sagar': 'Qc0h5B5Mqs8oaH4sFZ9X'
-            };
-            
-            const elevenLabsVoiceId = elevenLabsVoiceMap[editedAgent.voiceId] || editedAgent.voiceId;
-            
-            // Convert response to speech using Eleven Labs
-            // @ts-ignore
-            const audioStream = await elevenLabsClient.textToSpeech.convert(
-                elevenLabsVoiceId,
-                {
-                    text: agentResponse,
-                    modelId: 'eleven_multilingual_v2',
-                    voiceSettings: {
-                        stability: 0.5,
-                        similarityBoost: 0.5
-                    }
-                }
-            );
-            
-            // Play the response with race condition protection
-            const audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
-            const arrayBuffer = await new Response(audioStream).arrayBuffer();
-            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-            const source = audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(audioContext.destination);
-            
-            // Prevent race conditions by ensuring playback happens only once
-            let playbackStarted = false;
-            const startPlayback = () => {
-                if (!playbackStarted) {
-                    playbackStarted = true;
-                    pauseRecognition();
-                    source.start();
-                }
-            };
-            
-            // Set up completion handler
-            source.onended = () => {
-                if (playbackStarted) {
-                    resumeRecognition();
-                }
-            };
-            
-            // Start playback
-            startPlayback();
-            
-            console.log('Conversation turn processed:', { userInput, agentResponse });
-            return agentResponse;
-        } catch (error) {
-            console.error('Error processing conversation turn:', error);
-            // Still resume recognition even if there's an error
-            resumeRecognition();
-            throw error;
-        }
-    };
-    
     const handleSettingsChange = useCallback((e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => {
         const { name, value, type } = e.target;
         
@@ -1279,8 +1075,12 @@ When you need to collect information from the user, ask for the required paramet
     };
     const handleCancelPrompt = () => { setEditedAgent(p => ({ ...p, identity: agent.identity })); setIsEditingPrompt(false); };
     
-    const handleSaveModel = (newModelId: string) => {
-        const updatedAgent = { ...editedAgent, model: newModelId };
+    const handleSaveModel = (newModelId: string, openaiCompatible?: VoiceAgentSettings['openaiCompatible']) => {
+        const updatedAgent = {
+            ...editedAgent,
+            model: newModelId,
+            settings: openaiCompatible ? { ...editedAgent.settings, openaiCompatible } : editedAgent.settings
+        };
         setEditedAgent(updatedAgent);
         updateAgent(updatedAgent);
         setModelModalOpen(false);
@@ -1395,6 +1195,35 @@ When you need to collect information from the user, ask for the required paramet
         });
     };
 
+    // Call transfer destinations
+    const updateTransferDestinations = (update: (destinations: TransferDestination[]) => TransferDestination[]) => {
+        setEditedAgent(prev => {
+            const agent = { ...prev, settings: { ...prev.settings, transferDestinations: update(prev.settings.transferDestinations || []) } };
+            updateAgent(agent);
+            return agent;
+        });
+    };
+    const handleAddTransferDestination = () => updateTransferDestinations(destinations => [...destinations, { id: `transfer-${Date.now()}`, name: '', number: '', description: '', type: 'cold' }]);
+    const handleDeleteTransferDestination = (index: number) => updateTransferDestinations(destinations => destinations.filter((_, i) => i !== index));
+    const handleTransferDestinationChange = (index: number, field: keyof TransferDestination, value: string) => {
+        updateTransferDestinations(destinations => destinations.map((destination, i) => i === index ? { ...destination, [field]: value } : destination));
+    };
+
+    // Post-call analysis
+    const updateAnalysisSettings = (update: (settings: VoiceAgentSettings) => Partial<VoiceAgentSettings>) => {
+        setEditedAgent(prev => {
+            const agent = { ...prev, settings: { ...prev.settings, ...update(prev.settings) } };
+            updateAgent(agent);
+            return agent;
+        });
+    };
+    const handleAnalysisDispositionsChange = (value: string) => updateAnalysisSettings(() => ({ analysisDispositions: value ? value.split(',') : [] }));
+    const handleAddAnalysisField = () => updateAnalysisSettings(settings => ({ analysisFields: [...(settings.analysisFields || []), { id: `field-${Date.now()}`, name: '', type: 'string', description: '' }] }));
+    const handleDeleteAnalysisField = (index: number) => updateAnalysisSettings(settings => ({ analysisFields: (settings.analysisFields || []).filter((_, i) => i !== index) }));
+    const handleAnalysisFieldChange = (index: number, field: keyof AnalysisField, value: string) => {
+        updateAnalysisSettings(settings => ({ analysisFields: (settings.analysisFields || []).map((existing, i) => i === index ? { ...existing, [field]: value } : existing) }));
+    };
+
     const handleSendMessage = async (e: React.FormEvent) => {
         e.preventDefault();
         const message = currentMessage.trim();
@@ -1554,10 +1383,12 @@ When you need to collect information from the user, ask for the required paramet
 
     const ModelSelectionModal: React.FC<{
         onClose: () => void;
-        onSave: (modelId: string) => void;
+        onSave: (modelId: string, openaiCompatible?: VoiceAgentSettings['openaiCompatible']) => void;
         currentModelId: string;
-    }> = ({ onClose, onSave, currentModelId }) => {
+        currentOpenaiCompatible?: VoiceAgentSettings['openaiCompatible'];
+    }> = ({ onClose, onSave, currentModelId, currentOpenaiCompatible }) => {
         const [selectedModel, setSelectedModel] = useState(currentModelId);
+        const [openaiCompatible, setOpenaiCompatible] = useState({ baseUrl: '', model: '', ...currentOpenaiCompatible });
     
         return (
             <Modal isOpen={true} onClose={onClose} title="Select Language Model">
@@ -1584,13 +1415,26 @@ When you need to collect information from the user, ask for the required paramet
                             </div>
                         </div>
                     ))}
+                    {selectedModel === 'openai-compatible' && (
+                        <div className="space-y-3">
+                            <div>
+                                <label htmlFor="openaiBaseUrl" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Base URL</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Endpoint serving /chat/completions, e.g. http://my-server:8000/v1. Leave blank to use the platform's OpenAI endpoint. Models on your own server aren't charged to your wallet.</p>
+                                <input type="text" id="openaiBaseUrl" value={openaiCompatible.baseUrl} onChange={(e) => setOpenaiCompatible(prev => ({ ...prev, baseUrl: e.target.value }))} placeholder="https://api.openai.com/v1" className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                            <div>
+                                <label htmlFor="openaiModel" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Model Name</label>
+                                <input type="text" id="openaiModel" value={openaiCompatible.model} onChange={(e) => setOpenaiCompatible(prev => ({ ...prev, model: e.target.value }))} placeholder="gpt-4o-mini" className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        </div>
+                    )}
                 </div>
                 <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-slate-200 dark:border-slate-700">
                     <button onClick={onClose} className="bg-slate-200 dark:bg-slate-600 px-4 py-2 rounded-md font-semibold text-slate-800 dark:text-slate-100 hover:bg-slate-300 dark:hover:bg-slate-500 transition-colors">
                         Cancel
                     </button>
                     <button
-                        onClick={() => onSave(selectedModel)}
+                        onClick={() => onSave(selectedModel, selectedModel === 'openai-compatible' ? openaiCompatible : undefined)}
                         className="bg-primary text-white px-4 py-2 rounded-md font-semibold hover:bg-primary-dark transition-colors"
                     >
                         Save
@@ -2085,6 +1929,10 @@ When you need to collect information from the user, ask for the required paramet
                                         ))}
                                     </div>
                                 </div>
+                                <div>
+                                    <label className="block text-sm font-medium mb-1">Timeout (seconds)</label>
+                                    <input type="number" min="1" max="60" placeholder="10" name="timeoutSeconds" value={newTool.timeoutSeconds ?? ''} onChange={handleNewToolChange} className="w-32 bg-[#243140] border border-gray-600 rounded-md px-3 py-2 focus:ring-emerald-500 focus:border-emerald-500"/>
+                                </div>
                             </div>
                             
                             <div className="bg-[#243140] p-3 rounded-md">
@@ -2303,6 +2151,7 @@ When you need to collect information from the user, ask for the required paramet
                     onClose={() => setModelModalOpen(false)}
                     onSave={handleSaveModel}
                     currentModelId={editedAgent.model}
+                    currentOpenaiCompatible={editedAgent.settings.openaiCompatible}
                 />
             )}
              {isVoiceModalOpen && (
@@ -2444,14 +2293,99 @@ When you need to collect information from the user, ask for the required paramet
                         <SettingsToggle label="User starts first" description="Agent will wait for user to start first." name="settings.userStartsFirst" checked={editedAgent.settings.userStartsFirst} onChange={handleSettingsChange} />
                         <div>
                             <label htmlFor="greetingLine" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Greeting Line</label>
-                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable.</p>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable. {'On campaign calls, {{name}}, {{first_name}} or any contact CSV column is filled in per contact.'}</p>
                             <input type="text" id="greetingLine" name="settings.greetingLine" value={editedAgent.settings.greetingLine} onChange={handleSettingsChange} className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
                         </div>
                         <SettingsToggle label="Response Delay" description="Set a fixed delay before the agent processes user input and responds." name="settings.responseDelay" checked={editedAgent.settings.responseDelay} onChange={handleSettingsChange} />
+                        {editedAgent.settings.responseDelay && (
+                            <div>
+                                <label htmlFor="responseDelayMs" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Delay (ms)</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">If the caller carries on within this time, everything they said is answered together. Useful for callers who pause mid-thought.</p>
+                                <input type="number" id="responseDelayMs" name="settings.responseDelayMs" min={0} max={5000} step={100} value={editedAgent.settings.responseDelayMs ?? 800} onChange={handleSettingsChange} data-type="number" className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                            </div>
+                        )}
+                        <div>
+                            <label htmlFor="interruptionSensitivity" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Interruption Sensitivity</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">How quickly the agent stops talking when the caller speaks over it.</p>
+                            <select id="interruptionSensitivity" name="settings.interruptionSensitivity" value={editedAgent.settings.interruptionSensitivity || 'medium'} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                {[
+                                    { value: 'off', label: 'Off (never interrupt)' },
+                                    { value: 'low', label: 'Low' },
+                                    { value: 'medium', label: 'Medium' },
+                                    { value: 'high', label: 'High' }
+                                ].map((option) => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-200">Call Providers</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Services used for speech recognition and the agent's voice on phone and web calls; replies come from the selected model. Text-to-speech defaults to the provider of the selected voice.</p>
+                            <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                {([
+                                    { kind: 'stt', label: 'Speech-to-Text' },
+                                    { kind: 'tts', label: 'Text-to-Speech' }
+                                ] as const).map(({ kind, label }) => (
+                                    <div key={kind}>
+                                        <label htmlFor={`provider-${kind}`} className="block text-xs text-slate-500 dark:text-slate-400">{label}</label>
+                                        <select id={`provider-${kind}`} name={`settings.providers.${kind}`} value={editedAgent.settings.providers?.[kind] || ''} onChange={handleSettingsChange} className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                            <option value="">Default</option>
+                                            {availableProviders.filter(provider => provider.kind === kind).map((provider) => (
+                                                <option key={provider.id} value={provider.id}>{provider.name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
                         <SettingsToggle label="Inactivity Handling" description="Configure the agent to prompt the user after a period of inactivity, ensuring the user is still engaged." name="settings.inactivityHandling" checked={editedAgent.settings.inactivityHandling} onChange={handleSettingsChange} />
                         <SettingsToggle label="Agent can terminate call" description="Agent will be able to decide to terminate the call by itself." name="settings.agentCanTerminateCall" checked={editedAgent.settings.agentCanTerminateCall} onChange={handleSettingsChange} isBeta />
                         <SettingsToggle label="Voicemail Detection" description="Agent will be able to detect voicemail and handle it." name="settings.voicemailDetection" checked={editedAgent.settings.voicemailDetection} onChange={handleSettingsChange} isBeta warning="The feature only works with Twilio and Plivo providers." />
+                        {editedAgent.settings.voicemailDetection && (
+                            <div className="space-y-3">
+                                <div>
+                                    <label htmlFor="voicemailAction" className="block text-sm font-medium text-slate-700 dark:text-slate-200">When a Voicemail Answers</label>
+                                    <select id="voicemailAction" name="settings.voicemailAction" value={editedAgent.settings.voicemailAction || 'hangup'} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                                        <option value="hangup">Hang up</option>
+                                        <option value="leave_message">Leave a message after the beep</option>
+                                    </select>
+                                </div>
+                                {editedAgent.settings.voicemailAction === 'leave_message' && (
+                                    <div>
+                                        <label htmlFor="voicemailMessage" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Voicemail Message</label>
+                                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">{'Use {{name}}, {{phone_number}} or any contact column, e.g. "Hi {{name}}, ..."'}</p>
+                                        <textarea id="voicemailMessage" name="settings.voicemailMessage" rows={3} value={editedAgent.settings.voicemailMessage || ''} onChange={handleSettingsChange} className="mt-2 block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md" />
+                                    </div>
+                                )}
+                            </div>
+                        )}
                         <SettingsToggle label="Call Transfer" description="Agent will be able to transfer calls to human agents." name="settings.callTransfer" checked={editedAgent.settings.callTransfer} onChange={handleSettingsChange} isBeta />
+                        {editedAgent.settings.callTransfer && (
+                            <div className="space-y-3">
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <p className="text-sm font-medium text-slate-700 dark:text-slate-200">Transfer Destinations</p>
+                                        <p className="text-sm text-slate-500 dark:text-slate-400">Warm transfers brief the person with a call summary before connecting the caller.</p>
+                                    </div>
+                                    <button type="button" onClick={handleAddTransferDestination} className="text-emerald-500 font-semibold text-sm flex items-center"><PlusIcon className="h-4 w-4 mr-1"/>Add Destination</button>
+                                </div>
+                                {(editedAgent.settings.transferDestinations || []).map((destination, index) => (
+                                    <div key={destination.id} className="grid grid-cols-[1fr_1fr_auto_auto] gap-2 items-start">
+                                        <input type="text" value={destination.name} onChange={e => handleTransferDestinationChange(index, 'name', e.target.value)} placeholder="Name (e.g. Sales)" className="block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                        <input type="tel" value={destination.number} onChange={e => handleTransferDestinationChange(index, 'number', e.target.value)} placeholder="+15551234567" className="block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                        <select value={destination.type} onChange={e => handleTransferDestinationChange(index, 'type', e.target.value)} className="block px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md">
+                                            <option value="cold">Cold</option>
+                                            <option value="warm">Warm</option>
+                                        </select>
+                                        <button type="button" onClick={() => handleDeleteTransferDestination(index)} className="text-red-500 hover:text-red-400 p-2">
+                                            <TrashIcon className="w-5 h-5" />
+                                        </button>
+                                        <input type="text" value={destination.description} onChange={e => handleTransferDestinationChange(index, 'description', e.target.value)} placeholder="When to transfer here (e.g. caller wants a quote)" className="col-span-4 block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <SettingsToggle label="DTMF Input" description="Keypad presses from the caller are passed to the agent (e.g. menu choices, PINs). Digits are masked in logs." name="settings.dtmfInput" checked={editedAgent.settings.dtmfInput !== false} onChange={handleSettingsChange} />
                         <SettingsToggle label="DTMF Dial" description="Agent will be able to dial dtmf tones to navigate through IVR, voicemail systems, etc." name="settings.dtmfDial" checked={editedAgent.settings.dtmfDial} onChange={handleSettingsChange} isBeta />
                     </SettingsCard>
 
@@ -2485,24 +2419,44 @@ When you need to collect information from the user, ask for the required paramet
                                 <span>1</span>
                             </div>
                              <div className="text-center text-sm text-slate-500 mt-1">Default: {editedAgent.settings.voiceDetectionConfidenceThreshold}</div>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-200">End of Speech Detection</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">How much silence ends the caller's turn. Raise it for slow or hesitant callers, lower it for fast talkers. Leave blank for the default.</p>
+                            <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                                <div>
+                                    <label htmlFor="endpointingMs" className="block text-xs text-slate-500 dark:text-slate-400">Endpointing (ms, 10-3000)</label>
+                                    <input type="number" id="endpointingMs" name="settings.endpointingMs" min={10} max={3000} step={10} placeholder="Provider default" value={editedAgent.settings.endpointingMs || ''} onChange={handleSettingsChange} data-type="number" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                                </div>
+                                <div>
+                                    <label htmlFor="utteranceEndMs" className="block text-xs text-slate-500 dark:text-slate-400">Utterance end timeout (ms, 500-5000)</label>
+                                    <input type="number" id="utteranceEndMs" name="settings.utteranceEndMs" min={500} max={5000} step={100} placeholder="Default" value={editedAgent.settings.utteranceEndMs || ''} onChange={handleSettingsChange} data-type="number" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm" />
+                                </div>
+                            </div>
                         </div>
                          <div>
                             <label htmlFor="backgroundAmbientSound" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Background Ambient Sound</label>
                             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Select background ambient sound to play during the call</p>
-                            <select id="backgroundAmbientSound" name="settings.backgroundAmbientSound" value={editedAgent.settings.backgroundAmbientSound} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
+                            <select id="backgroundAmbientSound" name="settings.backgroundAmbientSound" value={(editedAgent.settings.backgroundAmbientSound || '').toLowerCase()} onChange={handleSettingsChange} className="mt-2 block w-full pl-3 pr-10 py-2 text-base border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:outline-none focus:ring-primary focus:border-primary sm:text-sm rounded-md">
                                 {[
                                     { value: '', label: 'None' },
                                     { value: 'office', label: 'Office' },
-                                    { value: 'cafe', label: 'Cafe' },
-                                    { value: 'restaurant', label: 'Restaurant' },
-                                    { value: 'park', label: 'Park' },
-                                    { value: 'home', label: 'Home' }
+                                    { value: 'call_center', label: 'Call center' },
+                                    { value: 'cafe', label: 'Café' }
                                 ].map((sound) => (
                                     <option key={sound.value} value={sound.value}>{sound.label}</option>
                                 ))}
                             </select>
+                            {['office', 'call_center', 'cafe'].includes((editedAgent.settings.backgroundAmbientSound || '').toLowerCase()) && (
+                                <div className="flex items-center gap-4 mt-3">
+                                    <span className="text-sm text-slate-500">Volume</span>
+                                    <input type="range" min="0" max="1" step="0.05" name="settings.backgroundAmbientVolume" value={editedAgent.settings.backgroundAmbientVolume ?? 0.5} onChange={handleSettingsChange} data-type="number" className="w-full h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer dark:bg-slate-700" />
+                                    <span className="text-sm text-slate-500 w-10 text-right">{Math.round((editedAgent.settings.backgroundAmbientVolume ?? 0.5) * 100)}%</span>
+                                </div>
+                            )}
                         </div>
-                        <SettingsToggle label="Call Recording" description="Enable or disable recording of calls. Recording is disabled by default." name="settings.callRecording" checked={editedAgent.settings.callRecording} onChange={handleSettingsChange} />
+                        <SettingsToggle label="Multilingual Callers" description="Detect the caller's language automatically (e.g. switching between English and Hindi) and reply in the language they are speaking." name="settings.multilingual" checked={!!editedAgent.settings.multilingual} onChange={handleSettingsChange} />
+                        <SettingsToggle label="Call Recording" description="Record both sides of the call. Recordings and transcripts can be played back from Recent Calls." name="settings.callRecording" checked={editedAgent.settings.callRecording} onChange={handleSettingsChange} />
                          <div>
                             <h4 className="font-medium text-slate-700 dark:text-slate-200">Session Timeout</h4>
                             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the session to automatically end after a fixed duration or following a period of no voice activity.</p>
@@ -2522,6 +2476,41 @@ When you need to collect information from the user, ask for the required paramet
                             </div>
                         </div>
                     </SettingsCard>
+                    <SettingsCard title="Post-Call Analysis">
+                        <SettingsToggle label="Analyze Calls" description="After each call, the LLM summarizes the transcript, rates the caller's sentiment, picks a disposition and extracts the fields below. Shown in call history and campaigns. Billed as LLM usage." name="settings.postCallAnalysis" checked={!!editedAgent.settings.postCallAnalysis} onChange={handleSettingsChange} />
+                        {editedAgent.settings.postCallAnalysis && (
+                            <>
+                                <div>
+                                    <label htmlFor="analysisDispositions" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Dispositions</label>
+                                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Comma-separated outcomes the analysis picks from. Blank uses the defaults.</p>
+                                    <input type="text" id="analysisDispositions" value={(editedAgent.settings.analysisDispositions || []).join(',')} onChange={e => handleAnalysisDispositionsChange(e.target.value)} placeholder="interested, not_interested, callback, wrong_number, do_not_call, resolved" className="mt-2 block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                </div>
+                                <div className="space-y-3">
+                                    <div className="flex items-center justify-between">
+                                        <div>
+                                            <p className="text-sm font-medium text-slate-700 dark:text-slate-200">Extracted Fields</p>
+                                            <p className="text-sm text-slate-500 dark:text-slate-400">Data to pull out of each call, e.g. budget or preferred callback time. Empty when the call didn't say.</p>
+                                        </div>
+                                        <button type="button" onClick={handleAddAnalysisField} className="text-emerald-500 font-semibold text-sm flex items-center"><PlusIcon className="h-4 w-4 mr-1"/>Add Field</button>
+                                    </div>
+                                    {(editedAgent.settings.analysisFields || []).map((field, index) => (
+                                        <div key={field.id} className="grid grid-cols-[1fr_auto_auto] gap-2 items-start">
+                                            <input type="text" value={field.name} onChange={e => handleAnalysisFieldChange(index, 'name', e.target.value)} placeholder="Name (e.g. budget)" className="block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                            <select value={field.type} onChange={e => handleAnalysisFieldChange(index, 'type', e.target.value)} className="block px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md">
+                                                <option value="string">Text</option>
+                                                <option value="number">Number</option>
+                                                <option value="boolean">Yes/No</option>
+                                            </select>
+                                            <button type="button" onClick={() => handleDeleteAnalysisField(index)} className="text-red-500 hover:text-red-400 p-2">
+                                                <TrashIcon className="w-5 h-5" />
+                                            </button>
+                                            <input type="text" value={field.description} onChange={e => handleAnalysisFieldChange(index, 'description', e.target.value)} placeholder="What to extract (e.g. monthly budget in USD)" className="col-span-3 block w-full px-3 py-2 text-sm border-slate-300 dark:border-slate-600 bg-white dark:bg-slate-800 focus:ring-primary focus:border-primary rounded-md"/>
+                                        </div>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+                    </SettingsCard>
                     <SettingsCard title="Privacy Settings">
                         <SettingsToggle label="Data Privacy Opt-Out" description="Choose to opt-out of storing personal data and conversation history to comply with legal requirements like HIPAA." name="settings.dataPrivacyOptOut" checked={editedAgent.settings.dataPrivacyOptOut} onChange={handleSettingsChange} />
                         <SettingsToggle label="Do Not Call Detection" description="Enable detection of 'Do Not Call' intent to ensure compliance with telemarketing regulations." name="settings.doNotCallDetection" checked={editedAgent.settings.doNotCallDetection} onChange={handleSettingsChange} />
@@ -2545,6 +2534,9 @@ When you need to collect information from the user, ask for the required paramet
                                         <button onClick={() => setCallAgentTab('chat')} className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm ${callAgentTab === 'chat' ? 'border-primary text-primary' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-200 hover:border-slate-300 dark:hover:border-slate-600'}`}>
                                             Chat
                                         </button>
+                                        <button onClick={() => setCallAgentTab('tests')} className={`whitespace-nowrap py-3 px-1 border-b-2 font-medium text-sm ${callAgentTab === 'tests' ? 'border-primary text-primary' : 'border-transparent text-slate-500 hover:text-slate-700 dark:hover:text-slate-200 hover:border-slate-300 dark:hover:border-slate-600'}`}>
+                                            Tests
+                                        </button>
                                     </nav>
                                 </div>
                                 {callAgentTab === 'web' ? (
@@ -2554,6 +2546,16 @@ When you need to collect information from the user, ask for the required paramet
                                         </button>
                                         <p className="mt-4 font-semibold text-slate-700 dark:text-slate-200">{isCallActive ? 'Stop' : 'Start'}</p>
                                     </div>
+                                ) : callAgentTab === 'tests' ? (
+                                    <AgentTestsPanel
+                                        agentId={editedAgent.id}
+                                        userId={userId}
+                                        toolNames={[
+                                            ...editedAgent.settings.tools.map(tool => tool.name),
+                                            ...(editedAgent.settings.agentCanTerminateCall ? ['end_call'] : []),
+                                            ...(editedAgent.settings.callTransfer ? ['transfer_call'] : []),
+                                        ]}
+                                    />
                                 ) : (
                                     <div className="pt-4 flex flex-col h-96">
                                         <div ref={chatContainerRef} className="flex-1 space-y-3 overflow-y-auto p-2">
@@ -2662,12 +2664,15 @@ When you need to collect information from the user, ask for the required paramet
                             <h3 className="font-semibold flex items-center gap-2"><WebhookIcon className="h-5 w-5 text-slate-500"/> Webhook Settings</h3>
                             <div>
                                 <label htmlFor="prefetchDataWebhook" className="text-sm font-medium">Prefetch Data Webhook</label>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">{'POSTed the caller number, campaign and contact before the greeting. Reply with JSON to use its fields as {{variables}} in the prompt and greeting.'}</p>
                                 <input type="text" id="prefetchDataWebhook" name="settings.prefetchDataWebhook" value={editedAgent.settings.prefetchDataWebhook} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
                             </div>
                             <div>
                                 <label htmlFor="endOfCallWebhook" className="text-sm font-medium">End-of-Call Webhook</label>
+                                <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">POSTed the transcript, duration, cost, recording URL, tool results, disposition and post-call analysis after each call. Failed deliveries are retried.</p>
                                 <input type="text" id="endOfCallWebhook" name="settings.endOfCallWebhook" value={editedAgent.settings.endOfCallWebhook} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md"/>
                             </div>
+                            <WebhookDeliveryLog agentId={editedAgent.id} userId={userId} />
                         </div>
                     </div>
                 </div>
@@ -74,6 +74,21 @@ const ApiPage: React.FC = () => {
             id: '11labs', 
             name: 'ElevenLabs', 
             description: 'Required for both Speech-to-Text and Text-to-Speech services.' 
+        },
+        {
+            id: 'deepgram',
+            name: 'Deepgram',
+            description: 'Speech-to-Text for live calls.'
+        },
+        {
+            id: 'sarvam',
+            name: 'Sarvam',
+            description: 'Text-to-Speech for Sarvam voices.'
+        },
+        {
+            id: 'openai',
+            name: 'OpenAI',
+            description: 'For agents on the OpenAI-compatible model. Also sent to your own base URL if you set one.'
         }
     ];
 
@@ -93,6 +108,10 @@ const ApiPage: React.FC = () => {
             <div className="max-w-2xl animate-fade-in">
                  <div className="bg-white dark:bg-darkbg-light p-4 md:p-6 rounded-lg shadow-md card-animate">
                      <form onSubmit={handleSaveKeys}>
+                        <p className="mb-6 text-sm text-slate-500">
+                            Calls use your own key for each provider you add here, and the platform key otherwise.
+                            Usage on your own keys is billed by the provider, not charged to your wallet.
+                        </p>
                         <div className="space-y-6 stagger-children">
                             {apiServices.map((service, idx) => (
                                 service.isEnvironmentVariable ? (
@@ -1,9 +1,23 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Campaign, CampaignRecord, CampaignStatus } from '../types';
+import { Campaign, CampaignRecord, CampaignStatus, CallSentiment } from '../types';
 import { useAuth } from '../contexts/AuthContext';
 import { parseCSV } from '../utils/csvParser';
 import * as campaignApi from '../utils/api';
+import CallOutcome, { SENTIMENTS, formatDisposition, formatExtractedData } from '../components/CallOutcome';
+
+// Contact CSV columns as "due_amount: 1200, appointment_time: Mon 10am"
+const formatVariables = (metadata: CampaignRecord['metadata']): string => {
+  let fields = metadata;
+  if (typeof fields === 'string') {
+    try {
+      fields = JSON.parse(fields);
+    } catch (e) {
+      return '';
+    }
+  }
+  return Object.entries(fields || {}).map(([key, value]) => `${key}: ${value}`).join(', ');
+};
 
 const CampaignDetailPage: React.FC = () => {
   const { id } = useParams<{ id: string }>();
@@ -23,6 +37,8 @@ const CampaignDetailPage: React.FC = () => {
   const [selectedAgentId, setSelectedAgentId] = useState('');
   const [agents, setAgents] = useState([]);
   const [googleSheetUrl, setGoogleSheetUrl] = useState('');
+  const [dispositionFilter, setDispositionFilter] = useState('');
+  const [sentimentFilter, setSentimentFilter] = useState<CallSentiment | ''>('');
   const recordsPerPage = 10;
 
   // Fetch campaign data
@@ -202,6 +218,20 @@ const CampaignDetailPage: React.FC = () => {
       if (!id || !user?.id) {
         throw new Error('Missing campaign ID or user ID');
       }
+
+      // Warn about {{variables}} in the agent's prompt or greeting that some contacts can't fill
+      const check = await campaignApi.checkCampaignVariables(id, user.id);
+      if (check.success && check.data.missing.length > 0) {
+        const lines = check.data.missing.map((entry: { variable: string; contacts: number }) =>
+          `{{${entry.variable}}}: missing for ${entry.contacts} of ${check.data.contacts} contacts`
+        );
+        const note = check.data.prefetchWebhook
+          ? 'Unless the agent\'s prefetch webhook provides them, they will be left blank on those calls.'
+          : 'They will be left blank on those calls.';
+        if (!window.confirm(`Some contacts have no value for variables the agent uses:\n\n${lines.join('\n')}\n\n${note} Start the campaign anyway?`)) {
+          return;
+        }
+      }
       
       const result = await campaignApi.startCampaign(id, user.id);
       
@@ -289,6 +319,13 @@ const CampaignDetailPage: React.FC = () => {
     }
   };
 
+  // Post-call analysis filters
+  const dispositions = Array.from(new Set(records.map(record => record.callDisposition).filter((d): d is string => !!d))).sort();
+  const visibleRecords = records.filter(record =>
+    (!dispositionFilter || record.callDisposition === dispositionFilter) &&
+    (!sentimentFilter || record.sentiment === sentimentFilter)
+  );
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -445,6 +482,30 @@ const CampaignDetailPage: React.FC = () => {
 
       {/* Table Section */}
       <div className="bg-[#1E293B] rounded-lg overflow-hidden card-animate">
+        {records.length > 0 && (
+          <div className="px-6 py-4 flex flex-wrap items-center justify-end gap-2 border-b border-gray-700">
+            <select
+              value={dispositionFilter}
+              onChange={(e) => setDispositionFilter(e.target.value)}
+              className="px-3 py-2 text-sm bg-[#0F172A] border border-gray-600 rounded-md"
+            >
+              <option value="">All dispositions</option>
+              {dispositions.map(disposition => (
+                <option key={disposition} value={disposition}>{formatDisposition(disposition)}</option>
+              ))}
+            </select>
+            <select
+              value={sentimentFilter}
+              onChange={(e) => setSentimentFilter(e.target.value as CallSentiment | '')}
+              className="px-3 py-2 text-sm bg-[#0F172A] border border-gray-600 rounded-md"
+            >
+              <option value="">All sentiments</option>
+              {SENTIMENTS.map(sentiment => (
+                <option key={sentiment} value={sentiment}>{sentiment.charAt(0).toUpperCase() + sentiment.slice(1)}</option>
+              ))}
+            </select>
+          </div>
+        )}
         <div className="overflow-x-auto">
           {records.length > 0 ? (
             <>
@@ -452,7 +513,10 @@ const CampaignDetailPage: React.FC = () => {
                 <thead>
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Phone</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Name</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Variables</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Call Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Outcome</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Retries</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Recording</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Created</th>
@@ -460,15 +524,27 @@ const CampaignDetailPage: React.FC = () => {
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-700">
-                  {records.map((record) => (
+                  {visibleRecords.map((record) => (
                     <tr key={record.id} className="hover:bg-[#2D3748]">
                       <td className="px-6 py-4 whitespace-nowrap text-sm">{record.phone}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">{record.name || '-'}</td>
+                      <td className="px-6 py-4 text-xs text-gray-400 max-w-xs truncate" title={formatVariables(record.metadata)}>
+                        {formatVariables(record.metadata) || '-'}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${getStatusBadgeClass(record.callStatus)}`}>
                           <span className={`h-2 w-2 rounded-full mr-2 ${getStatusDotClass(record.callStatus)}`}></span>
                           {record.callStatus.charAt(0).toUpperCase() + record.callStatus.slice(1)}
                         </span>
                       </td>
+                      <td className="px-6 py-4 text-sm max-w-xs">
+                        <CallOutcome disposition={record.callDisposition} sentiment={record.sentiment} />
+                        {record.summary && (
+                          <p className="mt-1 text-xs text-gray-400 truncate" title={[record.summary, formatExtractedData(record.extractedData)].filter(Boolean).join('\n')}>
+                            {record.summary}
+                          </p>
+                        )}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
                         {record.retries || 0}
                       </td>
@@ -508,7 +584,7 @@ const CampaignDetailPage: React.FC = () => {
               {/* Pagination */}
               <div className="px-6 py-4 flex items-center justify-between border-t border-gray-700">
                 <div className="text-sm text-gray-400">
-                  Showing {Math.min(recordsPerPage, records.length)} of {totalRecords} records
+                  Showing {Math.min(recordsPerPage, visibleRecords.length)} of {totalRecords} records
                 </div>
                 <div className="flex space-x-2">
                   <button
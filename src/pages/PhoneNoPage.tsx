@@ -9,6 +9,9 @@ import { phoneNumberService } from '../services/phoneNumberService';
 import { agentService } from '../services/agentService';
 import { twilioNumberService } from '../services/twilioNumberService';
 import { twilioBasicService } from '../services/twilioBasicService';
+import { callService, CallRecord, CallFilters, TranscriptLine } from '../services/callService';
+import CallOutcome, { SENTIMENTS, formatDisposition, formatExtractedData } from '../components/CallOutcome';
+import LiveCallMonitor from '../components/LiveCallMonitor';
 import { useAuth } from '../contexts/AuthContext';
 import { getApiBaseUrl } from '../utils/api';
 
@@ -532,7 +535,11 @@ const PhoneNoPage: React.FC = () => {
     const [isMakeCallModalOpen, setMakeCallModalOpen] = useState(false);
     const [selectedPhoneNumber, setSelectedPhoneNumber] = useState<PhoneNumber | null>(null);
     const [twilioPhoneNumbers, setTwilioPhoneNumbers] = useState<any[]>([]);
-    const [callHistory, setCallHistory] = useState<any[]>([]);
+    const [callHistory, setCallHistory] = useState<CallRecord[]>([]);
+    const [callFilters, setCallFilters] = useState<CallFilters>({});
+    const [callDispositions, setCallDispositions] = useState<string[]>([]);
+    const [playingCallId, setPlayingCallId] = useState<string | null>(null);
+    const [transcript, setTranscript] = useState<TranscriptLine[]>([]);
     const [userTwilioAccounts, setUserTwilioAccounts] = useState<any[]>([]); // Store user's Twilio accounts
     const { user } = useAuth();
 
@@ -571,11 +578,12 @@ const PhoneNoPage: React.FC = () => {
         }
     };
 
-    const loadCallHistory = async () => {
+    const loadCallHistory = async (filters: CallFilters = callFilters) => {
         if (!user) return;
         try {
-            const calls = await twilioBasicService.getCalls(user.id, 20);
+            const { calls, dispositions } = await callService.getCalls(user.id, 20, filters);
             setCallHistory(calls);
+            setCallDispositions(dispositions);
         } catch (error) {
             console.error('Error loading call history:', error);
             // Don't show alert to user as it might be confusing
@@ -583,6 +591,27 @@ const PhoneNoPage: React.FC = () => {
         }
     };
 
+    const handleCallFilterChange = (name: keyof CallFilters, value: string) => {
+        const filters = { ...callFilters, [name]: value || undefined };
+        setCallFilters(filters);
+        loadCallHistory(filters);
+    };
+
+    const togglePlayback = async (callId: string) => {
+        if (!user) return;
+        if (playingCallId === callId) {
+            setPlayingCallId(null);
+            return;
+        }
+        setPlayingCallId(callId);
+        setTranscript([]);
+        try {
+            setTranscript(await callService.getTranscript(callId, user.id));
+        } catch (error) {
+            console.error('Error loading call transcript:', error);
+        }
+    };
+
     const loadPhoneNumbers = async () => {
         try {
             setLoading(true);
@@ -1072,13 +1101,35 @@ Please check that:
                     </div>
                 )}
 
+                {/* Live Calls Section */}
+                <LiveCallMonitor userId={user?.id} />
+
                 {/* Call History Section */}
-                {callHistory.length > 0 && (
+                {(callHistory.length > 0 || callFilters.disposition || callFilters.sentiment) && (
                     <div className="mt-8 bg-darkbg-light border border-slate-700 rounded-lg overflow-hidden">
-                        <div className="px-6 py-4 border-b border-slate-700">
-                            <h2 className="text-xl font-semibold text-white">Recent Calls</h2>
-                            <p className="text-slate-400 text-sm mt-1">Latest call activity from your phone numbers</p>
+                        <div className="px-6 py-4 border-b border-slate-700 flex flex-wrap items-center justify-between gap-4">
+                            <div>
+                                <h2 className="text-xl font-semibold text-white">Recent Calls</h2>
+                                <p className="text-slate-400 text-sm mt-1">Latest call activity from your phone numbers</p>
+                            </div>
+                            <div className="flex items-center gap-2">
+                                <select value={callFilters.disposition || ''} onChange={e => handleCallFilterChange('disposition', e.target.value)} className="px-3 py-2 text-sm bg-slate-800 border border-slate-600 rounded-md text-white">
+                                    <option value="">All dispositions</option>
+                                    {callDispositions.map(disposition => (
+                                        <option key={disposition} value={disposition}>{formatDisposition(disposition)}</option>
+                                    ))}
+                                </select>
+                                <select value={callFilters.sentiment || ''} onChange={e => handleCallFilterChange('sentiment', e.target.value)} className="px-3 py-2 text-sm bg-slate-800 border border-slate-600 rounded-md text-white">
+                                    <option value="">All sentiments</option>
+                                    {SENTIMENTS.map(sentiment => (
+                                        <option key={sentiment} value={sentiment}>{sentiment.charAt(0).toUpperCase() + sentiment.slice(1)}</option>
+                                    ))}
+                                </select>
+                            </div>
                         </div>
+                        {callHistory.length === 0 && (
+                            <p className="px-6 py-4 text-sm text-slate-400">No calls match these filters.</p>
+                        )}
 
                         <div className="overflow-x-auto">
                             <table className="min-w-full divide-y divide-slate-700">
@@ -1087,15 +1138,18 @@ Please check that:
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">From</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">To</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">Status</th>
+                                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">Outcome</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">Duration</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">Date</th>
+                                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-300 uppercase tracking-wider">Recording</th>
                                     </tr>
                                 </thead>
                                 <tbody className="bg-darkbg-light divide-y divide-slate-700">
                                     {callHistory.slice(0, 5).map((call) => {
                                         const { date, time } = formatDateTime(call.timestamp);
                                         return (
-                                            <tr key={call.id} className="hover:bg-slate-800/50">
+                                            <React.Fragment key={call.id}>
+                                            <tr className="hover:bg-slate-800/50">
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-white">{call.fromNumber}</td>
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-white">{call.toNumber}</td>
                                                 <td className="px-6 py-4 whitespace-nowrap">
@@ -1107,6 +1161,9 @@ Please check that:
                                                         {call.status}
                                                     </span>
                                                 </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                    <CallOutcome disposition={call.disposition} sentiment={call.sentiment} />
+                                                </td>
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-400">
                                                     {call.duration > 0 ? `${Math.floor(call.duration / 60)}m ${call.duration % 60}s` : 'N/A'}
                                                 </td>
@@ -1114,7 +1171,49 @@ Please check that:
                                                     <div>{date}</div>
                                                     <div>{time}</div>
                                                 </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                    {call.recordingUrl || call.summary ? (
+                                                        <button
+                                                            onClick={() => togglePlayback(call.id)}
+                                                            className="text-primary hover:text-primary-dark font-medium"
+                                                        >
+                                                            {playingCallId === call.id ? 'Hide' : (call.recordingUrl ? 'Play' : 'Details')}
+                                                        </button>
+                                                    ) : (
+                                                        <span className="text-slate-500">N/A</span>
+                                                    )}
+                                                </td>
                                             </tr>
+                                            {playingCallId === call.id && user && (
+                                                <tr className="bg-slate-800/30">
+                                                    <td colSpan={7} className="px-6 py-4">
+                                                        {call.recordingUrl && (
+                                                            <audio controls autoPlay className="w-full mb-4" src={callService.getRecordingSrc(call.id, user.id)} />
+                                                        )}
+                                                        {call.summary && (
+                                                            <div className="mb-4 text-sm">
+                                                                <p className="text-slate-300">{call.summary}</p>
+                                                                {formatExtractedData(call.extractedData) && (
+                                                                    <p className="mt-1 text-xs text-slate-400">{formatExtractedData(call.extractedData)}</p>
+                                                                )}
+                                                            </div>
+                                                        )}
+                                                        <div className="max-h-64 overflow-y-auto space-y-2">
+                                                            {transcript.length === 0 ? (
+                                                                <p className="text-sm text-slate-500">No transcript for this call.</p>
+                                                            ) : transcript.map((line, index) => (
+                                                                <div key={index} className="text-sm">
+                                                                    <span className={`font-semibold ${line.role === 'agent' ? 'text-primary' : 'text-slate-300'}`}>
+                                                                        {line.role === 'agent' ? 'Agent' : 'Caller'}:
+                                                                    </span>{' '}
+                                                                    <span className="text-slate-400">{line.text}</span>
+                                                                </div>
+                                                            ))}
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                            </React.Fragment>
                                         );
                                     })}
                                 </tbody>
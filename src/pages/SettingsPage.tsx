@@ -148,7 +148,7 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ theme, toggleTheme }) => {
                                         className="input-animate mt-1 block w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md shadow-sm focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
                                     />
                                     <p className="mt-2 text-sm text-slate-500 dark:text-slate-400">
-                                        Set a webhook URL for prefetching data before the conversation starts. The webhook will be called with a GET request. <a href="#" className="text-blue-500 hover:underline">Learn more</a>
+                                        Set a webhook URL for prefetching data before the conversation starts. The webhook will be called with a POST request. <a href="#" className="text-blue-500 hover:underline">Learn more</a>
                                     </p>
                                 </div>
                                 <div style={{ animationDelay: '0.8s' }}>
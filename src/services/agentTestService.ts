@@ -0,0 +1,107 @@
+import { getApiBaseUrl } from '../utils/api';
+
+export type TestAssertionType = 'must' | 'must_not' | 'says' | 'never_says';
+
+export interface TestAssertion {
+  type: TestAssertionType;
+  text: string;
+}
+
+export interface ExpectedToolCall {
+  name: string;
+  args?: Record<string, string>;
+}
+
+export interface TestScenarioDefinition {
+  name: string;
+  callerMode: 'llm' | 'scripted';
+  persona: string; // Who the simulated caller is and what they want (LLM-driven caller)
+  callerScript: string[]; // Caller lines, in order (scripted caller)
+  maxTurns: number;
+  expectedTools: ExpectedToolCall[];
+  assertions: TestAssertion[];
+  toolMocks: Record<string, unknown>; // Result returned for each tool instead of calling it
+}
+
+export interface TestCheck {
+  type: 'tool' | TestAssertionType;
+  label: string;
+  passed: boolean;
+  detail: string | null;
+}
+
+export interface TestRunResult {
+  passed: boolean;
+  endedBy: 'agent' | 'transfer' | 'caller' | 'max_turns' | 'timeout' | 'error';
+  turns: number;
+  checks: TestCheck[];
+  toolCalls: { name: string; args: Record<string, unknown> }[];
+  transcript: { role: 'agent' | 'caller'; text: string; toolCalls?: string[] }[];
+  error: string | null;
+  ranAt: string;
+}
+
+export interface TestScenario extends TestScenarioDefinition {
+  id: string;
+  agentId: string;
+  lastResult: TestRunResult | null;
+  lastRunAt: string | null;
+}
+
+async function request<T>(path: string, init: RequestInit | undefined, failure: string): Promise<T> {
+  const response = await fetch(`${getApiBaseUrl()}/agent-tests${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const result = await response.json().catch(() => null);
+  if (!response.ok || !result?.success) {
+    throw new Error(result?.message || `${failure}: ${response.status} ${response.statusText}`);
+  }
+  return result.data;
+}
+
+export const agentTestService = {
+  async getScenarios(userId: string, agentId: string): Promise<TestScenario[]> {
+    return request(`?userId=${userId}&agentId=${agentId}`, undefined, 'Failed to fetch test scenarios');
+  },
+
+  async createScenario(userId: string, agentId: string, definition: TestScenarioDefinition): Promise<TestScenario> {
+    return request('', {
+      method: 'POST',
+      body: JSON.stringify({ ...definition, userId, agentId })
+    }, 'Failed to create test scenario');
+  },
+
+  async updateScenario(userId: string, id: string, definition: TestScenarioDefinition): Promise<TestScenario> {
+    return request(`/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ ...definition, userId })
+    }, 'Failed to update test scenario');
+  },
+
+  async deleteScenario(userId: string, id: string): Promise<void> {
+    await request(`/${id}?userId=${userId}`, { method: 'DELETE' }, 'Failed to delete test scenario');
+  },
+
+  // Runs against the saved agent - save changes to the agent first
+  async runScenario(userId: string, id: string): Promise<TestRunResult> {
+    return request(`/${id}/run`, {
+      method: 'POST',
+      body: JSON.stringify({ userId })
+    }, 'Failed to run test scenario');
+  },
+
+  // Starts the run in the background; each result is saved on its scenario as it finishes
+  async runAll(userId: string, agentId: string): Promise<{ pending: string[] }> {
+    return request('/run-all', {
+      method: 'POST',
+      body: JSON.stringify({ userId, agentId })
+    }, 'Failed to run test scenarios');
+  },
+
+  // Scenario ids the agent's run-all hasn't finished yet, empty when none is running
+  async getRunAll(userId: string, agentId: string): Promise<{ pending: string[] }> {
+    return request(`/run-all?userId=${userId}&agentId=${agentId}`, undefined, 'Failed to fetch test run');
+  }
+};
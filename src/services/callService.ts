@@ -0,0 +1,71 @@
+import { getApiBaseUrl } from '../utils/api';
+import { CallSentiment } from '../types';
+
+export interface CallRecord {
+  id: string;
+  callSid: string;
+  fromNumber: string;
+  toNumber: string;
+  status: string;
+  callType: string;
+  timestamp: string;
+  duration: number;
+  endReason: string | null;
+  disposition: string | null;
+  summary: string | null; // Post-call analysis
+  sentiment: CallSentiment | null;
+  extractedData: Record<string, string | number | boolean | null> | null;
+  recordingUrl: string | null;
+  agentId: string;
+  agentName: string;
+}
+
+export interface CallFilters {
+  disposition?: string;
+  sentiment?: CallSentiment;
+}
+
+export interface CallHistory {
+  calls: CallRecord[];
+  dispositions: string[]; // Every disposition the user's calls have
+}
+
+export interface TranscriptLine {
+  role: 'user' | 'agent';
+  text: string;
+}
+
+export const callService = {
+  // Get Call History (Twilio and browser calls)
+  async getCalls(userId: string, limit: number = 50, filters: CallFilters = {}): Promise<CallHistory> {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (filters.disposition) params.set('disposition', filters.disposition);
+    if (filters.sentiment) params.set('sentiment', filters.sentiment);
+
+    const response = await fetch(`${getApiBaseUrl()}/calls/${userId}?${params}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch calls: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to fetch calls');
+    }
+    return { calls: result.calls, dispositions: result.dispositions || [] };
+  },
+
+  async getTranscript(callId: string, userId: string): Promise<TranscriptLine[]> {
+    const response = await fetch(`${getApiBaseUrl()}/calls/${callId}/transcript?userId=${userId}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch transcript: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    return result.transcript || [];
+  },
+
+  // Audio source for the platform recording of a call
+  getRecordingSrc(callId: string, userId: string): string {
+    return `${getApiBaseUrl()}/calls/${callId}/recording?userId=${userId}`;
+  }
+};
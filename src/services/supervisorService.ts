@@ -0,0 +1,49 @@
+import { getApiBaseUrl } from '../utils/api';
+
+export interface LiveCall {
+  id: string;
+  callId: string | null;
+  transport: string;
+  userId: string;
+  agentId: string;
+  agentName: string | null;
+  from: string | null;
+  to: string | null;
+  startedAt: string;
+  takenOver: boolean;
+  audio: boolean;
+}
+
+// Events on the monitor socket (audio arrives as binary PCM16LE, 8kHz)
+export type MonitorEvent =
+  | { event: 'monitoring'; call: LiveCall; transcript: { role: 'user' | 'agent'; text: string }[]; whispers: string[] }
+  | { event: 'transcript'; text: string }
+  | { event: 'agent-response'; text: string }
+  | { event: 'tool-calls'; calls: { name: string; args: Record<string, unknown>; result: unknown }[] }
+  | { event: 'whisper'; text: string }
+  | { event: 'taken-over' | 'handed-back' }
+  | { event: 'call-ended'; reason: string }
+  | { event: 'error'; message: string };
+
+export type MonitorAction =
+  | { action: 'listen'; enabled: boolean }
+  | { action: 'whisper' | 'say'; text: string }
+  | { action: 'take-over' | 'hand-back' };
+
+export const supervisorService = {
+  async getLiveCalls(userId: string): Promise<LiveCall[]> {
+    const response = await fetch(`${getApiBaseUrl()}/supervisor/calls?userId=${userId}`);
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.message || `Failed to fetch live calls: ${response.status} ${response.statusText}`);
+    }
+    return result.data;
+  },
+
+  openMonitor(userId: string, sessionId: string): WebSocket {
+    const wsBaseUrl = getApiBaseUrl().replace(/^http/, 'ws');
+    const socket = new WebSocket(`${wsBaseUrl}/supervisor/calls/${encodeURIComponent(sessionId)}?userId=${userId}`);
+    socket.binaryType = 'arraybuffer';
+    return socket;
+  }
+};
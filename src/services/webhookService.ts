@@ -0,0 +1,55 @@
+import { getApiBaseUrl } from '../utils/api';
+
+export interface WebhookDelivery {
+  id: string;
+  callId: string | null;
+  event: 'prefetch' | 'end_of_call';
+  url: string;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  responseStatus: number | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+async function request<T>(path: string, init: RequestInit | undefined, failure: string): Promise<T> {
+  const response = await fetch(`${getApiBaseUrl()}/webhooks${path}`, {
+    ...init,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const result = await response.json().catch(() => null);
+  if (!response.ok || !result?.success) {
+    throw new Error(result?.message || `${failure}: ${response.status} ${response.statusText}`);
+  }
+  return result.data;
+}
+
+export const webhookService = {
+  async getDeliveries(userId: string, agentId: string): Promise<WebhookDelivery[]> {
+    return request(`/deliveries?userId=${userId}&agentId=${agentId}`, undefined, 'Failed to fetch webhook deliveries');
+  },
+
+  async redeliver(userId: string, id: string): Promise<{ ok: boolean; status: number | null; error: string | null }> {
+    return request(`/deliveries/${id}/redeliver`, {
+      method: 'POST',
+      body: JSON.stringify({ userId })
+    }, 'Failed to redeliver webhook');
+  },
+
+  // Requests carry X-Ziya-Signature: sha256=HMAC(secret, "<X-Ziya-Timestamp>.<body>")
+  async getSigningSecret(userId: string, agentId: string): Promise<string> {
+    const data = await request<{ secret: string }>(`/secret?userId=${userId}&agentId=${agentId}`, undefined, 'Failed to fetch signing secret');
+    return data.secret;
+  },
+
+  // The old secret stops working straight away
+  async rotateSigningSecret(userId: string, agentId: string): Promise<string> {
+    const data = await request<{ secret: string }>('/secret/rotate', {
+      method: 'POST',
+      body: JSON.stringify({ userId, agentId })
+    }, 'Failed to rotate signing secret');
+    return data.secret;
+  }
+};
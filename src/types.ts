@@ -34,7 +34,13 @@ export interface CampaignRecord {
     id: string;
     campaignId: string;
     phone: string;
+    name?: string | null;
+    metadata?: Record<string, string> | string | null; // Other CSV columns, {{variables}} for the agent on this contact's call
     callStatus: 'pending' | 'in-progress' | 'completed' | 'failed';
+    callDisposition?: string | null; // Post-call analysis of the contact's call
+    summary?: string | null;
+    sentiment?: CallSentiment | null;
+    extractedData?: Record<string, string | number | boolean | null>;
     createdAt: string; // ISO string
 }
 
@@ -73,6 +79,7 @@ export interface Tool {
     type: ToolType;
     webhookUrl?: string;
     method?: 'GET' | 'POST';
+    timeoutSeconds?: number; // Webhook timeout during live calls (default 10s)
     runAfterCall?: boolean;
     preActionPhrasesMode: PreActionPhraseMode;
     preActionPhrases: string[];
@@ -80,21 +87,57 @@ export interface Tool {
     headers?: ToolHeader[];
 }
 
+export type CallSentiment = 'positive' | 'neutral' | 'negative';
+
+// A field the post-call analysis extracts from the transcript
+export interface AnalysisField {
+    id: string;
+    name: string;
+    type: 'string' | 'number' | 'boolean';
+    description: string;
+}
+
+export interface TransferDestination {
+    id: string;
+    name: string;
+    number: string;
+    description: string; // When the agent should transfer here
+    type: 'cold' | 'warm'; // Warm: the human hears a call summary before being connected
+}
+
+// Speech-to-text, LLM or text-to-speech service for live calls (GET /api/providers)
+export interface CallProvider {
+    id: string;
+    kind: 'stt' | 'llm' | 'tts';
+    name: string;
+}
 
 export interface VoiceAgentSettings {
     userStartsFirst: boolean;
     greetingLine: string;
     responseDelay: boolean;
+    responseDelayMs?: number; // How long to wait after the caller stops before replying (default 800)
+    interruptionSensitivity?: 'off' | 'low' | 'medium' | 'high'; // How quickly caller speech cuts the agent off
     inactivityHandling: boolean;
     agentCanTerminateCall: boolean;
     voicemailDetection: boolean;
+    voicemailAction?: 'hangup' | 'leave_message'; // What to do when an answering machine picks up
+    voicemailMessage?: string; // Supports {{name}}, {{phone_number}} and contact fields
     callTransfer: boolean;
+    transferDestinations?: TransferDestination[];
+    dtmfInput?: boolean; // Keypad presses become user turns
     dtmfDial: boolean;
     agentTimezone: string;
-    voiceDetectionConfidenceThreshold: number;
+    voiceDetectionConfidenceThreshold: number; // Minimum STT confidence for caller speech, when overrideVAD is on
     overrideVAD: boolean;
-    backgroundAmbientSound: string;
+    endpointingMs?: number; // Silence that ends a caller's sentence; unset uses the STT provider's default
+    utteranceEndMs?: number; // Silence after which the caller is done even without a clear endpoint
+    backgroundAmbientSound: string; // 'office' | 'call_center' | 'cafe'; anything else is no ambience
+    backgroundAmbientVolume?: number; // 0-1, how loud the ambience plays under the agent (default 0.5)
     callRecording: boolean;
+    multilingual?: boolean; // Caller may switch languages; STT auto-detects and replies follow the caller
+    providers?: { stt?: string; tts?: string }; // Provider ids; unset uses the default (TTS follows the voice). The LLM follows the model.
+    openaiCompatible?: { baseUrl?: string; model?: string }; // For the 'openai-compatible' model; blank base URL uses the platform endpoint
     sessionTimeoutFixedDuration: number;
     sessionTimeoutNoVoiceActivity: number;
     sessionTimeoutEndMessage: string;
@@ -102,6 +145,9 @@ export interface VoiceAgentSettings {
     doNotCallDetection: boolean;
     prefetchDataWebhook: string;
     endOfCallWebhook: string;
+    postCallAnalysis?: boolean; // Summarize, score sentiment, pick a disposition and extract fields after each call
+    analysisDispositions?: string[]; // Dispositions the analysis picks from
+    analysisFields?: AnalysisField[];
     dataCollectionSheetUrl?: string; // Google Sheets URL for automatic data collection
     preActionPhrases: string[]; // For knowledge base
     tools: Tool[];
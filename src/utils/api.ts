@@ -123,6 +123,20 @@ export const deleteRecord = async (campaignId: string, recordId: string, userId:
   return response.json();
 };
 
+// Agent {{variables}} that pending contacts have no value for
+export const checkCampaignVariables = async (id: string, userId: string) => {
+  const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/variable-check?userId=${userId}`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
 export const startCampaign = async (id: string, userId: string) => {
   const response = await fetch(`${getApiBaseUrl()}/campaigns/${id}/start`, {
     method: 'POST',
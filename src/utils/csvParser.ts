@@ -1,43 +1,102 @@
+export interface ParsedContact {
+  phone: string;
+  name?: string;
+  metadata: Record<string, string>; // Other columns, by variable name (e.g. due_amount)
+}
+
+const PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber'];
+const NAME_COLUMNS = ['name', 'full_name'];
+
+/**
+ * Column header as a {{variable}} name: "Due Amount" -> "due_amount"
+ */
+export function toVariableName(column: string): string {
+  return column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Split one CSV line into fields. Quoted fields may contain the delimiter
+ * and doubled quotes ("1,200" or "say ""hi""").
+ */
+function splitLine(line: string, delimiter: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns One contact per row: phone, name and every other column as metadata
  */
-export function parseCSV(csvString: string, delimiter: string = ','): { phone: string }[] {
+export function parseCSV(csvString: string, delimiter: string = ','): ParsedContact[] {
   // Split into lines
-  const lines = csvString.trim().split('\n');
+  const lines = csvString.trim().split(/\r?\n/);
   
   if (lines.length === 0) {
     return [];
   }
   
   // Parse header
-  const header = lines[0].split(delimiter).map(field => field.trim());
+  const header = splitLine(lines[0], delimiter).map(toVariableName);
   
   // Find phone column index
-  const phoneColumnIndex = header.findIndex(column => 
-    column.toLowerCase() === 'phone' || 
-    column.toLowerCase() === 'phone number' ||
-    column.toLowerCase() === 'phonenumber'
-  );
+  const phoneColumnIndex = header.findIndex(column => PHONE_COLUMNS.includes(column));
   
   if (phoneColumnIndex === -1) {
     throw new Error('CSV must contain a "phone" column');
   }
+
+  const nameColumnIndex = header.findIndex(column => NAME_COLUMNS.includes(column));
   
   // Parse data rows
-  const records: { phone: string }[] = [];
+  const records: ParsedContact[] = [];
   
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (line) {
-      const values = line.split(delimiter).map(value => value.trim());
+      const values = splitLine(line, delimiter);
       const phone = values[phoneColumnIndex];
       
       // Basic phone number validation
       if (phone && phone.length >= 10) {
-        records.push({ phone });
+        const metadata: Record<string, string> = {};
+        header.forEach((column, index) => {
+          if (column && index !== phoneColumnIndex && index !== nameColumnIndex && values[index]) {
+            metadata[column] = values[index];
+          }
+        });
+
+        records.push({
+          phone,
+          ...(nameColumnIndex !== -1 && values[nameColumnIndex] ? { name: values[nameColumnIndex] } : {}),
+          metadata
+        });
       }
     }
   }
@@ -45,4 +104,4 @@ export function parseCSV(csvString: string, delimiter: string = ','): { phone: s
   return records;
 }
 
-export default { parseCSV };
\ No newline at end of file
+export default { parseCSV };